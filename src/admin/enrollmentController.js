@@ -4,6 +4,7 @@ const { HTTP_STATUS } = require('../utils/constants');
 const { enrollStudentInFocusOne } = require('./enrollmentService');
 const { User, Subject, FocusOne } = require('../models');
 const { AppError, ERROR_CODES } = require('../errors');
+const focusOneHourService = require('../services/focusOneHourService');
 
 /**
  * @desc    Enroll a student in Focus One
@@ -236,7 +237,8 @@ const updateEnrollment = asyncHandler(async (req, res, next) => {
 
       user.focusOneEnrollment.teacherSubjectMappings = teacherSubjectMappings.map(m => ({
         teacher: m.teacher,
-        subject: m.subject
+        subject: m.subject,
+        allowanceHours: m.allowanceHours ?? null
       }));
 
       // Update FocusOne model
@@ -244,7 +246,8 @@ const updateEnrollment = asyncHandler(async (req, res, next) => {
         await FocusOne.findByIdAndUpdate(user.focusOneEnrollment.focusOne, {
           teacherSubjectMappings: teacherSubjectMappings.map(m => ({
             teacher: m.teacher,
-            subject: m.subject
+            subject: m.subject,
+            allowanceHours: m.allowanceHours ?? null
           }))
         });
       }
@@ -342,11 +345,28 @@ const cancelEnrollment = asyncHandler(async (req, res, next) => {
   );
 });
 
+/**
+ * @desc    Hour ledger of a Focus One: purchased, used and remaining hours per subject
+ * @route   GET /api/v1/admin/focus-one/:focusOneId/hours
+ * @access  Private (Admin only)
+ */
+const getFocusOneHours = asyncHandler(async (req, res, next) => {
+  const ledger = await focusOneHourService.getLedger(req.params.focusOneId);
+
+  successResponse(
+    res,
+    HTTP_STATUS.OK,
+    'Focus One hour ledger retrieved successfully',
+    ledger
+  );
+});
+
 module.exports = {
   enrollStudent,
   getAllEnrollments,
   getFocusOneEnrollments,
   getEnrollmentById,
   updateEnrollment,
-  cancelEnrollment
+  cancelEnrollment,
+  getFocusOneHours
 };
@@ -6,9 +6,10 @@ const {
   getFocusOneEnrollments,
   getEnrollmentById,
   updateEnrollment,
-  cancelEnrollment
+  cancelEnrollment,
+  getFocusOneHours
 } = require('./enrollmentController');
-const { enrollStudentValidation } = require('./enrollmentValidation');
+const { enrollStudentValidation, focusOneHoursValidation } = require('./enrollmentValidation');
 const { validateRequest } = require('../middleware/validateRequest');
 const { protect, authorize } = require('../middleware/auth');
 
@@ -88,6 +89,40 @@ router.get('/focus-one/enrollments', protect, authorize('admin', 'super-admin'),
  */
 router.get('/focus-one/:focusOneId/enrollments', protect, authorize('admin', 'super-admin'), getFocusOneEnrollments);
 
+/**
+ * @swagger
+ * /api/v1/admin/focus-one/{focusOneId}/hours:
+ *   get:
+ *     summary: Hour ledger of a Focus One
+ *     description: |
+ *       Purchased, used, forfeited, refunded, reserved and remaining hours for each subject, with every ledger entry.
+ *       Purchased hours are the allowanceHours of the subject's teacher-subject mappings; a subject without any
+ *       allowance has no quota (purchasedHours and remainingHours are null). Hours of pending and booked sessions
+ *       are reserved; completed sessions are deducted. The price per hour is the subject's focusOneCost.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: focusOneId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Hour ledger retrieved successfully
+ *       404:
+ *         description: Focus One not found
+ */
+router.get(
+  '/focus-one/:focusOneId/hours',
+  protect,
+  authorize('admin', 'super-admin'),
+  focusOneHoursValidation,
+  validateRequest,
+  getFocusOneHours
+);
+
 /**
  * @swagger
  * /api/v1/admin/focus-one/enrollments/:userId:
@@ -158,7 +158,8 @@ const enrollStudentInFocusOne = async ({
     description: `Focus One enrollment for ${user.email}`,
     teacherSubjectMappings: teacherSubjectMappings.map(m => ({
       teacher: m.teacher,
-      subject: m.subject
+      subject: m.subject,
+      allowanceHours: m.allowanceHours ?? null
     })),
     status: 'active',
     student: user._id,
@@ -178,7 +179,8 @@ const enrollStudentInFocusOne = async ({
     focusOne: focusOne._id,
     teacherSubjectMappings: teacherSubjectMappings.map(m => ({
       teacher: m.teacher,
-      subject: m.subject
+      subject: m.subject,
+      allowanceHours: m.allowanceHours ?? null
     })),
     status: 'active',
     enrolledAt: enrollmentDate,
@@ -239,7 +241,8 @@ const enrollStudentInFocusOne = async ({
               id: mapping.subject._id || mapping.subject,
               name: mapping.subject.name,
               description: mapping.subject.description
-            }
+            },
+            allowanceHours: mapping.allowanceHours ?? null
           })),
           student: user.focusOneEnrollment.focusOne.student ? {
             id: user.focusOneEnrollment.focusOne.student._id,
@@ -264,7 +267,8 @@ const enrollStudentInFocusOne = async ({
             id: mapping.subject._id || mapping.subject,
             name: mapping.subject.name,
             description: mapping.subject.description
-          }
+          },
+          allowanceHours: mapping.allowanceHours ?? null
         })),
         status: user.focusOneEnrollment.status,
         enrolledAt: user.focusOneEnrollment.enrolledAt,
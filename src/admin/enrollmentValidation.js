@@ -1,4 +1,4 @@
-const { body } = require('express-validator');
+const { body, param } = require('express-validator');
 
 /**
  * Validation rules for enrolling a student in Focus One
@@ -36,6 +36,12 @@ exports.enrollStudentValidation = [
     .isMongoId()
     .withMessage('Invalid subject ID format'),
 
+  body('teacherSubjectMappings.*.allowanceHours')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Allowance hours must be a non-negative number')
+    .toFloat(),
+
   body('startedAt')
     .optional()
     .custom((value) => {
@@ -54,3 +60,11 @@ exports.enrollStudentValidation = [
     .withMessage('Metadata must be an object')
 ];
 
+/**
+ * Validation rules for a Focus One's hour ledger
+ */
+exports.focusOneHoursValidation = [
+  param('focusOneId')
+    .isMongoId()
+    .withMessage('Invalid Focus One ID format')
+];
@@ -1,14 +1,15 @@
 const { PublicHoliday } = require('../models');
 const { AppError, ERROR_CODES } = require('../errors');
 const { HTTP_STATUS } = require('../utils/constants');
+const { instituteTimezone } = require('../config/timezone');
+const { parseZonedDate, endOfZonedDay } = require('../utils/timezone');
 
 /**
  * Create a new public holiday
  */
 const createPublicHoliday = async ({ name, date, description, isActive, createdBy }) => {
-  // Normalize date to remove time component
-  const holidayDate = new Date(date);
-  holidayDate.setHours(0, 0, 0, 0);
+  // Normalize date to the start of that day in the institute's timezone
+  const holidayDate = parseZonedDate(date, instituteTimezone);
   
   // Check if a holiday already exists for this date
   const existingHoliday = await PublicHoliday.findOne({ date: holidayDate });
@@ -17,7 +18,7 @@ const createPublicHoliday = async ({ name, date, description, isActive, createdB
     throw new AppError(
       ERROR_CODES.VALIDATION.GENERAL,
       HTTP_STATUS.BAD_REQUEST,
-      { message: `A public holiday already exists for ${holidayDate.toLocaleDateString()}` }
+      { message: `A public holiday already exists for ${holidayDate.toLocaleDateString('en-US', { timeZone: instituteTimezone })}` }
     );
   }
   
@@ -46,14 +47,10 @@ const getAllPublicHolidays = async ({ page = 1, limit = 50, isActive, startDate,
   if (startDate || endDate) {
     filter.date = {};
     if (startDate) {
-      const start = new Date(startDate);
-      start.setHours(0, 0, 0, 0);
-      filter.date.$gte = start;
+      filter.date.$gte = parseZonedDate(startDate, instituteTimezone);
     }
     if (endDate) {
-      const end = new Date(endDate);
-      end.setHours(23, 59, 59, 999);
-      filter.date.$lte = end;
+      filter.date.$lte = endOfZonedDay(parseZonedDate(endDate, instituteTimezone), instituteTimezone);
     }
   }
   
@@ -109,8 +106,7 @@ const updatePublicHoliday = async (id, { name, date, description, isActive }) =>
   
   // If date is being updated, check for conflicts
   if (date) {
-    const holidayDate = new Date(date);
-    holidayDate.setHours(0, 0, 0, 0);
+    const holidayDate = parseZonedDate(date, instituteTimezone);
     
     const existingHoliday = await PublicHoliday.findOne({
       date: holidayDate,
@@ -121,7 +117,7 @@ const updatePublicHoliday = async (id, { name, date, description, isActive }) =>
       throw new AppError(
         ERROR_CODES.VALIDATION.GENERAL,
         HTTP_STATUS.BAD_REQUEST,
-        { message: `A public holiday already exists for ${holidayDate.toLocaleDateString()}` }
+        { message: `A public holiday already exists for ${holidayDate.toLocaleDateString('en-US', { timeZone: instituteTimezone })}` }
       );
     }
     
@@ -0,0 +1,153 @@
+const { asyncHandler } = require('../utils/errorHandler');
+const { successResponse } = require('../utils/response');
+const { HTTP_STATUS, SCHEDULING_POLICY_DEFAULTS } = require('../utils/constants');
+const schedulingPolicyService = require('../services/schedulingPolicyService');
+
+// Only the policy rules are taken from the body
+const pickRules = (body) => {
+  const rules = {};
+  Object.keys(SCHEDULING_POLICY_DEFAULTS).forEach(field => {
+    if (body[field] !== undefined) {
+      rules[field] = body[field];
+    }
+  });
+  return rules;
+};
+
+/**
+ * @desc    Get the default rules, the global policy and all Cohort/FocusOne overrides
+ * @route   GET /api/v1/admin/scheduling-policy
+ * @access  Private (Admin only)
+ */
+const getSchedulingPolicies = asyncHandler(async (req, res, next) => {
+  const result = await schedulingPolicyService.listPolicies();
+
+  successResponse(
+    res,
+    HTTP_STATUS.OK,
+    'Scheduling policies retrieved successfully',
+    result
+  );
+});
+
+/**
+ * @desc    Get the rules in force for a FocusOne or Cohort (or globally)
+ * @route   GET /api/v1/admin/scheduling-policy/effective
+ * @access  Private (Admin only)
+ */
+const getEffectiveSchedulingPolicy = asyncHandler(async (req, res, next) => {
+  const { focusOne, cohort } = req.query;
+
+  const policy = await schedulingPolicyService.getEffectivePolicy({ focusOne, cohort });
+
+  successResponse(
+    res,
+    HTTP_STATUS.OK,
+    'Effective scheduling policy retrieved successfully',
+    { focusOne: focusOne || null, cohort: cohort || null, policy }
+  );
+});
+
+/**
+ * @desc    Update the global scheduling policy
+ * @route   PUT /api/v1/admin/scheduling-policy/global
+ * @access  Private (Admin only)
+ */
+const updateGlobalSchedulingPolicy = asyncHandler(async (req, res, next) => {
+  const result = await schedulingPolicyService.savePolicy({
+    scope: 'global',
+    rules: pickRules(req.body),
+    user: req.user
+  });
+
+  successResponse(
+    res,
+    HTTP_STATUS.OK,
+    'Global scheduling policy updated successfully',
+    result
+  );
+});
+
+/**
+ * @desc    Create or update a Cohort's scheduling policy override
+ * @route   PUT /api/v1/admin/scheduling-policy/cohorts/:cohortId
+ * @access  Private (Admin only)
+ */
+const updateCohortSchedulingPolicy = asyncHandler(async (req, res, next) => {
+  const result = await schedulingPolicyService.savePolicy({
+    scope: 'cohort',
+    targetId: req.params.cohortId,
+    rules: pickRules(req.body),
+    user: req.user
+  });
+
+  successResponse(
+    res,
+    HTTP_STATUS.OK,
+    'Cohort scheduling policy updated successfully',
+    result
+  );
+});
+
+/**
+ * @desc    Remove a Cohort's scheduling policy override
+ * @route   DELETE /api/v1/admin/scheduling-policy/cohorts/:cohortId
+ * @access  Private (Admin only)
+ */
+const deleteCohortSchedulingPolicy = asyncHandler(async (req, res, next) => {
+  await schedulingPolicyService.removeOverride({ scope: 'cohort', targetId: req.params.cohortId });
+
+  successResponse(
+    res,
+    HTTP_STATUS.OK,
+    'Cohort scheduling policy removed successfully',
+    null
+  );
+});
+
+/**
+ * @desc    Create or update a FocusOne's scheduling policy override
+ * @route   PUT /api/v1/admin/scheduling-policy/focus-ones/:focusOneId
+ * @access  Private (Admin only)
+ */
+const updateFocusOneSchedulingPolicy = asyncHandler(async (req, res, next) => {
+  const result = await schedulingPolicyService.savePolicy({
+    scope: 'focusOne',
+    targetId: req.params.focusOneId,
+    rules: pickRules(req.body),
+    user: req.user
+  });
+
+  successResponse(
+    res,
+    HTTP_STATUS.OK,
+    'Focus One scheduling policy updated successfully',
+    result
+  );
+});
+
+/**
+ * @desc    Remove a FocusOne's scheduling policy override
+ * @route   DELETE /api/v1/admin/scheduling-policy/focus-ones/:focusOneId
+ * @access  Private (Admin only)
+ */
+const deleteFocusOneSchedulingPolicy = asyncHandler(async (req, res, next) => {
+  await schedulingPolicyService.removeOverride({ scope: 'focusOne', targetId: req.params.focusOneId });
+
+  successResponse(
+    res,
+    HTTP_STATUS.OK,
+    'Focus One scheduling policy removed successfully',
+    null
+  );
+});
+
+module.exports = {
+  getSchedulingPolicies,
+  getEffectiveSchedulingPolicy,
+  updateGlobalSchedulingPolicy,
+  updateCohortSchedulingPolicy,
+  deleteCohortSchedulingPolicy,
+  updateFocusOneSchedulingPolicy,
+  deleteFocusOneSchedulingPolicy
+};
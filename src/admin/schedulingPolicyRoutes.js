@@ -0,0 +1,288 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getSchedulingPolicies,
+  getEffectiveSchedulingPolicy,
+  updateGlobalSchedulingPolicy,
+  updateCohortSchedulingPolicy,
+  deleteCohortSchedulingPolicy,
+  updateFocusOneSchedulingPolicy,
+  deleteFocusOneSchedulingPolicy
+} = require('./schedulingPolicyController');
+const {
+  updateGlobalPolicyValidation,
+  cohortPolicyValidation,
+  focusOnePolicyValidation,
+  updateCohortPolicyValidation,
+  updateFocusOnePolicyValidation,
+  effectivePolicyValidation
+} = require('./schedulingPolicyValidation');
+const { validateRequest } = require('../middleware/validateRequest');
+const { protect, authorize } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SchedulingPolicyRules:
+ *       type: object
+ *       description: Any rule left out is unchanged; null makes it inherited again (override -> global -> defaults)
+ *       properties:
+ *         minAdvanceDays:
+ *           type: integer
+ *           nullable: true
+ *           example: 1
+ *         bookingWindowDays:
+ *           type: integer
+ *           nullable: true
+ *           description: Sessions can be booked up to this many days ahead (in the institute timezone)
+ *           example: 10
+ *         allowedDaysOfWeek:
+ *           type: array
+ *           nullable: true
+ *           description: 0 = Sunday ... 6 = Saturday
+ *           items:
+ *             type: integer
+ *           example: [1, 2, 3, 4, 5, 6]
+ *         dayStartTime:
+ *           type: string
+ *           nullable: true
+ *           example: "09:00"
+ *         dayEndTime:
+ *           type: string
+ *           nullable: true
+ *           example: "21:00"
+ *         saturdayEndTime:
+ *           type: string
+ *           nullable: true
+ *           example: "16:00"
+ *         sessionDurationMinutes:
+ *           type: integer
+ *           nullable: true
+ *           example: 75
+ *         breakMinutes:
+ *           type: integer
+ *           nullable: true
+ *           example: 15
+ *         backToBackCooldownMinutes:
+ *           type: integer
+ *           nullable: true
+ *           example: 60
+ *         maxSessionsPerTeacherPerDay:
+ *           type: integer
+ *           nullable: true
+ *           example: 4
+ *         rerouteRejectedRequests:
+ *           type: boolean
+ *           nullable: true
+ *           description: When a teacher rejects a Focus One request, offer it to the next available teacher for the subject instead of rejecting it
+ *           example: true
+ *         cancellationRefundPercent:
+ *           type: integer
+ *           nullable: true
+ *           minimum: 0
+ *           maximum: 100
+ *           description: Share of a cancelled booking's hours returned to the Focus One balance; the rest is forfeited. Withdrawn requests are always refunded in full.
+ *           example: 100
+ *         lateCancellationNoticeHours:
+ *           type: integer
+ *           nullable: true
+ *           minimum: 0
+ *           maximum: 168
+ *           description: Cancelling a booked session with less notice than this is a late cancellation. Teacher late cancellations are flagged for admin review.
+ *           example: 24
+ *         maxStudentLateCancellationsPerMonth:
+ *           type: integer
+ *           nullable: true
+ *           minimum: 0
+ *           maximum: 31
+ *           description: Late cancellations a student may make per calendar month (institute timezone); further ones are refused
+ *           example: 2
+ *         lateCancellationRefundPercent:
+ *           type: integer
+ *           nullable: true
+ *           minimum: 0
+ *           maximum: 100
+ *           description: Share of the hours returned when a student cancels late (instead of cancellationRefundPercent). Teacher cancellations are always refunded in full.
+ *           example: 0
+ */
+
+/**
+ * @swagger
+ * /api/v1/admin/scheduling-policy:
+ *   get:
+ *     summary: Get the default scheduling rules, the global policy and all overrides
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Scheduling policies retrieved successfully
+ */
+router.get('/scheduling-policy', protect, authorize('admin', 'super-admin'), getSchedulingPolicies);
+
+/**
+ * @swagger
+ * /api/v1/admin/scheduling-policy/effective:
+ *   get:
+ *     summary: Get the scheduling rules in force for a Focus One or Cohort
+ *     description: Without a target, returns the global rules.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: focusOne
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: cohort
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Effective scheduling policy retrieved successfully
+ */
+router.get(
+  '/scheduling-policy/effective',
+  protect,
+  authorize('admin', 'super-admin'),
+  effectivePolicyValidation,
+  validateRequest,
+  getEffectiveSchedulingPolicy
+);
+
+/**
+ * @swagger
+ * /api/v1/admin/scheduling-policy/global:
+ *   put:
+ *     summary: Update the global scheduling policy
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SchedulingPolicyRules'
+ *     responses:
+ *       200:
+ *         description: Global scheduling policy updated successfully
+ *       400:
+ *         description: Validation error
+ */
+router.put(
+  '/scheduling-policy/global',
+  protect,
+  authorize('admin', 'super-admin'),
+  updateGlobalPolicyValidation,
+  validateRequest,
+  updateGlobalSchedulingPolicy
+);
+
+/**
+ * @swagger
+ * /api/v1/admin/scheduling-policy/cohorts/:cohortId:
+ *   put:
+ *     summary: Create or update a Cohort's scheduling policy override
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SchedulingPolicyRules'
+ *     responses:
+ *       200:
+ *         description: Cohort scheduling policy updated successfully
+ *       404:
+ *         description: Cohort not found
+ */
+router.put(
+  '/scheduling-policy/cohorts/:cohortId',
+  protect,
+  authorize('admin', 'super-admin'),
+  updateCohortPolicyValidation,
+  validateRequest,
+  updateCohortSchedulingPolicy
+);
+
+/**
+ * @swagger
+ * /api/v1/admin/scheduling-policy/cohorts/:cohortId:
+ *   delete:
+ *     summary: Remove a Cohort's scheduling policy override
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Cohort scheduling policy removed successfully
+ *       404:
+ *         description: No override for this Cohort
+ */
+router.delete(
+  '/scheduling-policy/cohorts/:cohortId',
+  protect,
+  authorize('admin', 'super-admin'),
+  cohortPolicyValidation,
+  validateRequest,
+  deleteCohortSchedulingPolicy
+);
+
+/**
+ * @swagger
+ * /api/v1/admin/scheduling-policy/focus-ones/:focusOneId:
+ *   put:
+ *     summary: Create or update a Focus One's scheduling policy override
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SchedulingPolicyRules'
+ *     responses:
+ *       200:
+ *         description: Focus One scheduling policy updated successfully
+ *       404:
+ *         description: Focus One not found
+ */
+router.put(
+  '/scheduling-policy/focus-ones/:focusOneId',
+  protect,
+  authorize('admin', 'super-admin'),
+  updateFocusOnePolicyValidation,
+  validateRequest,
+  updateFocusOneSchedulingPolicy
+);
+
+/**
+ * @swagger
+ * /api/v1/admin/scheduling-policy/focus-ones/:focusOneId:
+ *   delete:
+ *     summary: Remove a Focus One's scheduling policy override
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Focus One scheduling policy removed successfully
+ *       404:
+ *         description: No override for this Focus One
+ */
+router.delete(
+  '/scheduling-policy/focus-ones/:focusOneId',
+  protect,
+  authorize('admin', 'super-admin'),
+  focusOnePolicyValidation,
+  validateRequest,
+  deleteFocusOneSchedulingPolicy
+);
+
+module.exports = router;
@@ -0,0 +1,103 @@
+const { body, param, query } = require('express-validator');
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const optionalNullableInt = (field, min, max, message) =>
+  body(field)
+    .optional({ nullable: true })
+    .isInt({ min, max })
+    .withMessage(message)
+    .toInt();
+
+const optionalNullableTime = (field, label) =>
+  body(field)
+    .optional({ nullable: true })
+    .matches(TIME_OF_DAY)
+    .withMessage(`${label} must be in HH:mm format`);
+
+/**
+ * Validation rules for the rules of a scheduling policy
+ * Every rule is optional; null clears it so the value is inherited again.
+ */
+const policyRulesValidation = [
+  optionalNullableInt('minAdvanceDays', 0, 60, 'minAdvanceDays must be between 0 and 60'),
+  optionalNullableInt('bookingWindowDays', 1, 90, 'bookingWindowDays must be between 1 and 90'),
+
+  body('allowedDaysOfWeek')
+    .optional({ nullable: true })
+    .isArray({ min: 1, max: 7 })
+    .withMessage('allowedDaysOfWeek must be a non-empty array of weekdays'),
+
+  body('allowedDaysOfWeek.*')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Each allowed day must be between 0 (Sunday) and 6 (Saturday)')
+    .toInt(),
+
+  optionalNullableTime('dayStartTime', 'dayStartTime'),
+  optionalNullableTime('dayEndTime', 'dayEndTime'),
+  optionalNullableTime('saturdayEndTime', 'saturdayEndTime'),
+
+  optionalNullableInt('sessionDurationMinutes', 15, 480, 'sessionDurationMinutes must be between 15 and 480'),
+  optionalNullableInt('breakMinutes', 0, 240, 'breakMinutes must be between 0 and 240'),
+  optionalNullableInt('backToBackCooldownMinutes', 0, 480, 'backToBackCooldownMinutes must be between 0 and 480'),
+  optionalNullableInt('maxSessionsPerTeacherPerDay', 1, 24, 'maxSessionsPerTeacherPerDay must be between 1 and 24'),
+
+  body('rerouteRejectedRequests')
+    .optional({ nullable: true })
+    .isBoolean()
+    .withMessage('rerouteRejectedRequests must be a boolean')
+    .toBoolean(),
+
+  optionalNullableInt('cancellationRefundPercent', 0, 100, 'cancellationRefundPercent must be between 0 and 100'),
+  optionalNullableInt('lateCancellationNoticeHours', 0, 168, 'lateCancellationNoticeHours must be between 0 and 168'),
+  optionalNullableInt('maxStudentLateCancellationsPerMonth', 0, 31, 'maxStudentLateCancellationsPerMonth must be between 0 and 31'),
+  optionalNullableInt('lateCancellationRefundPercent', 0, 100, 'lateCancellationRefundPercent must be between 0 and 100')
+];
+
+/**
+ * Validation rules for updating the global policy
+ */
+exports.updateGlobalPolicyValidation = policyRulesValidation;
+
+/**
+ * Validation rules for a Cohort override
+ */
+exports.cohortPolicyValidation = [
+  param('cohortId')
+    .isMongoId()
+    .withMessage('Invalid cohort ID')
+];
+
+/**
+ * Validation rules for a FocusOne override
+ */
+exports.focusOnePolicyValidation = [
+  param('focusOneId')
+    .isMongoId()
+    .withMessage('Invalid Focus One ID')
+];
+
+exports.updateCohortPolicyValidation = [...exports.cohortPolicyValidation, ...policyRulesValidation];
+
+exports.updateFocusOnePolicyValidation = [...exports.focusOnePolicyValidation, ...policyRulesValidation];
+
+/**
+ * Validation rules for looking up the effective policy
+ */
+exports.effectivePolicyValidation = [
+  query('focusOne')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid Focus One ID'),
+
+  query('cohort')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid cohort ID')
+    .custom((value, { req }) => {
+      if (req.query.focusOne) {
+        throw new Error('Provide either focusOne or cohort, not both');
+      }
+      return true;
+    })
+];
@@ -2,6 +2,7 @@ const { asyncHandler } = require('../utils/errorHandler');
 const { successResponse } = require('../utils/response');
 const { HTTP_STATUS } = require('../utils/constants');
 const { registerTeacher } = require('./teacherService');
+const sessionFeedbackService = require('../services/sessionFeedbackService');
 
 /**
  * @desc    Register a teacher (Admin endpoint)
@@ -68,8 +69,27 @@ const registerTeacherPublic = asyncHandler(async (req, res, next) => {
   );
 });
 
+/**
+ * @desc    Teacher ratings from student feedback, per subject and over time
+ * @route   GET /api/v1/admin/teachers/ratings
+ * @access  Private (Admin only)
+ */
+const getTeacherRatings = asyncHandler(async (req, res, next) => {
+  const { from, to, teacher, subject, interval } = req.query;
+
+  const result = await sessionFeedbackService.getTeacherRatings({ from, to, teacher, subject, interval });
+
+  successResponse(
+    res,
+    HTTP_STATUS.OK,
+    'Teacher ratings retrieved successfully',
+    result
+  );
+});
+
 module.exports = {
   registerTeacherByAdmin,
-  registerTeacherPublic
+  registerTeacherPublic,
+  getTeacherRatings
 };
 
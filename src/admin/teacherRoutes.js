@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
-const { registerTeacherByAdmin } = require('./teacherController');
-const { registerTeacherValidation } = require('./teacherValidation');
+const { registerTeacherByAdmin, getTeacherRatings } = require('./teacherController');
+const { registerTeacherValidation, teacherRatingsValidation } = require('./teacherValidation');
 const { validateRequest } = require('../middleware/validateRequest');
 const { protect, authorize } = require('../middleware/auth');
 
@@ -56,6 +56,57 @@ router.post(
   registerTeacherByAdmin
 );
 
+/**
+ * @swagger
+ * /api/v1/admin/teachers/ratings:
+ *   get:
+ *     summary: Teacher ratings from student session feedback (Admin only)
+ *     description: |
+ *       Average rating, count and tag counts per teacher and subject, with a trend per week or month
+ *       (periods in the institute timezone). Defaults to the last year.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: teacher
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: subject
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [week, month]
+ *           default: month
+ *     responses:
+ *       200:
+ *         description: Teacher ratings retrieved successfully
+ *       403:
+ *         description: Forbidden - Admin access required
+ */
+router.get(
+  '/ratings',
+  protect,
+  authorize('admin', 'super-admin'),
+  teacherRatingsValidation,
+  validateRequest,
+  getTeacherRatings
+);
+
 module.exports = router;
 
 
@@ -1,4 +1,4 @@
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 
 // Register Teacher Validation Rules
 exports.registerTeacherValidation = [
@@ -36,5 +36,30 @@ exports.registerTeacherValidation = [
     .withMessage('Metadata must be an object')
 ];
 
+// Teacher Ratings Validation Rules
+exports.teacherRatingsValidation = [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid ISO 8601 date'),
+
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid ISO 8601 date'),
+
+  query('teacher')
+    .optional()
+    .isMongoId()
+    .withMessage('Teacher must be a valid MongoDB ID'),
 
+  query('subject')
+    .optional()
+    .isMongoId()
+    .withMessage('Subject must be a valid MongoDB ID'),
 
+  query('interval')
+    .optional()
+    .isIn(['week', 'month'])
+    .withMessage('Interval must be week or month')
+];
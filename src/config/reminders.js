@@ -0,0 +1,39 @@
+// Session reminder emails and the teachers' daily agenda digest
+
+const DEFAULT_OFFSETS_MINUTES = [24 * 60, 60];
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Minutes before startTime at which reminders go out, e.g. "1440,60" (empty disables reminders)
+ */
+const parseOffsets = (value) => {
+  if (value === undefined) {
+    return DEFAULT_OFFSETS_MINUTES;
+  }
+
+  const offsets = value.split(',').map(part => part.trim()).filter(Boolean).map(Number);
+  if (offsets.some(offset => !Number.isInteger(offset) || offset <= 0)) {
+    throw new Error(`SESSION_REMINDER_OFFSETS_MINUTES "${value}" must be a comma-separated list of positive minutes`);
+  }
+  return [...new Set(offsets)].sort((a, b) => b - a);
+};
+
+const reminderOffsetsMinutes = parseOffsets(process.env.SESSION_REMINDER_OFFSETS_MINUTES);
+
+// Institute-timezone time of day at which teachers get tomorrow's agenda (empty disables the digest)
+const teacherDigestTime = process.env.TEACHER_DIGEST_TIME === undefined
+  ? '18:00'
+  : process.env.TEACHER_DIGEST_TIME.trim() || null;
+
+if (teacherDigestTime && !TIME_OF_DAY.test(teacherDigestTime)) {
+  throw new Error(`TEACHER_DIGEST_TIME "${teacherDigestTime}" must be in HH:mm format`);
+}
+
+// A reminder whose send time is already further in the past than this when it is (re)scheduled is skipped
+const reminderGraceMinutes = 15;
+
+module.exports = {
+  reminderOffsetsMinutes,
+  teacherDigestTime,
+  reminderGraceMinutes
+};
@@ -0,0 +1,19 @@
+const { isValidTimezone } = require('../utils/timezone');
+
+// Scheduling rules (working hours, Sundays, Saturday cutoff, booking days) are evaluated in the
+// institute's timezone, whatever timezone the server runs in.
+const instituteTimezone = (process.env.INSTITUTE_TIMEZONE || 'Asia/Kolkata').trim();
+
+if (!isValidTimezone(instituteTimezone)) {
+  throw new Error(`INSTITUTE_TIMEZONE "${instituteTimezone}" is not a valid IANA timezone`);
+}
+
+/**
+ * Timezone to present times in for a user: their own if set, otherwise the institute's
+ */
+const getUserTimezone = user => (user && user.timezone) || instituteTimezone;
+
+module.exports = {
+  instituteTimezone,
+  getUserTimezone
+};
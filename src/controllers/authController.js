@@ -49,6 +49,14 @@ exports.getMe = asyncHandler(async (req, res, next) => {
   successResponse(res, HTTP_STATUS.OK, 'User retrieved successfully', profile);
 });
 
+// @desc    Set or clear the current user's timezone
+// @route   PUT /api/v1/auth/me/timezone
+// @access  Private
+exports.updateMyTimezone = asyncHandler(async (req, res, next) => {
+  const result = await authService.updateCurrentUserTimezone(req.user, req.body.timezone);
+  successResponse(res, HTTP_STATUS.OK, 'Timezone updated successfully', result);
+});
+
 // @desc    Login or register user with Google OAuth
 // @route   POST /api/v1/auth/google
 // @access  Public
@@ -2,6 +2,7 @@ const { Cohort, User } = require('../models');
 const { successResponse } = require('../utils/response');
 const { AppError, ERROR_CODES } = require('../errors');
 const { HTTP_STATUS } = require('../utils/constants');
+const analyticsService = require('../services/analyticsService');
 
 /**
  * Get Cohort by ID for Teacher (Teacher endpoint)
@@ -38,7 +39,14 @@ const getTeacherCohortById = async (req, res, next) => {
       );
     }
 
-    successResponse(res, cohort, 'Cohort retrieved successfully');
+    const data = cohort.toObject();
+    data.analytics = await analyticsService.getCohortAnalytics(cohort._id, {
+      subjectIds: (cohort.subjects || [])
+        .filter(entry => entry.subject)
+        .map(entry => entry.subject._id || entry.subject)
+    });
+
+    successResponse(res, data, 'Cohort retrieved successfully');
   } catch (error) {
     next(error);
   }
@@ -3,6 +3,7 @@ const FocusOne = require('../models/FocusOne');
 const { successResponse } = require('../utils/response');
 const { AppError, ERROR_CODES } = require('../errors');
 const { HTTP_STATUS } = require('../utils/constants');
+const analyticsService = require('../services/analyticsService');
 
 /**
  * Create a new Focus One
@@ -401,7 +402,17 @@ const getTeacherFocusOneById = async (req, res, next) => {
       );
     }
 
-    successResponse(res, focusOne, 'Focus One retrieved successfully');
+    // Analytics cover only the subjects this teacher teaches in the Focus One
+    const taughtSubjectIds = focusOne.teacherSubjectMappings
+      .filter(mapping => mapping.teacher && mapping.subject && mapping.teacher._id.toString() === teacherId.toString())
+      .map(mapping => mapping.subject._id || mapping.subject);
+
+    const data = focusOne.toObject();
+    data.studentAnalytics = focusOne.student
+      ? await analyticsService.getStudentAnalytics(focusOne.student._id, { subjectIds: taughtSubjectIds })
+      : null;
+
+    successResponse(res, data, 'Focus One retrieved successfully');
   } catch (error) {
     next(error);
   }
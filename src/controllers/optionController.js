@@ -2,6 +2,24 @@ const Option = require('../models/Option');
 const Question = require('../models/Question');
 const { successResponse, errorResponse } = require('../utils/response');
 const { AppError } = require('../errors');
+const { validateSchema, questionTypeSchema } = require('../validations/questionValidation');
+const questionRevisionService = require('../services/questionRevisionService');
+const questionReviewService = require('../services/questionReviewService');
+
+/**
+ * Check that a question's option set, as it would be after a change, still fits its type
+ */
+const assertOptionsFitType = (question, options) => {
+  validateSchema(questionTypeSchema, {
+    type: question.type,
+    options: options.map(({ text, isCorrect, matchText }) => ({
+      text,
+      isCorrect,
+      ...(matchText ? { matchText } : {})
+    })),
+    numericAnswer: question.numericAnswer ? question.numericAnswer.toObject() : undefined
+  });
+};
 
 /**
  * Create options for a question
@@ -17,19 +35,13 @@ const createOptions = async (req, res, next) => {
       throw new AppError('Question not found', 404);
     }
 
-    // Validate options
-    if (!options || options.length < 2 || options.length > 4) {
-      throw new AppError('Question must have between 2 and 4 options', 400);
-    }
+    // Validate options against the question type
+    assertOptionsFitType(question, options || []);
 
-    // Check if at least one option is marked as correct
-    const correctOptions = options.filter(option => option.isCorrect);
-    if (correctOptions.length === 0) {
-      throw new AppError('At least one option must be marked as correct', 400);
-    }
+    await questionRevisionService.ensureBaseline(questionId);
 
-    // Delete existing options for this question
-    await Option.deleteMany({ question: questionId });
+    // Retire existing options for this question (soft delete keeps past answers and revisions resolvable)
+    await Option.updateMany({ question: questionId, deletedAt: null }, { deletedAt: new Date() });
 
     // Create new options
     const optionsWithQuestion = options.map((option, index) => ({
@@ -39,6 +51,8 @@ const createOptions = async (req, res, next) => {
     }));
 
     const createdOptions = await Option.insertMany(optionsWithQuestion);
+    await questionRevisionService.recordRevision(questionId, { changeType: 'options-changed', userId: req.user._id });
+    await questionReviewService.revokeApprovalOnEdit({ questionId, userId: req.user._id, notes: 'Options replaced after approval' });
 
     successResponse(res, createdOptions, 'Options created successfully', 201);
   } catch (error) {
@@ -74,29 +88,35 @@ const getOptionsByQuestion = async (req, res, next) => {
 const updateOption = async (req, res, next) => {
   try {
     const { optionId } = req.params;
-    const { text, isCorrect, order, isActive } = req.body;
+    const { text, isCorrect, matchText, order, isActive } = req.body;
 
     const option = await Option.findById(optionId);
     if (!option) {
       throw new AppError('Option not found', 404);
     }
 
-    // If changing isCorrect, ensure at least one option remains correct
-    if (isCorrect === false) {
-      const correctOptionsCount = await Option.countDocuments({
-        question: option.question,
-        isCorrect: true,
-        _id: { $ne: optionId }
-      });
-      
-      if (correctOptionsCount === 0) {
-        throw new AppError('At least one option must be marked as correct', 400);
+    // Ensure the option set still fits the question type after the change
+    if (text !== undefined || isCorrect !== undefined || matchText !== undefined || isActive !== undefined) {
+      const question = await Question.findById(option.question);
+      const siblings = await Option.find({ question: option.question, isActive: true, _id: { $ne: optionId } }).lean();
+      const updated = {
+        text: text !== undefined ? text : option.text,
+        isCorrect: isCorrect !== undefined ? isCorrect : option.isCorrect,
+        matchText: matchText !== undefined ? matchText : option.matchText
+      };
+      const stillActive = isActive !== undefined ? isActive : option.isActive;
+
+      if (question) {
+        assertOptionsFitType(question, stillActive ? [...siblings, updated] : siblings);
       }
     }
 
+    await questionRevisionService.ensureBaseline(option.question);
+
     const updateData = {};
     if (text !== undefined) updateData.text = text;
     if (isCorrect !== undefined) updateData.isCorrect = isCorrect;
+    if (matchText !== undefined) updateData.matchText = matchText;
     if (order !== undefined) updateData.order = order;
     if (isActive !== undefined) updateData.isActive = isActive;
 
@@ -105,6 +125,15 @@ const updateOption = async (req, res, next) => {
       updateData,
       { new: true, runValidators: true }
     );
+    await questionRevisionService.recordRevision(option.question, { changeType: 'options-changed', userId: req.user._id });
+    // Reordering alone leaves the answer key as it was
+    if (text !== undefined || isCorrect !== undefined || matchText !== undefined || isActive !== undefined) {
+      await questionReviewService.revokeApprovalOnEdit({
+        questionId: option.question,
+        userId: req.user._id,
+        notes: 'Option edited after approval'
+      });
+    }
 
     successResponse(res, updatedOption, 'Option updated successfully');
   } catch (error) {
@@ -124,20 +153,21 @@ const deleteOption = async (req, res, next) => {
       throw new AppError('Option not found', 404);
     }
 
-    // Check if this is the only correct option
-    if (option.isCorrect) {
-      const correctOptionsCount = await Option.countDocuments({
-        question: option.question,
-        isCorrect: true,
-        _id: { $ne: optionId }
-      });
-      
-      if (correctOptionsCount === 0) {
-        throw new AppError('Cannot delete the only correct option', 400);
-      }
+    // Ensure the remaining options still fit the question type
+    const question = await Question.findById(option.question);
+    if (question && option.isActive) {
+      const remaining = await Option.find({ question: option.question, isActive: true, _id: { $ne: optionId } }).lean();
+      assertOptionsFitType(question, remaining);
     }
 
+    await questionRevisionService.ensureBaseline(option.question);
     await option.softDelete();
+    await questionRevisionService.recordRevision(option.question, { changeType: 'options-changed', userId: req.user._id });
+    await questionReviewService.revokeApprovalOnEdit({
+      questionId: option.question,
+      userId: req.user._id,
+      notes: 'Option deleted after approval'
+    });
 
     successResponse(res, null, 'Option deleted successfully');
   } catch (error) {
@@ -159,12 +189,15 @@ const reorderOptions = async (req, res, next) => {
       throw new AppError('Question not found', 404);
     }
 
+    await questionRevisionService.ensureBaseline(questionId);
+
     // Update option orders
     const updatePromises = optionOrders.map(({ optionId, order }) =>
       Option.findByIdAndUpdate(optionId, { order }, { new: true })
     );
 
     await Promise.all(updatePromises);
+    await questionRevisionService.recordRevision(questionId, { changeType: 'options-changed', userId: req.user._id });
 
     // Get updated options
     const options = await Option.find({ question: questionId })
@@ -3,14 +3,95 @@ const Chapter = require('../models/Chapter');
 const Subject = require('../models/Subject');
 const Option = require('../models/Option');
 const { successResponse, errorResponse } = require('../utils/response');
-const { AppError } = require('../errors');
+const { AppError, ERROR_CODES } = require('../errors');
+const questionTransferService = require('../services/questionTransferService');
+const itemAnalysisService = require('../services/itemAnalysisService');
+const questionRevisionService = require('../services/questionRevisionService');
+const questionReviewService = require('../services/questionReviewService');
+const { QUESTION_TYPES, QUESTION_STATUSES } = require('../utils/constants');
+const {
+  validateSchema,
+  createQuestionSchema,
+  updateQuestionSchema,
+  questionTypeSchema
+} = require('../validations/questionValidation');
+
+/**
+ * Query filter for a question type, to merge into a question filter
+ * Questions created before types existed have no type stored. They are read as multiple-correct when two
+ * or more of their options are correct and single-correct otherwise (see the Question model), so they are
+ * filtered the same way. Nothing is left to look up once backfill:question-types has run.
+ */
+const buildTypeFilter = async (type) => {
+  if (type !== QUESTION_TYPES.SINGLE_CORRECT && type !== QUESTION_TYPES.MULTIPLE_CORRECT) {
+    return { type };
+  }
+
+  const untyped = await Question.collection
+    .find({ type: { $exists: false } }, { projection: { _id: 1 } })
+    .toArray();
+  if (untyped.length === 0) {
+    return { type };
+  }
+
+  const multipleCorrect = await Question.findMultipleCorrectIds(untyped.map(question => question._id));
+  const wantMultiple = type === QUESTION_TYPES.MULTIPLE_CORRECT;
+  const legacyIds = untyped
+    .map(question => question._id)
+    .filter(id => multipleCorrect.has(id.toString()) === wantMultiple);
+
+  return { $or: [{ type }, { _id: { $in: legacyIds } }] };
+};
+
+/**
+ * Question list filter shared by getAllQuestions and exportQuestions
+ * Callers without review access only get approved questions.
+ */
+const buildQuestionFilter = async ({ search, chapter, subject, difficulty, type, isActive, status }, user) => {
+  const filter = {};
+  const statusFilter = questionReviewService.buildStatusFilter(status, user);
+  if (statusFilter) {
+    filter.status = statusFilter;
+  }
+  if (search) {
+    filter.questionText = { $regex: search, $options: 'i' };
+  }
+  if (chapter) {
+    filter.chapter = chapter;
+  }
+  if (subject) {
+    // Find chapters belonging to the subject
+    const chapters = await Chapter.find({ subject }).select('_id');
+    const chapterIds = chapters.map(ch => ch._id);
+    filter.chapter = { $in: chapterIds };
+  }
+  if (difficulty) {
+    filter.difficulty = difficulty;
+  }
+  if (type) {
+    Object.assign(filter, await buildTypeFilter(type));
+  }
+  if (isActive !== undefined) {
+    filter.isActive = isActive === 'true';
+  }
+  return filter;
+};
+
+const toOptionDocs = (options, questionId) => options.map((option, index) => ({
+  text: option.text,
+  isCorrect: Boolean(option.isCorrect),
+  matchText: option.matchText || null,
+  question: questionId,
+  order: index
+}));
 
 /**
  * Create a new question
  */
 const createQuestion = async (req, res, next) => {
   try {
-    const { questionText, options, explanation, chapter, difficulty, marks } = req.body;
+    const { questionText, explanation, chapter, difficulty, marks } = req.body;
+    const { type, options = [], numericAnswer } = validateSchema(createQuestionSchema, req.body);
 
     // Check if chapter exists
     const chapterExists = await Chapter.findById(chapter);
@@ -18,37 +99,32 @@ const createQuestion = async (req, res, next) => {
       throw new AppError('Chapter not found', 404);
     }
 
-    // Validate options
-    if (!options || options.length < 2 || options.length > 4) {
-      throw new AppError('Question must have between 2 and 4 options', 400);
-    }
-
-    // Check if at least one option is marked as correct
-    const correctOptions = options.filter(option => option.isCorrect);
-    if (correctOptions.length === 0) {
-      throw new AppError('At least one option must be marked as correct', 400);
-    }
-
     // Create question first
     const question = new Question({
       questionText,
+      type,
       explanation,
       chapter,
       difficulty: difficulty || 'medium',
-      marks: marks || 1
+      marks: marks || 1,
+      numericAnswer: type === QUESTION_TYPES.NUMERIC ? numericAnswer : null,
+      status: QUESTION_STATUSES.DRAFT,
+      createdBy: req.user._id,
+      reviewHistory: [{ action: 'created', newStatus: QUESTION_STATUSES.DRAFT, performedBy: req.user._id }]
     });
 
     await question.save();
 
-    // Create options
-    const optionsWithQuestion = options.map((option, index) => ({
-      text: option.text,
-      isCorrect: option.isCorrect,
-      question: question._id,
-      order: index
-    }));
+    // Create options (numeric questions have none)
+    const createdOptions = options.length > 0
+      ? await Option.insertMany(toOptionDocs(options, question._id))
+      : [];
 
-    const createdOptions = await Option.insertMany(optionsWithQuestion);
+    const revision = await questionRevisionService.recordRevision(question._id, {
+      changeType: 'created',
+      userId: req.user._id
+    });
+    question.currentRevision = revision.revision;
 
     // Populate question with options and chapter info
     await question.populate({
@@ -83,30 +159,13 @@ const getAllQuestions = async (req, res, next) => {
       chapter, 
       subject, 
       difficulty, 
-      isActive 
+      type,
+      isActive,
+      status
     } = req.query;
     const skip = (page - 1) * limit;
 
-    // Build filter object
-    const filter = {};
-    if (search) {
-      filter.questionText = { $regex: search, $options: 'i' };
-    }
-    if (chapter) {
-      filter.chapter = chapter;
-    }
-    if (subject) {
-      // Find chapters belonging to the subject
-      const chapters = await Chapter.find({ subject }).select('_id');
-      const chapterIds = chapters.map(ch => ch._id);
-      filter.chapter = { $in: chapterIds };
-    }
-    if (difficulty) {
-      filter.difficulty = difficulty;
-    }
-    if (isActive !== undefined) {
-      filter.isActive = isActive === 'true';
-    }
+    const filter = await buildQuestionFilter({ search, chapter, subject, difficulty, type, isActive, status }, req.user);
 
     const questions = await Question.find(filter)
       .populate({
@@ -155,6 +214,11 @@ const getQuestionById = async (req, res, next) => {
       throw new AppError('Question not found', 404);
     }
 
+    // Unapproved questions are only visible to authors, reviewers and admins
+    if (question.status !== QUESTION_STATUSES.APPROVED && !questionReviewService.hasReviewAccess(req.user)) {
+      throw new AppError('Question not found', 404);
+    }
+
     successResponse(res, question, 'Question retrieved successfully');
   } catch (error) {
     next(error);
@@ -167,7 +231,7 @@ const getQuestionById = async (req, res, next) => {
 const getQuestionsByChapter = async (req, res, next) => {
   try {
     const { chapterId } = req.params;
-    const { page = 1, limit = 10, difficulty, isActive } = req.query;
+    const { page = 1, limit = 10, difficulty, type, isActive, status } = req.query;
     const skip = (page - 1) * limit;
 
     // Check if chapter exists
@@ -177,9 +241,16 @@ const getQuestionsByChapter = async (req, res, next) => {
     }
 
     const filter = { chapter: chapterId };
+    const statusFilter = questionReviewService.buildStatusFilter(status, req.user);
+    if (statusFilter) {
+      filter.status = statusFilter;
+    }
     if (difficulty) {
       filter.difficulty = difficulty;
     }
+    if (type) {
+      Object.assign(filter, await buildTypeFilter(type));
+    }
     if (isActive !== undefined) {
       filter.isActive = isActive === 'true';
     }
@@ -220,7 +291,7 @@ const getQuestionsByChapter = async (req, res, next) => {
 const getQuestionsBySubject = async (req, res, next) => {
   try {
     const { subjectId } = req.params;
-    const { page = 1, limit = 10, difficulty, isActive } = req.query;
+    const { page = 1, limit = 10, difficulty, type, isActive, status } = req.query;
     const skip = (page - 1) * limit;
 
     // Check if subject exists
@@ -234,9 +305,16 @@ const getQuestionsBySubject = async (req, res, next) => {
     const chapterIds = chapters.map(ch => ch._id);
 
     const filter = { chapter: { $in: chapterIds } };
+    const statusFilter = questionReviewService.buildStatusFilter(status, req.user);
+    if (statusFilter) {
+      filter.status = statusFilter;
+    }
     if (difficulty) {
       filter.difficulty = difficulty;
     }
+    if (type) {
+      Object.assign(filter, await buildTypeFilter(type));
+    }
     if (isActive !== undefined) {
       filter.isActive = isActive === 'true';
     }
@@ -277,7 +355,8 @@ const getQuestionsBySubject = async (req, res, next) => {
 const updateQuestion = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { questionText, options, explanation, chapter, difficulty, marks, isActive } = req.body;
+    const { questionText, explanation, chapter, difficulty, marks, isActive } = req.body;
+    const { type, options, numericAnswer } = validateSchema(updateQuestionSchema, req.body);
 
     const question = await Question.findById(id);
     if (!question) {
@@ -292,38 +371,68 @@ const updateQuestion = async (req, res, next) => {
       }
     }
 
-    // Validate options if provided
-    if (options) {
-      if (options.length < 2 || options.length > 4) {
-        throw new AppError('Question must have between 2 and 4 options', 400);
-      }
-
-      const correctOptions = options.filter(option => option.isCorrect);
-      if (correctOptions.length === 0) {
-        throw new AppError('At least one option must be marked as correct', 400);
-      }
+    // Re-check type rules against the question as it will be after the update
+    const effectiveType = type || question.type;
+    if (type !== undefined || options !== undefined || numericAnswer !== undefined) {
+      const currentOptions = options === undefined
+        ? await Option.find({ question: id, isActive: true }).select('text isCorrect matchText').lean()
+        : null;
+
+      validateSchema(questionTypeSchema, {
+        type: effectiveType,
+        options: (options || currentOptions).map(({ text, isCorrect, matchText }) => ({
+          text,
+          isCorrect,
+          ...(matchText ? { matchText } : {})
+        })),
+        numericAnswer: effectiveType === QUESTION_TYPES.NUMERIC
+          ? (numericAnswer !== undefined ? numericAnswer : question.numericAnswer?.toObject())
+          : undefined
+      });
     }
 
+    // Keep the original wording of questions that predate revision tracking
+    await questionRevisionService.ensureBaseline(id);
+
     const updateData = {};
     if (questionText !== undefined) updateData.questionText = questionText;
-    if (options !== undefined) updateData.options = options;
+    // Also persists the type a question created before types existed is read as
+    updateData.type = effectiveType;
     if (explanation !== undefined) updateData.explanation = explanation;
     if (chapter !== undefined) updateData.chapter = chapter;
     if (difficulty !== undefined) updateData.difficulty = difficulty;
     if (marks !== undefined) updateData.marks = marks;
     if (isActive !== undefined) updateData.isActive = isActive;
+    if (effectiveType !== QUESTION_TYPES.NUMERIC) {
+      updateData.numericAnswer = null;
+    } else if (numericAnswer !== undefined) {
+      updateData.numericAnswer = numericAnswer;
+    }
 
-    const updatedQuestion = await Question.findByIdAndUpdate(
-      id,
-      updateData,
-      { new: true, runValidators: true }
-    ).populate({
+    // Replace the option set when one is provided
+    if (options !== undefined) {
+      await Option.updateMany({ question: id }, { deletedAt: new Date() });
+      if (options.length > 0) {
+        await Option.insertMany(toOptionDocs(options, id));
+      }
+    }
+
+    await Question.findByIdAndUpdate(id, updateData, { runValidators: true });
+    await questionRevisionService.recordRevision(id, { changeType: 'updated', userId: req.user._id });
+
+    // A change to what students see or how it is graded needs a fresh review
+    const contentChanged = [questionText, explanation, type, options, numericAnswer].some(value => value !== undefined);
+    if (contentChanged) {
+      await questionReviewService.revokeApprovalOnEdit({ questionId: id, userId: req.user._id });
+    }
+
+    const updatedQuestion = await Question.findById(id).populate({
       path: 'chapter',
       populate: {
         path: 'subject',
         select: 'name description'
       }
-    });
+    }).populate('options');
 
     successResponse(res, updatedQuestion, 'Question updated successfully');
   } catch (error) {
@@ -363,6 +472,168 @@ const deleteQuestion = async (req, res, next) => {
   }
 };
 
+/**
+ * List the revision history of a question
+ */
+const getQuestionRevisions = async (req, res, next) => {
+  try {
+    const history = await questionRevisionService.listRevisions(req.params.id);
+
+    successResponse(res, history, 'Question revisions retrieved successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get one revision of a question, with its full snapshot
+ */
+const getQuestionRevision = async (req, res, next) => {
+  try {
+    const revision = await questionRevisionService.getRevision(req.params.id, parseInt(req.params.revision));
+
+    successResponse(res, revision, 'Question revision retrieved successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Diff two revisions of a question (?from=&to=, to defaults to the latest)
+ */
+const compareQuestionRevisions = async (req, res, next) => {
+  try {
+    const from = parseInt(req.query.from);
+    const to = req.query.to !== undefined ? parseInt(req.query.to) : null;
+
+    if (!Number.isInteger(from) || from < 1 || (to !== null && (!Number.isInteger(to) || to < 1))) {
+      throw new AppError(ERROR_CODES.VALIDATION.GENERAL, 400, {
+        message: 'from (and to, when given) must be revision numbers'
+      });
+    }
+
+    const diff = await questionRevisionService.compareRevisions(req.params.id, from, to);
+
+    successResponse(res, diff, 'Question revisions compared successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Restore a question and its options to a prior revision
+ */
+const restoreQuestionRevision = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const revision = await questionRevisionService.restoreRevision(id, parseInt(req.params.revision), req.user._id);
+
+    const question = await Question.findById(id).populate({
+      path: 'chapter',
+      populate: {
+        path: 'subject',
+        select: 'name description'
+      }
+    }).populate('options');
+
+    successResponse(res, { question, revision }, `Question restored to revision ${revision.restoredFrom}`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Move a question through the review workflow (submit, approve, reject, retire, reopen)
+ */
+const reviewQuestion = async (req, res, next) => {
+  try {
+    const { id, action } = req.params;
+    const { comment, reviewer } = req.body;
+
+    const question = await questionReviewService.transitionQuestion({
+      questionId: id,
+      action,
+      user: req.user,
+      comment,
+      reviewerId: reviewer
+    });
+
+    successResponse(res, question, `Question ${question.status === QUESTION_STATUSES.IN_REVIEW ? 'submitted for review' : question.status}`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Assign or clear the reviewer of a question
+ */
+const assignQuestionReviewer = async (req, res, next) => {
+  try {
+    const question = await questionReviewService.assignReviewer({
+      questionId: req.params.id,
+      reviewerId: req.body.reviewer || null,
+      user: req.user
+    });
+
+    successResponse(res, question, 'Reviewer updated successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add a review comment to a question
+ */
+const addQuestionReviewComment = async (req, res, next) => {
+  try {
+    const { body } = req.body;
+    if (!body || typeof body !== 'string' || !body.trim()) {
+      throw new AppError(ERROR_CODES.VALIDATION.GENERAL, 400, { message: 'Comment text is required', field: 'body' });
+    }
+
+    const question = await questionReviewService.addComment({
+      questionId: req.params.id,
+      user: req.user,
+      body: body.trim()
+    });
+
+    successResponse(res, question, 'Comment added successfully', 201);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reviewer queue - questions awaiting review, filtered by subject and chapter
+ */
+const getReviewQueue = async (req, res, next) => {
+  try {
+    const { subject, chapter, reviewer, status = QUESTION_STATUSES.IN_REVIEW, page = 1, limit = 10 } = req.query;
+
+    if (!Object.values(QUESTION_STATUSES).includes(status)) {
+      throw new AppError(ERROR_CODES.VALIDATION.GENERAL, 400, {
+        field: 'status',
+        value: status,
+        allowed: Object.values(QUESTION_STATUSES)
+      });
+    }
+
+    const queue = await questionReviewService.getReviewQueue({
+      user: req.user,
+      subject,
+      chapter,
+      reviewer,
+      status,
+      page,
+      limit
+    });
+
+    successResponse(res, queue, 'Review queue retrieved successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get question statistics
  */
@@ -417,6 +688,106 @@ const getQuestionStats = async (req, res, next) => {
   }
 };
 
+/**
+ * Item analysis of questions from graded attempts
+ * Accepts the same filters as getAllQuestions, plus ?flag= to keep only flagged questions.
+ * Flagged questions are listed first.
+ */
+const getItemAnalysis = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, flag } = req.query;
+
+    if (flag && !Object.values(itemAnalysisService.ITEM_FLAGS).includes(flag)) {
+      throw new AppError(ERROR_CODES.VALIDATION.GENERAL, 400, {
+        message: `flag must be one of: ${Object.values(itemAnalysisService.ITEM_FLAGS).join(', ')}`,
+        field: 'flag',
+        value: flag
+      });
+    }
+
+    const filter = await buildQuestionFilter(req.query, req.user);
+    const questions = await Question.find(filter)
+      .select('questionText type difficulty chapter')
+      .populate('chapter', 'name')
+      .sort({ createdAt: -1 });
+
+    const items = (await itemAnalysisService.analyzeQuestions(questions))
+      .filter(item => !flag || item.flags.includes(flag))
+      .sort((a, b) => b.flags.length - a.flags.length);
+
+    const summary = {
+      analyzedQuestions: items.length,
+      withResponses: items.filter(item => item.presented > 0).length,
+      flagged: Object.values(itemAnalysisService.ITEM_FLAGS).reduce((counts, itemFlag) => ({
+        ...counts,
+        [itemFlag]: items.filter(item => item.flags.includes(itemFlag)).length
+      }), {}),
+      thresholds: itemAnalysisService.ITEM_ANALYSIS
+    };
+
+    const skip = (page - 1) * limit;
+
+    successResponse(res, {
+      summary,
+      items: items.slice(skip, skip + parseInt(limit)),
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(items.length / limit),
+        totalItems: items.length,
+        itemsPerPage: parseInt(limit)
+      }
+    }, 'Item analysis retrieved successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Import questions in bulk from CSV or JSON
+ * ?dryRun=true validates every row and reports errors without writing anything
+ */
+const importQuestions = async (req, res, next) => {
+  try {
+    const dryRun = req.query.dryRun === 'true';
+    const report = await questionTransferService.importQuestions({ body: req.body, dryRun, userId: req.user._id });
+
+    successResponse(
+      res,
+      report,
+      dryRun ? 'Import validated (dry run) - nothing was saved' : `${report.created} questions imported successfully`,
+      dryRun ? 200 : 201
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Export questions as CSV or JSON, honoring the getAllQuestions filters
+ */
+const exportQuestions = async (req, res, next) => {
+  try {
+    const { format = 'json', search, chapter, subject, difficulty, type, isActive, status } = req.query;
+    if (!['csv', 'json'].includes(format)) {
+      throw new AppError(ERROR_CODES.VALIDATION.INVALID_FORMAT, 400, { field: 'format', value: format, allowed: ['csv', 'json'] });
+    }
+
+    const filter = await buildQuestionFilter({ search, chapter, subject, difficulty, type, isActive, status }, req.user);
+    const result = await questionTransferService.exportQuestions(filter, format);
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', 'attachment; filename="questions.csv"');
+      res.status(200).send(result.data);
+      return;
+    }
+
+    successResponse(res, { questions: result.data, count: result.count }, 'Questions exported successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   createQuestion,
   getAllQuestions,
@@ -425,5 +796,16 @@ module.exports = {
   getQuestionsBySubject,
   updateQuestion,
   deleteQuestion,
-  getQuestionStats
+  getQuestionStats,
+  getItemAnalysis,
+  reviewQuestion,
+  assignQuestionReviewer,
+  addQuestionReviewComment,
+  getReviewQueue,
+  getQuestionRevisions,
+  getQuestionRevision,
+  compareQuestionRevisions,
+  restoreQuestionRevision,
+  importQuestions,
+  exportQuestions
 };
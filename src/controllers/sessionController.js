@@ -1,10 +1,33 @@
-const { Session, FocusOne, Cohort, User, PublicHoliday } = require('../models');
+const { Session, FocusOne, Cohort, User } = require('../models');
 const { successResponse } = require('../utils/response');
 const { AppError, ERROR_CODES } = require('../errors');
 const { HTTP_STATUS } = require('../utils/constants');
 const { sendEmail } = require('../services/emailService');
 const { createMeetingLink } = require('../utils/meetingLinkService');
-const { checkMultipleTeachersAvailability, generateAvailableSlots, checkTeacherAvailability } = require('../utils/sessionSlots');
+const { checkMultipleTeachersAvailability, generateAvailableSlots } = require('../utils/sessionSlots');
+const sessionSeriesService = require('../services/sessionSeriesService');
+const attendanceService = require('../services/attendanceService');
+const schedulingPolicyService = require('../services/schedulingPolicyService');
+const teacherAvailabilityService = require('../services/teacherAvailabilityService');
+const sessionReminderService = require('../services/sessionReminderService');
+const sessionCalendarService = require('../services/sessionCalendarService');
+const sessionRoutingService = require('../services/sessionRoutingService');
+const sessionReportService = require('../services/sessionReportService');
+const sessionFeedbackService = require('../services/sessionFeedbackService');
+const focusOneHourService = require('../services/focusOneHourService');
+const sessionRescheduleService = require('../services/sessionRescheduleService');
+const sessionCancellationService = require('../services/sessionCancellationService');
+const { instituteTimezone, getUserTimezone } = require('../config/timezone');
+const {
+  getZonedParts,
+  startOfZonedDay,
+  endOfZonedDay,
+  addZonedDays,
+  parseZonedDate,
+  toZonedDateKey,
+  toZonedISOString,
+  formatZonedSessionTimes
+} = require('../utils/timezone');
 
 /**
  * Create a new Session
@@ -85,6 +108,24 @@ const createSession = async (req, res, next) => {
       );
     }
 
+    // Validate the slot against the scheduling policy and the teacher's availability
+    await schedulingPolicyService.assertSchedulable({
+      startTime: new Date(startTime),
+      endTime: new Date(endTime),
+      focusOne,
+      cohort,
+      teacher,
+      subject
+    });
+
+    // The students must not already be booked into another session at that time
+    await schedulingPolicyService.assertNoStudentConflicts({
+      focusOne,
+      cohort,
+      startTime: new Date(startTime),
+      endTime: new Date(endTime)
+    });
+
     const session = new Session({
       title,
       description,
@@ -108,6 +149,7 @@ const createSession = async (req, res, next) => {
     });
 
     await session.save();
+    await sessionReminderService.refreshSessionReminders(session);
 
     // Populate references
     await session.populate('focusOne', 'description student');
@@ -127,7 +169,7 @@ const createSession = async (req, res, next) => {
  */
 const getAllSessions = async (req, res, next) => {
   try {
-    const { page = 1, limit = 20, focusOne, cohort, teacher, status, subject, isActive, date, search } = req.query;
+    const { page = 1, limit = 20, focusOne, cohort, teacher, status, subject, series, isActive, date, search } = req.query;
     const skip = (page - 1) * limit;
 
     // Build filter object
@@ -153,6 +195,10 @@ const getAllSessions = async (req, res, next) => {
       filter.subject = subject;
     }
 
+    if (series) {
+      filter.series = series;
+    }
+
     if (isActive !== undefined) {
       const isActiveBool = isActive === 'true' || isActive === true;
       filter.isActive = isActiveBool;
@@ -160,13 +206,10 @@ const getAllSessions = async (req, res, next) => {
 
     // Single date filter - filter sessions for a specific date
     if (date) {
-      const filterDate = new Date(date);
-      const startOfDay = new Date(filterDate);
-      startOfDay.setHours(0, 0, 0, 0);
-      
-      const endOfDay = new Date(filterDate);
-      endOfDay.setHours(23, 59, 59, 999);
-      
+      // A calendar day in the institute's timezone
+      const startOfDay = parseZonedDate(date, instituteTimezone);
+      const endOfDay = endOfZonedDay(startOfDay, instituteTimezone);
+
       filter.startTime = {
         $gte: startOfDay,
         $lte: endOfDay
@@ -344,6 +387,19 @@ const updateSession = async (req, res, next) => {
       }
     }
 
+    // Moving a session or handing it to another teacher goes through the same scheduling checks as a reschedule
+    if (changes.startTime || changes.endTime || (changes.teacher && session.teacher)) {
+      await schedulingPolicyService.assertSchedulable({
+        startTime: session.startTime,
+        endTime: session.endTime,
+        focusOne: session.focusOne,
+        cohort: session.cohort,
+        teacher: session.teacher,
+        subject: session.subject,
+        excludeSessionId: session._id
+      });
+    }
+
     // Add history entry if there were changes
     if (Object.keys(changes).length > 0) {
       session.history.push({
@@ -357,6 +413,20 @@ const updateSession = async (req, res, next) => {
     }
 
     await session.save();
+    await sessionReminderService.refreshSessionReminders(session);
+
+    // Completing a Focus One session uses its hours; cancelling it settles them per policy.
+    // Reopening a completed or cancelled one reserves them again, so what was recorded is reversed.
+    if (changes.status && status === 'completed') {
+      if (previousStatus === 'cancelled') {
+        await focusOneHourService.reverseSessionEntries(session);
+      }
+      await focusOneHourService.recordUsage(session, { recordedBy: req.user._id });
+    } else if (changes.status && status === 'cancelled') {
+      await focusOneHourService.settleCancellation(session, { previousStatus, recordedBy: req.user._id });
+    } else if (changes.status && ['completed', 'cancelled'].includes(previousStatus)) {
+      await focusOneHourService.reverseSessionEntries(session);
+    }
 
     // Populate references
     await session.populate('focusOne', 'description student');
@@ -397,6 +467,7 @@ const deleteSession = async (req, res, next) => {
     });
 
     await session.softDelete();
+    await sessionReminderService.refreshSessionReminders(session);
 
     successResponse(res, null, 'Session deleted successfully');
   } catch (error) {
@@ -421,6 +492,7 @@ const restoreSession = async (req, res, next) => {
     }
 
     await session.restore();
+    await sessionReminderService.refreshSessionReminders(session);
 
     // Populate references
     await session.populate('focusOne', 'description student');
@@ -591,74 +663,42 @@ const requestSession = async (req, res, next) => {
       );
     }
 
-    // Validate session date (at least one day after program start date, and at least one day from today)
+    // Validate the slot against the Focus One's scheduling policy (lead time, booking window,
+    // allowed days, public holidays, working hours)
     const startDate = new Date(startTime);
     const endDate = new Date(endTime);
-    const now = new Date();
-    const today = new Date(now);
-    today.setHours(0, 0, 0, 0);
-    
-    const sessionDay = new Date(startDate);
-    sessionDay.setHours(0, 0, 0, 0);
-    
-    // Check if session is on the same day (not allowed - must be at least one day in advance)
-    if (sessionDay.getTime() === today.getTime()) {
-      throw new AppError(
-        ERROR_CODES.SESSION.INVALID_TIME,
-        HTTP_STATUS.BAD_REQUEST,
-        { message: 'Sessions must be scheduled at least one day in advance' }
-      );
-    }
-    
-    // Check if session is in the past
-    if (sessionDay < today) {
-      throw new AppError(
-        ERROR_CODES.SESSION.INVALID_TIME,
-        HTTP_STATUS.BAD_REQUEST,
-        { message: 'Cannot schedule sessions in the past' }
-      );
-    }
-    
-    // Check if session is more than 1.5 weeks (10.5 days) in advance
-    // Calculate 10.5 days = 10 days + 12 hours
-    // Since we compare dates at midnight, we allow up to the 11th day (to account for sessions throughout that day)
-    const maxAllowedDate = new Date(today);
-    maxAllowedDate.setDate(today.getDate() + 11); // 11 days ahead to allow 10.5 days of booking window
-    maxAllowedDate.setHours(0, 0, 0, 0);
-    
-    if (sessionDay >= maxAllowedDate) {
-      throw new AppError(
-        ERROR_CODES.SESSION.INVALID_TIME,
-        HTTP_STATUS.BAD_REQUEST,
-        { message: 'Sessions can only be scheduled up to 1.5 weeks (10.5 days) in advance' }
-      );
-    }
+    const policy = await schedulingPolicyService.getEffectivePolicy({ focusOne });
+    await schedulingPolicyService.assertSchedulable({ startTime: startDate, endTime: endDate, policy });
+
+    // The student must not have another session or pending request at that time, in any subject or their cohort
+    await schedulingPolicyService.assertNoStudentConflicts({ focusOne, startTime: startDate, endTime: endDate });
+
+    // Calendar days are those of the institute's timezone
+    const today = startOfZonedDay(new Date(), instituteTimezone);
+    const sessionDay = startOfZonedDay(startDate, instituteTimezone);
     
     // Check if session is at least one day after program start date (if start date exists)
     if (focusOneDoc.startedAt) {
-      const programStartDate = new Date(focusOneDoc.startedAt);
-      programStartDate.setHours(0, 0, 0, 0);
-      
+      // Move a date forward past days the policy does not allow sessions on
+      const nextAllowedDay = (day) => {
+        let allowed = day;
+        for (let i = 0; i < 7 && !policy.allowedDaysOfWeek.includes(getZonedParts(allowed, instituteTimezone).weekday); i++) {
+          allowed = addZonedDays(allowed, 1, instituteTimezone);
+        }
+        return allowed;
+      };
+
       // Calculate minimum allowed date (one day after program start)
-      const minAllowedDate = new Date(programStartDate);
-      minAllowedDate.setDate(programStartDate.getDate() + 1);
-      
-      // Skip Sundays for minimum date
-      if (minAllowedDate.getDay() === 0) {
-        minAllowedDate.setDate(minAllowedDate.getDate() + 1);
-      }
+      const minAllowedDate = nextAllowedDay(addZonedDays(focusOneDoc.startedAt, 1, instituteTimezone));
       
-      // Ensure minimum is at least tomorrow
-      const tomorrow = new Date(today);
-      tomorrow.setDate(today.getDate() + 1);
-      if (tomorrow.getDay() === 0) {
-        tomorrow.setDate(tomorrow.getDate() + 1);
-      }
+      // Ensure minimum is at least the earliest day the policy's lead time allows
+      const earliestBookableDay = nextAllowedDay(addZonedDays(today, policy.minAdvanceDays, instituteTimezone));
       
-      const actualMinDate = minAllowedDate > tomorrow ? minAllowedDate : tomorrow;
+      const actualMinDate = minAllowedDate > earliestBookableDay ? minAllowedDate : earliestBookableDay;
       
       if (sessionDay < actualMinDate) {
         const minDateFormatted = actualMinDate.toLocaleDateString('en-US', {
+          timeZone: instituteTimezone,
           weekday: 'long',
           year: 'numeric',
           month: 'long',
@@ -672,108 +712,6 @@ const requestSession = async (req, res, next) => {
       }
     }
     
-    // Check if session is on Sunday
-    if (startDate.getDay() === 0) {
-      throw new AppError(
-        ERROR_CODES.SESSION.INVALID_TIME,
-        HTTP_STATUS.BAD_REQUEST,
-        { message: 'Sessions cannot be scheduled on Sundays' }
-      );
-    }
-    
-    // Check if session is on a public holiday
-    const sessionDayForHoliday = new Date(startDate);
-    sessionDayForHoliday.setHours(0, 0, 0, 0);
-    const isHoliday = await PublicHoliday.isPublicHoliday(sessionDayForHoliday);
-    if (isHoliday) {
-      const endOfDay = new Date(sessionDayForHoliday);
-      endOfDay.setHours(23, 59, 59, 999);
-      const holiday = await PublicHoliday.findOne({
-        date: { $gte: sessionDayForHoliday, $lte: endOfDay },
-        isActive: true
-      });
-      const holidayName = holiday ? holiday.name : 'a public holiday';
-      throw new AppError(
-        ERROR_CODES.SESSION.INVALID_TIME,
-        HTTP_STATUS.BAD_REQUEST,
-        { message: `Sessions cannot be scheduled on ${holidayName}` }
-      );
-    }
-    
-    // Check if start and end times are on the same day
-    if (startDate.toDateString() !== endDate.toDateString()) {
-      throw new AppError(
-        ERROR_CODES.SESSION.INVALID_TIME,
-        HTTP_STATUS.BAD_REQUEST,
-        { message: 'Session must start and end on the same day' }
-      );
-    }
-    
-    // Check if session is on Saturday (restricted hours: 9 AM - 4 PM)
-    const isSaturday = startDate.getDay() === 6;
-    
-    if (isSaturday) {
-      // Saturday: validate start time is between 9 AM and 3:15 PM (75 minutes before 4 PM)
-      const startHour = startDate.getHours();
-      const startMinute = startDate.getMinutes();
-      if (startHour < 9 || (startHour > 15) || (startHour === 15 && startMinute > 15)) {
-        throw new AppError(
-          ERROR_CODES.SESSION.INVALID_TIME,
-          HTTP_STATUS.BAD_REQUEST,
-          { message: 'On Saturdays, session start time must be between 9 AM and 3:15 PM' }
-        );
-      }
-      
-      // Saturday: validate end time is at most 4 PM
-      const endHour = endDate.getHours();
-      if (endHour < 9 || endHour > 16) {
-        throw new AppError(
-          ERROR_CODES.SESSION.INVALID_TIME,
-          HTTP_STATUS.BAD_REQUEST,
-          { message: 'On Saturdays, session end time must be between 9 AM and 4 PM' }
-        );
-      }
-      
-      // If end time is 4 PM, ensure it's exactly 4 PM (not later)
-      if (endHour === 16 && endDate.getMinutes() > 0) {
-        throw new AppError(
-          ERROR_CODES.SESSION.INVALID_TIME,
-          HTTP_STATUS.BAD_REQUEST,
-          { message: 'On Saturdays, session cannot extend beyond 4 PM' }
-        );
-      }
-    } else {
-      // Weekdays: validate start time is between 9 AM and 7:45 PM (75 minutes before 9 PM)
-      const startHour = startDate.getHours();
-      const startMinute = startDate.getMinutes();
-      if (startHour < 9 || (startHour > 19) || (startHour === 19 && startMinute > 45)) {
-        throw new AppError(
-          ERROR_CODES.SESSION.INVALID_TIME,
-          HTTP_STATUS.BAD_REQUEST,
-          { message: 'Session start time must be between 9 AM and 7:45 PM' }
-        );
-      }
-      
-      // Weekdays: validate end time is between 9 AM and 9 PM
-      const endHour = endDate.getHours();
-      if (endHour < 9 || endHour > 21) {
-        throw new AppError(
-          ERROR_CODES.SESSION.INVALID_TIME,
-          HTTP_STATUS.BAD_REQUEST,
-          { message: 'Session end time must be between 9 AM and 9 PM' }
-        );
-      }
-      
-      // If end time is 9 PM, ensure it's exactly 9 PM (not later)
-      if (endHour === 21 && endDate.getMinutes() > 0) {
-        throw new AppError(
-          ERROR_CODES.SESSION.INVALID_TIME,
-          HTTP_STATUS.BAD_REQUEST,
-          { message: 'Session cannot extend beyond 9 PM' }
-        );
-      }
-    }
-
     // Check teacher availability for the requested subject
     // Find teachers assigned to this subject in the focusOne
     const subjectTeachers = focusOneDoc.teacherSubjectMappings
@@ -788,9 +726,16 @@ const requestSession = async (req, res, next) => {
       );
     }
 
+    // The request holds hours from the subject's allowance until it is completed or cancelled
+    await focusOneHourService.assertHoursAvailable({
+      focusOne: focusOneDoc,
+      subject,
+      startTime: startDate,
+      endTime: endDate
+    });
+
     // Check student session limits for the day (using sessionDay already calculated above)
-    const sessionDayEnd = new Date(sessionDay);
-    sessionDayEnd.setHours(23, 59, 59, 999);
+    const sessionDayEnd = endOfZonedDay(sessionDay, instituteTimezone);
 
     // Check if student already has a session for the same subject on the same day
     const existingSubjectSession = await Session.findOne({
@@ -831,7 +776,8 @@ const requestSession = async (req, res, next) => {
       subjectTeachers,
       new Date(startTime),
       new Date(endTime),
-      subject
+      subject,
+      policy
     );
 
     if (!availabilityCheck.available) {
@@ -848,12 +794,14 @@ const requestSession = async (req, res, next) => {
       const subjectName = subjectDoc.name || 'Session';
       const sessionDate = new Date(startTime);
       const dateStr = sessionDate.toLocaleDateString('en-US', {
+        timeZone: instituteTimezone,
         weekday: 'long',
         year: 'numeric',
         month: 'long',
         day: 'numeric'
       });
       const timeStr = sessionDate.toLocaleTimeString('en-US', {
+        timeZone: instituteTimezone,
         hour: 'numeric',
         minute: '2-digit',
         hour12: true
@@ -889,17 +837,20 @@ const requestSession = async (req, res, next) => {
 
     // Format session date/time
     const sessionDate = new Date(startTime).toLocaleDateString('en-US', {
+      timeZone: instituteTimezone,
       weekday: 'long',
       year: 'numeric',
       month: 'long',
       day: 'numeric'
     });
     const sessionStartTime = new Date(startTime).toLocaleTimeString('en-US', {
+      timeZone: instituteTimezone,
       hour: 'numeric',
       minute: '2-digit',
       hour12: true
     });
     const sessionEndTime = new Date(endTime).toLocaleTimeString('en-US', {
+      timeZone: instituteTimezone,
       hour: 'numeric',
       minute: '2-digit',
       hour12: true
@@ -1013,6 +964,12 @@ const getTeacherSessionRequests = async (req, res, next) => {
     // Find sessions for these FocusOnes
     query.focusOne = { $in: focusOneIds };
 
+    // Open requests this teacher can still answer: not declined by them, and not re-routed to someone else
+    if (query.status === 'requested') {
+      query.offeredTo = { $in: [null, teacherId] };
+      query.declinedBy = { $ne: teacherId };
+    }
+
     // Subject filter
     if (subject) {
       query.subject = subject;
@@ -1020,13 +977,10 @@ const getTeacherSessionRequests = async (req, res, next) => {
 
     // Date filter - filter sessions for a specific date
     if (date) {
-      const filterDate = new Date(date);
-      const startOfDay = new Date(filterDate);
-      startOfDay.setHours(0, 0, 0, 0);
-      
-      const endOfDay = new Date(filterDate);
-      endOfDay.setHours(23, 59, 59, 999);
-      
+      // A calendar day in the institute's timezone
+      const startOfDay = parseZonedDate(date, instituteTimezone);
+      const endOfDay = endOfZonedDay(startOfDay, instituteTimezone);
+
       query.startTime = {
         $gte: startOfDay,
         $lte: endOfDay
@@ -1188,6 +1142,23 @@ const acceptSessionRequest = async (req, res, next) => {
       }
     }
 
+    // A request that was re-routed is only open to the teacher it is offered to
+    if (session.offeredTo && session.offeredTo.toString() !== teacherId.toString()) {
+      throw new AppError(
+        ERROR_CODES.PERMISSION.FORBIDDEN,
+        HTTP_STATUS.FORBIDDEN,
+        { message: 'This session request has been offered to another teacher' }
+      );
+    }
+
+    if (session.declinedBy.some(declinedId => declinedId.toString() === teacherId.toString())) {
+      throw new AppError(
+        ERROR_CODES.PERMISSION.FORBIDDEN,
+        HTTP_STATUS.FORBIDDEN,
+        { message: 'You have already declined this session request' }
+      );
+    }
+
     // Verify user has teacher role
     const teacher = await User.findById(teacherId).populate('roles');
     const hasTeacherRole = teacher.roles.some(role => role.name === 'teacher');
@@ -1199,20 +1170,26 @@ const acceptSessionRequest = async (req, res, next) => {
       );
     }
 
-    // Check if teacher has availability for this session time slot
-    const availabilityCheck = await checkTeacherAvailability(
-      teacherId,
-      session.startTime,
-      session.endTime
-    );
+    // Check the slot still fits the scheduling policy and the teacher's availability
+    // (the lead time and booking window were checked when the student made the request)
+    const policy = await schedulingPolicyService.getEffectivePolicy({ focusOne: focusOneId });
+    await schedulingPolicyService.assertSchedulable({
+      startTime: session.startTime,
+      endTime: session.endTime,
+      teacher: teacherId,
+      policy,
+      enforceLeadTime: false,
+      enforceBookingWindow: false
+    });
 
-    if (!availabilityCheck.available) {
-      throw new AppError(
-        ERROR_CODES.SESSION.INVALID_TIME,
-        HTTP_STATUS.BAD_REQUEST,
-        { message: availabilityCheck.reason }
-      );
-    }
+    // The student may have been booked into something else at that time since requesting
+    await schedulingPolicyService.assertNoStudentConflicts({
+      focusOne: focusOneId,
+      startTime: session.startTime,
+      endTime: session.endTime,
+      excludeSessionId: session._id,
+      includeRequests: false
+    });
 
     // Accept the session
     session.teacher = teacherId;
@@ -1306,13 +1283,12 @@ const acceptSessionRequest = async (req, res, next) => {
     });
 
     await session.save();
+    await sessionReminderService.refreshSessionReminders(session);
 
-    // Check if teacher has now reached 4 sessions for this day
+    // Check if teacher has now reached the policy's daily limit
     // If so, auto-reject all other pending requests for this teacher on this day
-    const sessionDayStart = new Date(session.startTime);
-    sessionDayStart.setHours(0, 0, 0, 0);
-    const sessionDayEnd = new Date(sessionDayStart);
-    sessionDayEnd.setHours(23, 59, 59, 999);
+    const sessionDayStart = startOfZonedDay(session.startTime, instituteTimezone);
+    const sessionDayEnd = endOfZonedDay(session.startTime, instituteTimezone);
 
     // Get count of accepted/scheduled sessions for this teacher on this day
     const teacherSessionsCount = await Session.countDocuments({
@@ -1322,8 +1298,8 @@ const acceptSessionRequest = async (req, res, next) => {
       deletedAt: null
     });
 
-    // If teacher now has 4 sessions, auto-reject all pending requests for this teacher on this day
-    if (teacherSessionsCount >= 4) {
+    // If teacher is now at the daily limit, auto-reject all pending requests for this teacher on this day
+    if (teacherSessionsCount >= policy.maxSessionsPerTeacherPerDay) {
       // Find all FocusOnes where this teacher is assigned (not just the one from the accepted session)
       const allFocusOnes = await FocusOne.find({
         'teacherSubjectMappings.teacher': teacherId,
@@ -1335,6 +1311,8 @@ const acceptSessionRequest = async (req, res, next) => {
       // Get all pending requests for these FocusOnes on this day
       const pendingRequests = await Session.find({
         teacher: null, // Not yet assigned
+        offeredTo: { $in: [null, teacherId] }, // Requests re-routed to another teacher are theirs to answer
+        declinedBy: { $ne: teacherId },
         startTime: { $gte: sessionDayStart, $lte: sessionDayEnd },
         status: 'requested',
         deletedAt: null,
@@ -1380,7 +1358,7 @@ const acceptSessionRequest = async (req, res, next) => {
         pendingSession.status = 'rejected';
         pendingSession.rejectedBy = teacherId;
         pendingSession.rejectedAt = new Date();
-        pendingSession.rejectionReason = 'Number of classes exceeded for this teacher on this day. Maximum of 4 sessions per day allowed.';
+        pendingSession.rejectionReason = `Number of classes exceeded for this teacher on this day. Maximum of ${policy.maxSessionsPerTeacherPerDay} sessions per day allowed.`;
         
         pendingSession.history.push({
           action: 'rejected',
@@ -1388,7 +1366,7 @@ const acceptSessionRequest = async (req, res, next) => {
           performedAt: new Date(),
           previousStatus: 'requested',
           newStatus: 'rejected',
-          notes: 'Automatically rejected: Number of classes exceeded for this teacher on this day. Maximum of 4 sessions per day allowed.'
+          notes: `Automatically rejected: Number of classes exceeded for this teacher on this day. Maximum of ${policy.maxSessionsPerTeacherPerDay} sessions per day allowed.`
         });
         
         return pendingSession.save();
@@ -1411,12 +1389,14 @@ const acceptSessionRequest = async (req, res, next) => {
               const studentName = rejectedSession.requestedBy.name || rejectedSession.requestedBy.email || 'Student';
               const teacherName = teacherDoc?.name || teacherDoc?.email || 'Teacher';
               const sessionDate = new Date(rejectedSession.startTime).toLocaleDateString('en-US', {
+                timeZone: instituteTimezone,
                 weekday: 'long',
                 year: 'numeric',
                 month: 'long',
                 day: 'numeric',
               });
               const sessionTime = new Date(rejectedSession.startTime).toLocaleTimeString('en-US', {
+                timeZone: instituteTimezone,
                 hour: 'numeric',
                 minute: '2-digit',
                 hour12: true,
@@ -1465,23 +1445,32 @@ const acceptSessionRequest = async (req, res, next) => {
 
     // Format session date/time
     const sessionDate = new Date(session.startTime).toLocaleDateString('en-US', {
+      timeZone: instituteTimezone,
       weekday: 'long',
       year: 'numeric',
       month: 'long',
       day: 'numeric',
     });
     const sessionStartTime = new Date(session.startTime).toLocaleTimeString('en-US', {
+      timeZone: instituteTimezone,
       hour: 'numeric',
       minute: '2-digit',
       hour12: true,
     });
     const sessionEndTime = new Date(session.endTime).toLocaleTimeString('en-US', {
+      timeZone: instituteTimezone,
       hour: 'numeric',
       minute: '2-digit',
       hour12: true,
     });
     const sessionDateTime = `${sessionDate} from ${sessionStartTime} to ${sessionEndTime}`;
 
+    // Both emails carry the same invite, so either party's calendar gets one entry per session
+    const invite = sessionCalendarService.buildInviteAttachment(session, {
+      method: 'REQUEST',
+      attendees: [session.requestedBy, teacher].filter(Boolean)
+    });
+
     // Send email to student
     if (session.requestedBy && session.requestedBy.email) {
       try {
@@ -1507,7 +1496,8 @@ const acceptSessionRequest = async (req, res, next) => {
             meetingPlatform: session.meetingPlatform || 'jitsi-meet',
             sessionsUrl,
             currentYear: new Date().getFullYear()
-          }
+          },
+          attachments: [invite]
         });
       } catch (emailError) {
         console.error(`Failed to send acceptance email to student ${session.requestedBy.email}:`, emailError);
@@ -1538,7 +1528,8 @@ const acceptSessionRequest = async (req, res, next) => {
             meetingLink: session.meetingLink,
             meetingPlatform: session.meetingPlatform || 'jitsi-meet',
             currentYear: new Date().getFullYear()
-          }
+          },
+          attachments: [invite]
         });
       } catch (emailError) {
         console.error(`Failed to send acceptance email to teacher ${teacher.email}:`, emailError);
@@ -1570,7 +1561,7 @@ const rejectSessionRequest = async (req, res, next) => {
 
     const session = await Session.findById(id)
       .populate('focusOne', 'student')
-      .populate('requestedBy', 'name email')
+      .populate('requestedBy', 'name email timezone')
       .populate('subject', 'name description');
 
     if (!session) {
@@ -1637,6 +1628,23 @@ const rejectSessionRequest = async (req, res, next) => {
       }
     }
 
+    // A request that was re-routed is only open to the teacher it is offered to
+    if (session.offeredTo && session.offeredTo.toString() !== teacherId.toString()) {
+      throw new AppError(
+        ERROR_CODES.PERMISSION.FORBIDDEN,
+        HTTP_STATUS.FORBIDDEN,
+        { message: 'This session request has been offered to another teacher' }
+      );
+    }
+
+    if (session.declinedBy.some(declinedId => declinedId.toString() === teacherId.toString())) {
+      throw new AppError(
+        ERROR_CODES.PERMISSION.FORBIDDEN,
+        HTTP_STATUS.FORBIDDEN,
+        { message: 'You have already declined this session request' }
+      );
+    }
+
     // Verify user has teacher role
     const teacher = await User.findById(teacherId).populate('roles');
     const hasTeacherRole = teacher.roles.some(role => role.name === 'teacher');
@@ -1648,6 +1656,28 @@ const rejectSessionRequest = async (req, res, next) => {
       );
     }
 
+    // With re-routing on, the request moves to the next available teacher for the subject
+    // and the student only hears about it once no teacher is left
+    const policy = await schedulingPolicyService.getEffectivePolicy({ focusOne: focusOneId });
+    if (policy.rerouteRejectedRequests) {
+      const offeredTo = await sessionRoutingService.rerouteDeclinedRequest(session, {
+        teacherId,
+        reason: reason.trim(),
+        focusOne: focusOneDoc,
+        policy
+      });
+
+      if (offeredTo) {
+        await session.populate('focusOne', 'description student');
+        await session.populate('requestedBy', 'name email');
+        await session.populate('offeredTo', 'name email');
+        await session.populate('subject', 'name description');
+        await session.populate('history.performedBy', 'name email');
+
+        return successResponse(res, session, 'Session request declined and offered to another teacher');
+      }
+    }
+
     // Reject the session
     const previousStatus = session.status;
     session.status = 'rejected';
@@ -1662,23 +1692,35 @@ const rejectSessionRequest = async (req, res, next) => {
       performedAt: new Date(),
       previousStatus,
       newStatus: 'rejected',
-      notes: `Session request rejected by teacher. Reason: ${reason.trim()}`
+      notes: session.declinedBy.length > 0
+        ? `Session request rejected by teacher; no other teacher is available. Reason: ${reason.trim()}`
+        : `Session request rejected by teacher. Reason: ${reason.trim()}`
     });
 
     await session.save();
 
+    // Suggest other open slots for the subject so the student can request again
+    let alternativeSlots = [];
+    try {
+      alternativeSlots = await sessionRoutingService.findAlternativeSlots(session, { focusOne: focusOneDoc, policy });
+    } catch (slotError) {
+      console.error(`Failed to find alternative slots for session ${session._id}:`, slotError.message);
+    }
+
     // Send email to student about rejection
     if (session.requestedBy && session.requestedBy.email) {
       try {
         const studentName = session.requestedBy.name || session.requestedBy.email || 'Student';
         const teacherName = teacher.name || teacher.email || 'Teacher';
         const sessionDate = new Date(session.startTime).toLocaleDateString('en-US', {
+          timeZone: instituteTimezone,
           weekday: 'long',
           year: 'numeric',
           month: 'long',
           day: 'numeric',
         });
         const sessionTime = new Date(session.startTime).toLocaleTimeString('en-US', {
+          timeZone: instituteTimezone,
           hour: 'numeric',
           minute: '2-digit',
           hour12: true,
@@ -1688,6 +1730,7 @@ const rejectSessionRequest = async (req, res, next) => {
         // Get classroom frontend URL for student dashboard link
         const classroomFrontendUrl = process.env.CLASSROOM_FRONTEND_URL || 'http://localhost:5173';
         const sessionsUrl = `${classroomFrontendUrl}/app/live-sessions`;
+        const studentTimezone = getUserTimezone(session.requestedBy);
 
         await sendEmail({
           to: session.requestedBy.email,
@@ -1701,6 +1744,8 @@ const rejectSessionRequest = async (req, res, next) => {
             sessionTime,
             subjectName,
             rejectionReason: reason.trim(),
+            alternativeSlots: alternativeSlots.map(slot => formatZonedSessionTimes(slot.startTime, slot.endTime, studentTimezone)),
+            alternativeSlotsTimezone: studentTimezone,
             sessionsUrl,
             currentYear: new Date().getFullYear()
           }
@@ -1729,7 +1774,7 @@ const rejectSessionRequest = async (req, res, next) => {
  */
 const getAvailableSlots = async (req, res, next) => {
   try {
-    const { focusOne, subject, date, duration = 75 } = req.query;
+    const { focusOne, subject, date, duration } = req.query;
     const studentId = req.user._id;
 
     // Validate required parameters
@@ -1741,8 +1786,8 @@ const getAvailableSlots = async (req, res, next) => {
       );
     }
 
-    // Validate date format
-    const sessionDate = new Date(date);
+    // Validate date format; the date is a calendar day in the institute's timezone
+    const sessionDate = parseZonedDate(date, instituteTimezone);
     if (isNaN(sessionDate.getTime())) {
       throw new AppError(
         ERROR_CODES.VALIDATION.GENERAL,
@@ -1751,70 +1796,6 @@ const getAvailableSlots = async (req, res, next) => {
       );
     }
 
-    // Validate date is at least one day in advance
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const requestedDate = new Date(sessionDate);
-    requestedDate.setHours(0, 0, 0, 0);
-
-    if (requestedDate.getTime() === today.getTime()) {
-      throw new AppError(
-        ERROR_CODES.SESSION.INVALID_TIME,
-        HTTP_STATUS.BAD_REQUEST,
-        { message: 'Sessions must be scheduled at least one day in advance' }
-      );
-    }
-
-    if (requestedDate < today) {
-      throw new AppError(
-        ERROR_CODES.SESSION.INVALID_TIME,
-        HTTP_STATUS.BAD_REQUEST,
-        { message: 'Cannot get slots for past dates' }
-      );
-    }
-
-    // Check if date is more than 1.5 weeks (10.5 days) in advance
-    // Since we're comparing dates at midnight, add 11 days to account for 10.5 days
-    const maxAllowedDate = new Date(today);
-    maxAllowedDate.setDate(today.getDate() + 11); // Add 11 days to account for 10.5 days when comparing at midnight
-    maxAllowedDate.setHours(0, 0, 0, 0);
-    
-    if (requestedDate >= maxAllowedDate) {
-      throw new AppError(
-        ERROR_CODES.SESSION.INVALID_TIME,
-        HTTP_STATUS.BAD_REQUEST,
-        { message: 'Sessions can only be scheduled up to 1.5 weeks (10.5 days) in advance' }
-      );
-    }
-
-    // Check if date is Sunday
-    if (sessionDate.getDay() === 0) {
-      throw new AppError(
-        ERROR_CODES.SESSION.INVALID_TIME,
-        HTTP_STATUS.BAD_REQUEST,
-        { message: 'Sessions cannot be scheduled on Sundays' }
-      );
-    }
-
-    // Check if date is a public holiday
-    const dateForHolidayCheck = new Date(requestedDate);
-    dateForHolidayCheck.setHours(0, 0, 0, 0);
-    const isHoliday = await PublicHoliday.isPublicHoliday(dateForHolidayCheck);
-    if (isHoliday) {
-      const endOfDay = new Date(dateForHolidayCheck);
-      endOfDay.setHours(23, 59, 59, 999);
-      const holiday = await PublicHoliday.findOne({
-        date: { $gte: dateForHolidayCheck, $lte: endOfDay },
-        isActive: true
-      });
-      const holidayName = holiday ? holiday.name : 'a public holiday';
-      throw new AppError(
-        ERROR_CODES.SESSION.INVALID_TIME,
-        HTTP_STATUS.BAD_REQUEST,
-        { message: `Sessions cannot be scheduled on ${holidayName}` }
-      );
-    }
-
     // Validate focusOne exists and belongs to the student
     const focusOneDoc = await FocusOne.findById(focusOne)
       .populate('teacherSubjectMappings.teacher', 'name email')
@@ -1836,6 +1817,10 @@ const getAvailableSlots = async (req, res, next) => {
       );
     }
 
+    // The day must be bookable under this FocusOne's scheduling policy
+    const policy = await schedulingPolicyService.getEffectivePolicy({ focusOne: focusOneDoc._id });
+    await schedulingPolicyService.assertBookableDay(policy, sessionDate);
+
     // Find teachers assigned to this subject
     const subjectTeachers = focusOneDoc.teacherSubjectMappings
       .filter(mapping => mapping.subject._id.toString() === subject.toString())
@@ -1851,7 +1836,7 @@ const getAvailableSlots = async (req, res, next) => {
 
     // Generate available start times for all teachers and merge them
     // A start time is available if at least one teacher can take it
-    const slotDurationMinutes = parseInt(duration);
+    const slotDurationMinutes = duration ? parseInt(duration) : policy.sessionDurationMinutes;
     const allAvailableTimesSet = new Set();
 
     for (const teacherId of subjectTeachers) {
@@ -1859,7 +1844,8 @@ const getAvailableSlots = async (req, res, next) => {
         teacherId,
         sessionDate,
         slotDurationMinutes,
-        subject
+        subject,
+        policy
       );
 
       // Extract start times from slots and add to set (deduplicate)
@@ -1869,6 +1855,9 @@ const getAvailableSlots = async (req, res, next) => {
       }
     }
 
+    // Slot times are shown in the student's own timezone (the institute's if they have not set one)
+    const displayTimezone = getUserTimezone(req.user);
+
     // Convert set to array of available start times and sort
     const availableStartTimes = Array.from(allAvailableTimesSet)
       .map(timeStr => new Date(timeStr))
@@ -1876,14 +1865,16 @@ const getAvailableSlots = async (req, res, next) => {
       .map(startTime => {
         const endTime = new Date(startTime.getTime() + slotDurationMinutes * 60 * 1000);
         return {
-          startTime: startTime.toISOString(),
-          endTime: endTime.toISOString(),
+          startTime: toZonedISOString(startTime, displayTimezone),
+          endTime: toZonedISOString(endTime, displayTimezone),
           startTimeFormatted: startTime.toLocaleTimeString('en-US', {
+            timeZone: displayTimezone,
             hour: 'numeric',
             minute: '2-digit',
             hour12: true
           }),
           endTimeFormatted: endTime.toLocaleTimeString('en-US', {
+            timeZone: displayTimezone,
             hour: 'numeric',
             minute: '2-digit',
             hour12: true
@@ -1892,7 +1883,9 @@ const getAvailableSlots = async (req, res, next) => {
       });
 
     successResponse(res, {
-      date: sessionDate.toISOString().split('T')[0],
+      date: toZonedDateKey(sessionDate, instituteTimezone),
+      timezone: displayTimezone,
+      instituteTimezone,
       availableSlots: availableStartTimes,
       totalSlots: availableStartTimes.length,
       slotDurationMinutes: slotDurationMinutes
@@ -2009,6 +2002,22 @@ const teacherScheduleSession = async (req, res, next) => {
       );
     }
 
+    // Validate the slot against the scheduling policy and the teacher's own availability
+    await schedulingPolicyService.assertSchedulable({
+      startTime: startDate,
+      endTime: endDate,
+      focusOne,
+      teacher: teacherId,
+      subject
+    });
+
+    // The student must not already be booked into another session at that time
+    await schedulingPolicyService.assertNoStudentConflicts({
+      focusOne,
+      startTime: startDate,
+      endTime: endDate
+    });
+
     // Create session with scheduled status directly
     const session = new Session({
       title: title.trim(),
@@ -2050,6 +2059,7 @@ const teacherScheduleSession = async (req, res, next) => {
     }
 
     await session.save();
+    await sessionReminderService.refreshSessionReminders(session);
 
     // Populate references for response
     await session.populate('focusOne', 'description student');
@@ -2110,8 +2120,17 @@ const cancelSession = async (req, res, next) => {
       );
     }
 
+    if (session.status === 'expired') {
+      throw new AppError(
+        ERROR_CODES.VALIDATION.GENERAL,
+        HTTP_STATUS.BAD_REQUEST,
+        { message: 'Cannot cancel an expired session request' }
+      );
+    }
+
     // Verify user has permission to cancel (must be student who requested or teacher assigned)
-    const isStudent = session.requestedBy && session.requestedBy._id.toString() === userId.toString();
+    const isStudent = (session.requestedBy && session.requestedBy._id.toString() === userId.toString()) ||
+      Boolean(session.focusOne && session.focusOne.student && session.focusOne.student.toString() === userId.toString());
     const isTeacher = session.teacher && session.teacher._id.toString() === userId.toString();
     
     // If not assigned teacher yet, check if user is a teacher assigned to the FocusOne
@@ -2134,14 +2153,30 @@ const cancelSession = async (req, res, next) => {
       );
     }
 
+    // Apply the cancellation policy: late notice, the student's monthly late-cancel limit, hours refunded or forfeited
+    const previousStatus = session.status;
+    const cancellationPolicy = await sessionCancellationService.applyCancellationPolicy(session, {
+      user: req.user,
+      byStudent: Boolean(isStudent),
+      previousStatus,
+      policy: await schedulingPolicyService.getEffectivePolicy({
+        focusOne: session.focusOne ? session.focusOne._id : null,
+        cohort: session.cohort
+      })
+    });
+
     // Cancel the session
     // Note: Changing status to 'cancelled' automatically frees up the slot because
     // getTeacherSessionsForDate excludes cancelled sessions from availability checks
-    const previousStatus = session.status;
     session.status = 'cancelled';
     session.cancelledBy = userId;
     session.cancelledAt = new Date();
     session.cancellationReason = reason.trim();
+    session.rescheduleProposal = null;
+    session.cancellationPolicy = cancellationPolicy;
+    if (cancellationPolicy.flaggedForReview) {
+      session.cancellationReview = { status: 'pending' };
+    }
 
     // Add history entry
     session.history.push({
@@ -2150,13 +2185,35 @@ const cancelSession = async (req, res, next) => {
       performedAt: new Date(),
       previousStatus,
       newStatus: 'cancelled',
-      notes: `Session cancelled. Reason: ${reason.trim()}`
+      notes: `Session cancelled${cancellationPolicy.late ? ' late' : ''}. Reason: ${reason.trim()}`,
+      changes: { cancellationPolicy }
     });
 
     await session.save();
+    await sessionReminderService.refreshSessionReminders(session);
 
-    // Send email notifications (similar to rejection flow)
-    // Note: Email implementation can be added here if needed
+    // Refund or forfeit the Focus One hours the session held
+    await focusOneHourService.settleCancellation(session, {
+      previousStatus,
+      recordedBy: userId,
+      refundPercent: cancellationPolicy.refundPercent
+    });
+
+    // Only booked sessions are in anyone's calendar; withdrawn requests need no notice
+    if (['scheduled', 'ongoing'].includes(previousStatus)) {
+      await session.populate('teacher', 'name email timezone');
+      await session.populate('subject', 'name');
+      await sessionCalendarService.notifySessionChange(session, {
+        template: 'sessions/session-cancelled',
+        subject: `Session Cancelled - ${session.title}`,
+        method: 'CANCEL',
+        context: {
+          cancellationReason: session.cancellationReason,
+          cancelledByName: req.user.name || 'A participant',
+          cancellationPolicy
+        }
+      });
+    }
 
     // Populate references for response
     await session.populate('focusOne', 'description student');
@@ -2165,7 +2222,11 @@ const cancelSession = async (req, res, next) => {
     await session.populate('teacher', 'name email');
     await session.populate('subject', 'name description');
 
-    successResponse(res, session, 'Session cancelled successfully');
+    successResponse(
+      res,
+      session,
+      cancellationPolicy.late ? 'Session cancelled (late cancellation)' : 'Session cancelled successfully'
+    );
   } catch (error) {
     next(error);
   }
@@ -2178,13 +2239,18 @@ const rescheduleSession = async (req, res, next) => {
   try {
     const { id } = req.params;
     const userId = req.user._id;
-    const { startTime, endTime } = req.body;
+    const { startTime, endTime, slots, reason } = req.body;
 
-    if (!startTime || !endTime) {
+    // One or more slots, or a single startTime/endTime
+    const requestedSlots = (Array.isArray(slots) && slots.length > 0 ? slots : (startTime && endTime ? [{ startTime, endTime }] : []))
+      .map(slot => ({ startTime: new Date(slot.startTime), endTime: new Date(slot.endTime) }));
+
+    // Validate each endTime is after its startTime
+    if (requestedSlots.some(slot => slot.endTime <= slot.startTime)) {
       throw new AppError(
-        ERROR_CODES.VALIDATION.GENERAL,
+        ERROR_CODES.SESSION.INVALID_TIME,
         HTTP_STATUS.BAD_REQUEST,
-        { message: 'Start time and end time are required' }
+        { message: 'End time must be after start time' }
       );
     }
 
@@ -2227,8 +2293,17 @@ const rescheduleSession = async (req, res, next) => {
       );
     }
 
+    if (session.status === 'expired') {
+      throw new AppError(
+        ERROR_CODES.VALIDATION.GENERAL,
+        HTTP_STATUS.BAD_REQUEST,
+        { message: 'Cannot reschedule an expired session request' }
+      );
+    }
+
     // Verify user has permission to reschedule (must be student who requested or teacher assigned)
-    const isStudent = session.requestedBy && session.requestedBy._id.toString() === userId.toString();
+    const isStudent = (session.requestedBy && session.requestedBy._id.toString() === userId.toString()) ||
+      Boolean(session.focusOne && session.focusOne.student && session.focusOne.student.toString() === userId.toString());
     const isTeacher = session.teacher && session.teacher._id.toString() === userId.toString();
     
     // If not assigned teacher yet, check if user is a teacher assigned to the FocusOne
@@ -2251,91 +2326,581 @@ const rescheduleSession = async (req, res, next) => {
       );
     }
 
-    const newStartTime = new Date(startTime);
-    const newEndTime = new Date(endTime);
-
-    // Validate endTime is after startTime
-    if (newEndTime <= newStartTime) {
-      throw new AppError(
-        ERROR_CODES.SESSION.INVALID_TIME,
-        HTTP_STATUS.BAD_REQUEST,
-        { message: 'End time must be after start time' }
-      );
-    }
-
-    // If teacher is assigned, check teacher availability for new time slot
-    // We need to exclude the current session from the conflict check since we're rescheduling it
-    if (session.teacher) {
-      const { getTeacherSessionsForDate, hasTimeConflict } = require('../utils/sessionSlots');
-      
-      // Get existing sessions for the teacher on the new date
-      const sessionDate = new Date(newStartTime);
-      sessionDate.setHours(0, 0, 0, 0);
-      const existingSessions = await getTeacherSessionsForDate(
-        session.teacher._id,
-        sessionDate,
-        session.subject ? session.subject._id.toString() : null
-      );
-
-      // Filter out the current session from existing sessions (we're rescheduling it)
-      const otherSessions = existingSessions.filter(s => s._id.toString() !== session._id.toString());
-
-      // Check if teacher would exceed max sessions (excluding current session)
-      const MAX_SESSIONS_PER_DAY = 4;
-      if (otherSessions.length >= MAX_SESSIONS_PER_DAY) {
+    // A Focus One session moves only once the other party agrees; until then it keeps its slot
+    const respondent = await sessionRescheduleService.findRespondent(session, req.user);
+    if (respondent) {
+      await sessionRescheduleService.proposeReschedule(session, {
+        user: req.user,
+        respondent,
+        slots: requestedSlots,
+        reason: reason ? reason.trim() : null
+      });
+    } else {
+      if (requestedSlots.length !== 1) {
         throw new AppError(
-          ERROR_CODES.SESSION.INVALID_TIME,
+          ERROR_CODES.VALIDATION.GENERAL,
           HTTP_STATUS.BAD_REQUEST,
-          { message: `Teacher already has ${otherSessions.length} other sessions on this day (maximum: ${MAX_SESSIONS_PER_DAY})` }
+          { message: 'Start time and end time are required' }
         );
       }
 
-      // Check for time conflicts with other sessions (excluding current session)
-      if (hasTimeConflict(newStartTime, newEndTime, otherSessions)) {
-        throw new AppError(
-          ERROR_CODES.SESSION.INVALID_TIME,
-          HTTP_STATUS.BAD_REQUEST,
-          { message: 'This time slot conflicts with an existing session or does not maintain the required breaks' }
-        );
-      }
+      // Validate the new slot against the scheduling policy, the teacher's availability and the
+      // students' other sessions (the session itself is excluded since we're rescheduling it)
+      await sessionRescheduleService.assertSlotBookable(session, requestedSlots[0]);
+
+      await sessionRescheduleService.moveSession(session, {
+        ...requestedSlots[0],
+        performedBy: userId,
+        notes: `Session rescheduled by ${isStudent ? 'student' : 'teacher'}`,
+        movedByName: req.user.name || (isStudent ? 'The student' : 'The teacher')
+      });
     }
 
-    // Track changes
-    const previousStartTime = session.startTime;
-    const previousEndTime = session.endTime;
-    const changes = {
-      startTime: { from: previousStartTime, to: newStartTime },
-      endTime: { from: previousEndTime, to: newEndTime }
-    };
+    // Populate references for response
+    await session.populate('focusOne', 'description student');
+    await session.populate('requestedBy', 'name email');
+    await session.populate('teacher', 'name email');
+    await session.populate('subject', 'name description');
+    await session.populate('history.performedBy', 'name email');
 
-    // Update session times
-    // Note: Changing startTime/endTime automatically frees up the old slot because
-    // getTeacherSessionsForDate queries by date range, so the session will no longer
-    // appear in the old date's session list, making that slot available again
-    session.startTime = newStartTime;
-    session.endTime = newEndTime;
+    successResponse(
+      res,
+      session,
+      respondent
+        ? 'Reschedule proposed; the session keeps its current time until the other party responds'
+        : 'Session rescheduled successfully'
+    );
+  } catch (error) {
+    next(error);
+  }
+};
 
-    // Add history entry
-    session.history.push({
-      action: 'updated',
-      performedBy: userId,
-      performedAt: new Date(),
-      previousStatus: session.status,
-      newStatus: session.status,
-      notes: `Session rescheduled by ${isStudent ? 'student' : 'teacher'}`,
-      changes
+/**
+ * Accept a reschedule proposal by picking one of its slots (the other party)
+ */
+const acceptRescheduleProposal = async (req, res, next) => {
+  try {
+    const session = await sessionRescheduleService.acceptProposal(req.params.id, {
+      user: req.user,
+      slotIndex: req.body.slotIndex
     });
 
-    await session.save();
+    await session.populate('teacher', 'name email');
+    await session.populate('subject', 'name description');
+    await session.populate('history.performedBy', 'name email');
+
+    successResponse(res, session, 'Reschedule accepted; the session has moved');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Decline a reschedule proposal (the other party); the session keeps its time
+ */
+const declineRescheduleProposal = async (req, res, next) => {
+  try {
+    const { reason } = req.body;
+
+    const session = await sessionRescheduleService.declineProposal(req.params.id, {
+      user: req.user,
+      reason: reason ? reason.trim() : null
+    });
 
-    // Populate references for response
-    await session.populate('focusOne', 'description student');
-    await session.populate('requestedBy', 'name email');
     await session.populate('teacher', 'name email');
     await session.populate('subject', 'name description');
     await session.populate('history.performedBy', 'name email');
 
-    successResponse(res, session, 'Session rescheduled successfully');
+    successResponse(res, session, 'Reschedule declined; the session keeps its current time');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a recurring session series (Teacher or Admin endpoint)
+ */
+const createSessionSeries = async (req, res, next) => {
+  try {
+    const { title, description, focusOne, cohort, subject, teacher, daysOfWeek, startTime, endTime, startDate, endDate, weeks } = req.body;
+
+    const result = await sessionSeriesService.createSeries({
+      title,
+      description,
+      focusOne,
+      cohort,
+      subject,
+      teacher,
+      recurrence: { daysOfWeek, startTime, endTime, startDate, endDate, weeks },
+      user: req.user
+    });
+
+    const message = result.conflicts.length > 0
+      ? `Session series created with ${result.sessions.length} sessions; ${result.conflicts.length} occurrences conflicted`
+      : `Session series created with ${result.sessions.length} sessions`;
+
+    successResponse(res, result, message, HTTP_STATUS.CREATED);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a session series with its occurrences
+ */
+const getSessionSeriesById = async (req, res, next) => {
+  try {
+    const result = await sessionSeriesService.getSeries(req.params.seriesId, req.user);
+
+    successResponse(res, result, 'Session series retrieved successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Edit this occurrence, this and following occurrences, or the whole series
+ */
+const updateSeriesOccurrences = async (req, res, next) => {
+  try {
+    const { scope, title, description, startTime, endTime } = req.body;
+
+    const result = await sessionSeriesService.updateOccurrences({
+      sessionId: req.params.id,
+      scope,
+      changes: { title, description, startTime, endTime },
+      user: req.user
+    });
+
+    const message = result.conflicts.length > 0
+      ? `${result.updated.length} sessions updated; ${result.conflicts.length} occurrences conflicted and were left unchanged`
+      : `${result.updated.length} sessions updated`;
+
+    successResponse(res, result, message);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel this occurrence, this and following occurrences, or the whole series
+ */
+const cancelSeriesOccurrences = async (req, res, next) => {
+  try {
+    const { scope, reason } = req.body;
+
+    const result = await sessionSeriesService.cancelOccurrences({
+      sessionId: req.params.id,
+      scope,
+      reason: reason.trim(),
+      user: req.user
+    });
+
+    successResponse(res, result, `${result.cancelled.length} sessions cancelled`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Join a session (Student endpoint)
+ * Records the click-through and returns the meeting link to open
+ */
+const joinSession = async (req, res, next) => {
+  try {
+    const result = await attendanceService.recordJoin(req.params.id, req.user);
+
+    successResponse(res, result, 'Session joined successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Record leaving a session (Student endpoint)
+ */
+const leaveSession = async (req, res, next) => {
+  try {
+    const attendance = await attendanceService.recordLeave(req.params.id, req.user);
+
+    successResponse(res, attendance, 'Session leave recorded');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the attendance roster of a session (Teacher or Admin endpoint)
+ */
+const getSessionAttendance = async (req, res, next) => {
+  try {
+    const result = await attendanceService.getSessionAttendance(req.params.id, req.user);
+
+    successResponse(res, result, 'Session attendance retrieved successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark attendance for session participants (Teacher or Admin endpoint)
+ */
+const markSessionAttendance = async (req, res, next) => {
+  try {
+    const attendance = await attendanceService.markAttendance(req.params.id, req.body.records, req.user);
+
+    successResponse(res, attendance, 'Attendance marked successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Attendance report for a student over a date range
+ * Students can only see their own report
+ */
+const getStudentAttendanceReport = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    const { from, to, subject, minimumPercent } = req.query;
+
+    const isStaff = req.user.roles.some(role => ['admin', 'super-admin', 'teacher'].includes(role.name));
+    if (!isStaff && userId !== req.user._id.toString()) {
+      throw new AppError(
+        ERROR_CODES.PERMISSION.FORBIDDEN,
+        HTTP_STATUS.FORBIDDEN,
+        { message: 'You can only view your own attendance' }
+      );
+    }
+
+    const report = await attendanceService.getStudentAttendanceReport(userId, {
+      from,
+      to,
+      subject,
+      minimumPercent: minimumPercent !== undefined ? Number(minimumPercent) : undefined
+    });
+
+    successResponse(res, report, 'Attendance report retrieved successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Attendance report for a cohort over a date range (Teacher or Admin endpoint)
+ */
+const getCohortAttendanceReport = async (req, res, next) => {
+  try {
+    const { from, to, subject, minimumPercent } = req.query;
+
+    const report = await attendanceService.getCohortAttendanceReport(req.params.cohortId, {
+      from,
+      to,
+      subject,
+      minimumPercent: minimumPercent !== undefined ? Number(minimumPercent) : undefined
+    });
+
+    successResponse(res, report, 'Cohort attendance report retrieved successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a session's report (admin notes are left out for students)
+ */
+const getSessionReport = async (req, res, next) => {
+  try {
+    const report = await sessionReportService.getReport(req.params.id, req.user);
+
+    successResponse(res, report, 'Session report retrieved successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create or update a session's report (Teacher or Admin endpoint)
+ */
+const saveSessionReport = async (req, res, next) => {
+  try {
+    const { summary, chaptersCovered, homework, adminNotes } = req.body;
+
+    const report = await sessionReportService.saveReport(req.params.id, {
+      summary,
+      chaptersCovered,
+      homework,
+      adminNotes
+    }, req.user);
+
+    successResponse(res, report, 'Session report saved successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Syllabus coverage of a Focus One per subject (Teacher or Admin endpoint)
+ */
+const getFocusOneCoverage = async (req, res, next) => {
+  try {
+    const coverage = await sessionReportService.getFocusOneCoverage(req.params.focusOneId);
+
+    successResponse(res, coverage, 'Focus One syllabus coverage retrieved successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Syllabus coverage of a cohort per subject, overall and per student (Teacher or Admin endpoint)
+ */
+const getCohortCoverage = async (req, res, next) => {
+  try {
+    const coverage = await sessionReportService.getCohortCoverage(req.params.cohortId);
+
+    successResponse(res, coverage, 'Cohort syllabus coverage retrieved successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Rate a completed session (Student endpoint)
+ */
+const submitSessionFeedback = async (req, res, next) => {
+  try {
+    const { rating, comment, tags } = req.body;
+
+    const feedback = await sessionFeedbackService.submitFeedback(req.params.id, req.user, { rating, comment, tags });
+
+    successResponse(res, feedback, 'Feedback submitted successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * A teacher's anonymized feedback (the teacher themselves, or an admin)
+ */
+const getTeacherFeedback = async (req, res, next) => {
+  try {
+    const { from, to, subject } = req.query;
+
+    const result = await sessionFeedbackService.getTeacherFeedback(req.params.teacherId, req.user, { from, to, subject });
+
+    successResponse(res, result, 'Teacher feedback retrieved successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Teachers' late cancellations flagged for admin review (Admin endpoint)
+ */
+const getFlaggedCancellations = async (req, res, next) => {
+  try {
+    const { status, teacher, page = 1, limit = 20 } = req.query;
+
+    const result = await sessionCancellationService.listFlaggedCancellations({
+      status,
+      teacher,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    successResponse(res, result, 'Flagged cancellations retrieved successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark a flagged late cancellation as reviewed (Admin endpoint)
+ */
+const reviewCancellation = async (req, res, next) => {
+  try {
+    const { notes } = req.body;
+
+    const session = await sessionCancellationService.reviewCancellation(req.params.id, {
+      user: req.user,
+      notes: notes ? notes.trim() : null
+    });
+
+    successResponse(res, session, 'Cancellation marked as reviewed');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a teacher's availability settings and the windows that apply over a date range
+ */
+const getTeacherAvailability = async (req, res, next) => {
+  try {
+    const availability = await teacherAvailabilityService.getAvailability({
+      teacherId: req.params.teacherId,
+      user: req.user,
+      from: req.query.from,
+      to: req.query.to
+    });
+
+    successResponse(res, availability, 'Teacher availability retrieved successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Replace a teacher's weekly windows and/or daily session limit
+ */
+const updateTeacherAvailability = async (req, res, next) => {
+  try {
+    const availability = await teacherAvailabilityService.updateWeeklyAvailability({
+      teacherId: req.params.teacherId,
+      user: req.user,
+      weeklyWindows: req.body.weeklyWindows,
+      maxSessionsPerDay: req.body.maxSessionsPerDay
+    });
+
+    successResponse(res, availability, 'Teacher availability updated successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Set a teacher's windows for one date
+ */
+const setTeacherAvailabilityOverride = async (req, res, next) => {
+  try {
+    const { date, windows, reason } = req.body;
+
+    const availability = await teacherAvailabilityService.setDateOverride({
+      teacherId: req.params.teacherId,
+      user: req.user,
+      date,
+      windows,
+      reason
+    });
+
+    successResponse(res, availability, 'Availability override saved successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a date override
+ */
+const removeTeacherAvailabilityOverride = async (req, res, next) => {
+  try {
+    const availability = await teacherAvailabilityService.removeDateOverride({
+      teacherId: req.params.teacherId,
+      user: req.user,
+      overrideId: req.params.overrideId
+    });
+
+    successResponse(res, availability, 'Availability override removed successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add a time-off block for a teacher
+ */
+const addTeacherTimeOff = async (req, res, next) => {
+  try {
+    const { startsAt, endsAt, reason } = req.body;
+
+    const result = await teacherAvailabilityService.addTimeOff({
+      teacherId: req.params.teacherId,
+      user: req.user,
+      startsAt,
+      endsAt,
+      reason
+    });
+
+    const message = result.conflictingSessions.length > 0
+      ? `Time off added; ${result.conflictingSessions.length} booked session(s) fall in this period and need to be moved or cancelled`
+      : 'Time off added successfully';
+
+    successResponse(res, result, message, HTTP_STATUS.CREATED);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a time-off block
+ */
+const removeTeacherTimeOff = async (req, res, next) => {
+  try {
+    const availability = await teacherAvailabilityService.removeTimeOff({
+      teacherId: req.params.teacherId,
+      user: req.user,
+      timeOffId: req.params.timeOffId
+    });
+
+    successResponse(res, availability, 'Time off removed successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Subscription URLs for the current user's session calendar feed
+ */
+const buildCalendarSubscription = (req, token) => {
+  const baseUrl = (process.env.API_PUBLIC_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+  const feedUrl = `${baseUrl}/api/v1/sessions/calendar/feed/${token}.ics`;
+
+  return {
+    feedUrl,
+    webcalUrl: feedUrl.replace(/^https?:\/\//, 'webcal://')
+  };
+};
+
+/**
+ * Get the current user's calendar subscription (the token is created on first use)
+ */
+const getCalendarSubscription = async (req, res, next) => {
+  try {
+    const token = await sessionCalendarService.getFeedToken(req.user._id);
+
+    successResponse(res, buildCalendarSubscription(req, token), 'Calendar subscription retrieved successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Replace the current user's feed token; the previous subscription URL stops working
+ */
+const resetCalendarSubscription = async (req, res, next) => {
+  try {
+    const token = await sessionCalendarService.resetFeedToken(req.user._id);
+
+    successResponse(res, buildCalendarSubscription(req, token), 'Calendar subscription reset successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * iCalendar feed for calendar apps (public, authorized by the token in the URL)
+ */
+const getCalendarFeed = async (req, res, next) => {
+  try {
+    const calendar = await sessionCalendarService.buildFeed(req.params.token);
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="skyprep-sessions.ics"',
+      'Cache-Control': 'private, max-age=300'
+    });
+    res.send(calendar);
   } catch (error) {
     next(error);
   }
@@ -2356,6 +2921,35 @@ module.exports = {
   getDeletedSessions,
   teacherScheduleSession,
   cancelSession,
-  rescheduleSession
+  rescheduleSession,
+  acceptRescheduleProposal,
+  declineRescheduleProposal,
+  createSessionSeries,
+  getSessionSeriesById,
+  updateSeriesOccurrences,
+  cancelSeriesOccurrences,
+  joinSession,
+  leaveSession,
+  getSessionAttendance,
+  markSessionAttendance,
+  getStudentAttendanceReport,
+  getCohortAttendanceReport,
+  getSessionReport,
+  saveSessionReport,
+  getFocusOneCoverage,
+  getCohortCoverage,
+  submitSessionFeedback,
+  getTeacherFeedback,
+  getFlaggedCancellations,
+  reviewCancellation,
+  getTeacherAvailability,
+  updateTeacherAvailability,
+  setTeacherAvailabilityOverride,
+  removeTeacherAvailabilityOverride,
+  addTeacherTimeOff,
+  removeTeacherTimeOff,
+  getCalendarSubscription,
+  resetCalendarSubscription,
+  getCalendarFeed
 };
 
@@ -0,0 +1,109 @@
+const { asyncHandler } = require('../utils/errorHandler');
+const { successResponse } = require('../utils/response');
+const { HTTP_STATUS } = require('../utils/constants');
+const testAttemptService = require('../services/testAttemptService');
+
+// @desc    Start (or resume) an attempt for a subject of a test series
+// @route   POST /api/v1/test-series/:id/attempts
+// @access  Private (enrolled user)
+exports.startAttempt = asyncHandler(async (req, res) => {
+  const { attempt, resumed } = await testAttemptService.startAttempt({
+    userId: req.user._id,
+    testSeriesId: req.params.id,
+    subjectId: req.body.subject
+  });
+
+  successResponse(
+    res,
+    resumed ? HTTP_STATUS.OK : HTTP_STATUS.CREATED,
+    resumed ? 'In-progress attempt resumed' : 'Test attempt started successfully',
+    attempt
+  );
+});
+
+// @desc    List the current user's attempts for a test series
+// @route   GET /api/v1/test-series/:id/attempts
+// @access  Private (enrolled user)
+exports.getMyAttempts = asyncHandler(async (req, res) => {
+  const result = await testAttemptService.listAttempts({
+    userId: req.user._id,
+    testSeriesId: req.params.id,
+    subjectId: req.query.subject,
+    status: req.query.status
+  });
+
+  successResponse(res, HTTP_STATUS.OK, 'Test attempts retrieved successfully', result);
+});
+
+// @desc    Get an attempt (with scorecard once submitted)
+// @route   GET /api/v1/test-series/:id/attempts/:attemptId
+// @access  Private (attempt owner)
+exports.getAttempt = asyncHandler(async (req, res) => {
+  const attempt = await testAttemptService.getAttempt({
+    userId: req.user._id,
+    testSeriesId: req.params.id,
+    attemptId: req.params.attemptId
+  });
+
+  successResponse(res, HTTP_STATUS.OK, 'Test attempt retrieved successfully', attempt);
+});
+
+// @desc    Get the questions of an attempt
+// @route   GET /api/v1/test-series/:id/attempts/:attemptId/questions
+// @access  Private (attempt owner)
+exports.getAttemptQuestions = asyncHandler(async (req, res) => {
+  const result = await testAttemptService.getAttemptQuestions({
+    userId: req.user._id,
+    testSeriesId: req.params.id,
+    attemptId: req.params.attemptId
+  });
+
+  successResponse(res, HTTP_STATUS.OK, 'Attempt questions retrieved successfully', result);
+});
+
+// @desc    Save answers for an in-progress attempt
+// @route   PUT /api/v1/test-series/:id/attempts/:attemptId/answers
+// @access  Private (attempt owner)
+exports.saveAnswers = asyncHandler(async (req, res) => {
+  const attempt = await testAttemptService.saveAnswers({
+    userId: req.user._id,
+    testSeriesId: req.params.id,
+    attemptId: req.params.attemptId,
+    answers: req.body.answers
+  });
+
+  successResponse(res, HTTP_STATUS.OK, 'Answers saved successfully', attempt);
+});
+
+// @desc    Autosave the answer to a single question of an in-progress attempt
+// @route   PATCH /api/v1/test-series/:id/attempts/:attemptId/answers/:questionId
+// @access  Private (attempt owner)
+exports.saveAnswer = asyncHandler(async (req, res) => {
+  const result = await testAttemptService.saveAnswer({
+    userId: req.user._id,
+    testSeriesId: req.params.id,
+    attemptId: req.params.attemptId,
+    questionId: req.params.questionId,
+    answer: {
+      selectedOptions: req.body.selectedOptions,
+      numericValue: req.body.numericValue,
+      matches: req.body.matches,
+      timeSpentSeconds: req.body.timeSpentSeconds
+    }
+  });
+
+  successResponse(res, HTTP_STATUS.OK, 'Answer saved', result);
+});
+
+// @desc    Submit an attempt for grading
+// @route   POST /api/v1/test-series/:id/attempts/:attemptId/submit
+// @access  Private (attempt owner)
+exports.submitAttempt = asyncHandler(async (req, res) => {
+  const attempt = await testAttemptService.submitAttempt({
+    userId: req.user._id,
+    testSeriesId: req.params.id,
+    attemptId: req.params.attemptId
+  });
+
+  successResponse(res, HTTP_STATUS.OK, 'Test attempt submitted and graded successfully', attempt);
+});
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const TestSeries = require('../models/TestSeries');
+const Chapter = require('../models/Chapter');
+const paperService = require('../services/paperService');
 const { successResponse } = require('../utils/response');
 const { AppError } = require('../errors');
 const { ERROR_CODES } = require('../errors');
@@ -14,6 +16,47 @@ const generateSlug = (name) => {
     .replace(/^-|-$/g, '');
 };
 
+/**
+ * Per-subject pass marks may only reference subjects of the series
+ */
+const assertPassMarkSubjects = (settings, subjects) => {
+  const passMarks = settings?.gradingPolicy?.passMark?.subjects || [];
+  const seriesSubjectIds = new Set((subjects || []).map(s => (s.subject || s).toString()));
+
+  const unknown = passMarks.find(entry => !seriesSubjectIds.has(entry.subject.toString()));
+  if (unknown) {
+    throw new AppError(ERROR_CODES.VALIDATION.GENERAL, 400, {
+      message: 'Pass marks can only be set for subjects of this test series',
+      field: 'settings.gradingPolicy.passMark.subjects',
+      value: unknown.subject
+    });
+  }
+};
+
+/**
+ * Blueprint chapter weights may only reference chapters of the subject they belong to
+ */
+const assertBlueprintChapters = async (subjects) => {
+  const entries = (subjects || []).filter(s => s && s.blueprint && Array.isArray(s.blueprint.chapterWeights));
+
+  for (const entry of entries) {
+    const chapterIds = entry.blueprint.chapterWeights.map(w => w.chapter);
+    if (chapterIds.length === 0) continue;
+
+    const chapters = await Chapter.find({ _id: { $in: chapterIds }, subject: entry.subject }).select('_id');
+    const found = new Set(chapters.map(ch => ch._id.toString()));
+    const unknown = chapterIds.find(id => !found.has(id.toString()));
+
+    if (unknown) {
+      throw new AppError(ERROR_CODES.VALIDATION.GENERAL, 400, {
+        message: 'Blueprint chapter weights can only reference chapters of the same subject',
+        field: 'subjects.blueprint.chapterWeights',
+        value: unknown
+      });
+    }
+  }
+};
+
 /**
  * Create a new Test Series
  */
@@ -30,6 +73,9 @@ const createTestSeries = async (req, res, next) => {
       throw new AppError(ERROR_CODES.TEST_SERIES.ALREADY_EXISTS, 400, { field: 'slug', value: testSeriesSlug });
     }
 
+    assertPassMarkSubjects(settings, subjects);
+    await assertBlueprintChapters(subjects);
+
     const testSeries = new TestSeries({
       name,
       slug: testSeriesSlug,
@@ -37,8 +83,7 @@ const createTestSeries = async (req, res, next) => {
       subjects: subjects || [],
       settings: settings || {
         maxAttemptsPerTest: 1,
-        totalDurationMinutes: null,
-        gradingPolicy: null
+        totalDurationMinutes: null
       },
       availabilityWindow: availabilityWindow || {
         opensAt: null,
@@ -148,6 +193,18 @@ const updateTestSeries = async (req, res, next) => {
       }
     }
 
+    // Removing a subject must not leave a pass mark behind for it either
+    if (settings !== undefined || subjects !== undefined) {
+      assertPassMarkSubjects(
+        settings !== undefined ? settings : testSeries.settings,
+        subjects !== undefined ? subjects : testSeries.subjects
+      );
+    }
+
+    if (subjects !== undefined) {
+      await assertBlueprintChapters(subjects);
+    }
+
     const updateData = {};
     if (name !== undefined) updateData.name = name;
     if (newSlug !== undefined) updateData.slug = newSlug;
@@ -255,6 +312,23 @@ const getDeletedTestSeries = async (req, res, next) => {
   }
 };
 
+/**
+ * Preview a paper drawn from a subject's blueprint (admin)
+ * Pass ?seed= to reproduce a specific draw; otherwise a fresh seed is used and returned
+ */
+const previewPaper = async (req, res, next) => {
+  try {
+    const { id, subjectId } = req.params;
+    const { seed } = req.query;
+
+    const preview = await paperService.previewPaper({ testSeriesId: id, subjectId, seed });
+
+    successResponse(res, preview, 'Paper preview generated successfully');
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   createTestSeries,
   getAllTestSeries,
@@ -262,6 +336,7 @@ module.exports = {
   updateTestSeries,
   deleteTestSeries,
   restoreTestSeries,
-  getDeletedTestSeries
+  getDeletedTestSeries,
+  previewPaper
 };
 
@@ -59,11 +59,11 @@ exports.createUser = asyncHandler(async (req, res, next) => {
 // @route   PUT /api/v1/users/:id
 // @access  Public
 exports.updateUser = asyncHandler(async (req, res, next) => {
-  const { name, email, role, isActive } = req.body;
+  const { name, email, role, isActive, timezone } = req.body;
   
   const user = await User.findByIdAndUpdate(
     req.params.id,
-    { name, email, role, isActive },
+    { name, email, role, isActive, timezone },
     {
       new: true,
       runValidators: true
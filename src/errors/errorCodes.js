@@ -77,7 +77,10 @@ module.exports = {
   QUESTION: {
     NOT_FOUND: { code: 'QST_8001', message: 'Question not found' },
     INVALID_OPTIONS: { code: 'QST_8002', message: 'Question must have between 2 and 4 options' },
-    NO_CORRECT_OPTION: { code: 'QST_8003', message: 'At least one option must be marked as correct' }
+    NO_CORRECT_OPTION: { code: 'QST_8003', message: 'At least one option must be marked as correct' },
+    REVISION_NOT_FOUND: { code: 'QST_8004', message: 'Question revision not found' },
+    INVALID_STATUS_TRANSITION: { code: 'QST_8005', message: 'This review action is not allowed in the question\'s current status' },
+    REVIEW_NOT_ALLOWED: { code: 'QST_8006', message: 'You are not allowed to perform this review action' }
   },
 
   // Focus One Errors (8500-8599)
@@ -90,7 +93,16 @@ module.exports = {
   TEST_SERIES: {
     NOT_FOUND: { code: 'TST_8601', message: 'Test Series not found' },
     ALREADY_EXISTS: { code: 'TST_8602', message: 'Test Series with this slug already exists' },
-    ENROLLMENT_EXISTS: { code: 'TST_8603', message: 'User is already enrolled in this test series' }
+    ENROLLMENT_EXISTS: { code: 'TST_8603', message: 'User is already enrolled in this test series' },
+    NOT_ENROLLED: { code: 'TST_8604', message: 'You are not enrolled in this test series' },
+    NOT_AVAILABLE: { code: 'TST_8605', message: 'This test series is not currently available' },
+    SUBJECT_NOT_AVAILABLE: { code: 'TST_8606', message: 'This subject is not available in your test series enrollment' },
+    NO_QUESTIONS: { code: 'TST_8607', message: 'No questions are available for this test' },
+    ATTEMPT_NOT_FOUND: { code: 'TST_8608', message: 'Test attempt not found' },
+    ATTEMPT_LIMIT_REACHED: { code: 'TST_8609', message: 'You have used all attempts allowed for this test' },
+    ATTEMPT_CLOSED: { code: 'TST_8610', message: 'This test attempt has already been submitted' },
+    ATTEMPT_TIME_UP: { code: 'TST_8611', message: 'The time allowed for this test attempt is over' },
+    INVALID_ANSWER: { code: 'TST_8612', message: 'Answer does not match a question in this attempt' }
   },
 
   // Session Errors (8700-8799)
@@ -98,7 +110,21 @@ module.exports = {
     NOT_FOUND: { code: 'SES_8701', message: 'Session not found' },
     INVALID_TIME: { code: 'SES_8702', message: 'Session end time must be after start time' },
     ASSOCIATION_REQUIRED: { code: 'SES_8703', message: 'Session must be associated with either a Focus One or Cohort' },
-    INVALID_ASSOCIATION: { code: 'SES_8704', message: 'Session cannot be associated with both Focus One and Cohort' }
+    INVALID_ASSOCIATION: { code: 'SES_8704', message: 'Session cannot be associated with both Focus One and Cohort' },
+    SERIES_NOT_FOUND: { code: 'SES_8705', message: 'Session series not found' },
+    NOT_IN_SERIES: { code: 'SES_8706', message: 'Session is not part of a recurring series' },
+    NOT_PARTICIPANT: { code: 'SES_8707', message: 'User is not a participant of this session' },
+    JOIN_NOT_OPEN: { code: 'SES_8708', message: 'This session cannot be joined right now' },
+    AVAILABILITY_ENTRY_NOT_FOUND: { code: 'SES_8709', message: 'Availability override or time off not found' },
+    POLICY_NOT_FOUND: { code: 'SES_8710', message: 'Scheduling policy override not found' },
+    CALENDAR_FEED_NOT_FOUND: { code: 'SES_8711', message: 'Calendar feed not found' },
+    REPORT_NOT_FOUND: { code: 'SES_8712', message: 'Session report not found' },
+    FEEDBACK_CLOSED: { code: 'SES_8713', message: 'Feedback can no longer be given for this session' },
+    STUDENT_CONFLICT: { code: 'SES_8714', message: 'A student is already booked into another session at this time' },
+    HOURS_EXHAUSTED: { code: 'SES_8715', message: 'Not enough Focus One hours left for this subject' },
+    RESCHEDULE_PENDING: { code: 'SES_8716', message: 'A reschedule proposal for this session is already awaiting a response' },
+    RESCHEDULE_NOT_FOUND: { code: 'SES_8717', message: 'No open reschedule proposal for this session' },
+    LATE_CANCEL_LIMIT: { code: 'SES_8718', message: 'The monthly limit of late cancellations has been reached' }
   },
 
   // Server Errors (9000-9999)
@@ -0,0 +1,62 @@
+const sessionLifecycleService = require('../services/sessionLifecycleService');
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+let timer = null;
+let running = false;
+
+/**
+ * Run one sweep, skipping if the previous one is still in progress
+ */
+const runOnce = async () => {
+  if (running) {
+    return;
+  }
+
+  running = true;
+  try {
+    const { expired, proposalsExpired, started, completed, noShows } = await sessionLifecycleService.runLifecycleSweep();
+    if (expired + proposalsExpired + started + completed > 0) {
+      console.log(
+        `Session lifecycle job: started ${started}, completed ${completed} (${noShows} no-show(s)), expired ${expired} request(s) and ${proposalsExpired} reschedule proposal(s)`
+      );
+    }
+  } catch (error) {
+    console.error('Session lifecycle job failed:', error.message);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Periodically move sessions through their lifecycle: scheduled -> ongoing -> completed
+ * (recording no-shows), requested -> expired once the start time passes unaccepted, and
+ * unanswered reschedule proposals lapse.
+ * Interval is configurable via SESSION_LIFECYCLE_SWEEP_INTERVAL_MS (0 disables the job).
+ */
+const start = () => {
+  const configured = process.env.SESSION_LIFECYCLE_SWEEP_INTERVAL_MS;
+  const intervalMs = configured !== undefined && configured !== ''
+    ? parseInt(configured, 10)
+    : DEFAULT_INTERVAL_MS;
+
+  if (!intervalMs || intervalMs <= 0 || timer) {
+    return;
+  }
+
+  timer = setInterval(runOnce, intervalMs);
+  timer.unref();
+};
+
+const stop = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  start,
+  stop,
+  runOnce
+};
@@ -0,0 +1,59 @@
+const sessionReminderService = require('../services/sessionReminderService');
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+let timer = null;
+let running = false;
+
+/**
+ * Run one sweep, skipping if the previous one is still in progress
+ */
+const runOnce = async () => {
+  if (running) {
+    return;
+  }
+
+  running = true;
+  try {
+    const { sent, failed, digestsQueued } = await sessionReminderService.runReminderSweep();
+    if (sent + failed > 0) {
+      console.log(`Session reminder job: sent ${sent} reminder(s)/digest(s), ${failed} failed, ${digestsQueued} digest(s) queued`);
+    }
+  } catch (error) {
+    console.error('Session reminder job failed:', error.message);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Periodically send due session reminders and teachers' daily digests
+ * Reminders are stored, so anything that came due while the server was down goes out on the next sweep.
+ * Interval is configurable via SESSION_REMINDER_SWEEP_INTERVAL_MS (0 disables the job).
+ */
+const start = () => {
+  const configured = process.env.SESSION_REMINDER_SWEEP_INTERVAL_MS;
+  const intervalMs = configured !== undefined && configured !== ''
+    ? parseInt(configured, 10)
+    : DEFAULT_INTERVAL_MS;
+
+  if (!intervalMs || intervalMs <= 0 || timer) {
+    return;
+  }
+
+  timer = setInterval(runOnce, intervalMs);
+  timer.unref();
+};
+
+const stop = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  start,
+  stop,
+  runOnce
+};
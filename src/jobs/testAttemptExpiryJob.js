@@ -0,0 +1,59 @@
+const testAttemptService = require('../services/testAttemptService');
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+let timer = null;
+let running = false;
+
+/**
+ * Run one sweep, skipping if the previous one is still in progress
+ */
+const runOnce = async () => {
+  if (running) {
+    return;
+  }
+
+  running = true;
+  try {
+    const submitted = await testAttemptService.autoSubmitExpiredAttempts();
+    if (submitted > 0) {
+      console.log(`Test attempt expiry job: auto-submitted ${submitted} attempt(s)`);
+    }
+  } catch (error) {
+    console.error('Test attempt expiry job failed:', error.message);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Periodically auto-submit attempts whose deadline has passed
+ * Expired attempts are also closed lazily when read, so this only catches abandoned ones.
+ * Interval is configurable via TEST_ATTEMPT_SWEEP_INTERVAL_MS (0 disables the job).
+ */
+const start = () => {
+  const configured = process.env.TEST_ATTEMPT_SWEEP_INTERVAL_MS;
+  const intervalMs = configured !== undefined && configured !== ''
+    ? parseInt(configured, 10)
+    : DEFAULT_INTERVAL_MS;
+
+  if (!intervalMs || intervalMs <= 0 || timer) {
+    return;
+  }
+
+  timer = setInterval(runOnce, intervalMs);
+  timer.unref();
+};
+
+const stop = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  start,
+  stop,
+  runOnce
+};
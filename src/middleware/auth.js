@@ -62,6 +62,14 @@ exports.protect = asyncHandler(async (req, res, next) => {
   }
 });
 
+// Identify the user when a token is sent, but let anonymous requests through (req.user stays undefined)
+exports.optionalAuth = (req, res, next) => {
+  if (!req.headers.authorization || !req.headers.authorization.startsWith('Bearer')) {
+    return next();
+  }
+  return exports.protect(req, res, next);
+};
+
 // Grant access to specific roles (user must have at least ONE of the roles)
 exports.authorize = (...roleNames) => {
   return asyncHandler(async (req, res, next) => {
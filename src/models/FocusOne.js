@@ -17,6 +17,12 @@ const focusOneSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Subject',
         required: true
+      },
+      // Hours purchased for the subject through this mapping; null = no quota
+      allowanceHours: {
+        type: Number,
+        min: [0, 'Allowance hours cannot be negative'],
+        default: null
       }
     }],
     default: [],
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// One movement of a Focus One student's hours for a subject.
+// Purchased hours live on the Focus One's teacherSubjectMappings; entries record what was
+// used by completed sessions, forfeited on cancellation, or refunded afterwards.
+const focusOneHourEntrySchema = new mongoose.Schema({
+  focusOne: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FocusOne',
+    required: true
+  },
+  subject: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subject',
+    required: true
+  },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    default: null
+  },
+  type: {
+    type: String,
+    enum: ['usage', 'forfeit', 'refund'],
+    required: true
+  },
+  hours: {
+    type: Number,
+    required: [true, 'Hours are required'],
+    min: [0, 'Hours cannot be negative']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // null when recorded by the system (e.g. the lifecycle job completing a session)
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+focusOneHourEntrySchema.index({ focusOne: 1, subject: 1, createdAt: -1 });
+// A session is charged, forfeited or refunded at most once
+focusOneHourEntrySchema.index(
+  { session: 1, type: 1 },
+  { unique: true, partialFilterExpression: { session: { $type: 'objectId' } } }
+);
+
+module.exports = mongoose.model('FocusOneHourEntry', focusOneHourEntrySchema);
@@ -12,6 +12,12 @@ const optionSchema = new mongoose.Schema({
     required: [true, 'Option correctness indicator is required'],
     default: false
   },
+  matchText: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Match text cannot exceed 500 characters'],
+    default: null // Match-the-following: the right-hand item this option pairs with
+  },
   question: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Question',
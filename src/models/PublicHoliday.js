@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { instituteTimezone } = require('../config/timezone');
+const { startOfZonedDay, endOfZonedDay } = require('../utils/timezone');
 
 const publicHolidaySchema = new mongoose.Schema({
   name: {
@@ -32,24 +34,19 @@ const publicHolidaySchema = new mongoose.Schema({
 publicHolidaySchema.index({ date: 1 });
 publicHolidaySchema.index({ isActive: 1, date: 1 });
 
-// Ensure date is stored as date only (no time component)
+// Ensure date is stored as date only (start of the day in the institute's timezone)
 publicHolidaySchema.pre('save', function(next) {
   if (this.date) {
-    const dateOnly = new Date(this.date);
-    dateOnly.setHours(0, 0, 0, 0);
-    this.date = dateOnly;
+    this.date = startOfZonedDay(this.date, instituteTimezone);
   }
   next();
 });
 
 // Static method to check if a date is a public holiday
 publicHolidaySchema.statics.isPublicHoliday = async function(date) {
-  const dateOnly = new Date(date);
-  dateOnly.setHours(0, 0, 0, 0);
-  
-  const endOfDay = new Date(dateOnly);
-  endOfDay.setHours(23, 59, 59, 999);
-  
+  const dateOnly = startOfZonedDay(date, instituteTimezone);
+  const endOfDay = endOfZonedDay(date, instituteTimezone);
+
   const holiday = await this.findOne({
     date: { $gte: dateOnly, $lte: endOfDay },
     isActive: true
@@ -60,11 +57,8 @@ publicHolidaySchema.statics.isPublicHoliday = async function(date) {
 
 // Static method to get all active public holidays in a date range
 publicHolidaySchema.statics.getPublicHolidaysInRange = async function(startDate, endDate) {
-  const start = new Date(startDate);
-  start.setHours(0, 0, 0, 0);
-  
-  const end = new Date(endDate);
-  end.setHours(23, 59, 59, 999);
+  const start = startOfZonedDay(startDate, instituteTimezone);
+  const end = endOfZonedDay(endDate, instituteTimezone);
   
   return this.find({
     date: { $gte: start, $lte: end },
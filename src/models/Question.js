@@ -1,4 +1,77 @@
 const mongoose = require('mongoose');
+const { QUESTION_TYPES, QUESTION_STATUSES } = require('../utils/constants');
+
+// Expected answer of a numeric question, e.g. a heading or wind-correction calculation
+const numericAnswerSchema = new mongoose.Schema({
+  value: {
+    type: Number,
+    required: [true, 'Numeric answer value is required']
+  },
+  tolerance: {
+    type: Number,
+    min: [0, 'Tolerance cannot be negative'],
+    default: 0
+  },
+  toleranceType: {
+    type: String,
+    enum: ['absolute', 'percentage'],
+    default: 'absolute'
+  },
+  unit: {
+    type: String,
+    trim: true,
+    default: null
+  }
+}, { _id: false });
+
+const reviewCommentSchema = new mongoose.Schema({
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  body: {
+    type: String,
+    required: [true, 'Comment text is required'],
+    trim: true,
+    maxlength: [2000, 'Comment cannot exceed 2000 characters']
+  },
+  createdAt: {
+    type: Date,
+    default: () => new Date()
+  }
+});
+
+// Audit entry for every editorial transition and reviewer change
+const reviewHistorySchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['created', 'submitted', 'reviewer-assigned', 'approved', 'rejected', 'retired', 'reopened', 'edited'],
+    required: true
+  },
+  previousStatus: {
+    type: String,
+    default: null
+  },
+  newStatus: {
+    type: String,
+    default: null
+  },
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  performedAt: {
+    type: Date,
+    default: () => new Date()
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: null
+  }
+}, { _id: false });
 
 const questionSchema = new mongoose.Schema({
   questionText: {
@@ -6,6 +79,13 @@ const questionSchema = new mongoose.Schema({
     required: [true, 'Question text is required'],
     trim: true
   },
+  type: {
+    type: String,
+    enum: Object.values(QUESTION_TYPES),
+    // Questions created before types existed read as single-correct, or multiple-correct when
+    // two or more of their options are correct (see the post-find hook below)
+    default: QUESTION_TYPES.SINGLE_CORRECT
+  },
   explanation: {
     type: String,
     trim: true
@@ -24,6 +104,52 @@ const questionSchema = new mongoose.Schema({
     type: Number,
     default: 1
   },
+  numericAnswer: {
+    type: numericAnswerSchema,
+    default: null // Only set for numeric questions
+  },
+  status: {
+    type: String,
+    enum: Object.values(QUESTION_STATUSES),
+    // Questions created before the review workflow read as approved; new questions are created as drafts
+    default: QUESTION_STATUSES.APPROVED
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewRequestedAt: {
+    type: Date,
+    default: null
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  approvedAt: {
+    type: Date,
+    default: null
+  },
+  reviewComments: {
+    type: [reviewCommentSchema],
+    default: []
+  },
+  reviewHistory: {
+    type: [reviewHistorySchema],
+    default: []
+  },
+  currentRevision: {
+    type: Number,
+    min: 0,
+    default: 0 // Latest QuestionRevision number; 0 until the question is first versioned
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -36,7 +162,7 @@ const questionSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Indexes removed for now
+questionSchema.index({ status: 1, reviewer: 1, reviewRequestedAt: 1 });
 
 // Virtual to populate options
 questionSchema.virtual('options', {
@@ -65,6 +191,41 @@ questionSchema.pre(/^find/, function() {
   this.where({ deletedAt: null });
 });
 
+/**
+ * Ids of the given questions that have two or more active correct options
+ * @returns {Promise<Set<string>>}
+ */
+questionSchema.statics.findMultipleCorrectIds = async function(questionIds) {
+  if (questionIds.length === 0) {
+    return new Set();
+  }
+
+  const counts = await mongoose.model('Option').aggregate([
+    { $match: { question: { $in: questionIds }, isCorrect: true, isActive: true, deletedAt: null } },
+    { $group: { _id: '$question', correctCount: { $sum: 1 } } },
+    { $match: { correctCount: { $gte: 2 } } }
+  ]);
+  return new Set(counts.map(count => count._id.toString()));
+};
+
+// Questions created before types existed have no stored type. The schema default reads them as
+// single-correct, which would make those with several correct options unanswerable, so classify
+// them by their correct options (backfill:question-types persists the same classification).
+questionSchema.post(/^find/, async function(result) {
+  const untyped = (Array.isArray(result) ? result : [result])
+    .filter(doc => doc && typeof doc.$isDefault === 'function' && doc.$isDefault('type'));
+  if (untyped.length === 0) {
+    return;
+  }
+
+  const multipleCorrect = await this.model.findMultipleCorrectIds(untyped.map(doc => doc._id));
+  untyped
+    .filter(doc => multipleCorrect.has(doc._id.toString()))
+    .forEach((doc) => {
+      doc.type = QUESTION_TYPES.MULTIPLE_CORRECT;
+    });
+});
+
 // Soft delete method
 questionSchema.methods.softDelete = function() {
   this.deletedAt = new Date();
@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+
+// An option as it was in the revision; _id is the Option document it came from
+const optionSnapshotSchema = new mongoose.Schema({
+  _id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Option',
+    required: true
+  },
+  text: {
+    type: String,
+    default: ''
+  },
+  isCorrect: {
+    type: Boolean,
+    default: false
+  },
+  matchText: {
+    type: String,
+    default: null
+  },
+  order: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
+
+// Full copy of a question and its options at one point in time
+const questionSnapshotSchema = new mongoose.Schema({
+  questionText: {
+    type: String,
+    default: ''
+  },
+  type: {
+    type: String,
+    default: 'single-correct'
+  },
+  explanation: {
+    type: String,
+    default: null
+  },
+  chapter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chapter',
+    default: null
+  },
+  difficulty: {
+    type: String,
+    default: null
+  },
+  marks: {
+    type: Number,
+    default: 1
+  },
+  numericAnswer: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  options: {
+    type: [optionSnapshotSchema],
+    default: []
+  }
+}, { _id: false });
+
+const questionRevisionSchema = new mongoose.Schema({
+  question: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question',
+    required: true
+  },
+  revision: {
+    type: Number,
+    min: [1, 'Revision numbers start at 1'],
+    required: true
+  },
+  changeType: {
+    type: String,
+    enum: ['baseline', 'created', 'updated', 'options-changed', 'restored'],
+    required: true // 'baseline' records a question's state from before revisions were tracked
+  },
+  changedFields: {
+    type: [String],
+    default: []
+  },
+  restoredFrom: {
+    type: Number,
+    default: null
+  },
+  snapshot: {
+    type: questionSnapshotSchema,
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+questionRevisionSchema.index({ question: 1, revision: 1 }, { unique: true });
+
+// Revisions are an audit trail - once written they are never changed
+const rejectChange = function rejectRevisionChange(next) {
+  next(new Error('Question revisions are immutable'));
+};
+
+questionRevisionSchema.pre('save', function questionRevisionImmutable(next) {
+  if (!this.isNew) {
+    return rejectChange(next);
+  }
+  return next();
+});
+
+questionRevisionSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectChange
+);
+
+module.exports = mongoose.model('QuestionRevision', questionRevisionSchema);
@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const POLICY_SCOPES = ['global', 'cohort', 'focusOne'];
+
+// Session scheduling rules: one global policy, optionally overridden per Cohort or FocusOne.
+// Rules left null are inherited (override -> global -> SCHEDULING_POLICY_DEFAULTS).
+const schedulingPolicySchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: POLICY_SCOPES,
+    required: true
+  },
+  cohort: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Cohort',
+    default: null
+  },
+  focusOne: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FocusOne',
+    default: null
+  },
+  minAdvanceDays: {
+    type: Number,
+    min: [0, 'Minimum advance days cannot be negative'],
+    default: null
+  },
+  bookingWindowDays: {
+    type: Number,
+    min: [1, 'Booking window must be at least 1 day'],
+    default: null
+  },
+  allowedDaysOfWeek: {
+    type: [Number],
+    default: undefined,
+    validate: {
+      validator: days => days.length > 0 && days.every(day => Number.isInteger(day) && day >= 0 && day <= 6),
+      message: 'Allowed days must be between 0 (Sunday) and 6 (Saturday)'
+    }
+  },
+  dayStartTime: {
+    type: String,
+    match: [TIME_OF_DAY, 'Day start time must be in HH:mm format'],
+    default: null
+  },
+  dayEndTime: {
+    type: String,
+    match: [TIME_OF_DAY, 'Day end time must be in HH:mm format'],
+    default: null
+  },
+  saturdayEndTime: {
+    type: String,
+    match: [TIME_OF_DAY, 'Saturday end time must be in HH:mm format'],
+    default: null
+  },
+  sessionDurationMinutes: {
+    type: Number,
+    min: [15, 'Session duration must be at least 15 minutes'],
+    default: null
+  },
+  breakMinutes: {
+    type: Number,
+    min: [0, 'Break cannot be negative'],
+    default: null
+  },
+  backToBackCooldownMinutes: {
+    type: Number,
+    min: [0, 'Cooldown cannot be negative'],
+    default: null
+  },
+  maxSessionsPerTeacherPerDay: {
+    type: Number,
+    min: [1, 'Maximum sessions per day must be at least 1'],
+    default: null
+  },
+  rerouteRejectedRequests: {
+    type: Boolean,
+    default: null
+  },
+  cancellationRefundPercent: {
+    type: Number,
+    min: [0, 'Refund percentage cannot be negative'],
+    max: [100, 'Refund percentage cannot exceed 100'],
+    default: null
+  },
+  lateCancellationNoticeHours: {
+    type: Number,
+    min: [0, 'Late cancellation notice cannot be negative'],
+    default: null
+  },
+  maxStudentLateCancellationsPerMonth: {
+    type: Number,
+    min: [0, 'Late cancellation limit cannot be negative'],
+    default: null
+  },
+  lateCancellationRefundPercent: {
+    type: Number,
+    min: [0, 'Refund percentage cannot be negative'],
+    max: [100, 'Refund percentage cannot exceed 100'],
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+schedulingPolicySchema.index({ scope: 1, cohort: 1, focusOne: 1 }, { unique: true });
+
+schedulingPolicySchema.pre('validate', function(next) {
+  const hasTarget = {
+    global: !this.cohort && !this.focusOne,
+    cohort: Boolean(this.cohort) && !this.focusOne,
+    focusOne: Boolean(this.focusOne) && !this.cohort
+  };
+  if (!hasTarget[this.scope]) {
+    return next(new Error('A global policy has no target; a cohort or FocusOne policy needs exactly that target'));
+  }
+  next();
+});
+
+module.exports = mongoose.model('SchedulingPolicy', schedulingPolicySchema);
@@ -1,5 +1,124 @@
 const mongoose = require('mongoose');
 
+// A pending reschedule: the session keeps its slot until the respondent picks one of these slots,
+// declines, or the proposal expires
+const rescheduleProposalSchema = new mongoose.Schema({
+  proposedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  respondent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true // The counterpart who must accept or decline
+  },
+  proposedAt: {
+    type: Date,
+    default: () => new Date()
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  slots: {
+    type: [{
+      startTime: {
+        type: Date,
+        required: true
+      },
+      endTime: {
+        type: Date,
+        required: true
+      },
+      suggested: {
+        type: Boolean,
+        default: false // true for open slots added from the teacher's availability
+      }
+    }],
+    default: [],
+    _id: false
+  }
+}, { _id: false });
+
+// What the cancellation policy applied when the session was cancelled through cancelSession
+const cancellationPolicySchema = new mongoose.Schema({
+  cancelledByRole: {
+    type: String,
+    enum: ['student', 'teacher', 'admin'],
+    required: true
+  },
+  late: {
+    type: Boolean,
+    default: false
+  },
+  noticeHours: {
+    type: Number,
+    default: null // Hours between cancelling and the start time (negative once started)
+  },
+  lateNoticeHours: {
+    type: Number,
+    default: null // The policy's lateCancellationNoticeHours at the time
+  },
+  lateCancellationsThisMonth: {
+    type: Number,
+    default: null // The student's late cancellations this month, this one included
+  },
+  lateCancellationLimit: {
+    type: Number,
+    default: null
+  },
+  // Focus One hours; null for cohort sessions
+  hours: {
+    type: Number,
+    default: null
+  },
+  refundPercent: {
+    type: Number,
+    default: null
+  },
+  refundedHours: {
+    type: Number,
+    default: null
+  },
+  forfeitedHours: {
+    type: Number,
+    default: null
+  },
+  flaggedForReview: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+// Admin review of a teacher's late cancellation
+const cancellationReviewSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['pending', 'reviewed'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  notes: {
+    type: String,
+    trim: true,
+    default: null
+  }
+}, { _id: false });
+
 const sessionSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -40,6 +159,11 @@ const sessionSchema = new mongoose.Schema({
     ref: 'User',
     default: null // Teacher is assigned when request is accepted (or set directly for admin-created sessions)
   },
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SessionSeries',
+    default: null // Set on occurrences generated from a recurring series
+  },
   meetingLink: {
     type: String,
     trim: true,
@@ -52,8 +176,8 @@ const sessionSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['requested', 'accepted', 'rejected', 'scheduled', 'ongoing', 'completed', 'cancelled'],
-    default: 'requested'
+    enum: ['requested', 'accepted', 'rejected', 'scheduled', 'ongoing', 'completed', 'cancelled', 'expired'],
+    default: 'requested' // 'expired': a request whose start time passed before any teacher accepted it
   },
   requestedBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -87,6 +211,17 @@ const sessionSchema = new mongoose.Schema({
     trim: true,
     default: null // Reason provided by teacher when rejecting
   },
+  // Re-routing (scheduling policy rerouteRejectedRequests): a declined request is offered to one teacher at a time
+  offeredTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null // null = open to every teacher mapped to the subject
+  },
+  declinedBy: {
+    type: [mongoose.Schema.Types.ObjectId],
+    ref: 'User',
+    default: [] // Teachers who turned the request down while it stayed open
+  },
   cancelledBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -101,17 +236,41 @@ const sessionSchema = new mongoose.Schema({
     trim: true,
     default: null // Reason provided when cancelling the session
   },
+  cancellationPolicy: {
+    type: cancellationPolicySchema,
+    default: null
+  },
+  cancellationReview: {
+    type: cancellationReviewSchema,
+    default: null
+  },
+  rescheduleProposal: {
+    type: rescheduleProposalSchema,
+    default: null
+  },
   history: {
     type: [{
       action: {
         type: String,
-        enum: ['requested', 'accepted', 'rejected', 'scheduled', 'cancelled', 'started', 'completed', 'updated'],
+        enum: [
+          'requested', 'accepted', 'rejected', 'scheduled', 'cancelled', 'started', 'completed', 'updated', 'expired', 'no-show', 'offered',
+          'reschedule-proposed', 'reschedule-accepted', 'reschedule-declined', 'reschedule-expired'
+        ],
         required: true
       },
+      // 'system' for transitions made by the session lifecycle job or request routing, which have no performedBy
+      actorType: {
+        type: String,
+        enum: ['user', 'system'],
+        default: 'user'
+      },
       performedBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
-        required: true
+        default: null,
+        required: function() {
+          return this.actorType !== 'system';
+        }
       },
       performedAt: {
         type: Date,
@@ -142,6 +301,11 @@ const sessionSchema = new mongoose.Schema({
     of: mongoose.Schema.Types.Mixed,
     default: {}
   },
+  // iCalendar SEQUENCE: bumped whenever calendar-visible details change so invites update in place
+  calendarSequence: {
+    type: Number,
+    default: 0
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -161,10 +325,15 @@ sessionSchema.index({ teacher: 1 });
 sessionSchema.index({ requestedBy: 1 });
 sessionSchema.index({ acceptedBy: 1 });
 sessionSchema.index({ rejectedBy: 1 });
+sessionSchema.index({ offeredTo: 1, status: 1 });
 sessionSchema.index({ cancelledBy: 1 });
 sessionSchema.index({ startTime: 1, endTime: 1 });
 sessionSchema.index({ status: 1, isActive: 1 });
 sessionSchema.index({ isActive: 1 });
+sessionSchema.index({ series: 1, startTime: 1 });
+sessionSchema.index({ 'rescheduleProposal.expiresAt': 1 }, { sparse: true });
+sessionSchema.index({ cancelledBy: 1, 'cancellationPolicy.late': 1, cancelledAt: -1 });
+sessionSchema.index({ 'cancellationReview.status': 1, cancelledAt: -1 });
 
 // Validation: Must have either focusOne OR cohort, but not both
 sessionSchema.pre('validate', function(next) {
@@ -184,91 +353,8 @@ sessionSchema.pre('validate', function(next) {
     return next(new Error('Session end time must be after start time'));
   }
 
-  // Validate that requested sessions are at least one day in advance (excluding Sundays and public holidays) and within 9 AM - 9 PM
-  if ((this.status === 'requested' || this.isNew) && this.startTime) {
-    const startDate = new Date(this.startTime);
-    const now = new Date();
-    const today = new Date(now);
-    today.setHours(0, 0, 0, 0);
-    
-    const sessionDay = new Date(startDate);
-    sessionDay.setHours(0, 0, 0, 0);
-    
-    // Check if session is on the same day (not allowed - must be at least one day in advance)
-    if (sessionDay.getTime() === today.getTime()) {
-      return next(new Error('Sessions must be scheduled at least one day in advance'));
-    }
-    
-    // Check if session is in the past
-    if (sessionDay < today) {
-      return next(new Error('Cannot schedule sessions in the past'));
-    }
-    
-    // Check if session is more than 1.5 weeks (10.5 days) in advance
-    // Calculate 10.5 days = 10 days + 12 hours
-    // Since we compare dates at midnight, we allow up to the 11th day (to account for sessions throughout that day)
-    const maxAllowedDate = new Date(today);
-    maxAllowedDate.setDate(today.getDate() + 11); // 11 days ahead to allow 10.5 days of booking window
-    maxAllowedDate.setHours(0, 0, 0, 0);
-    
-    if (sessionDay >= maxAllowedDate) {
-      return next(new Error('Sessions can only be scheduled up to 1.5 weeks (10.5 days) in advance'));
-    }
-    
-    // Check if session is on Sunday
-    if (startDate.getDay() === 0) {
-      return next(new Error('Sessions cannot be scheduled on Sundays'));
-    }
-    
-    // Note: Public holiday check is done in the controller since pre-save hooks
-    // cannot easily handle async operations with mongoose models
-    
-    // Check if session is on Saturday (restricted hours: 9 AM - 4 PM)
-    const isSaturday = startDate.getDay() === 6;
-    const startHour = startDate.getHours();
-    const startMinute = startDate.getMinutes();
-    
-    if (isSaturday) {
-      // Saturday: validate start time is between 9 AM and 3:15 PM (75 minutes before 4 PM)
-      if (startHour < 9 || (startHour > 15) || (startHour === 15 && startMinute > 15)) {
-        return next(new Error('On Saturdays, session start time must be between 9 AM and 3:15 PM'));
-      }
-    } else {
-      // Weekdays: validate start time is between 9 AM and 7:45 PM (75 minutes before 9 PM)
-      if (startHour < 9 || (startHour > 19) || (startHour === 19 && startMinute > 45)) {
-        return next(new Error('Session start time must be between 9 AM and 7:45 PM'));
-      }
-    }
-    
-    // Validate end time if provided
-    if (this.endTime) {
-      const endDate = new Date(this.endTime);
-      const endHour = endDate.getHours();
-      
-      // Use isSaturday from start date since sessions must start and end on the same day
-      if (isSaturday) {
-        // Saturday: validate end time is at most 4 PM
-        if (endHour < 9 || endHour > 16) {
-          return next(new Error('On Saturdays, session end time must be between 9 AM and 4 PM'));
-        }
-        
-        // If end time is 4 PM, ensure it's exactly 4 PM (not later)
-        if (endHour === 16 && endDate.getMinutes() > 0) {
-          return next(new Error('On Saturdays, session cannot extend beyond 4 PM'));
-        }
-      } else {
-        // Weekdays: validate end time is within 9 AM to 9 PM
-        if (endHour < 9 || endHour > 21) {
-          return next(new Error('Session end time must be between 9 AM and 9 PM'));
-        }
-        
-        // If end time is 9 PM, ensure it's exactly 9 PM (not later)
-        if (endHour === 21 && endDate.getMinutes() > 0) {
-          return next(new Error('Session cannot extend beyond 9 PM'));
-        }
-      }
-    }
-  }
+  // Booking rules (lead time, booking window, allowed days, working hours) live in the scheduling
+  // policy and are checked by schedulingPolicyService before sessions are created or moved
 
   // If status is accepted or scheduled, teacher must be assigned
   if ((this.status === 'accepted' || this.status === 'scheduled') && !this.teacher) {
@@ -278,6 +364,13 @@ sessionSchema.pre('validate', function(next) {
   next();
 });
 
+sessionSchema.pre('save', function(next) {
+  if (!this.isNew && this.isModified(['title', 'description', 'startTime', 'endTime', 'status', 'meetingLink'])) {
+    this.calendarSequence += 1;
+  }
+  next();
+});
+
 // Soft delete middleware
 sessionSchema.pre(/^find/, function sessionSoftDeleteFilter() {
   this.where({ deletedAt: null });
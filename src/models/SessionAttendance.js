@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const { ATTENDANCE_STATUSES } = require('../utils/constants');
+
+// One participant's attendance at one session
+const sessionAttendanceSchema = new mongoose.Schema({
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: Object.values(ATTENDANCE_STATUSES),
+    required: true
+  },
+  // 'join' when derived from the join link, 'teacher' once a teacher or admin has marked it,
+  // 'system' for absences recorded when a session completes without the participant joining
+  source: {
+    type: String,
+    enum: ['join', 'teacher', 'system'],
+    default: 'join'
+  },
+  joinedAt: {
+    type: Date,
+    default: null // First click-through to the meeting link
+  },
+  lastJoinedAt: {
+    type: Date,
+    default: null
+  },
+  joinCount: {
+    type: Number,
+    default: 0
+  },
+  leftAt: {
+    type: Date,
+    default: null
+  },
+  markedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  markedAt: {
+    type: Date,
+    default: null
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot be more than 500 characters'],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+sessionAttendanceSchema.index({ session: 1, user: 1 }, { unique: true });
+sessionAttendanceSchema.index({ user: 1, session: 1 });
+
+sessionAttendanceSchema.pre('validate', function(next) {
+  if (this.joinedAt && this.leftAt && this.leftAt < this.joinedAt) {
+    return next(new Error('Leave time cannot be before join time'));
+  }
+  next();
+});
+
+module.exports = mongoose.model('SessionAttendance', sessionAttendanceSchema);
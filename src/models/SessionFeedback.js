@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const { FEEDBACK, FEEDBACK_TAGS } = require('../utils/constants');
+
+// One student's rating of one completed session.
+// teacher and subject are copied from the session so ratings can be aggregated directly.
+const sessionFeedbackSchema = new mongoose.Schema({
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  teacher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  subject: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subject',
+    default: null
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Rating is required'],
+    min: [FEEDBACK.MIN_RATING, `Rating must be at least ${FEEDBACK.MIN_RATING}`],
+    max: [FEEDBACK.MAX_RATING, `Rating cannot be more than ${FEEDBACK.MAX_RATING}`],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Rating must be a whole number'
+    }
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Comment cannot be more than 1000 characters'],
+    default: null
+  },
+  tags: {
+    type: [{
+      type: String,
+      enum: FEEDBACK_TAGS
+    }],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+sessionFeedbackSchema.index({ session: 1, student: 1 }, { unique: true });
+sessionFeedbackSchema.index({ teacher: 1, subject: 1, createdAt: -1 });
+
+module.exports = mongoose.model('SessionFeedback', sessionFeedbackSchema);
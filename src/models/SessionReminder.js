@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+// A scheduled email: a reminder before one session, or a teacher's agenda digest for one day.
+// Kept in the database so reminders survive restarts and are sent exactly once.
+const sessionReminderSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['reminder', 'digest'],
+    required: true
+  },
+  // Reminders: the session and how long before its start the reminder goes out
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    default: null
+  },
+  offsetMinutes: {
+    type: Number,
+    default: null
+  },
+  sessionStartTime: {
+    type: Date,
+    default: null // Start time the reminder was scheduled for; a reschedule moves it
+  },
+  // Digests: the teacher and the institute-timezone day (YYYY-MM-DD) the agenda covers
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  digestDate: {
+    type: String,
+    default: null
+  },
+  sendAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'skipped', 'cancelled', 'failed'],
+    default: 'pending'
+  },
+  // Recipients already emailed, so a retry after a crash does not send twice
+  sentTo: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    default: []
+  },
+  claimedAt: {
+    type: Date,
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+sessionReminderSchema.index({ status: 1, sendAt: 1 });
+sessionReminderSchema.index(
+  { session: 1, offsetMinutes: 1 },
+  { unique: true, partialFilterExpression: { type: 'reminder' } }
+);
+sessionReminderSchema.index(
+  { recipient: 1, digestDate: 1 },
+  { unique: true, partialFilterExpression: { type: 'digest' } }
+);
+
+sessionReminderSchema.pre('validate', function(next) {
+  if (this.type === 'reminder' && (!this.session || !this.offsetMinutes)) {
+    return next(new Error('A session reminder needs a session and an offset'));
+  }
+  if (this.type === 'digest' && (!this.recipient || !this.digestDate)) {
+    return next(new Error('A digest needs a recipient and a date'));
+  }
+  next();
+});
+
+module.exports = mongoose.model('SessionReminder', sessionReminderSchema);
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const homeworkSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Homework title is required'],
+    trim: true,
+    maxlength: [200, 'Homework title cannot be more than 200 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Homework description cannot be more than 2000 characters'],
+    default: null
+  },
+  dueDate: {
+    type: Date,
+    default: null
+  }
+});
+
+// The teacher's report of what was taught in one session.
+// focusOne, cohort and subject are copied from the session so syllabus coverage can be rolled up directly.
+const sessionReportSchema = new mongoose.Schema({
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true
+  },
+  focusOne: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FocusOne',
+    default: null
+  },
+  cohort: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Cohort',
+    default: null
+  },
+  subject: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subject',
+    default: null
+  },
+  summary: {
+    type: String,
+    required: [true, 'Summary is required'],
+    trim: true,
+    maxlength: [5000, 'Summary cannot be more than 5000 characters']
+  },
+  chaptersCovered: {
+    type: [mongoose.Schema.Types.ObjectId],
+    ref: 'Chapter',
+    default: []
+  },
+  homework: {
+    type: [homeworkSchema],
+    default: []
+  },
+  // Private to the teacher who wrote the report and admins; never shown to students
+  adminNotes: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Admin notes cannot be more than 2000 characters'],
+    default: null
+  },
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+sessionReportSchema.index({ session: 1 }, { unique: true });
+sessionReportSchema.index({ focusOne: 1, subject: 1 });
+sessionReportSchema.index({ cohort: 1, subject: 1 });
+
+module.exports = mongoose.model('SessionReport', sessionReportSchema);
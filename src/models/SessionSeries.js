@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// When occurrences happen: the given weekdays between startDate and endDate, at a fixed time of day
+const recurrenceSchema = new mongoose.Schema({
+  daysOfWeek: {
+    type: [Number],
+    validate: {
+      validator: days => days.length > 0 && days.every(day => Number.isInteger(day) && day >= 0 && day <= 6),
+      message: 'Days of week must be between 0 (Sunday) and 6 (Saturday)'
+    },
+    required: true
+  },
+  startTime: {
+    type: String,
+    match: [TIME_OF_DAY, 'Start time must be in HH:mm format'],
+    required: true
+  },
+  endTime: {
+    type: String,
+    match: [TIME_OF_DAY, 'End time must be in HH:mm format'],
+    required: true
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  }
+}, { _id: false });
+
+const sessionSeriesSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Series title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot be more than 200 characters']
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // Like sessions, a series belongs to either a FocusOne or a Cohort
+  focusOne: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FocusOne',
+    default: null
+  },
+  cohort: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Cohort',
+    default: null
+  },
+  subject: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subject',
+    default: null
+  },
+  teacher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Teacher is required']
+  },
+  recurrence: {
+    type: recurrenceSchema,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+sessionSeriesSchema.index({ teacher: 1, status: 1 });
+sessionSeriesSchema.index({ focusOne: 1 });
+sessionSeriesSchema.index({ cohort: 1 });
+
+sessionSeriesSchema.pre('validate', function(next) {
+  const hasFocusOne = this.focusOne !== null && this.focusOne !== undefined;
+  const hasCohort = this.cohort !== null && this.cohort !== undefined;
+
+  if (hasFocusOne === hasCohort) {
+    return next(new Error('Session series must be associated with either a Focus One or a Cohort'));
+  }
+
+  const { recurrence } = this;
+  if (recurrence) {
+    if (recurrence.startTime && recurrence.endTime && recurrence.endTime <= recurrence.startTime) {
+      return next(new Error('Series end time must be after start time'));
+    }
+    if (recurrence.startDate && recurrence.endDate && recurrence.endDate < recurrence.startDate) {
+      return next(new Error('Series end date must not be before its start date'));
+    }
+  }
+
+  next();
+});
+
+// Soft delete middleware
+sessionSeriesSchema.pre(/^find/, function sessionSeriesSoftDeleteFilter() {
+  this.where({ deletedAt: null });
+});
+
+module.exports = mongoose.model('SessionSeries', sessionSeriesSchema);
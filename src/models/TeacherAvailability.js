@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// A stretch of an "HH:mm" day, in the institute's timezone
+const timeWindowFields = {
+  startTime: {
+    type: String,
+    match: [TIME_OF_DAY, 'Start time must be in HH:mm format'],
+    required: true
+  },
+  endTime: {
+    type: String,
+    match: [TIME_OF_DAY, 'End time must be in HH:mm format'],
+    required: true
+  }
+};
+
+const timeWindowSchema = new mongoose.Schema(timeWindowFields, { _id: false });
+
+const weeklyWindowSchema = new mongoose.Schema({
+  dayOfWeek: {
+    type: Number,
+    min: [0, 'Day of week must be between 0 (Sunday) and 6 (Saturday)'],
+    max: [6, 'Day of week must be between 0 (Sunday) and 6 (Saturday)'],
+    required: true
+  },
+  ...timeWindowFields
+}, { _id: false });
+
+// Replaces the weekly windows for one day; no windows means the teacher is off that day
+const dateOverrideSchema = new mongoose.Schema({
+  date: {
+    type: Date, // Start of the day in the institute's timezone
+    required: true
+  },
+  windows: {
+    type: [timeWindowSchema],
+    default: []
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reason cannot be more than 200 characters'],
+    default: null
+  }
+});
+
+const timeOffSchema = new mongoose.Schema({
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  endsAt: {
+    type: Date,
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reason cannot be more than 200 characters'],
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+});
+
+// When a teacher can take sessions; teachers without a document follow the institute working hours
+const teacherAvailabilitySchema = new mongoose.Schema({
+  teacher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  // Empty means every working day at the institute working hours
+  weeklyWindows: {
+    type: [weeklyWindowSchema],
+    default: []
+  },
+  overrides: {
+    type: [dateOverrideSchema],
+    default: []
+  },
+  timeOff: {
+    type: [timeOffSchema],
+    default: []
+  },
+  // Null means the institute-wide daily limit
+  maxSessionsPerDay: {
+    type: Number,
+    min: [1, 'Maximum sessions per day must be at least 1'],
+    default: null
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+const overlaps = windows => windows.some((window, index) =>
+  windows.some((other, otherIndex) =>
+    otherIndex !== index &&
+    (window.dayOfWeek === undefined || window.dayOfWeek === other.dayOfWeek) &&
+    window.startTime < other.endTime && other.startTime < window.endTime
+  )
+);
+
+teacherAvailabilitySchema.pre('validate', function(next) {
+  const allWindows = [
+    ...this.weeklyWindows,
+    ...this.overrides.flatMap(override => override.windows)
+  ];
+  if (allWindows.some(window => window.endTime <= window.startTime)) {
+    return next(new Error('Availability window end time must be after start time'));
+  }
+  if (overlaps(this.weeklyWindows) || this.overrides.some(override => overlaps(override.windows))) {
+    return next(new Error('Availability windows on the same day cannot overlap'));
+  }
+
+  const overrideDays = this.overrides.map(override => override.date.getTime());
+  if (new Set(overrideDays).size !== overrideDays.length) {
+    return next(new Error('Only one override is allowed per date'));
+  }
+
+  if (this.timeOff.some(block => block.endsAt <= block.startsAt)) {
+    return next(new Error('Time off must end after it starts'));
+  }
+  next();
+});
+
+module.exports = mongoose.model('TeacherAvailability', teacherAvailabilitySchema);
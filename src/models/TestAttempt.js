@@ -0,0 +1,305 @@
+const mongoose = require('mongoose');
+
+// Right-hand choice of a match-the-following question, under an id that only this attempt knows.
+// Students pair left options with choice ids, so the option ids never give the pairs away.
+const matchChoiceSchema = new mongoose.Schema({
+  option: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Option',
+    required: true
+  }
+});
+
+// Snapshot of a question as it was drawn for this attempt
+const attemptQuestionSchema = new mongoose.Schema({
+  question: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question',
+    required: true
+  },
+  chapter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chapter',
+    default: null
+  },
+  type: {
+    type: String,
+    default: 'single-correct'
+  },
+  difficulty: {
+    type: String,
+    default: null
+  },
+  marks: {
+    type: Number,
+    min: [0, 'Marks cannot be negative'],
+    default: 1
+  },
+  order: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  revision: {
+    type: Number,
+    default: null // QuestionRevision the student was shown; grading and review use it if the question changes later
+  },
+  optionOrder: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Option'
+    }],
+    default: [] // Display order of the options for this attempt
+  },
+  matchChoices: {
+    type: [matchChoiceSchema],
+    default: [] // Match-the-following only
+  }
+}, { _id: false });
+
+// Match-the-following pairing: the option (left) and the option whose matchText was picked for it (right)
+const matchSchema = new mongoose.Schema({
+  option: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Option',
+    required: true
+  },
+  matchedOption: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Option',
+    default: null
+  }
+}, { _id: false });
+
+const attemptAnswerSchema = new mongoose.Schema({
+  question: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question',
+    required: true
+  },
+  selectedOptions: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Option'
+    }],
+    default: []
+  },
+  numericValue: {
+    type: Number,
+    default: null
+  },
+  matches: {
+    type: [matchSchema],
+    default: []
+  },
+  timeSpentSeconds: {
+    type: Number,
+    min: [0, 'Time spent cannot be negative'],
+    default: 0 // Cumulative time on the question as reported by the client
+  },
+  answeredAt: {
+    type: Date,
+    default: () => new Date()
+  }
+}, { _id: false });
+
+// Per-question grading result, written on submission
+const scorecardEntrySchema = new mongoose.Schema({
+  question: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Question',
+    required: true
+  },
+  selectedOptions: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Option'
+    }],
+    default: []
+  },
+  correctOptions: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Option'
+    }],
+    default: []
+  },
+  type: {
+    type: String,
+    default: 'single-correct'
+  },
+  numericValue: {
+    type: Number,
+    default: null
+  },
+  numericAnswer: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null // Expected value and tolerance of a numeric question
+  },
+  matches: {
+    type: [matchSchema],
+    default: []
+  },
+  result: {
+    type: String,
+    enum: ['correct', 'partial', 'incorrect', 'unanswered'],
+    required: true
+  },
+  marksAwarded: {
+    type: Number,
+    default: 0 // Negative when the grading policy applies negative marking
+  },
+  maxMarks: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+const testAttemptSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  testSeries: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TestSeries',
+    required: true
+  },
+  enrollment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'UserTestSeries',
+    required: true
+  },
+  subject: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subject',
+    required: true
+  },
+  attemptNumber: {
+    type: Number,
+    min: [1, 'Attempt number must be at least 1'],
+    required: true
+  },
+  seed: {
+    type: String,
+    default: null // Seed the paper and option order were drawn with; regenerating with it reproduces them
+  },
+  status: {
+    type: String,
+    enum: ['in-progress', 'submitted'],
+    default: 'in-progress'
+  },
+  startedAt: {
+    type: Date,
+    default: () => new Date()
+  },
+  submittedAt: {
+    type: Date,
+    default: null
+  },
+  submissionType: {
+    type: String,
+    enum: ['manual', 'auto', null],
+    default: null // 'auto' when the server closed the attempt at its deadline
+  },
+  durationMinutes: {
+    type: Number,
+    min: [0, 'Duration cannot be negative'],
+    default: null // Copied from TestSeries.settings.totalDurationMinutes when the attempt starts
+  },
+  deadlineAt: {
+    type: Date,
+    default: null // Hard deadline; answer writes are rejected after it. Null for untimed series
+  },
+  lastSavedAt: {
+    type: Date,
+    default: null
+  },
+  questions: {
+    type: [attemptQuestionSchema],
+    default: []
+  },
+  answers: {
+    type: [attemptAnswerSchema],
+    default: []
+  },
+  scorecard: {
+    type: [scorecardEntrySchema],
+    default: []
+  },
+  result: {
+    marksObtained: {
+      type: Number,
+      default: null
+    },
+    totalMarks: {
+      type: Number,
+      default: null
+    },
+    percentage: {
+      type: Number,
+      default: null
+    },
+    correctCount: {
+      type: Number,
+      default: null
+    },
+    partialCount: {
+      type: Number,
+      default: null
+    },
+    incorrectCount: {
+      type: Number,
+      default: null
+    },
+    unansweredCount: {
+      type: Number,
+      default: null
+    },
+    passPercentage: {
+      type: Number,
+      default: null
+    },
+    passed: {
+      type: Boolean,
+      default: null // Null when the grading policy sets no pass mark
+    }
+  },
+  gradingPolicy: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null // Snapshot of TestSeries.settings.gradingPolicy the result was computed under
+  },
+  metadata: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+testAttemptSchema.index({ user: 1, testSeries: 1, subject: 1, attemptNumber: 1 }, { unique: true });
+testAttemptSchema.index({ testSeries: 1, status: 1 });
+testAttemptSchema.index({ user: 1, status: 1 });
+testAttemptSchema.index({ status: 1, deadlineAt: 1 });
+
+testAttemptSchema.pre(/^find/, function testAttemptSoftDeleteFilter() {
+  this.where({ deletedAt: null });
+});
+
+testAttemptSchema.methods.softDelete = function softDeleteTestAttempt() {
+  this.deletedAt = new Date();
+  return this.save();
+};
+
+testAttemptSchema.methods.restore = function restoreTestAttempt() {
+  this.deletedAt = null;
+  return this.save();
+};
+
+module.exports = mongoose.model('TestAttempt', testAttemptSchema);
@@ -1,5 +1,60 @@
 const mongoose = require('mongoose');
 
+const chapterWeightSchema = new mongoose.Schema({
+  chapter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chapter',
+    required: true
+  },
+  weight: {
+    type: Number,
+    min: [0, 'Chapter weight cannot be negative'],
+    required: true
+  }
+}, { _id: false });
+
+// How a paper is drawn from the question bank for a subject (see utils/paperGenerator.js)
+const paperBlueprintSchema = new mongoose.Schema({
+  questionCount: {
+    type: Number,
+    min: [1, 'A paper needs at least one question'],
+    required: [true, 'Question count is required']
+  },
+  difficultyMix: {
+    // Percentages of the paper per difficulty; all zero means no difficulty constraint
+    easy: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 0
+    },
+    medium: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 0
+    },
+    hard: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 0
+    }
+  },
+  chapterWeights: {
+    type: [chapterWeightSchema],
+    default: [] // Empty spreads the paper evenly across the subject's chapters
+  },
+  shuffleQuestions: {
+    type: Boolean,
+    default: true
+  },
+  shuffleOptions: {
+    type: Boolean,
+    default: true // When false options keep their Option.order
+  }
+}, { _id: false });
+
 const testSeriesSubjectSchema = new mongoose.Schema({
   subject: {
     type: mongoose.Schema.Types.ObjectId,
@@ -15,6 +70,10 @@ const testSeriesSubjectSchema = new mongoose.Schema({
     min: [0, 'Order cannot be negative'],
     default: 0
   },
+  blueprint: {
+    type: paperBlueprintSchema,
+    default: null // Without a blueprint every active question of the subject is used
+  },
   metadata: {
     type: Map,
     of: mongoose.Schema.Types.Mixed,
@@ -22,6 +81,70 @@ const testSeriesSubjectSchema = new mongoose.Schema({
   }
 }, { _id: false });
 
+const subjectPassMarkSchema = new mongoose.Schema({
+  subject: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subject',
+    required: true
+  },
+  percentage: {
+    type: Number,
+    min: [0, 'Pass mark cannot be below 0%'],
+    max: [100, 'Pass mark cannot exceed 100%'],
+    required: true
+  }
+}, { _id: false });
+
+// How attempts of this series are scored (see utils/testGrading.js)
+const gradingPolicySchema = new mongoose.Schema({
+  negativeMarking: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    fraction: {
+      type: Number,
+      min: [0, 'Negative marking fraction cannot be negative'],
+      max: [1, 'Negative marking fraction cannot exceed 1'],
+      default: 0, // Share of the question's marks deducted per wrong answer, e.g. 0.25 for -1/4
+      validate: {
+        // Document validation only: update validators run without the subdocument as `this`
+        validator: function validateNegativeMarkingFraction(value) {
+          return !(this.negativeMarking && this.negativeMarking.enabled) || value > 0;
+        },
+        message: 'Negative marking fraction is required when negative marking is enabled'
+      }
+    }
+  },
+  partialCredit: {
+    enabled: {
+      type: Boolean,
+      default: false // Proportional marks for multi-correct questions answered with a correct subset
+    }
+  },
+  passMark: {
+    percentage: {
+      type: Number,
+      min: [0, 'Pass mark cannot be below 0%'],
+      max: [100, 'Pass mark cannot exceed 100%'],
+      default: null
+    },
+    subjects: {
+      type: [subjectPassMarkSchema],
+      default: [] // Per-subject overrides of passMark.percentage
+    }
+  },
+  attemptScoring: {
+    type: String,
+    enum: ['latest', 'best'],
+    default: 'latest' // Which attempt counts when a subject is attempted more than once
+  },
+  allowNegativeTotal: {
+    type: Boolean,
+    default: false // When false a paper's total is floored at zero
+  }
+}, { _id: false });
+
 const testSeriesSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -70,9 +193,8 @@ const testSeriesSchema = new mongoose.Schema({
       default: null
     },
     gradingPolicy: {
-      type: String,
-      trim: true,
-      default: null
+      type: gradingPolicySchema,
+      default: () => ({})
     }
   },
   metadata: {
@@ -95,6 +217,24 @@ const testSeriesSchema = new mongoose.Schema({
 testSeriesSchema.index({ status: 1, isActive: 1 });
 testSeriesSchema.index({ isActive: 1 });
 
+// Series created before grading policies were structured stored settings.gradingPolicy as free text (or null).
+// Read those as the default policy, keeping the text in metadata.legacyGradingPolicy, so they cast and validate;
+// backfill:grading-policy persists the same conversion.
+testSeriesSchema.pre('init', function testSeriesLegacyGradingPolicy(raw) {
+  if (!raw || !raw.settings || !('gradingPolicy' in raw.settings)) {
+    return;
+  }
+  const { gradingPolicy } = raw.settings;
+  if (gradingPolicy !== null && typeof gradingPolicy === 'object') {
+    return;
+  }
+
+  if (typeof gradingPolicy === 'string' && gradingPolicy.trim()) {
+    raw.metadata = { ...(raw.metadata || {}), legacyGradingPolicy: gradingPolicy.trim() };
+  }
+  raw.settings.gradingPolicy = {};
+});
+
 testSeriesSchema.pre(/^find/, function testSeriesSoftDeleteFilter() {
   this.where({ deletedAt: null });
 });
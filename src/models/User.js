@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { isValidTimezone } = require('../utils/timezone');
 
 const enrollmentStatusEnum = ['pending', 'active', 'completed', 'withdrawn', 'cancelled'];
 
@@ -21,6 +22,12 @@ const focusOneEnrollmentSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Subject',
         required: true
+      },
+      // Hours purchased for the subject through this mapping; null = no quota
+      allowanceHours: {
+        type: Number,
+        min: [0, 'Allowance hours cannot be negative'],
+        default: null
       }
     }],
     default: [],
@@ -102,6 +109,16 @@ const userSchema = new mongoose.Schema({
     trim: true,
     maxlength: [50, 'City cannot be more than 50 characters']
   },
+  // IANA timezone times are shown in for this user; null falls back to the institute's timezone
+  timezone: {
+    type: String,
+    trim: true,
+    default: null,
+    validate: {
+      validator: value => value === null || isValidTimezone(value),
+      message: 'Please provide a valid IANA timezone (e.g. Asia/Kolkata)'
+    }
+  },
   email: {
     type: String,
     required: [true, 'Please provide an email'],
@@ -192,6 +209,12 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Secret in the user's calendar subscription (ICS feed) URL
+  calendarFeedToken: {
+    type: String,
+    default: null,
+    select: false
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -247,6 +270,11 @@ userSchema.pre('save', async function(next) {
   next();
 });
 
+userSchema.index(
+  { calendarFeedToken: 1 },
+  { unique: true, partialFilterExpression: { calendarFeedToken: { $type: 'string' } } }
+);
+
 // Update updatedAt on save
 userSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
@@ -11,15 +11,25 @@ const Subject = require('./Subject');
 const Chapter = require('./Chapter');
 const Question = require('./Question');
 const Option = require('./Option');
+const QuestionRevision = require('./QuestionRevision');
 const FocusOne = require('./FocusOne');
 const Cohort = require('./Cohort');
 const TestSeries = require('./TestSeries');
 const UserTestSeries = require('./UserTestSeries');
+const TestAttempt = require('./TestAttempt');
 const Book = require('./Book');
 const EmailPasscode = require('./EmailPasscode');
 const Lead = require('./Lead');
 const Session = require('./Session');
+const SessionSeries = require('./SessionSeries');
+const SessionAttendance = require('./SessionAttendance');
 const PublicHoliday = require('./PublicHoliday');
+const TeacherAvailability = require('./TeacherAvailability');
+const SchedulingPolicy = require('./SchedulingPolicy');
+const SessionReminder = require('./SessionReminder');
+const SessionReport = require('./SessionReport');
+const SessionFeedback = require('./SessionFeedback');
+const FocusOneHourEntry = require('./FocusOneHourEntry');
 
 // Export all models
 module.exports = {
@@ -31,15 +41,25 @@ module.exports = {
   Chapter,
   Question,
   Option,
+  QuestionRevision,
   FocusOne,
   Cohort,
   TestSeries,
   UserTestSeries,
+  TestAttempt,
   Book,
   EmailPasscode,
   Lead,
   Session,
-  PublicHoliday
+  SessionSeries,
+  SessionAttendance,
+  PublicHoliday,
+  TeacherAvailability,
+  SchedulingPolicy,
+  SessionReminder,
+  SessionReport,
+  SessionFeedback,
+  FocusOneHourEntry
 };
 
 // Alternative: You can also use individual exports
@@ -5,6 +5,7 @@ const {
   login,
   getMe,
   getMyEnrollment,
+  updateMyTimezone,
   googleLogin,
   verifyLoginPasscode,
   requestPasswordResetPasscode,
@@ -21,7 +22,8 @@ const {
   forgotPasswordRequestValidation,
   forgotPasswordVerifyValidation,
   forgotPasswordResetValidation,
-  setupPasswordValidation
+  setupPasswordValidation,
+  updateTimezoneValidation
 } = require('../validations/authValidation');
 const { validateRequest } = require('../middleware/validateRequest');
 const adminRoutes = require('../admin/routes');
@@ -316,6 +318,7 @@ router.post('/google', googleLoginValidation, validateRequest, googleLogin);
  * /api/v1/auth/me:
  *   get:
  *     summary: Get current logged in user
+ *     description: For students the profile includes `analytics` - test accuracy by subject, chapter and difficulty, time per question, score trends across attempts and weakest chapters.
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
@@ -359,6 +362,42 @@ router.get('/me', protect, getMe);
  */
 router.get('/me/enrollment', protect, getMyEnrollment);
 
+/**
+ * @swagger
+ * /api/v1/auth/me/timezone:
+ *   put:
+ *     summary: Set the current user's timezone
+ *     description: Session slot times are returned in this timezone. Send null to fall back to the institute timezone (INSTITUTE_TIMEZONE).
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - timezone
+ *             properties:
+ *               timezone:
+ *                 type: string
+ *                 nullable: true
+ *                 example: Asia/Dubai
+ *     responses:
+ *       200:
+ *         description: Timezone updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
+router.put('/me/timezone', protect, updateTimezoneValidation, validateRequest, updateMyTimezone);
+
 
 // Admin routes
 router.use('/admin', adminRoutes);
@@ -27,6 +27,30 @@ const { protect } = require('../middleware/auth');
  *         description: Unauthorized
  */
 router.get('/teacher/mine', protect, cohortController.getTeacherCohorts);
+
+/**
+ * @swagger
+ * /api/v1/cohorts/teacher/mine/{id}:
+ *   get:
+ *     summary: Get a Cohort for teacher
+ *     description: Includes `analytics` - test performance of the cohort's active students in the cohort's subjects, with a per-student breakdown.
+ *     tags: [Cohorts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Cohort retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Cohort not found
+ */
 router.get('/teacher/mine/:id', protect, cohortController.getTeacherCohortById);
 
 module.exports = router;
@@ -237,6 +237,30 @@ router.post('/:id/resume', protect, authorize('admin', 'super-admin'), focusOneC
  *         description: Unauthorized
  */
 router.get('/teacher/mine', protect, focusOneController.getTeacherFocusOnes);
+
+/**
+ * @swagger
+ * /api/v1/focus-ones/teacher/mine/{id}:
+ *   get:
+ *     summary: Get a Focus One assigned to the teacher
+ *     description: Includes `studentAnalytics` - the student's test performance in the subjects this teacher teaches in the Focus One.
+ *     tags: [Focus Ones]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Focus One retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Focus One not found or teacher not assigned
+ */
 router.get('/teacher/mine/:id', protect, focusOneController.getTeacherFocusOneById);
 
 module.exports = router;
@@ -18,6 +18,7 @@ const sessionRoutes = require('./sessionRoutes');
 const adminEnrollmentRoutes = require('../admin/enrollmentRoutes');
 const adminTeacherRoutes = require('../admin/teacherRoutes');
 const adminPublicHolidayRoutes = require('../admin/publicHolidayRoutes');
+const adminSchedulingPolicyRoutes = require('../admin/schedulingPolicyRoutes');
 
 // Mount routes
 router.use('/auth', authRoutes);
@@ -36,6 +37,7 @@ router.use('/sessions', sessionRoutes);
 router.use('/admin', adminEnrollmentRoutes);
 router.use('/admin/teachers', adminTeacherRoutes);
 router.use('/admin', adminPublicHolidayRoutes);
+router.use('/admin', adminSchedulingPolicyRoutes);
 
 module.exports = router;
 
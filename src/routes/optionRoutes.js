@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const optionController = require('../controllers/optionController');
+const { protect } = require('../middleware/auth');
 
 /**
  * @swagger
@@ -45,6 +46,8 @@ const optionController = require('../controllers/optionController');
  *   post:
  *     summary: Create options for a question
  *     tags: [Options]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: questionId
@@ -82,7 +85,7 @@ const optionController = require('../controllers/optionController');
  *       500:
  *         description: Internal server error
  */
-router.post('/question/:questionId', optionController.createOptions);
+router.post('/question/:questionId', protect, optionController.createOptions);
 
 /**
  * @swagger
@@ -112,6 +115,8 @@ router.get('/question/:questionId', optionController.getOptionsByQuestion);
  *   put:
  *     summary: Update an option
  *     tags: [Options]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: optionId
@@ -143,7 +148,7 @@ router.get('/question/:questionId', optionController.getOptionsByQuestion);
  *       500:
  *         description: Internal server error
  */
-router.put('/:optionId', optionController.updateOption);
+router.put('/:optionId', protect, optionController.updateOption);
 
 /**
  * @swagger
@@ -151,6 +156,8 @@ router.put('/:optionId', optionController.updateOption);
  *   delete:
  *     summary: Delete an option
  *     tags: [Options]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: optionId
@@ -167,7 +174,7 @@ router.put('/:optionId', optionController.updateOption);
  *       500:
  *         description: Internal server error
  */
-router.delete('/:optionId', optionController.deleteOption);
+router.delete('/:optionId', protect, optionController.deleteOption);
 
 /**
  * @swagger
@@ -175,6 +182,8 @@ router.delete('/:optionId', optionController.deleteOption);
  *   put:
  *     summary: Reorder options for a question
  *     tags: [Options]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: questionId
@@ -212,6 +221,6 @@ router.delete('/:optionId', optionController.deleteOption);
  *       500:
  *         description: Internal server error
  */
-router.put('/question/:questionId/reorder', optionController.reorderOptions);
+router.put('/question/:questionId/reorder', protect, optionController.reorderOptions);
 
 module.exports = router;
\ No newline at end of file
@@ -1,6 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const questionController = require('../controllers/questionController');
+const { protect, authorize, optionalAuth } = require('../middleware/auth');
+
+// CSV imports arrive as a raw text body; JSON imports use the app-wide JSON parser
+const csvBody = express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' });
 
 /**
  * @swagger
@@ -10,20 +14,38 @@ const questionController = require('../controllers/questionController');
  *       type: object
  *       required:
  *         - text
- *         - isCorrect
  *       properties:
  *         text:
  *           type: string
  *           description: The text of the option
  *         isCorrect:
  *           type: boolean
- *           description: Whether this option is correct
+ *           description: Whether this option is correct (option-based types)
+ *         matchText:
+ *           type: string
+ *           description: Right-hand item this option pairs with (match-the-following only)
+ *
+ *     NumericAnswer:
+ *       type: object
+ *       required:
+ *         - value
+ *       properties:
+ *         value:
+ *           type: number
+ *         tolerance:
+ *           type: number
+ *           default: 0
+ *         toleranceType:
+ *           type: string
+ *           enum: [absolute, percentage]
+ *           default: absolute
+ *         unit:
+ *           type: string
  *     
  *     Question:
  *       type: object
  *       required:
  *         - questionText
- *         - options
  *         - chapter
  *       properties:
  *         _id:
@@ -32,13 +54,17 @@ const questionController = require('../controllers/questionController');
  *         questionText:
  *           type: string
  *           description: The text of the question
+ *         type:
+ *           type: string
+ *           enum: [single-correct, multiple-correct, true-false, numeric, match-the-following]
+ *           default: single-correct
  *         options:
  *           type: array
  *           items:
  *             $ref: '#/components/schemas/Option'
- *           minItems: 2
- *           maxItems: 4
- *           description: Array of options for the question
+ *           description: "Options for the question: 2-4 (single-correct), 2-6 (multiple-correct), exactly 2 (true-false), 2-8 (match-the-following), none (numeric)"
+ *         numericAnswer:
+ *           $ref: '#/components/schemas/NumericAnswer'
  *         correctOptions:
  *           type: array
  *           items:
@@ -62,6 +88,33 @@ const questionController = require('../controllers/questionController');
  *         isActive:
  *           type: boolean
  *           description: Whether the question is active
+ *         status:
+ *           type: string
+ *           enum: [draft, in-review, approved, retired]
+ *           description: Editorial status; only approved questions are used in papers and shown to students
+ *         reviewer:
+ *           type: string
+ *           description: ID of the user assigned to review the question
+ *         reviewHistory:
+ *           type: array
+ *           description: Audit trail of every review transition
+ *           items:
+ *             type: object
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [created, submitted, reviewer-assigned, approved, rejected, retired, reopened, edited]
+ *               previousStatus:
+ *                 type: string
+ *               newStatus:
+ *                 type: string
+ *               performedBy:
+ *                 type: string
+ *               performedAt:
+ *                 type: string
+ *                 format: date-time
+ *               notes:
+ *                 type: string
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -75,7 +128,10 @@ const questionController = require('../controllers/questionController');
  * /api/questions:
  *   post:
  *     summary: Create a new question
+ *     description: Records revision 1 of the question, authored by the caller. New questions start as drafts and must be approved before they are used.
  *     tags: [Questions]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -84,28 +140,22 @@ const questionController = require('../controllers/questionController');
  *             type: object
  *             required:
  *               - questionText
- *               - options
  *               - chapter
  *             properties:
  *               questionText:
  *                 type: string
  *                 description: The text of the question
+ *               type:
+ *                 type: string
+ *                 enum: [single-correct, multiple-correct, true-false, numeric, match-the-following]
+ *                 default: single-correct
  *               options:
  *                 type: array
+ *                 description: Required for every type except numeric
  *                 items:
- *                   type: object
- *                   required:
- *                     - text
- *                     - isCorrect
- *                   properties:
- *                     text:
- *                       type: string
- *                       description: The text of the option
- *                     isCorrect:
- *                       type: boolean
- *                       description: Whether this option is correct
- *                 minItems: 2
- *                 maxItems: 4
+ *                   $ref: '#/components/schemas/Option'
+ *               numericAnswer:
+ *                 $ref: '#/components/schemas/NumericAnswer'
  *               explanation:
  *                 type: string
  *                 description: Explanation for the question
@@ -131,7 +181,7 @@ const questionController = require('../controllers/questionController');
  *       500:
  *         description: Internal server error
  */
-router.post('/', questionController.createQuestion);
+router.post('/', protect, questionController.createQuestion);
 
 /**
  * @swagger
@@ -177,17 +227,29 @@ router.post('/', questionController.createQuestion);
  *           enum: [easy, medium, hard]
  *         description: Filter by difficulty
  *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [single-correct, multiple-correct, true-false, numeric, match-the-following]
+ *         description: Filter by question type
+ *       - in: query
  *         name: isActive
  *         schema:
  *           type: boolean
  *         description: Filter by active status
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, in-review, approved, retired]
+ *         description: Filter by editorial status (staff only; other callers always get approved questions)
  *     responses:
  *       200:
  *         description: Questions retrieved successfully
  *       500:
  *         description: Internal server error
  */
-router.get('/', questionController.getAllQuestions);
+router.get('/', optionalAuth, questionController.getAllQuestions);
 
 /**
  * @swagger
@@ -214,6 +276,219 @@ router.get('/', questionController.getAllQuestions);
  */
 router.get('/stats', questionController.getQuestionStats);
 
+/**
+ * @swagger
+ * /api/questions/stats/items:
+ *   get:
+ *     summary: Item analysis per question from graded attempts
+ *     description: |
+ *       For each question - how often it was presented and answered, percent correct, a discrimination index
+ *       (mean item score of the top 27% of examinees minus the bottom 27%, ranked by paper percentage), how often
+ *       each option was picked and average time. Questions with enough responses are flagged too-easy, too-hard
+ *       or possibly-miskeyed (negative discrimination, or a distractor picked more often than the key).
+ *       Option keyedPicks counts picks graded correct under the revision each attempt was drawn with; options
+ *       since removed that students picked are listed with isActive false.
+ *       Flagged questions are listed first.
+ *     tags: [Questions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: chapter
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: subject
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: difficulty
+ *         schema:
+ *           type: string
+ *           enum: [easy, medium, hard]
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: flag
+ *         schema:
+ *           type: string
+ *           enum: [too-easy, too-hard, possibly-miskeyed]
+ *         description: Only return questions with this flag
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Item analysis retrieved successfully
+ *       400:
+ *         description: Invalid flag
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Admin access required
+ */
+router.get('/stats/items', protect, authorize('admin'), questionController.getItemAnalysis);
+
+/**
+ * @swagger
+ * /api/questions/import:
+ *   post:
+ *     summary: Import questions in bulk from CSV or JSON
+ *     description: |
+ *       CSV (Content-Type text/csv) uses the columns questionText, type, subject, chapter, difficulty, marks, explanation,
+ *       option1-option8, match1-match8, correctAnswer, tolerance, toleranceType, unit. The chapter column takes a chapter
+ *       name or ID; add a subject column when a chapter name exists in more than one subject. correctAnswer holds option
+ *       letters or numbers (e.g. "B" or "A;C"), true/false for true-false rows, or the value for numeric rows.
+ *       JSON accepts an array (or { questions: [...] }) of rows in either that flat shape or the createQuestion shape.
+ *       Nothing is saved unless every row is valid.
+ *     tags: [Questions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *         description: Validate every row and report per-row errors without saving
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *         application/json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               type: object
+ *     responses:
+ *       200:
+ *         description: Dry run report with per-row validation results
+ *       201:
+ *         description: Questions imported successfully
+ *       400:
+ *         description: One or more rows are invalid (per-row errors in details)
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Admin access required
+ */
+router.post('/import', protect, authorize('admin'), csvBody, questionController.importQuestions);
+
+/**
+ * @swagger
+ * /api/questions/export:
+ *   get:
+ *     summary: Export questions as CSV or JSON
+ *     description: Accepts the same filters as the question list. The CSV uses the import column layout so it can be edited and re-imported.
+ *     tags: [Questions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json]
+ *           default: json
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: chapter
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: subject
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: difficulty
+ *         schema:
+ *           type: string
+ *           enum: [easy, medium, hard]
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [single-correct, multiple-correct, true-false, numeric, match-the-following]
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Questions exported successfully
+ *       400:
+ *         description: Unsupported format
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Admin access required
+ */
+router.get('/export', protect, authorize('admin'), questionController.exportQuestions);
+
+/**
+ * @swagger
+ * /api/questions/review/queue:
+ *   get:
+ *     summary: Reviewer queue of questions awaiting review
+ *     description: Oldest review requests first. Admins see every queue; teachers see questions assigned to them.
+ *     tags: [Questions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: subject
+ *         schema:
+ *           type: string
+ *         description: Filter by subject ID
+ *       - in: query
+ *         name: chapter
+ *         schema:
+ *           type: string
+ *         description: Filter by chapter ID (takes precedence over subject)
+ *       - in: query
+ *         name: reviewer
+ *         schema:
+ *           type: string
+ *         description: "Admins only: a reviewer ID, 'me' or 'unassigned'"
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, in-review, approved, retired]
+ *           default: in-review
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Review queue retrieved successfully
+ *       400:
+ *         description: Invalid status
+ *       403:
+ *         description: Forbidden - Admin or teacher access required
+ */
+router.get('/review/queue', protect, authorize('admin', 'teacher'), questionController.getReviewQueue);
+
 /**
  * @swagger
  * /api/questions/{id}:
@@ -235,7 +510,7 @@ router.get('/stats', questionController.getQuestionStats);
  *       500:
  *         description: Internal server error
  */
-router.get('/:id', questionController.getQuestionById);
+router.get('/:id', optionalAuth, questionController.getQuestionById);
 
 /**
  * @swagger
@@ -272,10 +547,22 @@ router.get('/:id', questionController.getQuestionById);
  *           enum: [easy, medium, hard]
  *         description: Filter by difficulty
  *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [single-correct, multiple-correct, true-false, numeric, match-the-following]
+ *         description: Filter by question type
+ *       - in: query
  *         name: isActive
  *         schema:
  *           type: boolean
  *         description: Filter by active status
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, in-review, approved, retired]
+ *         description: Filter by editorial status (staff only; other callers always get approved questions)
  *     responses:
  *       200:
  *         description: Questions retrieved successfully
@@ -284,7 +571,7 @@ router.get('/:id', questionController.getQuestionById);
  *       500:
  *         description: Internal server error
  */
-router.get('/chapter/:chapterId', questionController.getQuestionsByChapter);
+router.get('/chapter/:chapterId', optionalAuth, questionController.getQuestionsByChapter);
 
 /**
  * @swagger
@@ -321,10 +608,22 @@ router.get('/chapter/:chapterId', questionController.getQuestionsByChapter);
  *           enum: [easy, medium, hard]
  *         description: Filter by difficulty
  *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [single-correct, multiple-correct, true-false, numeric, match-the-following]
+ *         description: Filter by question type
+ *       - in: query
  *         name: isActive
  *         schema:
  *           type: boolean
  *         description: Filter by active status
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, in-review, approved, retired]
+ *         description: Filter by editorial status (staff only; other callers always get approved questions)
  *     responses:
  *       200:
  *         description: Questions retrieved successfully
@@ -333,14 +632,17 @@ router.get('/chapter/:chapterId', questionController.getQuestionsByChapter);
  *       500:
  *         description: Internal server error
  */
-router.get('/subject/:subjectId', questionController.getQuestionsBySubject);
+router.get('/subject/:subjectId', optionalAuth, questionController.getQuestionsBySubject);
 
 /**
  * @swagger
  * /api/questions/{id}:
  *   put:
  *     summary: Update question
+ *     description: Every change is recorded as a new revision of the question, authored by the caller. Changing the text, explanation, type, options or numeric answer of an approved question sends it back to draft for review.
  *     tags: [Questions]
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -358,22 +660,16 @@ router.get('/subject/:subjectId', questionController.getQuestionsBySubject);
  *               questionText:
  *                 type: string
  *                 description: The text of the question
+ *               type:
+ *                 type: string
+ *                 enum: [single-correct, multiple-correct, true-false, numeric, match-the-following]
  *               options:
  *                 type: array
+ *                 description: Replaces the question's options. Type rules are re-checked against the updated question
  *                 items:
- *                   type: object
- *                   required:
- *                     - text
- *                     - isCorrect
- *                   properties:
- *                     text:
- *                       type: string
- *                       description: The text of the option
- *                     isCorrect:
- *                       type: boolean
- *                       description: Whether this option is correct
- *                 minItems: 2
- *                 maxItems: 4
+ *                   $ref: '#/components/schemas/Option'
+ *               numericAnswer:
+ *                 $ref: '#/components/schemas/NumericAnswer'
  *               explanation:
  *                 type: string
  *                 description: Explanation for the question
@@ -400,7 +696,254 @@ router.get('/subject/:subjectId', questionController.getQuestionsBySubject);
  *       500:
  *         description: Internal server error
  */
-router.put('/:id', questionController.updateQuestion);
+router.put('/:id', protect, questionController.updateQuestion);
+
+/**
+ * @swagger
+ * /api/questions/{id}/revisions:
+ *   get:
+ *     summary: List the revision history of a question
+ *     description: Newest first, with who made each change, when, and which fields changed. Snapshots are left out.
+ *     tags: [Questions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Question revisions retrieved successfully
+ *       403:
+ *         description: Forbidden - Admin or teacher access required
+ *       404:
+ *         description: Question not found
+ */
+router.get('/:id/revisions', protect, authorize('admin', 'teacher'), questionController.getQuestionRevisions);
+
+/**
+ * @swagger
+ * /api/questions/{id}/revisions/compare:
+ *   get:
+ *     summary: Diff two revisions of a question
+ *     tags: [Questions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: integer
+ *         description: Defaults to the latest revision
+ *     responses:
+ *       200:
+ *         description: Changed question fields, and options added, removed or changed
+ *       400:
+ *         description: Invalid revision numbers
+ *       403:
+ *         description: Forbidden - Admin or teacher access required
+ *       404:
+ *         description: Revision not found
+ */
+router.get('/:id/revisions/compare', protect, authorize('admin', 'teacher'), questionController.compareQuestionRevisions);
+
+/**
+ * @swagger
+ * /api/questions/{id}/revisions/{revision}:
+ *   get:
+ *     summary: Get one revision of a question with its full snapshot
+ *     tags: [Questions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: revision
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Question revision retrieved successfully
+ *       403:
+ *         description: Forbidden - Admin or teacher access required
+ *       404:
+ *         description: Revision not found
+ */
+router.get('/:id/revisions/:revision', protect, authorize('admin', 'teacher'), questionController.getQuestionRevision);
+
+/**
+ * @swagger
+ * /api/questions/{id}/revisions/{revision}/restore:
+ *   post:
+ *     summary: Restore a question and its options to a prior revision
+ *     description: Options from the revision come back under their original IDs; options added since are deleted. The restore is recorded as a new revision, and an approved question goes back to draft for review.
+ *     tags: [Questions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: revision
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Question restored
+ *       403:
+ *         description: Forbidden - Admin or teacher access required
+ *       404:
+ *         description: Question or revision not found
+ */
+router.post('/:id/revisions/:revision/restore', protect, authorize('admin', 'teacher'), questionController.restoreQuestionRevision);
+
+/**
+ * @swagger
+ * /api/questions/{id}/review/reviewer:
+ *   put:
+ *     summary: Assign or clear the reviewer of a question (admin)
+ *     tags: [Questions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reviewer:
+ *                 type: string
+ *                 nullable: true
+ *                 description: ID of an active teacher or admin; null clears the assignment
+ *     responses:
+ *       200:
+ *         description: Reviewer updated successfully
+ *       400:
+ *         description: Reviewer is not an active teacher or admin
+ *       403:
+ *         description: Forbidden - Admin access required
+ *       404:
+ *         description: Question not found
+ */
+router.put('/:id/review/reviewer', protect, authorize('admin'), questionController.assignQuestionReviewer);
+
+/**
+ * @swagger
+ * /api/questions/{id}/review/comments:
+ *   post:
+ *     summary: Add a review comment to a question
+ *     tags: [Questions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - body
+ *             properties:
+ *               body:
+ *                 type: string
+ *                 maxLength: 2000
+ *     responses:
+ *       201:
+ *         description: Comment added successfully
+ *       400:
+ *         description: Comment text is required
+ *       404:
+ *         description: Question not found
+ */
+router.post('/:id/review/comments', protect, authorize('admin', 'teacher'), questionController.addQuestionReviewComment);
+
+/**
+ * @swagger
+ * /api/questions/{id}/review/{action}:
+ *   post:
+ *     summary: Move a question through the review workflow
+ *     description: |
+ *       - submit: draft → in-review (optionally assigning a reviewer)
+ *       - approve: in-review → approved (assigned reviewer or admin)
+ *       - reject: in-review → draft (assigned reviewer or admin, comment required)
+ *       - retire: approved → retired (admin)
+ *       - reopen: retired → draft
+ *
+ *       Every transition is recorded in the question's review history.
+ *     tags: [Questions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: action
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [submit, approve, reject, retire, reopen]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               comment:
+ *                 type: string
+ *                 description: Added to the review comments and history; required to reject
+ *               reviewer:
+ *                 type: string
+ *                 description: Reviewer to assign when submitting
+ *     responses:
+ *       200:
+ *         description: Question status updated
+ *       400:
+ *         description: Unknown action or transition not allowed from the current status
+ *       403:
+ *         description: Caller may not perform this action
+ *       404:
+ *         description: Question not found
+ *       409:
+ *         description: The question was changed concurrently
+ */
+router.post('/:id/review/:action', protect, authorize('admin', 'teacher'), questionController.reviewQuestion);
 
 /**
  * @swagger
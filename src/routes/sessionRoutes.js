@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const sessionController = require('../controllers/sessionController');
 const { protect, authorize } = require('../middleware/auth');
-const { createSessionValidation, requestSessionValidation, updateSessionValidation, acceptSessionRequestValidation, rejectSessionRequestValidation, teacherScheduleSessionValidation, cancelSessionValidation, rescheduleSessionValidation } = require('../validations/sessionValidation');
+const { createSessionValidation, requestSessionValidation, updateSessionValidation, acceptSessionRequestValidation, rejectSessionRequestValidation, teacherScheduleSessionValidation, cancelSessionValidation, rescheduleSessionValidation, acceptRescheduleValidation, declineRescheduleValidation, createSessionSeriesValidation, updateSeriesOccurrencesValidation, cancelSeriesOccurrencesValidation, markAttendanceValidation, attendanceReportValidation, saveSessionReportValidation, sessionFeedbackValidation, teacherFeedbackValidation, flaggedCancellationsValidation, reviewCancellationValidation, updateTeacherAvailabilityValidation, setAvailabilityOverrideValidation, addTimeOffValidation, teacherAvailabilityRangeValidation } = require('../validations/sessionValidation');
 const { validateRequest } = require('../middleware/validateRequest');
 
 /**
@@ -63,6 +63,8 @@ const { validateRequest } = require('../middleware/validateRequest');
  *         description: Unauthorized
  *       403:
  *         description: Forbidden - Admin access required
+ *       409:
+ *         description: A student is already booked into another session at this time (conflicts listed in error.details.conflicts)
  */
 router.post('/', protect, authorize('admin'), createSessionValidation, validateRequest, sessionController.createSession);
 
@@ -96,6 +98,11 @@ router.post('/', protect, authorize('admin'), createSessionValidation, validateR
  *         schema:
  *           type: string
  *       - in: query
+ *         name: series
+ *         schema:
+ *           type: string
+ *         description: Only occurrences of this recurring series
+ *       - in: query
  *         name: status
  *         schema:
  *           type: string
@@ -198,9 +205,11 @@ router.get('/deleted', protect, authorize('admin'), sessionController.getDeleted
  *       201:
  *         description: Session request created successfully
  *       400:
- *         description: Bad request
+ *         description: Bad request, or not enough Focus One hours left for the subject (SES_8715, balance in error.details)
  *       401:
  *         description: Unauthorized
+ *       409:
+ *         description: A student is already booked into another session at this time (conflicts listed in error.details.conflicts)
  */
 router.post('/request', protect, requestSessionValidation, validateRequest, sessionController.requestSession);
 
@@ -209,6 +218,10 @@ router.post('/request', protect, requestSessionValidation, validateRequest, sess
  * /api/v1/sessions/available-slots:
  *   get:
  *     summary: Get available time slots for a subject on a specific date
+ *     description: |
+ *       `date` is a calendar day in the institute timezone (INSTITUTE_TIMEZONE), where working hours and day rules apply.
+ *       Slot `startTime`/`endTime` are ISO 8601 with an explicit offset in the caller's timezone (e.g. `2026-10-20T09:00:00+05:30`),
+ *       falling back to the institute timezone; `timezone` in the response names the zone used.
  *     tags: [Sessions]
  *     security:
  *       - bearerAuth: []
@@ -239,6 +252,41 @@ router.post('/request', protect, requestSessionValidation, validateRequest, sess
  *     responses:
  *       200:
  *         description: Available slots retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     date:
+ *                       type: string
+ *                       format: date
+ *                     timezone:
+ *                       type: string
+ *                       example: Asia/Kolkata
+ *                     instituteTimezone:
+ *                       type: string
+ *                     availableSlots:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           startTime:
+ *                             type: string
+ *                             example: '2026-10-20T09:00:00+05:30'
+ *                           endTime:
+ *                             type: string
+ *                             example: '2026-10-20T10:15:00+05:30'
+ *                           startTimeFormatted:
+ *                             type: string
+ *                           endTimeFormatted:
+ *                             type: string
+ *                     totalSlots:
+ *                       type: integer
+ *                     slotDurationMinutes:
+ *                       type: integer
  *       400:
  *         description: Bad request
  *       401:
@@ -267,7 +315,7 @@ router.get('/available-slots', protect, sessionController.getAvailableSlots);
  *         name: status
  *         schema:
  *           type: string
- *           enum: [requested, accepted, rejected, scheduled]
+ *           enum: [requested, accepted, rejected, scheduled, expired]
  *     responses:
  *       200:
  *         description: Session requests retrieved successfully
@@ -325,53 +373,127 @@ router.get('/teacher/requests', protect, sessionController.getTeacherSessionRequ
  *         description: Unauthorized
  *       403:
  *         description: Forbidden
+ *       409:
+ *         description: The student is already booked into another session at this time (conflicts listed in error.details.conflicts)
  */
 router.post('/teacher/schedule', protect, teacherScheduleSessionValidation, validateRequest, sessionController.teacherScheduleSession);
 
 /**
  * @swagger
- * /api/v1/sessions/{id}/accept:
+ * /api/v1/sessions/series:
  *   post:
- *     summary: Accept a session request (Teacher endpoint)
+ *     summary: Create a recurring session series (Teacher or Admin endpoint)
+ *     description: |
+ *       Expands the series into scheduled sessions, e.g. every Mon/Wed/Fri 10:00-11:15 for 8 weeks.
+ *       Public holidays are skipped. Occurrences the teacher is not available for, that break the
+ *       scheduling rules, or that clash with a student's other sessions are not created and are listed
+ *       under `conflicts` (student clashes with their `studentConflicts`). Teachers schedule their own
+ *       series; admins must name the teacher.
  *     tags: [Sessions]
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
  *     requestBody:
- *       required: false
+ *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
+ *             required:
+ *               - title
+ *               - daysOfWeek
+ *               - startTime
+ *               - endTime
+ *               - startDate
  *             properties:
- *               meetingLink:
+ *               title:
  *                 type: string
- *                 format: uri
- *               meetingPlatform:
+ *                 maxLength: 200
+ *               description:
  *                 type: string
- *                 enum: [jitsi-meet]
+ *               focusOne:
+ *                 type: string
+ *                 format: objectId
+ *               cohort:
+ *                 type: string
+ *                 format: objectId
+ *               subject:
+ *                 type: string
+ *                 format: objectId
+ *               teacher:
+ *                 type: string
+ *                 format: objectId
+ *                 description: Required for admins; teachers always schedule for themselves
+ *               daysOfWeek:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                   minimum: 0
+ *                   maximum: 6
+ *                 description: 0 = Sunday ... 6 = Saturday; days the scheduling policy does not allow are rejected
+ *                 example: [1, 3, 5]
+ *               startTime:
+ *                 type: string
+ *                 example: "10:00"
+ *               endTime:
+ *                 type: string
+ *                 example: "11:15"
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Last day of the series (inclusive); give this or weeks
+ *               weeks:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 52
  *     responses:
- *       200:
- *         description: Session request accepted successfully
+ *       201:
+ *         description: Series created; the response lists the created sessions, skipped holidays and conflicts
  *       400:
- *         description: Bad request
+ *         description: Bad request, or none of the occurrences can be scheduled
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Forbidden
  */
-router.post('/:id/accept', protect, acceptSessionRequestValidation, validateRequest, sessionController.acceptSessionRequest);
+router.post('/series', protect, authorize('admin', 'teacher'), createSessionSeriesValidation, validateRequest, sessionController.createSessionSeries);
 
 /**
  * @swagger
- * /api/v1/sessions/{id}/reject:
- *   post:
- *     summary: Reject a session request (Teacher endpoint)
+ * /api/v1/sessions/series/{seriesId}:
+ *   get:
+ *     summary: Get a session series with its occurrences (Teacher or Admin endpoint)
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: seriesId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session series retrieved successfully
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Session series not found
+ */
+router.get('/series/:seriesId', protect, authorize('admin', 'teacher'), sessionController.getSessionSeriesById);
+
+/**
+ * @swagger
+ * /api/v1/sessions/{id}/series:
+ *   put:
+ *     summary: Edit occurrences of a recurring series (Teacher or Admin endpoint)
+ *     description: |
+ *       `scope` picks the occurrences: `this` (only this session), `following` (this and every later open
+ *       occurrence) or `all` (every open occurrence that has not started). Times are given as HH:mm and
+ *       keep each occurrence on its own date. Occurrences that would conflict, including with a student's
+ *       other sessions, are left unchanged and listed under `conflicts`.
  *     tags: [Sessions]
  *     security:
  *       - bearerAuth: []
@@ -381,23 +503,47 @@ router.post('/:id/accept', protect, acceptSessionRequestValidation, validateRequ
  *         required: true
  *         schema:
  *           type: string
+ *         description: ID of an occurrence in the series
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - scope
+ *             properties:
+ *               scope:
+ *                 type: string
+ *                 enum: [this, following, all]
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               startTime:
+ *                 type: string
+ *                 example: "10:30"
+ *               endTime:
+ *                 type: string
+ *                 example: "11:45"
  *     responses:
  *       200:
- *         description: Session request rejected
+ *         description: Occurrences updated; conflicts are reported
  *       400:
- *         description: Bad request
- *       401:
- *         description: Unauthorized
+ *         description: Bad request or session is not part of a series
  *       403:
  *         description: Forbidden
+ *       404:
+ *         description: Session or series not found
  */
-router.post('/:id/reject', protect, sessionController.rejectSessionRequest);
+router.put('/:id/series', protect, authorize('admin', 'teacher'), updateSeriesOccurrencesValidation, validateRequest, sessionController.updateSeriesOccurrences);
 
 /**
  * @swagger
- * /api/v1/sessions/{id}/cancel:
+ * /api/v1/sessions/{id}/series/cancel:
  *   post:
- *     summary: Cancel a session (Student or Teacher endpoint)
+ *     summary: Cancel occurrences of a recurring series (Teacher or Admin endpoint)
+ *     description: Cancelling with scope `all` also closes the series. Each occurrence goes through the cancellation policy and records the cancellationPolicy applied; the teacher's late cancellations are flagged for admin review.
  *     tags: [Sessions]
  *     security:
  *       - bearerAuth: []
@@ -407,6 +553,7 @@ router.post('/:id/reject', protect, sessionController.rejectSessionRequest);
  *         required: true
  *         schema:
  *           type: string
+ *         description: ID of an occurrence in the series
  *     requestBody:
  *       required: true
  *       content:
@@ -414,35 +561,225 @@ router.post('/:id/reject', protect, sessionController.rejectSessionRequest);
  *           schema:
  *             type: object
  *             required:
+ *               - scope
  *               - reason
  *             properties:
+ *               scope:
+ *                 type: string
+ *                 enum: [this, following, all]
  *               reason:
  *                 type: string
  *                 minLength: 10
  *                 maxLength: 500
  *     responses:
  *       200:
- *         description: Session cancelled successfully
+ *         description: Occurrences cancelled
  *       400:
- *         description: Bad request
- *       401:
- *         description: Unauthorized
+ *         description: Bad request or session is not part of a series
  *       403:
  *         description: Forbidden
+ *       404:
+ *         description: Session or series not found
  */
-router.post('/:id/cancel', protect, cancelSessionValidation, validateRequest, sessionController.cancelSession);
+router.post('/:id/series/cancel', protect, authorize('admin', 'teacher'), cancelSeriesOccurrencesValidation, validateRequest, sessionController.cancelSeriesOccurrences);
 
 /**
  * @swagger
- * /api/v1/sessions/{id}/reschedule:
+ * /api/v1/sessions/attendance/students/{userId}:
+ *   get:
+ *     summary: Attendance report for a student over a date range
+ *     description: |
+ *       Covers the student's Focus One and cohort sessions that have started. Sessions without an attendance
+ *       record count as absent; excused sessions are left out of the percentage. Students can only view
+ *       their own report.
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Defaults to 30 days before `to`
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Defaults to now
+ *       - in: query
+ *         name: subject
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: minimumPercent
+ *         schema:
+ *           type: number
+ *           default: 75
+ *         description: Minimum attendance used for the meetsMinimum flags
+ *     responses:
+ *       200:
+ *         description: Attendance report retrieved successfully
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: User not found
+ */
+router.get('/attendance/students/:userId', protect, attendanceReportValidation, validateRequest, sessionController.getStudentAttendanceReport);
+
+/**
+ * @swagger
+ * /api/v1/sessions/attendance/cohorts/{cohortId}:
+ *   get:
+ *     summary: Attendance report for a cohort over a date range (Teacher or Admin endpoint)
+ *     description: Per-student attendance percentages for the cohort's sessions, the cohort average and the students below the minimum.
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: cohortId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Defaults to 30 days before `to`
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Defaults to now
+ *       - in: query
+ *         name: subject
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: minimumPercent
+ *         schema:
+ *           type: number
+ *           default: 75
+ *         description: Minimum attendance used for the meetsMinimum flags
+ *     responses:
+ *       200:
+ *         description: Cohort attendance report retrieved successfully
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Cohort not found
+ */
+router.get('/attendance/cohorts/:cohortId', protect, authorize('admin', 'teacher'), attendanceReportValidation, validateRequest, sessionController.getCohortAttendanceReport);
+
+/**
+ * @swagger
+ * /api/v1/sessions/availability/teachers/{teacherId}:
+ *   get:
+ *     summary: Get a teacher's availability (Teacher or Admin endpoint)
+ *     description: |
+ *       Weekly windows, date overrides, time off and daily session limit, plus the windows that apply on each day of the range.
+ *       Teachers can only see their own availability. Times are in the institute timezone.
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: teacherId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Defaults to today
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Defaults to the end of the booking window (at most 62 days after from)
+ *     responses:
+ *       200:
+ *         description: Teacher availability retrieved successfully
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Teacher not found
+ *   put:
+ *     summary: Set a teacher's weekly windows and daily session limit (Teacher or Admin endpoint)
+ *     description: |
+ *       Replaces the weekly windows. An empty list goes back to the institute working hours; days without a window are days off.
+ *       Windows are clipped to the institute working hours. A null maxSessionsPerDay uses the institute-wide limit.
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: teacherId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               weeklyWindows:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     dayOfWeek:
+ *                       type: integer
+ *                       minimum: 0
+ *                       maximum: 6
+ *                     startTime:
+ *                       type: string
+ *                       example: '10:00'
+ *                     endTime:
+ *                       type: string
+ *                       example: '14:00'
+ *               maxSessionsPerDay:
+ *                 type: integer
+ *                 nullable: true
+ *                 minimum: 1
+ *                 maximum: 4
+ *     responses:
+ *       200:
+ *         description: Teacher availability updated successfully
+ *       400:
+ *         description: Invalid or overlapping windows
+ *       403:
+ *         description: Forbidden
+ */
+router.get('/availability/teachers/:teacherId', protect, authorize('admin', 'teacher'), teacherAvailabilityRangeValidation, validateRequest, sessionController.getTeacherAvailability);
+router.put('/availability/teachers/:teacherId', protect, authorize('admin', 'teacher'), updateTeacherAvailabilityValidation, validateRequest, sessionController.updateTeacherAvailability);
+
+/**
+ * @swagger
+ * /api/v1/sessions/availability/teachers/{teacherId}/overrides:
  *   post:
- *     summary: Reschedule a session (Student or Teacher endpoint)
+ *     summary: Set a teacher's windows for one date (Teacher or Admin endpoint)
+ *     description: Replaces the weekly windows on that date and any earlier override for it. No windows marks the day off.
  *     tags: [Sessions]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: id
+ *         name: teacherId
  *         required: true
  *         schema:
  *           type: string
@@ -453,26 +790,869 @@ router.post('/:id/cancel', protect, cancelSessionValidation, validateRequest, se
  *           schema:
  *             type: object
  *             required:
- *               - startTime
- *               - endTime
+ *               - date
  *             properties:
- *               startTime:
+ *               date:
  *                 type: string
- *                 format: date-time
- *               endTime:
+ *                 format: date
+ *               windows:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     startTime:
+ *                       type: string
+ *                     endTime:
+ *                       type: string
+ *               reason:
  *                 type: string
- *                 format: date-time
  *     responses:
  *       200:
- *         description: Session rescheduled successfully
+ *         description: Availability override saved successfully
  *       400:
- *         description: Bad request
- *       401:
- *         description: Unauthorized
+ *         description: Invalid or overlapping windows
  *       403:
  *         description: Forbidden
  */
-router.post('/:id/reschedule', protect, rescheduleSessionValidation, validateRequest, sessionController.rescheduleSession);
+router.post('/availability/teachers/:teacherId/overrides', protect, authorize('admin', 'teacher'), setAvailabilityOverrideValidation, validateRequest, sessionController.setTeacherAvailabilityOverride);
+
+/**
+ * @swagger
+ * /api/v1/sessions/availability/teachers/{teacherId}/overrides/{overrideId}:
+ *   delete:
+ *     summary: Remove a date override (Teacher or Admin endpoint)
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: teacherId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: overrideId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Availability override removed successfully
+ *       404:
+ *         description: Override not found
+ */
+router.delete('/availability/teachers/:teacherId/overrides/:overrideId', protect, authorize('admin', 'teacher'), sessionController.removeTeacherAvailabilityOverride);
+
+/**
+ * @swagger
+ * /api/v1/sessions/availability/teachers/{teacherId}/time-off:
+ *   post:
+ *     summary: Add time off for a teacher (Teacher or Admin endpoint)
+ *     description: No slots are offered and no sessions can be booked with the teacher during time off. Sessions already booked in the period are returned as conflictingSessions.
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: teacherId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - startsAt
+ *               - endsAt
+ *             properties:
+ *               startsAt:
+ *                 type: string
+ *                 format: date-time
+ *               endsAt:
+ *                 type: string
+ *                 format: date-time
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Time off added successfully
+ *       403:
+ *         description: Forbidden
+ */
+router.post('/availability/teachers/:teacherId/time-off', protect, authorize('admin', 'teacher'), addTimeOffValidation, validateRequest, sessionController.addTeacherTimeOff);
+
+/**
+ * @swagger
+ * /api/v1/sessions/availability/teachers/{teacherId}/time-off/{timeOffId}:
+ *   delete:
+ *     summary: Remove a time-off block (Teacher or Admin endpoint)
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: teacherId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: timeOffId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Time off removed successfully
+ *       404:
+ *         description: Time off not found
+ */
+router.delete('/availability/teachers/:teacherId/time-off/:timeOffId', protect, authorize('admin', 'teacher'), sessionController.removeTeacherTimeOff);
+
+/**
+ * @swagger
+ * /api/v1/sessions/coverage/focus-ones/{focusOneId}:
+ *   get:
+ *     summary: Syllabus coverage of a Focus One (Teacher or Admin endpoint)
+ *     description: For each mapped subject, every active chapter and whether a session report has covered it.
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: focusOneId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Focus One syllabus coverage retrieved successfully
+ *       404:
+ *         description: Focus One not found
+ */
+router.get('/coverage/focus-ones/:focusOneId', protect, authorize('admin', 'teacher'), sessionController.getFocusOneCoverage);
+
+/**
+ * @swagger
+ * /api/v1/sessions/coverage/cohorts/{cohortId}:
+ *   get:
+ *     summary: Syllabus coverage of a cohort (Teacher or Admin endpoint)
+ *     description: |
+ *       Chapter coverage for each active cohort subject, plus each enrolled student's coverage counting only
+ *       the reported sessions they attended (present or late).
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: cohortId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Cohort syllabus coverage retrieved successfully
+ *       404:
+ *         description: Cohort not found
+ */
+router.get('/coverage/cohorts/:cohortId', protect, authorize('admin', 'teacher'), sessionController.getCohortCoverage);
+
+/**
+ * @swagger
+ * /api/v1/sessions/feedback/teachers/{teacherId}:
+ *   get:
+ *     summary: A teacher's anonymized student feedback (Teacher or Admin endpoint)
+ *     description: |
+ *       Rating summary, tag counts and comments without the student or session; dates are reduced to the month.
+ *       Teachers can only see their own. Defaults to the last 180 days.
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: teacherId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: subject
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Teacher feedback retrieved successfully
+ *       403:
+ *         description: Forbidden
+ */
+router.get('/feedback/teachers/:teacherId', protect, authorize('admin', 'teacher'), teacherFeedbackValidation, validateRequest, sessionController.getTeacherFeedback);
+
+/**
+ * @swagger
+ * /api/v1/sessions/cancellations/flagged:
+ *   get:
+ *     summary: Teachers' late cancellations flagged for review (Admin endpoint)
+ *     description: Sessions a teacher cancelled with less notice than the policy's lateCancellationNoticeHours, most recent first, with the policy that was applied.
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, reviewed]
+ *           default: pending
+ *       - in: query
+ *         name: teacher
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Flagged cancellations retrieved successfully
+ */
+router.get('/cancellations/flagged', protect, authorize('admin'), flaggedCancellationsValidation, validateRequest, sessionController.getFlaggedCancellations);
+
+/**
+ * @swagger
+ * /api/v1/sessions/calendar/subscription:
+ *   get:
+ *     summary: Get the current user's calendar subscription URLs
+ *     description: |
+ *       Returns a private iCalendar feed URL of the user's sessions for Google, Outlook or Apple Calendar.
+ *       The feed token is created on first use; anyone holding the URL can read the feed.
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Calendar subscription retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 feedUrl:
+ *                   type: string
+ *                   example: https://api.skyprepaero.com/api/v1/sessions/calendar/feed/3f2a....ics
+ *                 webcalUrl:
+ *                   type: string
+ *                   example: webcal://api.skyprepaero.com/api/v1/sessions/calendar/feed/3f2a....ics
+ */
+router.get('/calendar/subscription', protect, sessionController.getCalendarSubscription);
+
+/**
+ * @swagger
+ * /api/v1/sessions/calendar/subscription/reset:
+ *   post:
+ *     summary: Replace the current user's calendar feed token
+ *     description: The previous feed URL stops working; calendars subscribed to it must subscribe again.
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Calendar subscription reset successfully
+ */
+router.post('/calendar/subscription/reset', protect, sessionController.resetCalendarSubscription);
+
+/**
+ * @swagger
+ * /api/v1/sessions/calendar/feed/{token}.ics:
+ *   get:
+ *     summary: iCalendar feed of a user's sessions
+ *     description: |
+ *       Public endpoint for calendar apps, authorized by the token in the URL. Lists scheduled, ongoing
+ *       and completed sessions from 90 days ago to 180 days ahead with stable UIDs.
+ *     tags: [Sessions]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: iCalendar feed
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Calendar feed not found
+ */
+router.get('/calendar/feed/:token.ics', sessionController.getCalendarFeed);
+
+/**
+ * @swagger
+ * /api/v1/sessions/{id}/join:
+ *   post:
+ *     summary: Join a session (Student endpoint)
+ *     description: |
+ *       Records the student's click-through and returns the meeting link to open. Joining opens 15 minutes
+ *       before the start and closes at the end; the first join more than 10 minutes after the start
+ *       is recorded as late.
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Meeting link and the student's attendance record
+ *       400:
+ *         description: Session cannot be joined right now
+ *       403:
+ *         description: Not a participant of this session
+ */
+router.post('/:id/join', protect, sessionController.joinSession);
+
+/**
+ * @swagger
+ * /api/v1/sessions/{id}/leave:
+ *   post:
+ *     summary: Record leaving a session (Student endpoint)
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Leave time recorded
+ *       400:
+ *         description: The student has not joined this session
+ */
+router.post('/:id/leave', protect, sessionController.leaveSession);
+
+/**
+ * @swagger
+ * /api/v1/sessions/{id}/attendance:
+ *   get:
+ *     summary: Attendance roster of a session (Teacher or Admin endpoint)
+ *     description: Every participant with their attendance record (null when not marked yet) and counts per status.
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session attendance retrieved successfully
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Session not found
+ *   put:
+ *     summary: Mark attendance for session participants (Teacher or Admin endpoint)
+ *     description: Present, late and absent can be marked once the session has started; excused at any time. Marked statuses are not changed by later joins.
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - records
+ *             properties:
+ *               records:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - user
+ *                     - status
+ *                   properties:
+ *                     user:
+ *                       type: string
+ *                     status:
+ *                       type: string
+ *                       enum: [present, late, absent, excused]
+ *                     notes:
+ *                       type: string
+ *                       maxLength: 500
+ *                     joinedAt:
+ *                       type: string
+ *                       format: date-time
+ *                     leftAt:
+ *                       type: string
+ *                       format: date-time
+ *     responses:
+ *       200:
+ *         description: Attendance marked successfully
+ *       400:
+ *         description: Bad request or a user is not a participant
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Session not found
+ */
+router.get('/:id/attendance', protect, sessionController.getSessionAttendance);
+router.put('/:id/attendance', protect, markAttendanceValidation, validateRequest, sessionController.markSessionAttendance);
+
+/**
+ * @swagger
+ * /api/v1/sessions/{id}/report:
+ *   get:
+ *     summary: Get a session's report
+ *     description: |
+ *       The session teacher and admins see the full report. Participating students get a read-only view
+ *       without adminNotes.
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session report retrieved successfully
+ *       403:
+ *         description: Not the session teacher, an admin or a participant
+ *       404:
+ *         description: Session or report not found
+ *   put:
+ *     summary: Create or update a session's report (Teacher or Admin endpoint)
+ *     description: |
+ *       Can be written once the session is ongoing or completed. Chapters must be active chapters of the
+ *       session's subject; they feed the syllabus coverage views.
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - summary
+ *             properties:
+ *               summary:
+ *                 type: string
+ *                 maxLength: 5000
+ *               chaptersCovered:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               homework:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - title
+ *                   properties:
+ *                     title:
+ *                       type: string
+ *                       maxLength: 200
+ *                     description:
+ *                       type: string
+ *                       maxLength: 2000
+ *                     dueDate:
+ *                       type: string
+ *                       format: date-time
+ *               adminNotes:
+ *                 type: string
+ *                 maxLength: 2000
+ *                 description: Private; only the teacher and admins can read it
+ *     responses:
+ *       200:
+ *         description: Session report saved successfully
+ *       400:
+ *         description: Validation error, invalid chapters or the session has not started
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Session not found
+ */
+/**
+ * @swagger
+ * /api/v1/sessions/{id}/feedback:
+ *   post:
+ *     summary: Rate a completed session (Student endpoint)
+ *     description: |
+ *       Participating students who attended can rate a completed session for 14 days after it ends.
+ *       Submitting again replaces the earlier rating.
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - rating
+ *             properties:
+ *               rating:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *               comment:
+ *                 type: string
+ *                 maxLength: 1000
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [clear-explanations, well-prepared, engaging, helpful-examples, patient, too-fast, hard-to-follow, started-late, ran-late, connection-issues]
+ *     responses:
+ *       200:
+ *         description: Feedback submitted successfully
+ *       400:
+ *         description: Validation error, the session is not completed, or feedback has closed
+ *       403:
+ *         description: Not a participant of this session
+ *       404:
+ *         description: Session not found
+ */
+router.post('/:id/feedback', protect, sessionFeedbackValidation, validateRequest, sessionController.submitSessionFeedback);
+
+router.get('/:id/report', protect, sessionController.getSessionReport);
+router.put('/:id/report', protect, authorize('admin', 'teacher'), saveSessionReportValidation, validateRequest, sessionController.saveSessionReport);
+
+/**
+ * @swagger
+ * /api/v1/sessions/{id}/accept:
+ *   post:
+ *     summary: Accept a session request (Teacher endpoint)
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               meetingLink:
+ *                 type: string
+ *                 format: uri
+ *               meetingPlatform:
+ *                 type: string
+ *                 enum: [jitsi-meet]
+ *     responses:
+ *       200:
+ *         description: Session request accepted successfully
+ *       400:
+ *         description: Bad request
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       409:
+ *         description: A student is already booked into another session at this time (conflicts listed in error.details.conflicts)
+ */
+router.post('/:id/accept', protect, acceptSessionRequestValidation, validateRequest, sessionController.acceptSessionRequest);
+
+/**
+ * @swagger
+ * /api/v1/sessions/{id}/reject:
+ *   post:
+ *     summary: Reject a session request (Teacher endpoint)
+ *     description: |
+ *       When the Focus One's scheduling policy has rerouteRejectedRequests on, the request stays open and is
+ *       offered to the next available teacher mapped to the subject. It is only rejected, and the student
+ *       emailed with alternative slots, once no teacher is left.
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session request rejected
+ *       400:
+ *         description: Bad request
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.post('/:id/reject', protect, sessionController.rejectSessionRequest);
+
+/**
+ * @swagger
+ * /api/v1/sessions/{id}/cancel:
+ *   post:
+ *     summary: Cancel a session (Student or Teacher endpoint)
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 minLength: 10
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: |
+ *           Session cancelled. The session's cancellationPolicy shows what the scheduling policy applied:
+ *           whether the cancellation was late (less than lateNoticeHours' notice), the student's late
+ *           cancellations this month against the limit, the Focus One hours refunded and forfeited,
+ *           and whether a teacher's late cancellation was flagged for admin review.
+ *       400:
+ *         description: Bad request, or the student has used up this month's late cancellations (SES_8718)
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.post('/:id/cancel', protect, cancelSessionValidation, validateRequest, sessionController.cancelSession);
+
+/**
+ * @swagger
+ * /api/v1/sessions/{id}/cancellation-review:
+ *   patch:
+ *     summary: Mark a flagged late cancellation as reviewed (Admin endpoint)
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *                 maxLength: 1000
+ *     responses:
+ *       200:
+ *         description: Cancellation marked as reviewed
+ *       400:
+ *         description: The cancellation was not flagged for review
+ *       404:
+ *         description: Session not found
+ */
+router.patch('/:id/cancellation-review', protect, authorize('admin'), reviewCancellationValidation, validateRequest, sessionController.reviewCancellation);
+
+/**
+ * @swagger
+ * /api/v1/sessions/{id}/reschedule:
+ *   post:
+ *     summary: Reschedule a session (Student or Teacher endpoint)
+ *     description: |
+ *       For a Focus One session with a counterpart (the teacher for a student, the student for a teacher) this creates a
+ *       reschedule proposal instead of moving the session. The proposer's slots come first and are topped up with open
+ *       slots of the teacher (suggested: true), up to 3. The session keeps its current slot until the counterpart accepts
+ *       or declines, or the proposal expires after 48 hours or at the session start, whichever is sooner.
+ *       Cohort sessions, and Focus One requests no teacher has accepted yet, move immediately to the single slot given.
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               startTime:
+ *                 type: string
+ *                 format: date-time
+ *               endTime:
+ *                 type: string
+ *                 format: date-time
+ *               slots:
+ *                 type: array
+ *                 maxItems: 3
+ *                 description: Several candidate slots for a proposal (instead of startTime/endTime)
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     startTime:
+ *                       type: string
+ *                       format: date-time
+ *                     endTime:
+ *                       type: string
+ *                       format: date-time
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Session rescheduled, or reschedule proposed (see session.rescheduleProposal)
+ *       400:
+ *         description: Bad request
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       409:
+ *         description: A student is already booked into another session at this time (conflicts listed in error.details.conflicts), or a proposal is already awaiting a response (SES_8716)
+ */
+router.post('/:id/reschedule', protect, rescheduleSessionValidation, validateRequest, sessionController.rescheduleSession);
+
+/**
+ * @swagger
+ * /api/v1/sessions/{id}/reschedule/accept:
+ *   post:
+ *     summary: Accept a reschedule proposal by picking one of its slots (the counterpart)
+ *     description: The chosen slot is checked again, since proposals do not hold their slots. The session then moves and a history entry is added.
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - slotIndex
+ *             properties:
+ *               slotIndex:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: Index into session.rescheduleProposal.slots
+ *     responses:
+ *       200:
+ *         description: Reschedule accepted; the session has moved
+ *       400:
+ *         description: Invalid slot, or the slot is no longer available
+ *       403:
+ *         description: Only the counterpart can respond
+ *       404:
+ *         description: No open reschedule proposal (SES_8717), e.g. it has expired
+ *       409:
+ *         description: A student is now booked into another session at that time
+ */
+router.post('/:id/reschedule/accept', protect, acceptRescheduleValidation, validateRequest, sessionController.acceptRescheduleProposal);
+
+/**
+ * @swagger
+ * /api/v1/sessions/{id}/reschedule/decline:
+ *   post:
+ *     summary: Decline a reschedule proposal (the counterpart); the session keeps its time
+ *     tags: [Sessions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Reschedule declined
+ *       403:
+ *         description: Only the counterpart can respond
+ *       404:
+ *         description: No open reschedule proposal (SES_8717), e.g. it has expired
+ */
+router.post('/:id/reschedule/decline', protect, declineRescheduleValidation, validateRequest, sessionController.declineRescheduleProposal);
 
 router.get('/:id', protect, sessionController.getSessionById);
 
@@ -2,6 +2,87 @@ const express = require('express');
 const router = express.Router();
 const testSeriesController = require('../controllers/testSeriesController');
 const { protect, authorize } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validateRequest');
+const { createTestSeriesValidation, updateTestSeriesValidation, previewPaperValidation } = require('../validations/testSeriesValidation');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     GradingPolicy:
+ *       type: object
+ *       properties:
+ *         negativeMarking:
+ *           type: object
+ *           properties:
+ *             enabled:
+ *               type: boolean
+ *             fraction:
+ *               type: number
+ *               description: Share of a question's marks deducted per wrong answer (0.25 for -1/4); required and above 0 when enabled
+ *         partialCredit:
+ *           type: object
+ *           properties:
+ *             enabled:
+ *               type: boolean
+ *               description: Proportional marks when a multi-correct question is answered with a subset of its correct options
+ *         passMark:
+ *           type: object
+ *           properties:
+ *             percentage:
+ *               type: number
+ *               description: Default pass mark for every subject
+ *             subjects:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   subject:
+ *                     type: string
+ *                   percentage:
+ *                     type: number
+ *         attemptScoring:
+ *           type: string
+ *           enum: [latest, best]
+ *           description: Which attempt counts when a subject is attempted more than once
+ *         allowNegativeTotal:
+ *           type: boolean
+ *           description: When false a paper's total is floored at zero
+ *     PaperBlueprint:
+ *       type: object
+ *       description: How each attempt's paper is drawn for a subject. Without a blueprint every active question is used.
+ *       properties:
+ *         questionCount:
+ *           type: integer
+ *           minimum: 1
+ *         difficultyMix:
+ *           type: object
+ *           description: Percentages per difficulty, adding up to 100
+ *           properties:
+ *             easy:
+ *               type: number
+ *             medium:
+ *               type: number
+ *             hard:
+ *               type: number
+ *         chapterWeights:
+ *           type: array
+ *           description: Relative weights; when set only the listed chapters are drawn from
+ *           items:
+ *             type: object
+ *             properties:
+ *               chapter:
+ *                 type: string
+ *               weight:
+ *                 type: number
+ *         shuffleQuestions:
+ *           type: boolean
+ *           default: true
+ *         shuffleOptions:
+ *           type: boolean
+ *           default: true
+ *           description: When false options keep their Option.order
+ */
 
 /**
  * @swagger
@@ -28,8 +109,22 @@ const { protect, authorize } = require('../middleware/auth');
  *                 type: string
  *               subjects:
  *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     subject:
+ *                       type: string
+ *                     blueprint:
+ *                       $ref: '#/components/schemas/PaperBlueprint'
  *               settings:
  *                 type: object
+ *                 properties:
+ *                   maxAttemptsPerTest:
+ *                     type: integer
+ *                   totalDurationMinutes:
+ *                     type: integer
+ *                   gradingPolicy:
+ *                     $ref: '#/components/schemas/GradingPolicy'
  *               status:
  *                 type: string
  *                 enum: [draft, published, archived]
@@ -43,7 +138,7 @@ const { protect, authorize } = require('../middleware/auth');
  *       403:
  *         description: Forbidden - Admin access required
  */
-router.post('/', protect, authorize('admin'), testSeriesController.createTestSeries);
+router.post('/', protect, authorize('admin'), createTestSeriesValidation, validateRequest, testSeriesController.createTestSeries);
 
 /**
  * @swagger
@@ -232,6 +327,322 @@ router.put('/enrollments/:id', protect, authorize('admin'), userTestSeriesContro
  */
 router.delete('/enrollments/:id', protect, authorize('admin'), userTestSeriesController.cancelEnrollment);
 
+// Test Attempt Routes (enrolled students)
+const testAttemptController = require('../controllers/testAttemptController');
+const {
+  startAttemptValidation,
+  attemptParamsValidation,
+  saveAnswersValidation,
+  saveAnswerValidation
+} = require('../validations/testAttemptValidation');
+/**
+ * @swagger
+ * /api/v1/test-series/{id}/attempts:
+ *   post:
+ *     summary: Start an attempt for a subject of the test series
+ *     description: Draws the active questions of the subject. If an attempt for the subject is already in progress it is returned instead.
+ *     tags: [Test Attempts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - subject
+ *             properties:
+ *               subject:
+ *                 type: string
+ *                 format: objectId
+ *     responses:
+ *       201:
+ *         description: Test attempt started successfully
+ *       200:
+ *         description: In-progress attempt resumed
+ *       400:
+ *         description: Series not available, subject not in enrollment or no questions
+ *       403:
+ *         description: Not enrolled or attempt limit reached
+ */
+router.post('/:id/attempts', protect, startAttemptValidation, validateRequest, testAttemptController.startAttempt);
+
+/**
+ * @swagger
+ * /api/v1/test-series/{id}/attempts:
+ *   get:
+ *     summary: List my attempts for the test series
+ *     description: Also returns, per subject, the attempt that counts under the series' grading policy (latest or best attempt).
+ *     tags: [Test Attempts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: subject
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [in-progress, submitted]
+ *     responses:
+ *       200:
+ *         description: Test attempts retrieved successfully
+ */
+router.get('/:id/attempts', protect, testAttemptController.getMyAttempts);
+
+/**
+ * @swagger
+ * /api/v1/test-series/{id}/attempts/{attemptId}:
+ *   get:
+ *     summary: Get an attempt (scorecard included once submitted)
+ *     tags: [Test Attempts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: attemptId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Test attempt retrieved successfully
+ *       404:
+ *         description: Test attempt not found
+ */
+router.get('/:id/attempts/:attemptId', protect, attemptParamsValidation, validateRequest, testAttemptController.getAttempt);
+
+/**
+ * @swagger
+ * /api/v1/test-series/{id}/attempts/{attemptId}/questions:
+ *   get:
+ *     summary: Get the questions and options of an attempt (without correct answers)
+ *     tags: [Test Attempts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: attemptId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Attempt questions retrieved successfully
+ */
+router.get('/:id/attempts/:attemptId/questions', protect, attemptParamsValidation, validateRequest, testAttemptController.getAttemptQuestions);
+
+/**
+ * @swagger
+ * /api/v1/test-series/{id}/attempts/{attemptId}/answers:
+ *   put:
+ *     summary: Save answers for an in-progress attempt
+ *     description: Each answer replaces any earlier answer to the same question. An empty answer clears it.
+ *     tags: [Test Attempts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: attemptId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - answers
+ *             properties:
+ *               answers:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     question:
+ *                       type: string
+ *                     selectedOptions:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     numericValue:
+ *                       type: number
+ *                     matches:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           option:
+ *                             type: string
+ *                           matchedOption:
+ *                             type: string
+ *                             description: _id of one of the question's matchChoices for this attempt
+ *                     timeSpentSeconds:
+ *                       type: integer
+ *                       description: Total seconds spent on the question so far; used for time-per-question analytics
+ *     responses:
+ *       200:
+ *         description: Answers saved successfully
+ *       400:
+ *         description: Attempt closed, time up or invalid answer
+ */
+router.put('/:id/attempts/:attemptId/answers', protect, saveAnswersValidation, validateRequest, testAttemptController.saveAnswers);
+
+/**
+ * @swagger
+ * /api/v1/test-series/{id}/attempts/{attemptId}/answers/{questionId}:
+ *   patch:
+ *     summary: Autosave the answer to a single question
+ *     description: Intended to be called as the student picks options. Writes are rejected once the attempt's deadline has passed, and the attempt is then submitted automatically.
+ *     tags: [Test Attempts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: attemptId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: questionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: Send the field matching the question type - selectedOptions (option-based), numericValue (numeric) or matches (match-the-following)
+ *             properties:
+ *               selectedOptions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               numericValue:
+ *                 type: number
+ *               matches:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     option:
+ *                       type: string
+ *                     matchedOption:
+ *                       type: string
+ *                       description: _id of one of the question's matchChoices for this attempt
+ *               timeSpentSeconds:
+ *                 type: integer
+ *                 description: Total seconds spent on the question so far; used for time-per-question analytics
+ *     responses:
+ *       200:
+ *         description: Answer saved, with the deadline and remaining seconds
+ *       400:
+ *         description: Attempt closed, time up or invalid answer
+ */
+router.patch('/:id/attempts/:attemptId/answers/:questionId', protect, saveAnswerValidation, validateRequest, testAttemptController.saveAnswer);
+
+/**
+ * @swagger
+ * /api/v1/test-series/{id}/attempts/{attemptId}/submit:
+ *   post:
+ *     summary: Submit an attempt for auto-grading
+ *     tags: [Test Attempts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: attemptId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Test attempt submitted and graded successfully
+ *       400:
+ *         description: Attempt already submitted, or submitted automatically when time ran out
+ */
+router.post('/:id/attempts/:attemptId/submit', protect, attemptParamsValidation, validateRequest, testAttemptController.submitAttempt);
+
+/**
+ * @swagger
+ * /api/v1/test-series/{id}/subjects/{subjectId}/paper-preview:
+ *   get:
+ *     summary: Preview a paper drawn from a subject's blueprint (Admin only)
+ *     description: Draws a paper from the current question bank the same way a new attempt would. Pass the seed of an attempt to reproduce its selection. Reports how many questions the bank was short of the blueprint.
+ *     tags: [Test Series]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: subjectId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: seed
+ *         schema:
+ *           type: string
+ *         description: Seed to draw with; a random one is used (and returned) when omitted
+ *     responses:
+ *       200:
+ *         description: Paper preview with seed, shortfall, breakdown by difficulty and chapter, and the drawn questions
+ *       404:
+ *         description: Test Series or subject not found
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Admin access required
+ */
+router.get('/:id/subjects/:subjectId/paper-preview', protect, authorize('admin'), previewPaperValidation, validateRequest, testSeriesController.previewPaper);
+
 /**
  * @swagger
  * /api/v1/test-series/{id}:
@@ -278,6 +689,12 @@ router.get('/:id', protect, authorize('admin'), testSeriesController.getTestSeri
  *         application/json:
  *           schema:
  *             type: object
+ *             properties:
+ *               settings:
+ *                 type: object
+ *                 properties:
+ *                   gradingPolicy:
+ *                     $ref: '#/components/schemas/GradingPolicy'
  *     responses:
  *       200:
  *         description: Test Series updated successfully
@@ -288,7 +705,7 @@ router.get('/:id', protect, authorize('admin'), testSeriesController.getTestSeri
  *       403:
  *         description: Forbidden - Admin access required
  */
-router.put('/:id', protect, authorize('admin'), testSeriesController.updateTestSeries);
+router.put('/:id', protect, authorize('admin'), updateTestSeriesValidation, validateRequest, testSeriesController.updateTestSeries);
 
 /**
  * @swagger
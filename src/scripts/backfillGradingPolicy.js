@@ -0,0 +1,39 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { TestSeries } = require('../models');
+
+/**
+ * Replace the free-text (or null) settings.gradingPolicy of test series created before grading
+ * policies were structured with the default policy, keeping any text in metadata.legacyGradingPolicy.
+ * The TestSeries model already reads them that way; this makes the stored documents match so they
+ * also pass update validators and raw queries see the policy. Safe to re-run.
+ */
+async function backfillGradingPolicy() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const legacyText = await TestSeries.collection.updateMany(
+      { 'settings.gradingPolicy': { $type: 'string', $ne: '' } },
+      [{
+        $set: {
+          'metadata.legacyGradingPolicy': { $trim: { input: '$settings.gradingPolicy' } },
+          'settings.gradingPolicy': { $literal: {} }
+        }
+      }]
+    );
+    const empty = await TestSeries.collection.updateMany(
+      { 'settings.gradingPolicy': { $exists: true, $not: { $type: 'object' } } },
+      { $set: { 'settings.gradingPolicy': {} } }
+    );
+
+    console.log(`✓ Moved ${legacyText.modifiedCount} free-text grading policy(ies) to metadata.legacyGradingPolicy`);
+    console.log(`✓ Reset ${empty.modifiedCount} empty grading policy(ies) to the default`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error backfilling grading policies:', error);
+    process.exit(1);
+  }
+}
+
+backfillGradingPolicy();
@@ -0,0 +1,29 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { Question } = require('../models');
+const { QUESTION_STATUSES } = require('../utils/constants');
+
+/**
+ * Persist the approved status on questions created before the review workflow existed.
+ * Listings and paper generation already treat a missing status as approved; this makes
+ * the stored documents match so raw queries and aggregations see it too. Safe to re-run.
+ */
+async function backfillQuestionStatus() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const result = await Question.collection.updateMany(
+      { status: { $exists: false } },
+      { $set: { status: QUESTION_STATUSES.APPROVED } }
+    );
+
+    console.log(`✓ Marked ${result.modifiedCount} question(s) as ${QUESTION_STATUSES.APPROVED}`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error backfilling question status:', error);
+    process.exit(1);
+  }
+}
+
+backfillQuestionStatus();
@@ -0,0 +1,43 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { Question } = require('../models');
+const { QUESTION_TYPES } = require('../utils/constants');
+
+/**
+ * Persist a type on questions created before question types existed: multiple-correct when
+ * two or more of their options are correct, single-correct otherwise. The Question model
+ * already reads them that way; this makes the stored documents match so raw queries and
+ * aggregations see the type too. Safe to re-run.
+ */
+async function backfillQuestionTypes() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const untyped = await Question.collection
+      .find({ type: { $exists: false } }, { projection: { _id: 1 } })
+      .toArray();
+    const multipleCorrect = await Question.findMultipleCorrectIds(untyped.map(question => question._id));
+    const multipleCorrectIds = untyped
+      .map(question => question._id)
+      .filter(id => multipleCorrect.has(id.toString()));
+
+    const multipleResult = await Question.collection.updateMany(
+      { _id: { $in: multipleCorrectIds }, type: { $exists: false } },
+      { $set: { type: QUESTION_TYPES.MULTIPLE_CORRECT, numericAnswer: null } }
+    );
+    const singleResult = await Question.collection.updateMany(
+      { type: { $exists: false } },
+      { $set: { type: QUESTION_TYPES.SINGLE_CORRECT, numericAnswer: null } }
+    );
+
+    console.log(`✓ Marked ${multipleResult.modifiedCount} question(s) as ${QUESTION_TYPES.MULTIPLE_CORRECT}`);
+    console.log(`✓ Marked ${singleResult.modifiedCount} question(s) as ${QUESTION_TYPES.SINGLE_CORRECT}`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error backfilling question types:', error);
+    process.exit(1);
+  }
+}
+
+backfillQuestionTypes();
@@ -7,6 +7,9 @@ const connectDB = require('./config/database');
 const { errorHandler } = require('./utils/errorHandler');
 const { ERROR_MESSAGES } = require('./utils/constants');
 const { swaggerUi, swaggerSpec } = require('./config/swagger');
+const testAttemptExpiryJob = require('./jobs/testAttemptExpiryJob');
+const sessionLifecycleJob = require('./jobs/sessionLifecycleJob');
+const sessionReminderJob = require('./jobs/sessionReminderJob');
 
 // Connect to MongoDB first
 connectDB();
@@ -59,7 +62,7 @@ app.use(helmet({
   crossOriginOpenerPolicy: { policy: "unsafe-none" }
 }));
 app.use(morgan('dev')); // Logging
-app.use(express.json()); // Parse JSON bodies
+app.use(express.json({ limit: '5mb' })); // Parse JSON bodies (large enough for bulk question imports)
 app.use(express.urlencoded({ extended: true })); // Parse URL-encoded bodies
 
 // Swagger Documentation
@@ -139,6 +142,11 @@ app.listen(PORT, () => {
   console.log(`Server running in ${process.env.NODE_ENV || 'development'} mode on port ${PORT}`);
   console.log(`API Version: ${apiVersion}`);
   console.log(`Server URL: http://localhost:${PORT}`);
+
+  // Background jobs
+  testAttemptExpiryJob.start();
+  sessionLifecycleJob.start();
+  sessionReminderJob.start();
 });
 
 module.exports = app;
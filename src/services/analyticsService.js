@@ -0,0 +1,305 @@
+const mongoose = require('mongoose');
+const { TestAttempt, Chapter, Subject, User } = require('../models');
+
+// Chapters with fewer answered questions than this are left out of the weakest-chapters list
+const MIN_QUESTIONS_FOR_WEAKNESS = 3;
+const WEAKEST_CHAPTERS_LIMIT = 5;
+
+const toObjectIds = ids => ids.map(id => new mongoose.Types.ObjectId(id.toString()));
+
+/**
+ * Round a ratio of two numeric expressions to a percentage; null when the denominator is zero
+ */
+const percentageOf = (numerator, denominator) => ({
+  $cond: [
+    { $gt: [denominator, 0] },
+    { $round: [{ $multiply: [{ $divide: [numerator, denominator] }, 100] }, 2] },
+    null
+  ]
+});
+
+/**
+ * Stages turning submitted attempts into one document per graded question
+ * Chapter and difficulty come from the attempt's question snapshot, time from the stored answer.
+ */
+const questionStages = [
+  { $unwind: '$scorecard' },
+  {
+    $addFields: {
+      snapshot: {
+        $arrayElemAt: [
+          { $filter: { input: '$questions', as: 'q', cond: { $eq: ['$$q.question', '$scorecard.question'] } } },
+          0
+        ]
+      },
+      answer: {
+        $arrayElemAt: [
+          { $filter: { input: '$answers', as: 'a', cond: { $eq: ['$$a.question', '$scorecard.question'] } } },
+          0
+        ]
+      }
+    }
+  },
+  {
+    $project: {
+      user: 1,
+      subject: 1,
+      chapter: '$snapshot.chapter',
+      difficulty: '$snapshot.difficulty',
+      result: '$scorecard.result',
+      marksAwarded: '$scorecard.marksAwarded',
+      maxMarks: '$scorecard.maxMarks',
+      timeSpentSeconds: { $ifNull: ['$answer.timeSpentSeconds', 0] }
+    }
+  }
+];
+
+const countResult = result => ({ $sum: { $cond: [{ $eq: ['$result', result] }, 1, 0] } });
+
+/**
+ * Group graded questions and derive accuracy, score and time figures
+ * Accuracy is correct over attempted questions; score is marks awarded over marks available.
+ * Average time only counts questions the client reported time for.
+ */
+const statsStages = groupId => [
+  {
+    $group: {
+      _id: groupId,
+      questions: { $sum: 1 },
+      correct: countResult('correct'),
+      partial: countResult('partial'),
+      incorrect: countResult('incorrect'),
+      unanswered: countResult('unanswered'),
+      marksAwarded: { $sum: '$marksAwarded' },
+      maxMarks: { $sum: '$maxMarks' },
+      totalTimeSeconds: { $sum: '$timeSpentSeconds' },
+      timedQuestions: { $sum: { $cond: [{ $gt: ['$timeSpentSeconds', 0] }, 1, 0] } }
+    }
+  },
+  {
+    $addFields: {
+      attempted: { $subtract: ['$questions', '$unanswered'] }
+    }
+  },
+  {
+    $addFields: {
+      accuracy: percentageOf('$correct', '$attempted'),
+      scorePercentage: percentageOf('$marksAwarded', '$maxMarks'),
+      avgTimePerQuestionSeconds: {
+        $cond: [
+          { $gt: ['$timedQuestions', 0] },
+          { $round: [{ $divide: ['$totalTimeSeconds', '$timedQuestions'] }, 1] },
+          null
+        ]
+      }
+    }
+  },
+  { $project: { timedQuestions: 0 } }
+];
+
+const lookupOne = (from, localField, as, fields) => [
+  {
+    $lookup: {
+      from,
+      let: { id: `$${localField}` },
+      pipeline: [
+        { $match: { $expr: { $eq: ['$_id', '$$id'] } } },
+        { $project: fields }
+      ],
+      as
+    }
+  },
+  { $unwind: { path: `$${as}`, preserveNullAndEmptyArrays: true } }
+];
+
+const chapterStages = () => [
+  ...questionStages,
+  { $match: { chapter: { $ne: null } } },
+  ...statsStages('$chapter'),
+  ...lookupOne(Chapter.collection.name, '_id', 'chapter', { name: 1, subject: 1 }),
+  ...lookupOne(Subject.collection.name, 'chapter.subject', 'subject', { name: 1 })
+];
+
+/**
+ * Build the analytics facets over a set of submitted attempts
+ */
+const buildFacets = ({ includeStudents }) => {
+  const facets = {
+    summary: [
+      {
+        $group: {
+          _id: null,
+          attempts: { $sum: 1 },
+          averagePercentage: { $avg: '$result.percentage' },
+          bestPercentage: { $max: '$result.percentage' },
+          lastAttemptAt: { $max: '$submittedAt' }
+        }
+      },
+      { $addFields: { averagePercentage: { $round: ['$averagePercentage', 2] } } }
+    ],
+    overall: [
+      ...questionStages,
+      ...statsStages(null)
+    ],
+    bySubject: [
+      ...questionStages,
+      ...statsStages('$subject'),
+      ...lookupOne(Subject.collection.name, '_id', 'subject', { name: 1 }),
+      { $sort: { 'subject.name': 1 } }
+    ],
+    byChapter: [
+      ...chapterStages(),
+      { $sort: { 'subject.name': 1, 'chapter.name': 1 } }
+    ],
+    byDifficulty: [
+      ...questionStages,
+      { $match: { difficulty: { $ne: null } } },
+      ...statsStages('$difficulty'),
+      { $addFields: { difficulty: '$_id' } },
+      { $addFields: { order: { $indexOfArray: [['easy', 'medium', 'hard'], '$difficulty'] } } },
+      { $sort: { order: 1 } },
+      { $project: { order: 0 } }
+    ],
+    weakestChapters: [
+      ...chapterStages(),
+      { $match: { attempted: { $gte: MIN_QUESTIONS_FOR_WEAKNESS } } },
+      { $sort: { accuracy: 1, scorePercentage: 1 } },
+      { $limit: WEAKEST_CHAPTERS_LIMIT }
+    ],
+    trends: [
+      { $sort: { submittedAt: 1 } },
+      {
+        $group: {
+          _id: '$subject',
+          attempts: {
+            $push: {
+              attemptId: '$_id',
+              user: '$user',
+              testSeries: '$testSeries',
+              attemptNumber: '$attemptNumber',
+              submittedAt: '$submittedAt',
+              percentage: '$result.percentage',
+              marksObtained: '$result.marksObtained',
+              totalMarks: '$result.totalMarks'
+            }
+          }
+        }
+      },
+      {
+        $addFields: {
+          firstPercentage: { $arrayElemAt: ['$attempts.percentage', 0] },
+          latestPercentage: { $arrayElemAt: ['$attempts.percentage', -1] }
+        }
+      },
+      { $addFields: { change: { $round: [{ $subtract: ['$latestPercentage', '$firstPercentage'] }, 2] } } },
+      ...lookupOne(Subject.collection.name, '_id', 'subject', { name: 1 }),
+      { $sort: { 'subject.name': 1 } }
+    ]
+  };
+
+  if (includeStudents) {
+    facets.byStudent = [
+      ...questionStages,
+      ...statsStages('$user'),
+      ...lookupOne(User.collection.name, '_id', 'student', { name: 1, email: 1 }),
+      { $sort: { accuracy: 1 } }
+    ];
+  }
+
+  return facets;
+};
+
+const emptyStats = () => ({
+  questions: 0,
+  attempted: 0,
+  correct: 0,
+  partial: 0,
+  incorrect: 0,
+  unanswered: 0,
+  marksAwarded: 0,
+  maxMarks: 0,
+  totalTimeSeconds: 0,
+  accuracy: null,
+  scorePercentage: null,
+  avgTimePerQuestionSeconds: null
+});
+
+const stripId = ({ _id, ...rest }) => rest;
+
+/**
+ * Run the analytics pipeline for one or more students
+ * @param {Object} options
+ * @param {Array} options.userIds - Students to include
+ * @param {Array} [options.subjectIds] - Restrict to these subjects
+ * @param {boolean} [options.includeStudents] - Add a per-student breakdown (cohort views)
+ */
+const buildReport = async ({ userIds, subjectIds = null, includeStudents = false }) => {
+  const match = {
+    user: { $in: toObjectIds(userIds) },
+    status: 'submitted',
+    deletedAt: null
+  };
+  if (subjectIds) {
+    match.subject = { $in: toObjectIds(subjectIds) };
+  }
+
+  const [facets] = await TestAttempt.aggregate([
+    { $match: match },
+    { $facet: buildFacets({ includeStudents }) }
+  ]);
+
+  const summary = facets.summary[0] || { attempts: 0, averagePercentage: null, bestPercentage: null, lastAttemptAt: null };
+  const overall = facets.overall[0] ? stripId(facets.overall[0]) : emptyStats();
+
+  const report = {
+    overview: { ...stripId(summary), ...overall },
+    bySubject: facets.bySubject.map(stripId),
+    byChapter: facets.byChapter.map(stripId),
+    byDifficulty: facets.byDifficulty.map(stripId),
+    trends: facets.trends.map(stripId),
+    weakestChapters: facets.weakestChapters.map(stripId)
+  };
+
+  if (includeStudents) {
+    report.byStudent = facets.byStudent.map(stripId);
+  }
+
+  return report;
+};
+
+/**
+ * Performance analytics for a single student
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {Array} [options.subjectIds] - Restrict to these subjects (e.g. the ones a teacher teaches)
+ */
+const getStudentAnalytics = (userId, { subjectIds = null } = {}) => buildReport({
+  userIds: [userId],
+  subjectIds
+});
+
+/**
+ * Performance analytics across the active students of a cohort, with a per-student breakdown
+ * @param {string} cohortId
+ * @param {Object} [options]
+ * @param {Array} [options.subjectIds] - Restrict to these subjects (normally the cohort's subjects)
+ */
+const getCohortAnalytics = async (cohortId, { subjectIds = null } = {}) => {
+  const students = await User.find({
+    'cohortEnrollment.cohort': cohortId,
+    'cohortEnrollment.status': 'active'
+  }).select('_id');
+
+  const report = await buildReport({
+    userIds: students.map(student => student._id),
+    subjectIds,
+    includeStudents: true
+  });
+
+  return { studentCount: students.length, ...report };
+};
+
+module.exports = {
+  getStudentAnalytics,
+  getCohortAnalytics
+};
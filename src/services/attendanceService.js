@@ -0,0 +1,365 @@
+const { Session, SessionAttendance, FocusOne, Cohort, User } = require('../models');
+const { AppError, ERROR_CODES } = require('../errors');
+const { HTTP_STATUS, ATTENDANCE_STATUSES, ATTENDANCE } = require('../utils/constants');
+
+// Sessions that count towards attendance once they have started
+const HELD_STATUSES = ['scheduled', 'ongoing', 'completed'];
+const ATTENDED_STATUSES = [ATTENDANCE_STATUSES.PRESENT, ATTENDANCE_STATUSES.LATE];
+
+const isAdmin = user => (user.roles || []).some(role => ['admin', 'super-admin'].includes(role.name));
+
+const loadSession = async (sessionId) => {
+  const session = await Session.findById(sessionId);
+  if (!session) {
+    throw new AppError(ERROR_CODES.SESSION.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+  return session;
+};
+
+/**
+ * Students expected at a session: the Focus One student, or the cohort's actively enrolled students
+ * @returns {Array} User documents (name, email, timezone)
+ */
+const getParticipants = async (session) => {
+  if (session.focusOne) {
+    const focusOne = await FocusOne.findById(session.focusOne).populate('student', 'name email timezone');
+    return focusOne && focusOne.student ? [focusOne.student] : [];
+  }
+
+  return User.find({
+    'cohortEnrollment.cohort': session.cohort,
+    'cohortEnrollment.status': 'active'
+  }).select('name email timezone').sort({ name: 1 });
+};
+
+const assertCanMark = (session, user) => {
+  const isSessionTeacher = session.teacher && session.teacher.toString() === user._id.toString();
+  if (!isSessionTeacher && !isAdmin(user)) {
+    throw new AppError(ERROR_CODES.PERMISSION.FORBIDDEN, HTTP_STATUS.FORBIDDEN, {
+      message: 'Only the session teacher or an admin can manage attendance'
+    });
+  }
+};
+
+/**
+ * Attendance status implied by when a student first joined
+ */
+const statusForJoin = (session, joinedAt) => {
+  const lateAfter = new Date(session.startTime.getTime() + ATTENDANCE.LATE_AFTER_MINUTES * 60 * 1000);
+  return joinedAt > lateAfter ? ATTENDANCE_STATUSES.LATE : ATTENDANCE_STATUSES.PRESENT;
+};
+
+/**
+ * Record a student's click-through to the meeting link
+ * The first join sets the attendance status (present, or late after the grace period) unless a
+ * teacher has already marked it.
+ * @returns {Object} { meetingLink, attendance }
+ */
+const recordJoin = async (sessionId, user, now = new Date()) => {
+  const session = await loadSession(sessionId);
+
+  const participants = await getParticipants(session);
+  if (!participants.some(participant => participant._id.toString() === user._id.toString())) {
+    throw new AppError(ERROR_CODES.SESSION.NOT_PARTICIPANT, HTTP_STATUS.FORBIDDEN);
+  }
+
+  const opensAt = new Date(session.startTime.getTime() - ATTENDANCE.JOIN_OPENS_MINUTES * 60 * 1000);
+  if (!['scheduled', 'ongoing'].includes(session.status) || now < opensAt || now > session.endTime) {
+    throw new AppError(ERROR_CODES.SESSION.JOIN_NOT_OPEN, HTTP_STATUS.BAD_REQUEST, {
+      status: session.status,
+      opensAt,
+      closesAt: session.endTime
+    });
+  }
+
+  if (!session.meetingLink) {
+    throw new AppError(ERROR_CODES.SESSION.JOIN_NOT_OPEN, HTTP_STATUS.BAD_REQUEST, {
+      message: 'This session does not have a meeting link yet'
+    });
+  }
+
+  let attendance = await SessionAttendance.findOne({ session: session._id, user: user._id });
+  if (!attendance) {
+    attendance = new SessionAttendance({ session: session._id, user: user._id, status: statusForJoin(session, now) });
+  }
+
+  if (!attendance.joinedAt) {
+    attendance.joinedAt = now;
+    if (attendance.source === 'join') {
+      attendance.status = statusForJoin(session, now);
+    }
+  }
+  attendance.lastJoinedAt = now;
+  attendance.joinCount += 1;
+  attendance.leftAt = null;
+
+  await attendance.save();
+
+  return { meetingLink: session.meetingLink, attendance };
+};
+
+/**
+ * Record when a student left the meeting
+ */
+const recordLeave = async (sessionId, user, now = new Date()) => {
+  const attendance = await SessionAttendance.findOne({ session: sessionId, user: user._id });
+  if (!attendance || !attendance.joinedAt) {
+    throw new AppError(ERROR_CODES.VALIDATION.GENERAL, HTTP_STATUS.BAD_REQUEST, {
+      message: 'You have not joined this session'
+    });
+  }
+
+  attendance.leftAt = now;
+  await attendance.save();
+
+  return attendance;
+};
+
+/**
+ * Mark attendance for participants (teacher or admin)
+ * Present, late and absent can only be marked once the session has started; excused can be set at any time.
+ * @param {Array} records - [{ user, status, notes, joinedAt, leftAt }]
+ */
+const markAttendance = async (sessionId, records, user, now = new Date()) => {
+  const session = await loadSession(sessionId);
+  assertCanMark(session, user);
+
+  if (['requested', 'rejected', 'cancelled'].includes(session.status)) {
+    throw new AppError(ERROR_CODES.VALIDATION.GENERAL, HTTP_STATUS.BAD_REQUEST, {
+      message: `Attendance cannot be marked for a ${session.status} session`
+    });
+  }
+
+  const participants = await getParticipants(session);
+  const participantIds = new Set(participants.map(participant => participant._id.toString()));
+  const notParticipants = records.filter(record => !participantIds.has(record.user.toString()));
+  if (notParticipants.length > 0) {
+    throw new AppError(ERROR_CODES.SESSION.NOT_PARTICIPANT, HTTP_STATUS.BAD_REQUEST, {
+      users: notParticipants.map(record => record.user)
+    });
+  }
+
+  if (session.startTime > now && records.some(record => record.status !== ATTENDANCE_STATUSES.EXCUSED)) {
+    throw new AppError(ERROR_CODES.VALIDATION.GENERAL, HTTP_STATUS.BAD_REQUEST, {
+      message: 'Only excused absences can be recorded before the session starts'
+    });
+  }
+
+  const marked = [];
+  for (const record of records) {
+    let attendance = await SessionAttendance.findOne({ session: session._id, user: record.user });
+    if (!attendance) {
+      attendance = new SessionAttendance({ session: session._id, user: record.user });
+    }
+
+    attendance.status = record.status;
+    attendance.source = 'teacher';
+    attendance.markedBy = user._id;
+    attendance.markedAt = now;
+    if (record.notes !== undefined) attendance.notes = record.notes;
+    if (record.joinedAt !== undefined) attendance.joinedAt = record.joinedAt ? new Date(record.joinedAt) : null;
+    if (record.leftAt !== undefined) attendance.leftAt = record.leftAt ? new Date(record.leftAt) : null;
+
+    await attendance.save();
+    marked.push(attendance);
+  }
+
+  return marked;
+};
+
+/**
+ * Attendance roster of a session: every participant with their record (null when unmarked)
+ */
+const getSessionAttendance = async (sessionId, user) => {
+  const session = await loadSession(sessionId);
+  assertCanMark(session, user);
+
+  const [participants, records] = await Promise.all([
+    getParticipants(session),
+    SessionAttendance.find({ session: session._id }).populate('markedBy', 'name email')
+  ]);
+  const recordByUser = new Map(records.map(record => [record.user.toString(), record]));
+
+  const roster = participants.map(participant => ({
+    user: participant,
+    attendance: recordByUser.get(participant._id.toString()) || null
+  }));
+
+  const counts = Object.values(ATTENDANCE_STATUSES).reduce((acc, status) => ({ ...acc, [status]: 0 }), { unmarked: 0 });
+  roster.forEach((entry) => {
+    counts[entry.attendance ? entry.attendance.status : 'unmarked'] += 1;
+  });
+
+  return {
+    session: { _id: session._id, title: session.title, startTime: session.startTime, endTime: session.endTime, status: session.status },
+    counts,
+    roster
+  };
+};
+
+/**
+ * Resolve a report date range; defaults to the last 30 days
+ */
+const resolveRange = (from, to, now = new Date()) => {
+  const end = to ? new Date(to) : now;
+  const start = from ? new Date(from) : new Date(end.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+  if (isNaN(start.getTime()) || isNaN(end.getTime()) || start > end) {
+    throw new AppError(ERROR_CODES.VALIDATION.GENERAL, HTTP_STATUS.BAD_REQUEST, {
+      message: 'from and to must be valid dates with from before to'
+    });
+  }
+
+  return { from: start, to: end };
+};
+
+/**
+ * Sessions in a range that have started, i.e. that a student was expected to attend
+ */
+const findHeldSessions = (filter, range, now = new Date()) => Session.find({
+  ...filter,
+  status: { $in: HELD_STATUSES },
+  startTime: { $gte: range.from, $lte: range.to < now ? range.to : now }
+})
+  .select('title startTime endTime status focusOne cohort subject')
+  .populate('subject', 'name')
+  .sort({ startTime: 1 });
+
+/**
+ * Attendance totals over held sessions; a session with no record counts as absent
+ * The percentage leaves excused sessions out of the denominator.
+ */
+const summarize = (sessions, recordBySession, minimumPercent) => {
+  const totals = { sessions: sessions.length, present: 0, late: 0, absent: 0, excused: 0 };
+
+  sessions.forEach((session) => {
+    const record = recordBySession.get(session._id.toString());
+    totals[record ? record.status : ATTENDANCE_STATUSES.ABSENT] += 1;
+  });
+
+  const countable = totals.sessions - totals.excused;
+  const attendancePercent = countable > 0
+    ? Math.round(((totals.present + totals.late) / countable) * 10000) / 100
+    : null;
+
+  return {
+    totals,
+    attendancePercent,
+    meetsMinimum: attendancePercent === null ? null : attendancePercent >= minimumPercent
+  };
+};
+
+/**
+ * Attendance report for one student over a date range (Focus One and cohort sessions)
+ * @param {Object} options - { from, to, subject, minimumPercent }
+ */
+const getStudentAttendanceReport = async (studentId, { from, to, subject, minimumPercent = ATTENDANCE.MIN_PERCENT } = {}) => {
+  const student = await User.findById(studentId).select('name email cohortEnrollment');
+  if (!student) {
+    throw new AppError(ERROR_CODES.USER.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+
+  const range = resolveRange(from, to);
+  const focusOnes = await FocusOne.find({ student: student._id }).select('_id');
+
+  const scopes = [{ focusOne: { $in: focusOnes.map(focusOne => focusOne._id) } }];
+  if (student.cohortEnrollment && student.cohortEnrollment.cohort) {
+    scopes.push({ cohort: student.cohortEnrollment.cohort });
+  }
+
+  const filter = { $or: scopes };
+  if (subject) {
+    filter.subject = subject;
+  }
+
+  const sessions = await findHeldSessions(filter, range);
+  const records = await SessionAttendance.find({
+    user: student._id,
+    session: { $in: sessions.map(session => session._id) }
+  });
+  const recordBySession = new Map(records.map(record => [record.session.toString(), record]));
+
+  return {
+    student: { _id: student._id, name: student.name, email: student.email },
+    range,
+    minimumPercent,
+    ...summarize(sessions, recordBySession, minimumPercent),
+    sessions: sessions.map((session) => {
+      const record = recordBySession.get(session._id.toString());
+      return {
+        _id: session._id,
+        title: session.title,
+        subject: session.subject,
+        startTime: session.startTime,
+        status: record ? record.status : ATTENDANCE_STATUSES.ABSENT,
+        marked: Boolean(record),
+        joinedAt: record ? record.joinedAt : null,
+        leftAt: record ? record.leftAt : null
+      };
+    })
+  };
+};
+
+/**
+ * Attendance report for a cohort over a date range: per-student percentages and who is below the minimum
+ * @param {Object} options - { from, to, subject, minimumPercent }
+ */
+const getCohortAttendanceReport = async (cohortId, { from, to, subject, minimumPercent = ATTENDANCE.MIN_PERCENT } = {}) => {
+  const cohort = await Cohort.findById(cohortId).select('name slug');
+  if (!cohort) {
+    throw new AppError({ code: 'COHORT_4001', message: 'Cohort not found' }, HTTP_STATUS.NOT_FOUND);
+  }
+
+  const range = resolveRange(from, to);
+  const filter = { cohort: cohort._id };
+  if (subject) {
+    filter.subject = subject;
+  }
+
+  const [sessions, students] = await Promise.all([
+    findHeldSessions(filter, range),
+    User.find({ 'cohortEnrollment.cohort': cohort._id, 'cohortEnrollment.status': 'active' })
+      .select('name email')
+      .sort({ name: 1 })
+  ]);
+
+  const records = await SessionAttendance.find({ session: { $in: sessions.map(session => session._id) } });
+  const recordsByUser = new Map();
+  records.forEach((record) => {
+    const key = record.user.toString();
+    if (!recordsByUser.has(key)) {
+      recordsByUser.set(key, new Map());
+    }
+    recordsByUser.get(key).set(record.session.toString(), record);
+  });
+
+  const byStudent = students.map(student => ({
+    student,
+    ...summarize(sessions, recordsByUser.get(student._id.toString()) || new Map(), minimumPercent)
+  }));
+
+  const percentages = byStudent.map(entry => entry.attendancePercent).filter(value => value !== null);
+  const averagePercent = percentages.length > 0
+    ? Math.round((percentages.reduce((sum, value) => sum + value, 0) / percentages.length) * 100) / 100
+    : null;
+
+  return {
+    cohort,
+    range,
+    minimumPercent,
+    sessionsHeld: sessions.length,
+    averagePercent,
+    belowMinimum: byStudent.filter(entry => entry.meetsMinimum === false).map(entry => entry.student),
+    byStudent
+  };
+};
+
+module.exports = {
+  getParticipants,
+  recordJoin,
+  recordLeave,
+  markAttendance,
+  getSessionAttendance,
+  getStudentAttendanceReport,
+  getCohortAttendanceReport
+};
@@ -6,7 +6,9 @@ const { generateToken, verifyToken } = require('../config/jwt');
 const { AppError, ERROR_CODES } = require('../errors');
 const { HTTP_STATUS, EMAIL_PASSCODE } = require('../utils/constants');
 const emailService = require('./emailService');
+const analyticsService = require('./analyticsService');
 const emailConfig = require('../config/email');
+const { getUserTimezone } = require('../config/timezone');
 
 const googleClientId = process.env.GOOGLE_CLIENT_ID;
 let googleClient = googleClientId ? new OAuth2Client(googleClientId) : null;
@@ -475,7 +477,9 @@ const buildUserProfile = (user, options = {}) => {
           displayName: user.primaryRole.displayName
         }
       : null,
-    enrollmentType // 'focusOne' | 'cohort' | null
+    enrollmentType, // 'focusOne' | 'cohort' | null
+    timezone: user.timezone || null,
+    effectiveTimezone: getUserTimezone(user)
   };
 
   if (includePermissions) {
@@ -647,13 +651,33 @@ const getCurrentUserProfile = async (user, { isSuperAdmin = false } = {}) => {
   await populateUserForAuth(user);
   const allPermissions = await user.getAllPermissions();
 
-  return buildUserProfile(user, {
+  const profile = buildUserProfile(user, {
     includeRoleLevel: true,
     includePermissions: true,
     permissions: allPermissions,
     includeFlags: true,
     isSuperAdmin
   });
+
+  // Students get their test performance analytics alongside the profile
+  if ((user.roles || []).some(role => role.name === 'student')) {
+    profile.analytics = await analyticsService.getStudentAnalytics(user._id);
+  }
+
+  return profile;
+};
+
+/**
+ * Set or clear (null) the current user's own timezone
+ */
+const updateCurrentUserTimezone = async (user, timezone) => {
+  user.timezone = timezone || null;
+  await user.save();
+
+  return {
+    timezone: user.timezone,
+    effectiveTimezone: getUserTimezone(user)
+  };
 };
 
 const loginWithGoogle = async ({ idToken, ipAddress = null, userAgent = null }) => {
@@ -1061,6 +1085,7 @@ module.exports = {
   loginWithPassword,
   getCurrentUserProfile,
   getCurrentUserEnrollment,
+  updateCurrentUserTimezone,
   loginWithGoogle,
   verifyLoginWithPasscode,
   requestPasswordResetPasscode,
@@ -0,0 +1,288 @@
+const { Session, FocusOne, FocusOneHourEntry, Subject } = require('../models');
+const { AppError, ERROR_CODES } = require('../errors');
+const { HTTP_STATUS } = require('../utils/constants');
+const { getEffectivePolicy } = require('./schedulingPolicyService');
+
+// Sessions that hold hours until they are completed or cancelled
+const RESERVING_STATUSES = ['requested', 'accepted', 'scheduled', 'ongoing'];
+// Cancelling one of these is a cancelled booking; a withdrawn request is always refunded in full
+const BOOKED_STATUSES = ['accepted', 'scheduled', 'ongoing'];
+
+const roundHours = hours => Math.round(hours * 100) / 100;
+
+const sessionHours = session => roundHours((new Date(session.endTime) - new Date(session.startTime)) / (1000 * 60 * 60));
+
+const idOf = ref => (ref && ref._id ? ref._id : ref);
+
+/**
+ * Hours purchased for a subject: the allowances of its mappings added up
+ * @returns {number|null} null when no mapping of the subject has an allowance (no quota)
+ */
+const getPurchasedHours = (focusOne, subjectId) => {
+  const allowances = (focusOne.teacherSubjectMappings || [])
+    .filter(mapping => idOf(mapping.subject).toString() === subjectId.toString())
+    .map(mapping => mapping.allowanceHours)
+    .filter(hours => hours !== null && hours !== undefined);
+
+  return allowances.length > 0 ? roundHours(allowances.reduce((sum, hours) => sum + hours, 0)) : null;
+};
+
+/**
+ * Used, forfeited, refunded and reserved hours of a Focus One, per subject id
+ */
+const tallyHours = async (focusOneId, subjectIds = null) => {
+  const match = { focusOne: focusOneId };
+  const sessionFilter = { focusOne: focusOneId, status: { $in: RESERVING_STATUSES }, deletedAt: null };
+  if (subjectIds) {
+    match.subject = { $in: subjectIds };
+    sessionFilter.subject = { $in: subjectIds };
+  }
+
+  const [entries, reserving] = await Promise.all([
+    FocusOneHourEntry.find(match).select('subject type hours'),
+    Session.find(sessionFilter).select('subject startTime endTime')
+  ]);
+
+  const tally = new Map();
+  const tallyFor = (subjectId) => {
+    const key = subjectId.toString();
+    if (!tally.has(key)) {
+      tally.set(key, { usage: 0, forfeit: 0, refund: 0, reserved: 0 });
+    }
+    return tally.get(key);
+  };
+
+  entries.forEach((entry) => {
+    tallyFor(entry.subject)[entry.type] += entry.hours;
+  });
+  reserving
+    .filter(session => session.subject)
+    .forEach((session) => {
+      tallyFor(session.subject).reserved += sessionHours(session);
+    });
+
+  return tally;
+};
+
+/**
+ * Balance of one subject from its purchased hours and tally
+ */
+const buildBalance = (purchasedHours, tally = { usage: 0, forfeit: 0, refund: 0, reserved: 0 }) => {
+  const usedHours = roundHours(tally.usage);
+  const forfeitedHours = roundHours(tally.forfeit);
+  const refundedHours = roundHours(tally.refund);
+  const reservedHours = roundHours(tally.reserved);
+
+  return {
+    purchasedHours,
+    usedHours,
+    forfeitedHours,
+    refundedHours,
+    reservedHours,
+    remainingHours: purchasedHours === null
+      ? null
+      : roundHours(purchasedHours - usedHours - forfeitedHours + refundedHours - reservedHours)
+  };
+};
+
+/**
+ * Reject a request for more hours than the subject has left
+ * Hours held by pending and booked sessions count as spent. Subjects without an allowance are not limited.
+ * @param {Object} params - { focusOne (document with teacherSubjectMappings), subject, startTime, endTime }
+ */
+const assertHoursAvailable = async ({ focusOne, subject, startTime, endTime }) => {
+  const purchasedHours = getPurchasedHours(focusOne, idOf(subject));
+  if (purchasedHours === null) {
+    return;
+  }
+
+  const tally = await tallyHours(focusOne._id, [idOf(subject)]);
+  const balance = buildBalance(purchasedHours, tally.get(idOf(subject).toString()));
+  const requestedHours = sessionHours({ startTime, endTime });
+
+  if (requestedHours > balance.remainingHours) {
+    throw new AppError(ERROR_CODES.SESSION.HOURS_EXHAUSTED, HTTP_STATUS.BAD_REQUEST, {
+      message: `This session needs ${requestedHours} hour(s) but only ${Math.max(balance.remainingHours, 0)} hour(s) are left for this subject`,
+      requestedHours,
+      ...balance
+    });
+  }
+};
+
+/**
+ * Add a ledger entry for a session, once per session and type
+ * @returns {Promise<Object|null>} The entry, or null if the session already has one of this type
+ */
+const recordSessionEntry = async (session, { type, hours, notes, recordedBy = null }) => {
+  try {
+    return await FocusOneHourEntry.create({
+      focusOne: idOf(session.focusOne),
+      subject: idOf(session.subject),
+      session: session._id,
+      type,
+      hours,
+      notes,
+      recordedBy
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Deduct a completed Focus One session's hours from its subject's balance
+ */
+const recordUsage = async (session, { recordedBy = null } = {}) => {
+  if (!session.focusOne || !session.subject) {
+    return null;
+  }
+
+  return recordSessionEntry(session, {
+    type: 'usage',
+    hours: sessionHours(session),
+    notes: 'Session completed',
+    recordedBy
+  });
+};
+
+/**
+ * What cancelling a session that has not been completed does to its hours
+ * A withdrawn request releases its hours in full; a cancelled booking returns refundPercent of them.
+ * @returns {Object|null} { hours, refundPercent, refundedHours, forfeitedHours }, null for non Focus One sessions
+ */
+const getCancellationCharge = (session, { previousStatus, refundPercent }) => {
+  if (!session.focusOne || !session.subject) {
+    return null;
+  }
+
+  const hours = sessionHours(session);
+  if (!BOOKED_STATUSES.includes(previousStatus)) {
+    return { hours, refundPercent: 100, refundedHours: hours, forfeitedHours: 0 };
+  }
+
+  const forfeitedHours = roundHours(hours * (100 - refundPercent) / 100);
+  return { hours, refundPercent, refundedHours: roundHours(hours - forfeitedHours), forfeitedHours };
+};
+
+/**
+ * Settle the hours of a cancelled Focus One session according to the cancellation policy
+ * - A withdrawn request releases its hours in full.
+ * - A cancelled booking returns refundPercent of its hours (by default the policy's cancellationRefundPercent);
+ *   the rest is forfeited.
+ * - Cancelling a completed session refunds the hours it used.
+ * @param {Object} session - The session, with the hours it held (startTime, endTime)
+ * @param {Object} options - { previousStatus, recordedBy, policy, refundPercent }
+ * @returns {Promise<Object|null>} { hours, refundPercent, refundedHours, forfeitedHours }, null for non Focus One sessions
+ */
+const settleCancellation = async (session, { previousStatus, recordedBy = null, policy = null, refundPercent = null }) => {
+  if (!session.focusOne || !session.subject) {
+    return null;
+  }
+
+  const hours = sessionHours(session);
+
+  if (previousStatus === 'completed') {
+    const usage = await FocusOneHourEntry.findOne({ session: session._id, type: 'usage' });
+    if (usage) {
+      await recordSessionEntry(session, {
+        type: 'refund',
+        hours: usage.hours,
+        notes: 'Completed session cancelled',
+        recordedBy
+      });
+    }
+    return { hours, refundPercent: 100, refundedHours: usage ? usage.hours : 0, forfeitedHours: 0 };
+  }
+
+  let appliedPercent = refundPercent;
+  if (appliedPercent === null && BOOKED_STATUSES.includes(previousStatus)) {
+    appliedPercent = (policy || await getEffectivePolicy({ focusOne: session.focusOne })).cancellationRefundPercent;
+  }
+
+  const charge = getCancellationCharge(session, { previousStatus, refundPercent: appliedPercent });
+  if (charge.forfeitedHours > 0) {
+    await recordSessionEntry(session, {
+      type: 'forfeit',
+      hours: charge.forfeitedHours,
+      notes: `Booking cancelled; ${charge.refundPercent}% of its hours refunded`,
+      recordedBy
+    });
+  }
+
+  return charge;
+};
+
+/**
+ * Undo what completing or cancelling a session did to its hours, when it is reopened
+ * A reopened session holds its hours as reserved again, so its usage, forfeit and refund entries are
+ * removed; completing or cancelling it again records them afresh.
+ * @returns {Promise<number>} The number of entries removed
+ */
+const reverseSessionEntries = async (session) => {
+  if (!session.focusOne || !session.subject) {
+    return 0;
+  }
+
+  const result = await FocusOneHourEntry.deleteMany({ session: session._id });
+  return result.deletedCount;
+};
+
+/**
+ * Hour ledger of a Focus One: per-subject balances and every entry, newest first
+ * The price per hour is the subject's focusOneCost.
+ */
+const getLedger = async (focusOneId) => {
+  const focusOne = await FocusOne.findById(focusOneId)
+    .select('description student status teacherSubjectMappings')
+    .populate('student', 'name email');
+  if (!focusOne) {
+    throw new AppError(ERROR_CODES.FOCUS_ONE.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+
+  const [tally, entries] = await Promise.all([
+    tallyHours(focusOne._id),
+    FocusOneHourEntry.find({ focusOne: focusOne._id })
+      .sort({ createdAt: -1 })
+      .populate('subject', 'name')
+      .populate('session', 'title startTime endTime status teacher')
+      .populate('recordedBy', 'name email')
+  ]);
+
+  // Mapped subjects, plus any that still have hours on record after being unmapped
+  const subjectIds = [...new Set([
+    ...focusOne.teacherSubjectMappings.map(mapping => mapping.subject.toString()),
+    ...tally.keys()
+  ])];
+  const subjects = await Subject.find({ _id: { $in: subjectIds } }).select('name focusOneCost');
+
+  return {
+    focusOne: {
+      _id: focusOne._id,
+      description: focusOne.description,
+      student: focusOne.student,
+      status: focusOne.status
+    },
+    subjects: subjects.map((subject) => {
+      const balance = buildBalance(getPurchasedHours(focusOne, subject._id), tally.get(subject._id.toString()));
+      return {
+        subject: { _id: subject._id, name: subject.name },
+        pricePerHour: subject.focusOneCost,
+        purchasedValue: balance.purchasedHours === null ? null : balance.purchasedHours * subject.focusOneCost,
+        ...balance
+      };
+    }),
+    entries
+  };
+};
+
+module.exports = {
+  assertHoursAvailable,
+  recordUsage,
+  getCancellationCharge,
+  settleCancellation,
+  reverseSessionEntries,
+  getLedger
+};
@@ -0,0 +1,297 @@
+const { TestAttempt, Option, QuestionRevision } = require('../models');
+const { QUESTION_TYPES } = require('../utils/constants');
+
+/**
+ * Thresholds for item analysis
+ * Flags are only raised once a question has MIN_RESPONSES answers.
+ */
+const ITEM_ANALYSIS = {
+  MIN_RESPONSES: 10,
+  GROUP_FRACTION: 0.27, // Share of examinees in each of the upper and lower groups
+  TOO_EASY_PERCENT: 90,
+  TOO_HARD_PERCENT: 20
+};
+
+const ITEM_FLAGS = {
+  TOO_EASY: 'too-easy',
+  TOO_HARD: 'too-hard',
+  POSSIBLY_MISKEYED: 'possibly-miskeyed'
+};
+
+const OPTION_BASED_TYPES = [
+  QUESTION_TYPES.SINGLE_CORRECT,
+  QUESTION_TYPES.MULTIPLE_CORRECT,
+  QUESTION_TYPES.TRUE_FALSE
+];
+
+const countResult = result => ({ $sum: { $cond: [{ $eq: ['$result', result] }, 1, 0] } });
+
+/**
+ * Stages producing one document per graded appearance of the given questions
+ */
+const responseStages = questionIds => [
+  { $match: { status: 'submitted', deletedAt: null, 'scorecard.question': { $in: questionIds } } },
+  { $project: { percentage: '$result.percentage', scorecard: 1, answers: 1 } },
+  { $unwind: '$scorecard' },
+  { $match: { 'scorecard.question': { $in: questionIds } } }
+];
+
+/**
+ * Per-question response counts, average time and discrimination index
+ *
+ * Examinees are ranked by their percentage on the whole paper; the discrimination index is the
+ * mean item score of the top 27% minus that of the bottom 27%. Item score is the share of the
+ * question's marks earned, so partial credit counts proportionally.
+ */
+const aggregateResponses = questionIds => TestAttempt.aggregate([
+  ...responseStages(questionIds),
+  {
+    $addFields: {
+      answer: {
+        $arrayElemAt: [
+          { $filter: { input: '$answers', as: 'a', cond: { $eq: ['$$a.question', '$scorecard.question'] } } },
+          0
+        ]
+      }
+    }
+  },
+  {
+    $project: {
+      question: '$scorecard.question',
+      result: '$scorecard.result',
+      percentage: { $ifNull: ['$percentage', 0] },
+      itemScore: {
+        $cond: [
+          { $gt: ['$scorecard.maxMarks', 0] },
+          { $divide: [{ $max: ['$scorecard.marksAwarded', 0] }, '$scorecard.maxMarks'] },
+          0
+        ]
+      },
+      timeSpentSeconds: { $ifNull: ['$answer.timeSpentSeconds', 0] }
+    }
+  },
+  // Sorted so each question's pushed scores run from the best examinee to the worst
+  { $sort: { question: 1, percentage: -1 } },
+  {
+    $group: {
+      _id: '$question',
+      presented: { $sum: 1 },
+      correct: countResult('correct'),
+      partial: countResult('partial'),
+      incorrect: countResult('incorrect'),
+      unanswered: countResult('unanswered'),
+      totalTimeSeconds: { $sum: '$timeSpentSeconds' },
+      timedResponses: { $sum: { $cond: [{ $gt: ['$timeSpentSeconds', 0] }, 1, 0] } },
+      scores: { $push: '$itemScore' }
+    }
+  },
+  {
+    $addFields: {
+      answered: { $subtract: ['$presented', '$unanswered'] },
+      groupSize: { $ceil: { $multiply: [{ $size: '$scores' }, ITEM_ANALYSIS.GROUP_FRACTION] } }
+    }
+  },
+  {
+    $addFields: {
+      percentCorrect: {
+        $cond: [
+          { $gt: ['$answered', 0] },
+          { $round: [{ $multiply: [{ $divide: ['$correct', '$answered'] }, 100] }, 2] },
+          null
+        ]
+      },
+      avgTimeSeconds: {
+        $cond: [
+          { $gt: ['$timedResponses', 0] },
+          { $round: [{ $divide: ['$totalTimeSeconds', '$timedResponses'] }, 1] },
+          null
+        ]
+      },
+      discriminationIndex: {
+        $cond: [
+          { $gte: ['$presented', ITEM_ANALYSIS.MIN_RESPONSES] },
+          {
+            $round: [{
+              $subtract: [
+                { $avg: { $slice: ['$scores', '$groupSize'] } },
+                { $avg: { $slice: ['$scores', { $multiply: ['$groupSize', -1] }] } }
+              ]
+            }, 3]
+          },
+          null
+        ]
+      }
+    }
+  },
+  { $project: { scores: 0, groupSize: 0, timedResponses: 0, totalTimeSeconds: 0 } }
+]);
+
+/**
+ * How often each option was picked, per question, and how many of those picks were keyed
+ * Keyed picks come from the answer key stored on each scorecard entry at grading, which is
+ * the revision the student was shown (loadPinnedSnapshots), not the question as it is now.
+ */
+const aggregateOptionPicks = questionIds => TestAttempt.aggregate([
+  ...responseStages(questionIds),
+  { $unwind: '$scorecard.selectedOptions' },
+  {
+    $group: {
+      _id: { question: '$scorecard.question', option: '$scorecard.selectedOptions' },
+      picks: { $sum: 1 },
+      keyedPicks: {
+        $sum: {
+          $cond: [{ $in: ['$scorecard.selectedOptions', { $ifNull: ['$scorecard.correctOptions', []] }] }, 1, 0]
+        }
+      }
+    }
+  }
+]);
+
+/**
+ * Revisions of the given questions that submitted attempts were drawn with
+ */
+const aggregatePinnedRevisions = questionIds => TestAttempt.aggregate([
+  { $match: { status: 'submitted', deletedAt: null, 'questions.question': { $in: questionIds } } },
+  { $project: { questions: 1 } },
+  { $unwind: '$questions' },
+  { $match: { 'questions.question': { $in: questionIds }, 'questions.revision': { $ne: null } } },
+  { $group: { _id: { question: '$questions.question', revision: '$questions.revision' } } }
+]);
+
+/**
+ * Options students were shown that are no longer live (removed or soft-deleted since),
+ * taken from the newest pinned revision that contains each of them
+ * @returns {Map} questionId|optionId -> option snapshot
+ */
+const loadRetiredOptions = async (questionIds, liveOptions) => {
+  const pinned = await aggregatePinnedRevisions(questionIds);
+  if (pinned.length === 0) {
+    return new Map();
+  }
+
+  const revisions = await QuestionRevision.find({ $or: pinned.map(({ _id }) => ({ question: _id.question, revision: _id.revision })) })
+    .select('question revision snapshot.options')
+    .sort({ revision: -1 });
+
+  const liveIds = new Set(liveOptions.map(option => option._id.toString()));
+  const retired = new Map();
+  revisions.forEach((revision) => {
+    (revision.snapshot?.options || []).forEach((option) => {
+      const key = `${revision.question}|${option._id}`;
+      if (!liveIds.has(option._id.toString()) && !retired.has(key)) {
+        retired.set(key, option);
+      }
+    });
+  });
+  return retired;
+};
+
+/**
+ * Flag a question from its statistics
+ * A question looks mis-keyed when stronger examinees do worse on it than weaker ones,
+ * or when a distractor is picked more often than every keyed option. Keyed and distractor
+ * picks follow the key each attempt was graded with.
+ */
+const flagItem = (stats, options) => {
+  const flags = [];
+  if (!stats || stats.answered < ITEM_ANALYSIS.MIN_RESPONSES) {
+    return flags;
+  }
+
+  if (stats.percentCorrect >= ITEM_ANALYSIS.TOO_EASY_PERCENT) {
+    flags.push(ITEM_FLAGS.TOO_EASY);
+  }
+  if (stats.percentCorrect <= ITEM_ANALYSIS.TOO_HARD_PERCENT) {
+    flags.push(ITEM_FLAGS.TOO_HARD);
+  }
+
+  const keyPicks = Math.max(0, ...options.map(o => o.keyedPicks));
+  const topDistractorPicks = Math.max(0, ...options.map(o => o.picks - o.keyedPicks));
+  if ((stats.discriminationIndex !== null && stats.discriminationIndex < 0) || topDistractorPicks > keyPicks) {
+    flags.push(ITEM_FLAGS.POSSIBLY_MISKEYED);
+  }
+
+  return flags;
+};
+
+/**
+ * Item analysis for a set of questions from every submitted attempt that included them
+ * @param {Array} questions - Question documents ({ _id, questionText, type, difficulty, chapter })
+ * @returns {Array} One entry per question with response stats, option picks and flags
+ */
+const analyzeQuestions = async (questions) => {
+  const questionIds = questions.map(q => q._id);
+  if (questionIds.length === 0) {
+    return [];
+  }
+
+  const [responses, picks, options] = await Promise.all([
+    aggregateResponses(questionIds),
+    aggregateOptionPicks(questionIds),
+    Option.find({ question: { $in: questionIds }, deletedAt: null }).select('text isCorrect isActive order question').sort({ order: 1 })
+  ]);
+  const retiredOptions = await loadRetiredOptions(questionIds, options);
+
+  const statsByQuestion = new Map(responses.map(({ _id, ...stats }) => [_id.toString(), stats]));
+  const picksByOption = new Map(picks.map(p => [`${p._id.question}|${p._id.option}`, p]));
+
+  // Live options, then options no longer live that were picked under a revision students saw
+  const optionsOf = questionId => [
+    ...options
+      .filter(option => option.question.toString() === questionId)
+      .filter(option => option.isActive || picksByOption.has(`${questionId}|${option._id}`)),
+    ...[...retiredOptions.entries()]
+      .filter(([key]) => key.startsWith(`${questionId}|`) && picksByOption.has(key))
+      .map(([, option]) => ({ _id: option._id, text: option.text, isCorrect: option.isCorrect, isActive: false }))
+  ];
+
+  return questions.map((question) => {
+    const questionId = question._id.toString();
+    const type = question.type || QUESTION_TYPES.SINGLE_CORRECT;
+    const stats = statsByQuestion.get(questionId) || null;
+
+    const optionStats = OPTION_BASED_TYPES.includes(type)
+      ? optionsOf(questionId).map((option) => {
+        const { picks: optionPicks = 0, keyedPicks = 0 } = picksByOption.get(`${questionId}|${option._id}`) || {};
+        return {
+          _id: option._id,
+          text: option.text,
+          isCorrect: option.isCorrect,
+          isActive: option.isActive,
+          picks: optionPicks,
+          keyedPicks,
+          pickRate: stats && stats.answered > 0
+            ? Math.round((optionPicks / stats.answered) * 10000) / 100
+            : null
+        };
+      })
+      : [];
+
+    return {
+      question: {
+        _id: question._id,
+        questionText: question.questionText,
+        type,
+        difficulty: question.difficulty,
+        chapter: question.chapter
+      },
+      presented: stats ? stats.presented : 0,
+      answered: stats ? stats.answered : 0,
+      correct: stats ? stats.correct : 0,
+      partial: stats ? stats.partial : 0,
+      incorrect: stats ? stats.incorrect : 0,
+      unanswered: stats ? stats.unanswered : 0,
+      percentCorrect: stats ? stats.percentCorrect : null,
+      discriminationIndex: stats ? stats.discriminationIndex : null,
+      avgTimeSeconds: stats ? stats.avgTimeSeconds : null,
+      options: optionStats,
+      flags: flagItem(stats, optionStats)
+    };
+  });
+};
+
+module.exports = {
+  ITEM_ANALYSIS,
+  ITEM_FLAGS,
+  analyzeQuestions
+};
@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const { TestSeries, Chapter, Question, Option } = require('../models');
+const { AppError, ERROR_CODES } = require('../errors');
+const { HTTP_STATUS, QUESTION_TYPES } = require('../utils/constants');
+const { generatePaper, orderOptions } = require('../utils/paperGenerator');
+const { APPROVED_FILTER } = require('./questionReviewService');
+
+/**
+ * Random seed for a new attempt's paper
+ */
+const createSeed = () => crypto.randomBytes(8).toString('hex');
+
+/**
+ * Active, approved questions of a subject's active chapters
+ */
+const loadQuestionBank = async (subjectId) => {
+  const chapters = await Chapter.find({ subject: subjectId, isActive: true }).select('_id');
+  return Question.find({
+    chapter: { $in: chapters.map(ch => ch._id) },
+    isActive: true,
+    status: APPROVED_FILTER
+  })
+    .select('_id chapter type difficulty marks currentRevision')
+    .sort({ createdAt: 1 });
+};
+
+/**
+ * Draw the paper for one subject of a test series
+ * Uses the subject's blueprint when one is set, otherwise every active question in creation order.
+ * @param {Object} seriesSubject - Entry of testSeries.subjects
+ * @param {string} seed - Seed for reproducible selection and option order
+ * @returns {Object} { questions: Array of attempt question snapshots, shortfall: number }
+ */
+const drawPaper = async (seriesSubject, seed) => {
+  const bank = await loadQuestionBank(seriesSubject.subject);
+  const { blueprint } = seriesSubject;
+
+  const { questions, shortfall } = blueprint && blueprint.questionCount
+    ? generatePaper(bank, blueprint, seed)
+    : { questions: bank, shortfall: 0 };
+
+  const options = await Option.find({ question: { $in: questions.map(q => q._id) }, isActive: true })
+    .select('_id question order matchText');
+  const optionsByQuestion = new Map();
+  options.forEach((option) => {
+    const key = option.question.toString();
+    if (!optionsByQuestion.has(key)) {
+      optionsByQuestion.set(key, []);
+    }
+    optionsByQuestion.get(key).push(option);
+  });
+
+  const shuffleOptions = Boolean(blueprint && blueprint.shuffleOptions);
+
+  return {
+    shortfall,
+    questions: questions.map((question, index) => ({
+      question: question._id,
+      chapter: question.chapter,
+      type: question.type || QUESTION_TYPES.SINGLE_CORRECT,
+      difficulty: question.difficulty,
+      marks: question.marks,
+      order: index,
+      // An unversioned question's first revision will be the baseline of what is live now
+      revision: question.currentRevision || 1,
+      optionOrder: orderOptions(
+        optionsByQuestion.get(question._id.toString()) || [],
+        seed,
+        question._id.toString(),
+        shuffleOptions
+      ),
+      matchChoices: question.type === QUESTION_TYPES.MATCH_THE_FOLLOWING
+        ? (optionsByQuestion.get(question._id.toString()) || [])
+          .filter(option => option.matchText)
+          .map(option => ({ option: option._id }))
+        : []
+    }))
+  };
+};
+
+/**
+ * Generate a sample paper for admins to check a blueprint against the current bank
+ * Passing the seed of an attempt reproduces the selection that attempt would get from today's bank.
+ */
+const previewPaper = async ({ testSeriesId, subjectId, seed }) => {
+  const testSeries = await TestSeries.findById(testSeriesId);
+  if (!testSeries) {
+    throw new AppError(ERROR_CODES.TEST_SERIES.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+
+  const seriesSubject = testSeries.subjects.find(s => s.subject.toString() === subjectId.toString());
+  if (!seriesSubject) {
+    throw new AppError(ERROR_CODES.TEST_SERIES.SUBJECT_NOT_AVAILABLE, HTTP_STATUS.NOT_FOUND);
+  }
+
+  const paperSeed = seed || createSeed();
+  const { questions, shortfall } = await drawPaper(seriesSubject, paperSeed);
+
+  const details = await Question.find({ _id: { $in: questions.map(q => q.question) } })
+    .select('questionText')
+    .populate('chapter', 'name');
+  const detailsById = new Map(details.map(q => [q._id.toString(), q]));
+
+  const breakdown = { byDifficulty: {}, byChapter: {} };
+  questions.forEach((question) => {
+    const detail = detailsById.get(question.question.toString());
+    const chapterName = detail && detail.chapter ? detail.chapter.name : question.chapter.toString();
+    breakdown.byDifficulty[question.difficulty] = (breakdown.byDifficulty[question.difficulty] || 0) + 1;
+    breakdown.byChapter[chapterName] = (breakdown.byChapter[chapterName] || 0) + 1;
+  });
+
+  return {
+    seed: paperSeed,
+    blueprint: seriesSubject.blueprint,
+    questionCount: questions.length,
+    shortfall,
+    breakdown,
+    questions: questions.map((question) => {
+      const detail = detailsById.get(question.question.toString());
+      return {
+        ...question,
+        questionText: detail ? detail.questionText : null,
+        chapterName: detail && detail.chapter ? detail.chapter.name : null
+      };
+    })
+  };
+};
+
+module.exports = {
+  createSeed,
+  drawPaper,
+  previewPaper
+};
@@ -0,0 +1,326 @@
+const { Question, Chapter, User } = require('../models');
+const { AppError, ERROR_CODES } = require('../errors');
+const { HTTP_STATUS, QUESTION_STATUSES } = require('../utils/constants');
+
+const ADMIN_ROLES = ['admin', 'super-admin'];
+const REVIEWER_ROLES = ['admin', 'super-admin', 'teacher'];
+
+// Matches approved questions, including those created before the review workflow existed
+const APPROVED_FILTER = { $in: [QUESTION_STATUSES.APPROVED, null] };
+
+/**
+ * Editorial actions and the statuses they move between
+ * reviewerOnly actions need the assigned reviewer (or an admin); adminOnly actions need an admin.
+ */
+const REVIEW_ACTIONS = {
+  submit: { from: [QUESTION_STATUSES.DRAFT], to: QUESTION_STATUSES.IN_REVIEW, history: 'submitted' },
+  approve: { from: [QUESTION_STATUSES.IN_REVIEW], to: QUESTION_STATUSES.APPROVED, history: 'approved', reviewerOnly: true },
+  reject: { from: [QUESTION_STATUSES.IN_REVIEW], to: QUESTION_STATUSES.DRAFT, history: 'rejected', reviewerOnly: true, commentRequired: true },
+  retire: { from: [QUESTION_STATUSES.APPROVED], to: QUESTION_STATUSES.RETIRED, history: 'retired', adminOnly: true },
+  reopen: { from: [QUESTION_STATUSES.RETIRED], to: QUESTION_STATUSES.DRAFT, history: 'reopened' }
+};
+
+const hasRole = (user, roleNames) => Boolean(
+  user && (user.roles || []).some(role => roleNames.includes(role.name))
+);
+
+const isAdmin = user => hasRole(user, ADMIN_ROLES);
+
+/**
+ * Whether a user may see questions that are not approved (authors, reviewers and admins)
+ */
+const hasReviewAccess = user => hasRole(user, REVIEWER_ROLES);
+
+/**
+ * Status filter for question listings
+ * Students and anonymous callers only ever see approved questions; staff see every status
+ * unless they ask for one.
+ */
+const buildStatusFilter = (status, user) => {
+  if (!hasReviewAccess(user)) {
+    return APPROVED_FILTER;
+  }
+  if (!status) {
+    return undefined;
+  }
+  return status === QUESTION_STATUSES.APPROVED ? APPROVED_FILTER : status;
+};
+
+const loadQuestion = async (questionId) => {
+  const question = await Question.findById(questionId);
+  if (!question) {
+    throw new AppError(ERROR_CODES.QUESTION.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+  return question;
+};
+
+/**
+ * Check that a user exists, is active and can review questions
+ */
+const loadReviewer = async (reviewerId) => {
+  const reviewer = await User.findById(reviewerId).populate('roles');
+  if (!reviewer || !reviewer.isActive || !hasReviewAccess(reviewer)) {
+    throw new AppError(ERROR_CODES.VALIDATION.GENERAL, HTTP_STATUS.BAD_REQUEST, {
+      message: 'Reviewer must be an active teacher or admin',
+      field: 'reviewer',
+      value: reviewerId
+    });
+  }
+  return reviewer;
+};
+
+const isAuthor = (question, userId) => Boolean(
+  question.createdBy && userId && question.createdBy.toString() === userId.toString()
+);
+
+/**
+ * Reject a reviewer who wrote the question (or is the one sending it for review)
+ */
+const assertNotAuthorAsReviewer = (question, reviewerId, user = null) => {
+  if (isAuthor(question, reviewerId) || (user && user._id.toString() === reviewerId.toString())) {
+    throw new AppError(ERROR_CODES.VALIDATION.GENERAL, HTTP_STATUS.BAD_REQUEST, {
+      message: 'A question cannot be reviewed by its author',
+      field: 'reviewer',
+      value: reviewerId
+    });
+  }
+};
+
+const populateReview = query => query
+  .populate({ path: 'chapter', populate: { path: 'subject', select: 'name description' } })
+  .populate('createdBy', 'name email')
+  .populate('reviewer', 'name email')
+  .populate('approvedBy', 'name email')
+  .populate('reviewComments.author', 'name email')
+  .populate('reviewHistory.performedBy', 'name email');
+
+/**
+ * Move a question through the review workflow
+ * The update is conditional on the status it was read with, so two reviewers acting at once
+ * cannot both succeed.
+ * @param {Object} params
+ * @param {string} params.questionId
+ * @param {string} params.action - submit | approve | reject | retire | reopen
+ * @param {Object} params.user - Acting user (with populated roles)
+ * @param {string} [params.comment] - Added to the review comments; required to reject
+ * @param {string} [params.reviewerId] - Reviewer to assign when submitting
+ */
+const transitionQuestion = async ({ questionId, action, user, comment, reviewerId }) => {
+  const rule = REVIEW_ACTIONS[action];
+  if (!rule) {
+    throw new AppError(ERROR_CODES.VALIDATION.GENERAL, HTTP_STATUS.BAD_REQUEST, {
+      message: `Review action must be one of: ${Object.keys(REVIEW_ACTIONS).join(', ')}`,
+      field: 'action',
+      value: action
+    });
+  }
+
+  const question = await loadQuestion(questionId);
+  const currentStatus = question.status;
+
+  if (!rule.from.includes(currentStatus)) {
+    throw new AppError(ERROR_CODES.QUESTION.INVALID_STATUS_TRANSITION, HTTP_STATUS.BAD_REQUEST, {
+      action,
+      status: currentStatus,
+      allowedFrom: rule.from
+    });
+  }
+
+  const isAssignedReviewer = question.reviewer && question.reviewer.toString() === user._id.toString();
+  if ((rule.adminOnly && !isAdmin(user)) || (rule.reviewerOnly && !isAssignedReviewer && !isAdmin(user))) {
+    throw new AppError(ERROR_CODES.QUESTION.REVIEW_NOT_ALLOWED, HTTP_STATUS.FORBIDDEN, {
+      action,
+      message: rule.adminOnly ? 'Only admins can do this' : 'Only the assigned reviewer or an admin can do this'
+    });
+  }
+
+  if (rule.reviewerOnly && isAuthor(question, user._id)) {
+    throw new AppError(ERROR_CODES.QUESTION.REVIEW_NOT_ALLOWED, HTTP_STATUS.FORBIDDEN, {
+      action,
+      message: 'Authors cannot approve or reject their own questions'
+    });
+  }
+
+  const notes = comment ? comment.trim() : null;
+  if (rule.commentRequired && !notes) {
+    throw new AppError(ERROR_CODES.VALIDATION.GENERAL, HTTP_STATUS.BAD_REQUEST, {
+      message: 'A comment explaining the decision is required',
+      field: 'comment'
+    });
+  }
+
+  const now = new Date();
+  const set = { status: rule.to };
+  if (action === 'submit') {
+    set.reviewRequestedAt = now;
+    if (reviewerId) {
+      assertNotAuthorAsReviewer(question, reviewerId, user);
+      await loadReviewer(reviewerId);
+      set.reviewer = reviewerId;
+    }
+  }
+  if (action === 'approve') {
+    set.approvedBy = user._id;
+    set.approvedAt = now;
+  }
+  if (rule.to !== QUESTION_STATUSES.APPROVED) {
+    set.approvedBy = null;
+    set.approvedAt = null;
+  }
+
+  const push = {
+    reviewHistory: {
+      action: rule.history,
+      previousStatus: currentStatus,
+      newStatus: rule.to,
+      performedBy: user._id,
+      performedAt: now,
+      notes
+    }
+  };
+  if (notes) {
+    push.reviewComments = { author: user._id, body: notes, createdAt: now };
+  }
+
+  const updated = await populateReview(Question.findOneAndUpdate(
+    { _id: questionId, status: currentStatus },
+    { $set: set, $push: push },
+    { new: true, runValidators: true }
+  ));
+
+  if (!updated) {
+    throw new AppError(ERROR_CODES.QUESTION.INVALID_STATUS_TRANSITION, HTTP_STATUS.CONFLICT, {
+      action,
+      message: 'The question was changed by someone else - reload and try again'
+    });
+  }
+
+  return updated;
+};
+
+/**
+ * Assign (or clear) the reviewer of a question (admin)
+ */
+const assignReviewer = async ({ questionId, reviewerId, user }) => {
+  if (!isAdmin(user)) {
+    throw new AppError(ERROR_CODES.QUESTION.REVIEW_NOT_ALLOWED, HTTP_STATUS.FORBIDDEN, {
+      message: 'Only admins can assign reviewers'
+    });
+  }
+
+  const question = await loadQuestion(questionId);
+  if (reviewerId) {
+    assertNotAuthorAsReviewer(question, reviewerId);
+    await loadReviewer(reviewerId);
+  }
+
+  return populateReview(Question.findByIdAndUpdate(
+    question._id,
+    {
+      $set: { reviewer: reviewerId || null },
+      $push: {
+        reviewHistory: {
+          action: 'reviewer-assigned',
+          previousStatus: question.status,
+          newStatus: question.status,
+          performedBy: user._id,
+          notes: reviewerId ? null : 'Reviewer removed'
+        }
+      }
+    },
+    { new: true }
+  ));
+};
+
+/**
+ * Send an approved question back to draft after its wording, options or answer key were edited
+ * The approval covered the content as it was, so the change has to be reviewed before papers draw it again.
+ * @returns {Promise<boolean>} true when the question was approved and is now a draft
+ */
+const revokeApprovalOnEdit = async ({ questionId, userId, notes = 'Edited after approval' }) => {
+  const updated = await Question.findOneAndUpdate(
+    { _id: questionId, status: APPROVED_FILTER },
+    {
+      $set: { status: QUESTION_STATUSES.DRAFT, approvedBy: null, approvedAt: null },
+      $push: {
+        reviewHistory: {
+          action: 'edited',
+          previousStatus: QUESTION_STATUSES.APPROVED,
+          newStatus: QUESTION_STATUSES.DRAFT,
+          performedBy: userId,
+          performedAt: new Date(),
+          notes
+        }
+      }
+    }
+  );
+  return Boolean(updated);
+};
+
+/**
+ * Add a review comment without changing the status
+ */
+const addComment = async ({ questionId, user, body }) => {
+  await loadQuestion(questionId);
+
+  return populateReview(Question.findByIdAndUpdate(
+    questionId,
+    { $push: { reviewComments: { author: user._id, body } } },
+    { new: true, runValidators: true }
+  ));
+};
+
+/**
+ * Questions waiting for review, oldest request first
+ * Admins see every reviewer's queue (optionally filtered); other reviewers see what is assigned to them.
+ */
+const getReviewQueue = async ({ user, subject, chapter, reviewer, status = QUESTION_STATUSES.IN_REVIEW, page = 1, limit = 10 }) => {
+  const filter = { status };
+
+  if (chapter) {
+    filter.chapter = chapter;
+  } else if (subject) {
+    const chapters = await Chapter.find({ subject }).select('_id');
+    filter.chapter = { $in: chapters.map(ch => ch._id) };
+  }
+
+  if (!isAdmin(user)) {
+    filter.reviewer = user._id;
+  } else if (reviewer === 'unassigned') {
+    filter.reviewer = null;
+  } else if (reviewer) {
+    filter.reviewer = reviewer === 'me' ? user._id : reviewer;
+  }
+
+  const skip = (page - 1) * limit;
+  const [questions, total] = await Promise.all([
+    populateReview(Question.find(filter))
+      .populate('options')
+      .sort({ reviewRequestedAt: 1, createdAt: 1 })
+      .skip(skip)
+      .limit(parseInt(limit)),
+    Question.countDocuments(filter)
+  ]);
+
+  return {
+    questions,
+    pagination: {
+      currentPage: parseInt(page),
+      totalPages: Math.ceil(total / limit),
+      totalItems: total,
+      itemsPerPage: parseInt(limit)
+    }
+  };
+};
+
+module.exports = {
+  APPROVED_FILTER,
+  REVIEW_ACTIONS,
+  hasReviewAccess,
+  buildStatusFilter,
+  transitionQuestion,
+  assignReviewer,
+  revokeApprovalOnEdit,
+  addComment,
+  getReviewQueue
+};
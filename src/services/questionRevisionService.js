@@ -0,0 +1,315 @@
+const { Question, Option, QuestionRevision } = require('../models');
+const { AppError, ERROR_CODES } = require('../errors');
+const { HTTP_STATUS, QUESTION_TYPES } = require('../utils/constants');
+const { revokeApprovalOnEdit } = require('./questionReviewService');
+
+const QUESTION_FIELDS = ['questionText', 'type', 'explanation', 'chapter', 'difficulty', 'marks', 'numericAnswer', 'isActive'];
+const OPTION_FIELDS = ['text', 'isCorrect', 'matchText', 'order', 'isActive'];
+
+/**
+ * Comparable form of a snapshot value (ObjectIds and subdocuments become plain JSON)
+ */
+const normalizeValue = (value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (typeof value.toObject === 'function') {
+    return JSON.parse(JSON.stringify(value.toObject()));
+  }
+  return JSON.parse(JSON.stringify(value));
+};
+
+const isSameValue = (a, b) => JSON.stringify(normalizeValue(a)) === JSON.stringify(normalizeValue(b));
+
+/**
+ * Snapshot of a question document and its option documents
+ */
+const toSnapshot = (question, options) => ({
+  questionText: question.questionText,
+  type: question.type || QUESTION_TYPES.SINGLE_CORRECT,
+  explanation: question.explanation || null,
+  chapter: question.chapter,
+  difficulty: question.difficulty,
+  marks: question.marks,
+  numericAnswer: normalizeValue(question.numericAnswer),
+  isActive: question.isActive,
+  options: options
+    .slice()
+    .sort((a, b) => (a.order || 0) - (b.order || 0))
+    .map(option => ({
+      _id: option._id,
+      text: option.text,
+      isCorrect: option.isCorrect,
+      matchText: option.matchText || null,
+      order: option.order,
+      isActive: option.isActive
+    }))
+});
+
+/**
+ * Current state of a question and its (non-deleted) options
+ */
+const buildSnapshot = async (questionId) => {
+  const [question, options] = await Promise.all([
+    Question.findById(questionId),
+    Option.find({ question: questionId })
+  ]);
+
+  if (!question) {
+    throw new AppError(ERROR_CODES.QUESTION.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+
+  return toSnapshot(question, options);
+};
+
+/**
+ * Differences between two snapshots
+ * Options are matched by their Option id, so a replaced option set shows as removed + added.
+ * @returns {Object} { fields: [{ field, from, to }], options: { added, removed, changed: [{ _id, changes }] } }
+ */
+const diffSnapshots = (from, to) => {
+  const fields = QUESTION_FIELDS
+    .filter(field => !isSameValue(from[field], to[field]))
+    .map(field => ({ field, from: normalizeValue(from[field]), to: normalizeValue(to[field]) }));
+
+  const fromOptions = new Map((from.options || []).map(option => [option._id.toString(), option]));
+  const toOptions = new Map((to.options || []).map(option => [option._id.toString(), option]));
+
+  const added = [...toOptions.keys()].filter(id => !fromOptions.has(id)).map(id => normalizeValue(toOptions.get(id)));
+  const removed = [...fromOptions.keys()].filter(id => !toOptions.has(id)).map(id => normalizeValue(fromOptions.get(id)));
+  const changed = [...toOptions.keys()]
+    .filter(id => fromOptions.has(id))
+    .map((id) => {
+      const before = fromOptions.get(id);
+      const after = toOptions.get(id);
+      const changes = OPTION_FIELDS
+        .filter(field => !isSameValue(before[field], after[field]))
+        .map(field => ({ field, from: normalizeValue(before[field]), to: normalizeValue(after[field]) }));
+      return { _id: id, changes };
+    })
+    .filter(entry => entry.changes.length > 0);
+
+  return { fields, options: { added, removed, changed } };
+};
+
+const changedFieldNames = (diff) => {
+  const names = diff.fields.map(entry => entry.field);
+  if (diff.options.added.length > 0 || diff.options.removed.length > 0 || diff.options.changed.length > 0) {
+    names.push('options');
+  }
+  return names;
+};
+
+/**
+ * Record the current state of a question as its next revision
+ * Nothing is written when the state matches the latest revision (except for restores, which are always recorded).
+ * @param {string} questionId
+ * @param {Object} options
+ * @param {string} options.changeType - baseline | created | updated | options-changed | restored
+ * @param {string} [options.userId] - Who made the change
+ * @param {number} [options.restoredFrom] - Revision number a restore came from
+ * @returns {Object} The new (or unchanged latest) revision
+ */
+const recordRevision = async (questionId, { changeType, userId = null, restoredFrom = null }) => {
+  const [snapshot, previous] = await Promise.all([
+    buildSnapshot(questionId),
+    QuestionRevision.findOne({ question: questionId }).sort({ revision: -1 })
+  ]);
+
+  const changedFields = previous ? changedFieldNames(diffSnapshots(previous.snapshot, snapshot)) : [];
+  if (previous && changedFields.length === 0 && changeType !== 'restored') {
+    return previous;
+  }
+
+  // Allocate the number atomically so concurrent edits never share one
+  const question = await Question.findByIdAndUpdate(
+    questionId,
+    { $inc: { currentRevision: 1 } },
+    { new: true }
+  );
+
+  return QuestionRevision.create({
+    question: questionId,
+    revision: question.currentRevision,
+    changeType,
+    changedFields,
+    restoredFrom,
+    snapshot,
+    createdBy: userId
+  });
+};
+
+/**
+ * Record revision 1 for freshly inserted questions in bulk (used by imports)
+ * @param {Array} questions - Inserted Question documents
+ * @param {Array} options - Inserted Option documents of those questions
+ */
+const recordCreatedRevisions = async (questions, options, userId = null) => {
+  if (questions.length === 0) {
+    return;
+  }
+
+  await QuestionRevision.insertMany(questions.map(question => ({
+    question: question._id,
+    revision: 1,
+    changeType: 'created',
+    snapshot: toSnapshot(
+      question,
+      options.filter(option => option.question.toString() === question._id.toString())
+    ),
+    createdBy: userId
+  })));
+
+  await Question.updateMany({ _id: { $in: questions.map(q => q._id) } }, { $set: { currentRevision: 1 } });
+};
+
+/**
+ * Capture the pre-edit state of a question that has never been versioned
+ * Call before changing a question so its original wording is kept. A baseline revision
+ * has no known author.
+ */
+const ensureBaseline = async (questionId) => {
+  const question = await Question.findById(questionId).select('currentRevision');
+  if (!question || question.currentRevision > 0) {
+    return;
+  }
+  await recordRevision(questionId, { changeType: 'baseline' });
+};
+
+/**
+ * List the revisions of a question, newest first (without snapshots)
+ */
+const listRevisions = async (questionId) => {
+  const question = await Question.findById(questionId).select('currentRevision');
+  if (!question) {
+    throw new AppError(ERROR_CODES.QUESTION.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+
+  const revisions = await QuestionRevision.find({ question: questionId })
+    .select('-snapshot')
+    .populate('createdBy', 'name email')
+    .sort({ revision: -1 });
+
+  return { currentRevision: question.currentRevision, revisions };
+};
+
+const getRevision = async (questionId, revision) => {
+  const found = await QuestionRevision.findOne({ question: questionId, revision })
+    .populate('createdBy', 'name email');
+  if (!found) {
+    throw new AppError(ERROR_CODES.QUESTION.REVISION_NOT_FOUND, HTTP_STATUS.NOT_FOUND, { question: questionId, revision });
+  }
+  return found;
+};
+
+/**
+ * Diff two revisions of a question; `to` defaults to the latest revision
+ */
+const compareRevisions = async (questionId, fromRevision, toRevision) => {
+  const from = await getRevision(questionId, fromRevision);
+  const to = toRevision
+    ? await getRevision(questionId, toRevision)
+    : await QuestionRevision.findOne({ question: questionId }).sort({ revision: -1 });
+
+  return {
+    from: from.revision,
+    to: to.revision,
+    ...diffSnapshots(from.snapshot, to.snapshot)
+  };
+};
+
+/**
+ * Put a question and its options back to a prior revision
+ * Options from the revision are reinstated under their original ids (so answers that reference
+ * them stay valid); options added since are soft deleted. The restore is itself a new revision,
+ * and like any other edit it sends an approved question back to draft for review.
+ */
+const restoreRevision = async (questionId, revision, userId) => {
+  await ensureBaseline(questionId);
+  const target = await getRevision(questionId, revision);
+  const { snapshot } = target;
+  const now = new Date();
+
+  await Question.updateOne(
+    { _id: questionId },
+    {
+      $set: {
+        questionText: snapshot.questionText,
+        type: snapshot.type,
+        explanation: snapshot.explanation,
+        chapter: snapshot.chapter,
+        difficulty: snapshot.difficulty,
+        marks: snapshot.marks,
+        numericAnswer: snapshot.numericAnswer,
+        isActive: snapshot.isActive
+      }
+    },
+    { runValidators: true }
+  );
+
+  const keepIds = snapshot.options.map(option => option._id);
+  await Option.updateMany(
+    { question: questionId, _id: { $nin: keepIds }, deletedAt: null },
+    { deletedAt: now }
+  );
+
+  for (const option of snapshot.options) {
+    await Option.updateOne(
+      { _id: option._id },
+      {
+        $set: {
+          text: option.text,
+          isCorrect: option.isCorrect,
+          matchText: option.matchText,
+          order: option.order,
+          isActive: option.isActive,
+          deletedAt: null
+        },
+        $setOnInsert: { question: questionId }
+      },
+      { upsert: true }
+    );
+  }
+
+  const restored = await recordRevision(questionId, { changeType: 'restored', userId, restoredFrom: target.revision });
+  await revokeApprovalOnEdit({ questionId, userId, notes: `Restored to revision ${target.revision} after approval` });
+  return restored;
+};
+
+/**
+ * Snapshots of the revisions attempts were drawn with, where the question has changed since
+ * Questions still at their pinned revision are left out - the live documents are what was shown.
+ * @param {Array} attemptQuestions - [{ question, revision }]
+ * @returns {Map} questionId string -> snapshot
+ */
+const loadPinnedSnapshots = async (attemptQuestions) => {
+  const pinned = attemptQuestions.filter(q => q.revision);
+  if (pinned.length === 0) {
+    return new Map();
+  }
+
+  const questions = await Question.find({ _id: { $in: pinned.map(q => q.question) } }).select('currentRevision');
+  const currentById = new Map(questions.map(q => [q._id.toString(), q.currentRevision]));
+  const outdated = pinned.filter(q => currentById.get(q.question.toString()) !== q.revision);
+  if (outdated.length === 0) {
+    return new Map();
+  }
+
+  const revisions = await QuestionRevision.find({
+    $or: outdated.map(q => ({ question: q.question, revision: q.revision }))
+  });
+
+  return new Map(revisions.map(r => [r.question.toString(), r.snapshot]));
+};
+
+module.exports = {
+  diffSnapshots,
+  recordRevision,
+  recordCreatedRevisions,
+  ensureBaseline,
+  listRevisions,
+  getRevision,
+  compareRevisions,
+  restoreRevision,
+  loadPinnedSnapshots
+};
@@ -0,0 +1,508 @@
+const mongoose = require('mongoose');
+const { Question, Option, Chapter, Subject, QuestionRevision } = require('../models');
+const { AppError, ERROR_CODES } = require('../errors');
+const { HTTP_STATUS, QUESTION_TYPES, QUESTION_STATUSES } = require('../utils/constants');
+const { parseCsv, toCsv } = require('../utils/csv');
+const { validateSchema, createQuestionSchema } = require('../validations/questionValidation');
+const questionRevisionService = require('./questionRevisionService');
+
+const MAX_IMPORT_ROWS = 1000;
+const MAX_OPTION_COLUMNS = 8;
+const OPTION_LETTERS = 'ABCDEFGH';
+
+const optionColumns = Array.from({ length: MAX_OPTION_COLUMNS }, (_, i) => `option${i + 1}`);
+const matchColumns = Array.from({ length: MAX_OPTION_COLUMNS }, (_, i) => `match${i + 1}`);
+
+// Spreadsheet layout shared by import and export, so an export can be edited and re-imported
+const CSV_COLUMNS = [
+  'questionText',
+  'type',
+  'subject',
+  'chapter',
+  'difficulty',
+  'marks',
+  'explanation',
+  ...optionColumns,
+  ...matchColumns,
+  'correctAnswer',
+  'tolerance',
+  'toleranceType',
+  'unit'
+];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// Chapter and subject columns hold either a name or a 24-char hex id
+const isObjectIdString = (value) => /^[0-9a-fA-F]{24}$/.test(String(value).trim());
+
+/**
+ * Turn an import request body into plain rows
+ * CSV arrives as text; JSON as an array or { questions: [...] }
+ */
+const parseImportRows = (body) => {
+  if (typeof body === 'string') {
+    return { format: 'csv', rows: parseCsv(body) };
+  }
+  if (Array.isArray(body)) {
+    return { format: 'json', rows: body };
+  }
+  if (body && Array.isArray(body.questions)) {
+    return { format: 'json', rows: body.questions };
+  }
+
+  throw new AppError(
+    ERROR_CODES.VALIDATION.GENERAL,
+    HTTP_STATUS.BAD_REQUEST,
+    { message: 'Send CSV text (Content-Type: text/csv) or a JSON array of questions' }
+  );
+};
+
+/**
+ * Map a correct-answer token (letter A-H or 1-based number) to an option column number
+ */
+const parseOptionToken = (token) => {
+  const upper = token.toUpperCase();
+  if (/^[A-H]$/.test(upper)) {
+    return OPTION_LETTERS.indexOf(upper) + 1;
+  }
+  if (/^\d+$/.test(token)) {
+    return parseInt(token, 10);
+  }
+  return null;
+};
+
+const parseBooleanAnswer = (value) => {
+  const normalized = String(value).trim().toLowerCase();
+  if (['true', 't', 'yes', 'y'].includes(normalized)) {
+    return true;
+  }
+  if (['false', 'f', 'no', 'n'].includes(normalized)) {
+    return false;
+  }
+  return null;
+};
+
+/**
+ * Convert a flat spreadsheet row (option1..8, match1..8, correctAnswer, ...) into a question payload
+ * @returns {Object} { payload, errors }
+ */
+const flatRowToPayload = (row) => {
+  const errors = [];
+  const type = isBlank(row.type) ? QUESTION_TYPES.SINGLE_CORRECT : String(row.type).trim().toLowerCase();
+  const correctAnswer = isBlank(row.correctAnswer) ? '' : String(row.correctAnswer).trim();
+
+  const payload = {
+    questionText: row.questionText,
+    type,
+    chapter: row.chapter,
+    subject: row.subject,
+    explanation: isBlank(row.explanation) ? undefined : row.explanation
+  };
+  if (!isBlank(row.difficulty)) {
+    payload.difficulty = String(row.difficulty).trim().toLowerCase();
+  }
+  if (!isBlank(row.marks)) {
+    payload.marks = Number(row.marks);
+  }
+
+  // Keep the column number with each option so correctAnswer letters map to the right one
+  const options = optionColumns
+    .map((column, index) => ({
+      column: index + 1,
+      text: row[column],
+      matchText: row[matchColumns[index]]
+    }))
+    .filter(option => !isBlank(option.text));
+
+  if (type === QUESTION_TYPES.NUMERIC) {
+    const value = Number(correctAnswer);
+    if (correctAnswer === '' || Number.isNaN(value)) {
+      errors.push({ field: 'correctAnswer', message: 'Numeric questions need a numeric correctAnswer' });
+    } else {
+      payload.numericAnswer = { value };
+      if (!isBlank(row.tolerance)) {
+        payload.numericAnswer.tolerance = Number(row.tolerance);
+      }
+      if (!isBlank(row.toleranceType)) {
+        payload.numericAnswer.toleranceType = String(row.toleranceType).trim().toLowerCase();
+      }
+      if (!isBlank(row.unit)) {
+        payload.numericAnswer.unit = row.unit;
+      }
+    }
+    if (options.length > 0) {
+      payload.options = options.map(({ text }) => ({ text }));
+    }
+    return { payload, errors };
+  }
+
+  if (type === QUESTION_TYPES.MATCH_THE_FOLLOWING) {
+    payload.options = options.map(({ text, matchText }) => ({
+      text,
+      ...(isBlank(matchText) ? {} : { matchText })
+    }));
+    return { payload, errors };
+  }
+
+  // True/false rows may leave the option columns empty and just say true or false
+  if (type === QUESTION_TYPES.TRUE_FALSE && options.length === 0) {
+    const answer = parseBooleanAnswer(correctAnswer);
+    if (answer === null) {
+      errors.push({ field: 'correctAnswer', message: 'True/false questions need correctAnswer true or false' });
+    }
+    payload.options = [
+      { text: 'True', isCorrect: answer === true },
+      { text: 'False', isCorrect: answer === false }
+    ];
+    return { payload, errors };
+  }
+
+  const tokens = correctAnswer.split(/[\s,;|]+/).filter(Boolean);
+  const correctColumns = new Set();
+  tokens.forEach((token) => {
+    const column = parseOptionToken(token);
+    if (!column || !options.some(option => option.column === column)) {
+      errors.push({ field: 'correctAnswer', message: `"${token}" does not refer to a filled option column` });
+    } else {
+      correctColumns.add(column);
+    }
+  });
+  if (tokens.length === 0) {
+    errors.push({ field: 'correctAnswer', message: 'correctAnswer is required (option letters or numbers, e.g. "B" or "A;C")' });
+  }
+
+  payload.options = options.map(({ column, text }) => ({ text, isCorrect: correctColumns.has(column) }));
+  return { payload, errors };
+};
+
+/**
+ * JSON rows may use the API shape (options array) or the flat spreadsheet shape
+ */
+const rowToPayload = (row) => {
+  if (!row || typeof row !== 'object' || Array.isArray(row)) {
+    return { payload: null, errors: [{ field: null, message: 'Row must be an object' }] };
+  }
+  if (Array.isArray(row.options) || row.numericAnswer) {
+    return { payload: { ...row }, errors: [] };
+  }
+  return flatRowToPayload(row);
+};
+
+/**
+ * Resolve chapter references (id or name, optionally narrowed by subject name or id) for every row
+ * @returns {Function} (chapterRef, subjectRef) => { chapter } | { error }
+ */
+const buildChapterResolver = async (payloads) => {
+  const refs = payloads.filter(Boolean);
+  const chapterIds = refs
+    .map(p => p.chapter)
+    .filter(ref => !isBlank(ref) && isObjectIdString(ref))
+    .map(ref => String(ref).trim());
+  const chapterNames = [...new Set(refs
+    .map(p => p.chapter)
+    .filter(ref => !isBlank(ref) && !isObjectIdString(ref))
+    .map(ref => String(ref).trim()))];
+  const subjectNames = [...new Set(refs
+    .map(p => p.subject)
+    .filter(ref => !isBlank(ref) && !isObjectIdString(ref))
+    .map(ref => String(ref).trim()))];
+
+  const [chaptersById, chaptersByName, subjectsByName] = await Promise.all([
+    chapterIds.length > 0 ? Chapter.find({ _id: { $in: chapterIds } }).select('name subject') : [],
+    chapterNames.length > 0
+      ? Chapter.find({ name: { $in: chapterNames.map(name => new RegExp(`^${escapeRegex(name)}$`, 'i')) } }).select('name subject')
+      : [],
+    subjectNames.length > 0
+      ? Subject.find({ name: { $in: subjectNames.map(name => new RegExp(`^${escapeRegex(name)}$`, 'i')) } }).select('name')
+      : []
+  ]);
+
+  const idIndex = new Map(chaptersById.map(ch => [ch._id.toString(), ch]));
+
+  return (chapterRef, subjectRef) => {
+    if (isBlank(chapterRef)) {
+      return { error: 'Chapter is required (name or ID)' };
+    }
+
+    const ref = String(chapterRef).trim();
+    if (idIndex.has(ref)) {
+      return { chapter: idIndex.get(ref) };
+    }
+
+    let subjectId = null;
+    if (!isBlank(subjectRef)) {
+      const subjectText = String(subjectRef).trim();
+      const subject = isObjectIdString(subjectText)
+        ? { _id: subjectText }
+        : subjectsByName.find(s => s.name.toLowerCase() === subjectText.toLowerCase());
+      if (!subject) {
+        return { error: `Subject "${subjectText}" not found` };
+      }
+      subjectId = subject._id.toString();
+    }
+
+    const matches = chaptersByName.filter(ch => (
+      ch.name.toLowerCase() === ref.toLowerCase() &&
+      (!subjectId || ch.subject.toString() === subjectId)
+    ));
+
+    if (matches.length === 0) {
+      return { error: `Chapter "${ref}" not found` };
+    }
+    if (matches.length > 1) {
+      return { error: `Chapter name "${ref}" exists in more than one subject - add a subject column to disambiguate` };
+    }
+    return { chapter: matches[0] };
+  };
+};
+
+/**
+ * Validate every row, returning per-row results
+ */
+const validateRows = async (rows, format) => {
+  const converted = rows.map(rowToPayload);
+  const resolveChapter = await buildChapterResolver(converted.map(c => c.payload));
+
+  return converted.map(({ payload, errors }, index) => {
+    // CSV rows are reported by spreadsheet line (header is line 1); JSON rows by 1-based position
+    const rowNumber = format === 'csv' ? index + 2 : index + 1;
+    const rowErrors = [...errors];
+    let question = null;
+
+    if (payload) {
+      const { chapter, error } = resolveChapter(payload.chapter, payload.subject);
+      if (error) {
+        rowErrors.push({ field: 'chapter', message: error });
+      }
+
+      try {
+        // Chapter was resolved above; give the schema a well-formed id so it reports only the other fields
+        const { subject, ...fields } = payload;
+        question = validateSchema(createQuestionSchema, {
+          ...fields,
+          chapter: chapter ? chapter._id.toString() : '000000000000000000000000'
+        });
+        question.chapter = chapter ? chapter._id : null;
+      } catch (validationError) {
+        const details = validationError.details && validationError.details.errors;
+        if (!details) {
+          throw validationError;
+        }
+        rowErrors.push(...details
+          .filter(detail => detail.field !== 'chapter')
+          .map(({ field, message }) => ({ field, message })));
+      }
+    }
+
+    return {
+      row: rowNumber,
+      valid: rowErrors.length === 0,
+      questionText: payload ? payload.questionText : null,
+      type: question ? question.type : null,
+      chapter: question && question.chapter ? question.chapter : null,
+      errors: rowErrors,
+      question: rowErrors.length === 0 ? question : null
+    };
+  });
+};
+
+/**
+ * Import questions from CSV text or JSON rows
+ * Rows are validated up front; nothing is written unless every row is valid.
+ * @param {Object} params
+ * @param {string|Array|Object} params.body - Request body
+ * @param {boolean} params.dryRun - Only validate and report
+ * @param {string} [params.userId] - Importing user, recorded as author of the first revisions
+ */
+const importQuestions = async ({ body, dryRun = false, userId = null }) => {
+  const { format, rows } = parseImportRows(body);
+
+  if (rows.length === 0) {
+    throw new AppError(ERROR_CODES.VALIDATION.GENERAL, HTTP_STATUS.BAD_REQUEST, { message: 'No question rows found' });
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new AppError(
+      ERROR_CODES.VALIDATION.GENERAL,
+      HTTP_STATUS.BAD_REQUEST,
+      { message: `A single import is limited to ${MAX_IMPORT_ROWS} questions`, rows: rows.length }
+    );
+  }
+
+  const results = await validateRows(rows, format);
+  const invalid = results.filter(result => !result.valid);
+
+  const report = {
+    dryRun,
+    format,
+    totalRows: results.length,
+    validRows: results.length - invalid.length,
+    invalidRows: invalid.length,
+    errors: invalid.map(({ row, questionText, errors }) => ({ row, questionText, errors }))
+  };
+
+  if (dryRun) {
+    return {
+      ...report,
+      rows: results.map(({ row, valid, questionText, type, chapter, errors }) => ({
+        row, valid, questionText, type, chapter, errors
+      }))
+    };
+  }
+
+  if (invalid.length > 0) {
+    throw new AppError(
+      ERROR_CODES.VALIDATION.GENERAL,
+      HTTP_STATUS.BAD_REQUEST,
+      { message: 'Some rows are invalid - nothing was imported', ...report }
+    );
+  }
+
+  // Ids are assigned up front so a failed import can be removed completely, whichever insert failed
+  const questionDocs = results.map(({ question }) => ({
+    _id: new mongoose.Types.ObjectId(),
+    questionText: question.questionText,
+    type: question.type,
+    explanation: question.explanation,
+    chapter: question.chapter,
+    difficulty: question.difficulty || 'medium',
+    marks: question.marks || 1,
+    numericAnswer: question.type === QUESTION_TYPES.NUMERIC ? question.numericAnswer : null,
+    // Imported questions go through review like any other new question
+    status: QUESTION_STATUSES.DRAFT,
+    createdBy: userId,
+    reviewHistory: [{ action: 'created', newStatus: QUESTION_STATUSES.DRAFT, performedBy: userId, notes: 'Imported' }]
+  }));
+  const questionIds = questionDocs.map(question => question._id);
+
+  // No transaction (the database may be a standalone server), so undo the partial import by hand
+  let questions;
+  try {
+    questions = await Question.insertMany(questionDocs);
+
+    const options = results.flatMap(({ question }, index) => (question.options || []).map((option, order) => ({
+      text: option.text,
+      isCorrect: Boolean(option.isCorrect),
+      matchText: option.matchText || null,
+      question: questions[index]._id,
+      order
+    })));
+    const createdOptions = options.length > 0 ? await Option.insertMany(options) : [];
+    await questionRevisionService.recordCreatedRevisions(questions, createdOptions, userId);
+  } catch (error) {
+    await Promise.all([
+      Question.collection.deleteMany({ _id: { $in: questionIds } }),
+      Option.collection.deleteMany({ question: { $in: questionIds } }),
+      QuestionRevision.collection.deleteMany({ question: { $in: questionIds } })
+    ]);
+    throw error;
+  }
+
+  return {
+    ...report,
+    created: questions.length,
+    questionIds
+  };
+};
+
+/**
+ * Flatten a question (with populated chapter.subject and options) into a spreadsheet row
+ */
+const toFlatRow = (question, options) => {
+  const row = {
+    questionText: question.questionText,
+    type: question.type || QUESTION_TYPES.SINGLE_CORRECT,
+    subject: question.chapter && question.chapter.subject ? question.chapter.subject.name : '',
+    chapter: question.chapter ? question.chapter.name : '',
+    difficulty: question.difficulty,
+    marks: question.marks,
+    explanation: question.explanation || ''
+  };
+
+  options.slice(0, MAX_OPTION_COLUMNS).forEach((option, index) => {
+    row[optionColumns[index]] = option.text;
+    if (option.matchText) {
+      row[matchColumns[index]] = option.matchText;
+    }
+  });
+
+  if (row.type === QUESTION_TYPES.NUMERIC && question.numericAnswer) {
+    row.correctAnswer = question.numericAnswer.value;
+    row.tolerance = question.numericAnswer.tolerance;
+    row.toleranceType = question.numericAnswer.toleranceType;
+    row.unit = question.numericAnswer.unit || '';
+  } else if (row.type !== QUESTION_TYPES.MATCH_THE_FOLLOWING) {
+    row.correctAnswer = options
+      .slice(0, MAX_OPTION_COLUMNS)
+      .map((option, index) => (option.isCorrect ? OPTION_LETTERS[index] : null))
+      .filter(Boolean)
+      .join(';');
+  }
+
+  return row;
+};
+
+/**
+ * Export questions matching a filter
+ * @param {Object} filter - Question query filter (same as getAllQuestions)
+ * @param {string} format - 'csv' or 'json'
+ * @returns {Object} { format, count, data } where data is CSV text or an array
+ */
+const exportQuestions = async (filter, format = 'json') => {
+  const questions = await Question.find(filter)
+    .populate({
+      path: 'chapter',
+      select: 'name subject',
+      populate: {
+        path: 'subject',
+        select: 'name'
+      }
+    })
+    .sort({ createdAt: 1 });
+
+  const options = await Option.find({ question: { $in: questions.map(q => q._id) }, isActive: true })
+    .select('text isCorrect matchText order question')
+    .sort({ order: 1 });
+
+  const optionsByQuestion = new Map();
+  options.forEach((option) => {
+    const key = option.question.toString();
+    if (!optionsByQuestion.has(key)) {
+      optionsByQuestion.set(key, []);
+    }
+    optionsByQuestion.get(key).push(option);
+  });
+
+  if (format === 'csv') {
+    const rows = questions.map(question => toFlatRow(question, optionsByQuestion.get(question._id.toString()) || []));
+    return { format, count: questions.length, data: toCsv(CSV_COLUMNS, rows) };
+  }
+
+  const data = questions.map((question) => ({
+    _id: question._id,
+    questionText: question.questionText,
+    type: question.type || QUESTION_TYPES.SINGLE_CORRECT,
+    subject: question.chapter && question.chapter.subject ? question.chapter.subject.name : null,
+    chapter: question.chapter ? question.chapter._id : null,
+    chapterName: question.chapter ? question.chapter.name : null,
+    difficulty: question.difficulty,
+    marks: question.marks,
+    explanation: question.explanation,
+    isActive: question.isActive,
+    numericAnswer: question.numericAnswer || undefined,
+    options: (optionsByQuestion.get(question._id.toString()) || []).map(option => ({
+      text: option.text,
+      isCorrect: option.isCorrect,
+      ...(option.matchText ? { matchText: option.matchText } : {})
+    }))
+  }));
+
+  return { format, count: questions.length, data };
+};
+
+module.exports = {
+  CSV_COLUMNS,
+  importQuestions,
+  exportQuestions
+};
@@ -0,0 +1,334 @@
+const { SchedulingPolicy, PublicHoliday, FocusOne, Cohort } = require('../models');
+const { AppError, ERROR_CODES } = require('../errors');
+const { HTTP_STATUS, SCHEDULING_POLICY_DEFAULTS } = require('../utils/constants');
+const { instituteTimezone } = require('../config/timezone');
+const {
+  getZonedParts,
+  startOfZonedDay,
+  endOfZonedDay,
+  addZonedDays,
+  toZonedDateKey
+} = require('../utils/timezone');
+const { getWorkingHoursForDate, checkTeacherAvailability, findStudentConflicts } = require('../utils/sessionSlots');
+
+const POLICY_FIELDS = Object.keys(SCHEDULING_POLICY_DEFAULTS);
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * "HH:mm" as a 12-hour time, e.g. "7:45 PM"
+ */
+const formatTimeOfDay = (timeOfDay) => {
+  const [hours, minutes] = timeOfDay.split(':').map(Number);
+  const suffix = hours >= 12 ? 'PM' : 'AM';
+  const hour12 = hours % 12 || 12;
+  return minutes === 0 ? `${hour12} ${suffix}` : `${hour12}:${String(minutes).padStart(2, '0')} ${suffix}`;
+};
+
+const minusMinutes = (timeOfDay, minutes) => {
+  const [hours, mins] = timeOfDay.split(':').map(Number);
+  const total = Math.max(hours * 60 + mins - minutes, 0);
+  return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+};
+
+/**
+ * The rules a policy document sets (the ones that are not null)
+ */
+const pickRules = (policy) => {
+  const rules = {};
+  if (!policy) {
+    return rules;
+  }
+  for (const field of POLICY_FIELDS) {
+    const value = policy[field];
+    if (value !== null && value !== undefined) {
+      rules[field] = Array.isArray(value) ? [...value] : value;
+    }
+  }
+  return rules;
+};
+
+/**
+ * Scheduling rules in force for a FocusOne or Cohort: its own override, then the global policy, then the defaults
+ * @param {Object} target - { focusOne, cohort } (either may be absent for the global rules)
+ * @returns {Object} Every rule in SCHEDULING_POLICY_DEFAULTS, resolved
+ */
+const getEffectivePolicy = async ({ focusOne = null, cohort = null } = {}) => {
+  const scopes = [{ scope: 'global', cohort: null, focusOne: null }];
+  if (focusOne) {
+    scopes.push({ scope: 'focusOne', cohort: null, focusOne: focusOne._id || focusOne });
+  } else if (cohort) {
+    scopes.push({ scope: 'cohort', cohort: cohort._id || cohort, focusOne: null });
+  }
+
+  const policies = await SchedulingPolicy.find({ $or: scopes });
+  const global = policies.find(policy => policy.scope === 'global');
+  const override = policies.find(policy => policy.scope !== 'global');
+
+  return {
+    ...SCHEDULING_POLICY_DEFAULTS,
+    ...pickRules(global),
+    ...pickRules(override)
+  };
+};
+
+/**
+ * Day-level rules: not in the past, lead time, booking window, allowed weekdays, public holidays
+ * @param {Object} policy - Effective policy
+ * @param {Date} date - Any instant on the day
+ * @param {Object} options - { enforceLeadTime, enforceBookingWindow, now }
+ * @returns {Promise<string|null>} The rule that fails, if any
+ */
+const findDayViolation = async (policy, date, { enforceLeadTime = true, enforceBookingWindow = true, now = new Date() } = {}) => {
+  const today = startOfZonedDay(now, instituteTimezone);
+  const sessionDay = startOfZonedDay(date, instituteTimezone);
+
+  if (sessionDay < today) {
+    return 'Cannot schedule sessions in the past';
+  }
+
+  if (enforceLeadTime && sessionDay < addZonedDays(today, policy.minAdvanceDays, instituteTimezone)) {
+    return policy.minAdvanceDays === 1
+      ? 'Sessions must be scheduled at least one day in advance'
+      : `Sessions must be scheduled at least ${policy.minAdvanceDays} days in advance`;
+  }
+
+  if (enforceBookingWindow && sessionDay > addZonedDays(today, policy.bookingWindowDays, instituteTimezone)) {
+    return policy.bookingWindowDays === 1
+      ? 'Sessions can only be scheduled up to one day in advance'
+      : `Sessions can only be scheduled up to ${policy.bookingWindowDays} days in advance`;
+  }
+
+  if (!getWorkingHoursForDate(sessionDay, policy)) {
+    return `Sessions cannot be scheduled on ${DAY_NAMES[getZonedParts(sessionDay, instituteTimezone).weekday]}s`;
+  }
+
+  const holiday = await PublicHoliday.findOne({
+    date: { $gte: sessionDay, $lte: endOfZonedDay(sessionDay, instituteTimezone) },
+    isActive: true
+  });
+  if (holiday) {
+    return `Sessions cannot be scheduled on ${holiday.name}`;
+  }
+
+  return null;
+};
+
+/**
+ * Time-of-day rules: same day, inside working hours, starting early enough for a full session
+ * @returns {string|null} The rule that fails, if any
+ */
+const findHoursViolation = (policy, startTime, endTime) => {
+  const start = new Date(startTime);
+  const end = new Date(endTime);
+
+  if (end <= start) {
+    return 'End time must be after start time';
+  }
+  if (toZonedDateKey(start, instituteTimezone) !== toZonedDateKey(end, instituteTimezone)) {
+    return 'Session must start and end on the same day';
+  }
+
+  const workingHours = getWorkingHoursForDate(start, policy);
+  if (!workingHours) {
+    return null; // Reported by findDayViolation
+  }
+
+  const isSaturday = getZonedParts(start, instituteTimezone).weekday === 6;
+  const dayEndTime = isSaturday ? policy.saturdayEndTime : policy.dayEndTime;
+  const latestStart = new Date(workingHours.end.getTime() - policy.sessionDurationMinutes * 60 * 1000);
+  const prefix = isSaturday ? 'On Saturdays, session' : 'Session';
+
+  if (start < workingHours.start || start > latestStart) {
+    return `${prefix} start time must be between ${formatTimeOfDay(policy.dayStartTime)} and ${formatTimeOfDay(minusMinutes(dayEndTime, policy.sessionDurationMinutes))}`;
+  }
+  if (end > workingHours.end) {
+    return `${prefix} cannot extend beyond ${formatTimeOfDay(dayEndTime)}`;
+  }
+
+  return null;
+};
+
+/**
+ * The shared scheduling check for creating, requesting, accepting and rescheduling sessions
+ * @param {Object} options
+ * @param {Date} options.startTime
+ * @param {Date} options.endTime
+ * @param {string} options.focusOne - FocusOne the session belongs to (picks the policy override)
+ * @param {string} options.cohort - Cohort the session belongs to (picks the policy override)
+ * @param {string} options.teacher - Teacher to check availability for (optional)
+ * @param {string} options.subject - Subject, for conflicting requested sessions (optional)
+ * @param {string} options.excludeSessionId - Session being moved (optional)
+ * @param {Object} options.policy - Already-resolved policy (optional)
+ * @param {boolean} options.enforceLeadTime - Apply the minimum advance notice (off when accepting an earlier request)
+ * @param {boolean} options.enforceBookingWindow - Apply the booking window (off for recurring series)
+ * @returns {Promise<string|null>} Why the slot cannot be used, or null
+ */
+const findScheduleViolation = async ({
+  startTime,
+  endTime,
+  focusOne = null,
+  cohort = null,
+  teacher = null,
+  subject = null,
+  excludeSessionId = null,
+  policy = null,
+  enforceLeadTime = true,
+  enforceBookingWindow = true,
+  now = new Date()
+}) => {
+  const rules = policy || await getEffectivePolicy({ focusOne, cohort });
+
+  if (new Date(startTime) < now) {
+    return 'Cannot schedule sessions in the past';
+  }
+
+  const dayViolation = await findDayViolation(rules, startTime, { enforceLeadTime, enforceBookingWindow, now });
+  if (dayViolation) {
+    return dayViolation;
+  }
+
+  const hoursViolation = findHoursViolation(rules, startTime, endTime);
+  if (hoursViolation) {
+    return hoursViolation;
+  }
+
+  if (teacher) {
+    const availability = await checkTeacherAvailability(teacher, startTime, endTime, subject, excludeSessionId, rules);
+    if (!availability.available) {
+      return availability.reason;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * findScheduleViolation that throws a 400 instead of returning the reason
+ */
+const assertSchedulable = async (options) => {
+  const reason = await findScheduleViolation(options);
+  if (reason) {
+    throw new AppError(ERROR_CODES.SESSION.INVALID_TIME, HTTP_STATUS.BAD_REQUEST, { message: reason });
+  }
+};
+
+/**
+ * Throw a 409 listing the clashing sessions if any of the session's students is already booked at that time
+ * @param {Object} options - See findStudentConflicts
+ */
+const assertNoStudentConflicts = async (options) => {
+  const conflicts = await findStudentConflicts(options);
+  if (conflicts.length > 0) {
+    const studentCount = new Set(conflicts.map(conflict => conflict.student._id.toString())).size;
+    throw new AppError(ERROR_CODES.SESSION.STUDENT_CONFLICT, HTTP_STATUS.CONFLICT, {
+      message: studentCount === 1
+        ? `The student already has ${conflicts.length === 1 ? 'a session' : `${conflicts.length} sessions`} at this time`
+        : `${studentCount} students already have sessions at this time`,
+      conflicts
+    });
+  }
+};
+
+/**
+ * Day-level check for slot listings; throws a 400
+ */
+const assertBookableDay = async (policy, date) => {
+  const reason = await findDayViolation(policy, date);
+  if (reason) {
+    throw new AppError(ERROR_CODES.SESSION.INVALID_TIME, HTTP_STATUS.BAD_REQUEST, { message: reason });
+  }
+};
+
+/**
+ * The global policy, every override and the defaults they fall back to
+ */
+const listPolicies = async () => {
+  const policies = await SchedulingPolicy.find()
+    .populate('cohort', 'name slug')
+    .populate('updatedBy', 'name email')
+    .sort({ scope: 1, updatedAt: -1 });
+
+  return {
+    defaults: SCHEDULING_POLICY_DEFAULTS,
+    global: policies.find(policy => policy.scope === 'global') || null,
+    overrides: policies.filter(policy => policy.scope !== 'global')
+  };
+};
+
+const assertTargetExists = async (scope, targetId) => {
+  if (scope === 'cohort' && !(await Cohort.exists({ _id: targetId }))) {
+    throw new AppError({ code: 'COHORT_4001', message: 'Cohort not found' }, HTTP_STATUS.NOT_FOUND);
+  }
+  if (scope === 'focusOne' && !(await FocusOne.exists({ _id: targetId }))) {
+    throw new AppError(ERROR_CODES.FOCUS_ONE.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+};
+
+/**
+ * Create or update the global policy or a Cohort/FocusOne override
+ * Only the given rules change; a rule set to null goes back to being inherited.
+ * @param {Object} options - { scope, targetId, rules, user }
+ * @returns {Object} { policy, effective }
+ */
+const savePolicy = async ({ scope, targetId = null, rules, user }) => {
+  await assertTargetExists(scope, targetId);
+
+  const key = {
+    scope,
+    cohort: scope === 'cohort' ? targetId : null,
+    focusOne: scope === 'focusOne' ? targetId : null
+  };
+
+  const policy = await SchedulingPolicy.findOne(key) || new SchedulingPolicy(key);
+  for (const field of POLICY_FIELDS) {
+    if (rules[field] !== undefined) {
+      policy[field] = rules[field] === null && field === 'allowedDaysOfWeek' ? undefined : rules[field];
+    }
+  }
+  policy.updatedBy = user._id;
+
+  const effective = await getEffectivePolicy({ focusOne: key.focusOne, cohort: key.cohort });
+  const merged = { ...effective, ...pickRules(policy) };
+  if (merged.dayEndTime <= merged.dayStartTime || merged.saturdayEndTime <= merged.dayStartTime) {
+    throw new AppError(ERROR_CODES.VALIDATION.GENERAL, HTTP_STATUS.BAD_REQUEST, {
+      message: 'Day end times must be after the day start time'
+    });
+  }
+
+  try {
+    await policy.validate();
+  } catch (error) {
+    throw new AppError(ERROR_CODES.VALIDATION.GENERAL, HTTP_STATUS.BAD_REQUEST, { message: error.message });
+  }
+  await policy.save();
+
+  return { policy, effective: merged };
+};
+
+/**
+ * Remove a Cohort/FocusOne override so the global policy applies again
+ */
+const removeOverride = async ({ scope, targetId }) => {
+  const policy = await SchedulingPolicy.findOneAndDelete({
+    scope,
+    cohort: scope === 'cohort' ? targetId : null,
+    focusOne: scope === 'focusOne' ? targetId : null
+  });
+  if (!policy) {
+    throw new AppError(ERROR_CODES.SESSION.POLICY_NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+  return policy;
+};
+
+module.exports = {
+  getEffectivePolicy,
+  findDayViolation,
+  findScheduleViolation,
+  assertSchedulable,
+  assertNoStudentConflicts,
+  assertBookableDay,
+  listPolicies,
+  savePolicy,
+  removeOverride
+};
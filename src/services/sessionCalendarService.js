@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const { Session, FocusOne, User } = require('../models');
+const { AppError, ERROR_CODES } = require('../errors');
+const { HTTP_STATUS } = require('../utils/constants');
+const emailConfig = require('../config/email');
+const { sendEmail } = require('./emailService');
+const { getParticipants } = require('./attendanceService');
+const { getUserTimezone } = require('../config/timezone');
+const { formatZonedSessionTimes } = require('../utils/timezone');
+const { buildCalendar } = require('../utils/ics');
+
+const UID_DOMAIN = 'skyprepaero.com';
+// Sessions in a subscription feed: the recent past and everything coming up
+const FEED_PAST_DAYS = 90;
+const FEED_FUTURE_DAYS = 180;
+const FEED_REFRESH_MINUTES = 60;
+const FEED_STATUSES = ['scheduled', 'ongoing', 'completed'];
+
+/**
+ * The same UID in every invite and feed, so calendars update one entry instead of adding another
+ */
+const getSessionUid = session => `session-${session._id}@${UID_DOMAIN}`;
+
+/**
+ * Organizer for invites: the address emails are sent from
+ */
+const getOrganizer = () => {
+  const match = /^\s*"?([^"<]*)"?\s*<([^>]+)>\s*$/.exec(emailConfig.from || '');
+  if (match) {
+    return { name: match[1].trim() || null, email: match[2].trim() };
+  }
+  return emailConfig.from ? { name: null, email: emailConfig.from.trim() } : null;
+};
+
+const toEvent = (session, { attendees = [], cancelled = false } = {}) => {
+  const details = [
+    session.description,
+    session.subject && session.subject.name ? `Subject: ${session.subject.name}` : null,
+    session.meetingLink ? `Join: ${session.meetingLink}` : null
+  ].filter(Boolean);
+
+  return {
+    uid: getSessionUid(session),
+    sequence: session.calendarSequence || 0,
+    start: session.startTime,
+    end: session.endTime,
+    summary: session.title,
+    description: details.join('\n'),
+    location: session.meetingLink,
+    url: session.meetingLink,
+    status: cancelled || session.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+    organizer: getOrganizer(),
+    attendees,
+    lastModified: session.updatedAt
+  };
+};
+
+/**
+ * An .ics email attachment for one session
+ * @param {Object} session - Session (subject populated for the description, if available)
+ * @param {Object} options - { method: 'REQUEST' | 'CANCEL', attendees: [{ name, email }] }
+ * @returns {Object} Nodemailer attachment
+ */
+const buildInviteAttachment = (session, { method = 'REQUEST', attendees = [] } = {}) => ({
+  filename: method === 'CANCEL' ? 'cancel.ics' : 'invite.ics',
+  content: buildCalendar({
+    method,
+    events: [toEvent(session, { attendees, cancelled: method === 'CANCEL' })]
+  }),
+  contentType: `text/calendar; charset=utf-8; method=${method}`
+});
+
+/**
+ * Email a session's teacher and participants about a change, with an invite update attached
+ * Each recipient sees times in their own timezone. Failures are logged, never thrown.
+ * @param {Object} session - Session with teacher (name, email, timezone) and subject populated
+ * @param {Object} options - { template, subject, method: 'REQUEST' | 'CANCEL', context }
+ */
+const notifySessionChange = async (session, { template, subject, method, context = {} }) => {
+  let recipients;
+  try {
+    const participants = await getParticipants(session);
+    recipients = [
+      ...(session.teacher && session.teacher.email ? [{ user: session.teacher, isTeacher: true }] : []),
+      ...participants.map(user => ({ user, isTeacher: false }))
+    ].filter(({ user }) => user.email);
+  } catch (error) {
+    console.error(`Failed to load recipients for session ${session._id}:`, error.message);
+    return;
+  }
+
+  const attachment = buildInviteAttachment(session, {
+    method,
+    attendees: recipients.map(({ user }) => ({ name: user.name, email: user.email }))
+  });
+  const classroomFrontendUrl = process.env.CLASSROOM_FRONTEND_URL || 'http://localhost:5173';
+
+  for (const { user, isTeacher } of recipients) {
+    const timeZone = getUserTimezone(user);
+    try {
+      await sendEmail({
+        to: user.email,
+        subject,
+        template,
+        context: {
+          recipientName: user.name || user.email,
+          isTeacher,
+          sessionTitle: session.title,
+          subjectName: session.subject?.name || 'Not specified',
+          teacherName: session.teacher?.name || 'your teacher',
+          timezone: timeZone,
+          ...formatZonedSessionTimes(session.startTime, session.endTime, timeZone),
+          meetingLink: session.meetingLink,
+          sessionsUrl: `${classroomFrontendUrl}/app/live-sessions`,
+          currentYear: new Date().getFullYear(),
+          ...(typeof context === 'function' ? context(timeZone) : context)
+        },
+        attachments: [attachment]
+      });
+    } catch (error) {
+      console.error(`Failed to send ${template} email to ${user.email}:`, error.message);
+    }
+  }
+};
+
+/**
+ * The user's feed token, created on first use
+ */
+const getFeedToken = async (userId) => {
+  const user = await User.findById(userId).select('+calendarFeedToken');
+  if (!user) {
+    throw new AppError(ERROR_CODES.USER.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+  if (user.calendarFeedToken) {
+    return user.calendarFeedToken;
+  }
+  return resetFeedToken(userId);
+};
+
+/**
+ * Issue a new feed token; subscriptions using the old URL stop working
+ */
+const resetFeedToken = async (userId) => {
+  const token = crypto.randomBytes(24).toString('hex');
+  await User.updateOne({ _id: userId }, { $set: { calendarFeedToken: token } });
+  return token;
+};
+
+/**
+ * Sessions a user teaches or takes part in (Focus One student or active cohort member)
+ */
+const findUserSessions = async (user, range) => {
+  const focusOneIds = await FocusOne.find({ student: user._id }).distinct('_id');
+  const participation = [
+    { teacher: user._id },
+    { focusOne: { $in: focusOneIds } }
+  ];
+  if (user.cohortEnrollment && user.cohortEnrollment.cohort && user.cohortEnrollment.status === 'active') {
+    participation.push({ cohort: user.cohortEnrollment.cohort });
+  }
+
+  return Session.find({
+    $or: participation,
+    status: { $in: FEED_STATUSES },
+    startTime: { $gte: range.from, $lte: range.to }
+  })
+    .populate('subject', 'name')
+    .sort({ startTime: 1 });
+};
+
+/**
+ * The iCalendar subscription feed behind a feed token
+ * @returns {Promise<string>} iCalendar text
+ */
+const buildFeed = async (token, now = new Date()) => {
+  const user = typeof token === 'string' && token
+    ? await User.findOne({ calendarFeedToken: token }).select('name cohortEnrollment')
+    : null;
+  if (!user) {
+    throw new AppError(ERROR_CODES.SESSION.CALENDAR_FEED_NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+
+  const day = 24 * 60 * 60 * 1000;
+  const sessions = await findUserSessions(user, {
+    from: new Date(now.getTime() - FEED_PAST_DAYS * day),
+    to: new Date(now.getTime() + FEED_FUTURE_DAYS * day)
+  });
+
+  return buildCalendar({
+    method: 'PUBLISH',
+    name: 'SkyPrep Aero Sessions',
+    refreshMinutes: FEED_REFRESH_MINUTES,
+    events: sessions.map(session => toEvent(session))
+  });
+};
+
+module.exports = {
+  getSessionUid,
+  buildInviteAttachment,
+  notifySessionChange,
+  getFeedToken,
+  resetFeedToken,
+  buildFeed
+};
@@ -0,0 +1,159 @@
+const { Session } = require('../models');
+const { AppError, ERROR_CODES } = require('../errors');
+const { HTTP_STATUS } = require('../utils/constants');
+const { instituteTimezone } = require('../config/timezone');
+const { getZonedParts, zonedTimeToUtc } = require('../utils/timezone');
+const { getCancellationCharge } = require('./focusOneHourService');
+
+// Cancelling one of these gives up a booked slot; withdrawing a request is never late
+const BOOKED_STATUSES = ['accepted', 'scheduled', 'ongoing'];
+
+const startOfZonedMonth = (date, timeZone) => {
+  const { year, month } = getZonedParts(date, timeZone);
+  return zonedTimeToUtc({ year, month, day: 1 }, timeZone);
+};
+
+/**
+ * A student's late cancellations in the calendar month (institute timezone) that contains now
+ */
+const countLateCancellations = (studentId, now = new Date()) => Session.countDocuments({
+  cancelledBy: studentId,
+  'cancellationPolicy.cancelledByRole': 'student',
+  'cancellationPolicy.late': true,
+  cancelledAt: { $gte: startOfZonedMonth(now, instituteTimezone) },
+  deletedAt: null
+});
+
+/**
+ * Work out what the cancellation policy does to a cancellation, before anything is saved
+ * - Cancelling a booking with less than lateCancellationNoticeHours' notice is late.
+ * - A student's late cancellation beyond maxStudentLateCancellationsPerMonth is refused; within it the
+ *   Focus One hours are refunded at lateCancellationRefundPercent instead of cancellationRefundPercent.
+ * - A teacher's cancellation never costs the student hours; a late one is flagged for admin review.
+ *   An admin cancelling (e.g. a series they manage for a teacher) is treated the same way, without the flag.
+ * @param {Object} session - The session being cancelled (still with its times)
+ * @param {Object} options - { user, byStudent, byAdmin, previousStatus, policy (effective scheduling policy), now }
+ * @returns {Promise<Object>} The applied policy, in the shape of Session.cancellationPolicy
+ */
+const applyCancellationPolicy = async (session, { user, byStudent, byAdmin = false, previousStatus, policy, now = new Date() }) => {
+  const noticeHours = Math.round(((session.startTime.getTime() - now.getTime()) / (1000 * 60 * 60)) * 100) / 100;
+  const late = BOOKED_STATUSES.includes(previousStatus) && noticeHours < policy.lateCancellationNoticeHours;
+
+  let lateCancellationsThisMonth = null;
+  let lateCancellationLimit = null;
+  if (late && byStudent) {
+    const previous = await countLateCancellations(user._id, now);
+    lateCancellationLimit = policy.maxStudentLateCancellationsPerMonth;
+    if (previous >= lateCancellationLimit) {
+      throw new AppError(ERROR_CODES.SESSION.LATE_CANCEL_LIMIT, HTTP_STATUS.BAD_REQUEST, {
+        message: `Sessions can be cancelled with less than ${policy.lateCancellationNoticeHours} hours' notice ` +
+          `${lateCancellationLimit} time(s) a month, and that limit has been reached. Please contact your teacher or our support team.`,
+        lateCancellationsThisMonth: previous,
+        lateCancellationLimit
+      });
+    }
+    lateCancellationsThisMonth = previous + 1;
+  }
+
+  let refundPercent = policy.cancellationRefundPercent;
+  if (!byStudent) {
+    refundPercent = 100;
+  } else if (late) {
+    refundPercent = policy.lateCancellationRefundPercent;
+  }
+  const charge = getCancellationCharge(session, { previousStatus, refundPercent });
+
+  let cancelledByRole = 'teacher';
+  if (byStudent) {
+    cancelledByRole = 'student';
+  } else if (byAdmin) {
+    cancelledByRole = 'admin';
+  }
+
+  return {
+    cancelledByRole,
+    late,
+    noticeHours,
+    lateNoticeHours: policy.lateCancellationNoticeHours,
+    lateCancellationsThisMonth,
+    lateCancellationLimit,
+    hours: charge ? charge.hours : null,
+    refundPercent: charge ? charge.refundPercent : null,
+    refundedHours: charge ? charge.refundedHours : null,
+    forfeitedHours: charge ? charge.forfeitedHours : null,
+    flaggedForReview: late && cancelledByRole === 'teacher'
+  };
+};
+
+/**
+ * Teachers' late cancellations, awaiting review by default, most recent first
+ * @param {Object} filters - { status ('pending' | 'reviewed'), teacher, page, limit }
+ */
+const listFlaggedCancellations = async ({ status = 'pending', teacher = null, page = 1, limit = 20 } = {}) => {
+  const filter = { 'cancellationReview.status': status };
+  if (teacher) {
+    filter.cancelledBy = teacher;
+  }
+
+  const skip = (page - 1) * limit;
+  const [sessions, total] = await Promise.all([
+    Session.find(filter)
+      .select('title startTime endTime status focusOne cohort subject teacher cancelledBy cancelledAt cancellationReason cancellationPolicy cancellationReview')
+      .populate('focusOne', 'description student')
+      .populate('cohort', 'name slug')
+      .populate('subject', 'name')
+      .populate('teacher', 'name email')
+      .populate('cancelledBy', 'name email')
+      .populate('cancellationReview.reviewedBy', 'name email')
+      .sort({ cancelledAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    Session.countDocuments(filter)
+  ]);
+
+  return {
+    sessions,
+    pagination: {
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalItems: total,
+      itemsPerPage: limit,
+      hasNextPage: skip + sessions.length < total,
+      hasPreviousPage: page > 1
+    }
+  };
+};
+
+/**
+ * Mark a flagged late cancellation as reviewed
+ */
+const reviewCancellation = async (sessionId, { user, notes = null }) => {
+  const session = await Session.findById(sessionId);
+  if (!session) {
+    throw new AppError(ERROR_CODES.SESSION.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+
+  if (!session.cancellationReview) {
+    throw new AppError(ERROR_CODES.VALIDATION.GENERAL, HTTP_STATUS.BAD_REQUEST, {
+      message: 'This session\'s cancellation was not flagged for review'
+    });
+  }
+
+  session.cancellationReview.status = 'reviewed';
+  session.cancellationReview.reviewedBy = user._id;
+  session.cancellationReview.reviewedAt = new Date();
+  session.cancellationReview.notes = notes;
+  await session.save();
+
+  await session.populate('teacher', 'name email');
+  await session.populate('cancelledBy', 'name email');
+  await session.populate('cancellationReview.reviewedBy', 'name email');
+  return session;
+};
+
+module.exports = {
+  countLateCancellations,
+  applyCancellationPolicy,
+  listFlaggedCancellations,
+  reviewCancellation
+};
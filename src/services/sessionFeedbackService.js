@@ -0,0 +1,319 @@
+const mongoose = require('mongoose');
+const { Session, SessionFeedback, SessionAttendance, User, Subject } = require('../models');
+const { AppError, ERROR_CODES } = require('../errors');
+const { HTTP_STATUS, FEEDBACK, FEEDBACK_TAGS, ATTENDANCE_STATUSES } = require('../utils/constants');
+const { instituteTimezone } = require('../config/timezone');
+const { toZonedDateKey } = require('../utils/timezone');
+const { getParticipants } = require('./attendanceService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Period formats for rating trends ($dateToString)
+const INTERVAL_FORMATS = {
+  week: '%G-W%V',
+  month: '%Y-%m'
+};
+
+const isAdmin = user => (user.roles || []).some(role => ['admin', 'super-admin'].includes(role.name));
+
+const roundRating = value => (value === null || value === undefined ? null : Math.round(value * 100) / 100);
+
+/**
+ * Resolve a date range; defaults to the last `defaultDays` days
+ */
+const resolveRange = (from, to, defaultDays, now = new Date()) => {
+  const end = to ? new Date(to) : now;
+  const start = from ? new Date(from) : new Date(end.getTime() - defaultDays * DAY_MS);
+
+  if (isNaN(start.getTime()) || isNaN(end.getTime()) || start > end) {
+    throw new AppError(ERROR_CODES.VALIDATION.GENERAL, HTTP_STATUS.BAD_REQUEST, {
+      message: 'from and to must be valid dates with from before to'
+    });
+  }
+
+  return { from: start, to: end };
+};
+
+/**
+ * Rate a completed session (participating students), or change an earlier rating
+ * Feedback stays open for FEEDBACK.SUBMIT_WINDOW_DAYS after the session ends.
+ * @param {Object} data - { rating, comment, tags }
+ */
+const submitFeedback = async (sessionId, user, { rating, comment, tags = [] }, now = new Date()) => {
+  const session = await Session.findOne({ _id: sessionId, deletedAt: null });
+  if (!session) {
+    throw new AppError(ERROR_CODES.SESSION.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+
+  if (session.status !== 'completed' || !session.teacher) {
+    throw new AppError(ERROR_CODES.VALIDATION.GENERAL, HTTP_STATUS.BAD_REQUEST, {
+      message: 'Feedback can only be given for completed sessions'
+    });
+  }
+
+  const closesAt = new Date(session.endTime.getTime() + FEEDBACK.SUBMIT_WINDOW_DAYS * DAY_MS);
+  if (now > closesAt) {
+    throw new AppError(ERROR_CODES.SESSION.FEEDBACK_CLOSED, HTTP_STATUS.BAD_REQUEST, { closedAt: closesAt });
+  }
+
+  const participants = await getParticipants(session);
+  if (!participants.some(participant => participant._id.toString() === user._id.toString())) {
+    throw new AppError(ERROR_CODES.SESSION.NOT_PARTICIPANT, HTTP_STATUS.FORBIDDEN);
+  }
+
+  const attendance = await SessionAttendance.findOne({ session: session._id, user: user._id }).select('status');
+  if (attendance && [ATTENDANCE_STATUSES.ABSENT, ATTENDANCE_STATUSES.EXCUSED].includes(attendance.status)) {
+    throw new AppError(ERROR_CODES.VALIDATION.GENERAL, HTTP_STATUS.BAD_REQUEST, {
+      message: 'Only students who attended the session can rate it'
+    });
+  }
+
+  const feedback = await SessionFeedback.findOne({ session: session._id, student: user._id }) ||
+    new SessionFeedback({ session: session._id, student: user._id });
+
+  feedback.teacher = session.teacher;
+  feedback.subject = session.subject || null;
+  feedback.rating = rating;
+  feedback.comment = comment || null;
+  feedback.tags = [...new Set(tags)];
+
+  try {
+    await feedback.validate();
+  } catch (error) {
+    throw new AppError(ERROR_CODES.VALIDATION.GENERAL, HTTP_STATUS.BAD_REQUEST, { message: error.message });
+  }
+  await feedback.save();
+
+  return feedback;
+};
+
+/**
+ * Rating count, average, distribution and tag counts of a set of feedback
+ */
+const summarize = (feedbackList) => {
+  const distribution = {};
+  for (let rating = FEEDBACK.MIN_RATING; rating <= FEEDBACK.MAX_RATING; rating++) {
+    distribution[rating] = 0;
+  }
+  const tagCounts = FEEDBACK_TAGS.reduce((acc, tag) => ({ ...acc, [tag]: 0 }), {});
+
+  let total = 0;
+  feedbackList.forEach((feedback) => {
+    total += feedback.rating;
+    distribution[feedback.rating] += 1;
+    (feedback.tags || []).forEach((tag) => {
+      tagCounts[tag] = (tagCounts[tag] || 0) + 1;
+    });
+  });
+
+  return {
+    count: feedbackList.length,
+    averageRating: feedbackList.length > 0 ? roundRating(total / feedbackList.length) : null,
+    distribution,
+    tagCounts
+  };
+};
+
+/**
+ * A teacher's feedback without anything that identifies the student or the session
+ * Teachers can only see their own; dates are reduced to the month.
+ * @param {Object} options - { from, to, subject } (defaults to the last 180 days)
+ */
+const getTeacherFeedback = async (teacherId, user, { from, to, subject } = {}) => {
+  if (!isAdmin(user) && teacherId.toString() !== user._id.toString()) {
+    throw new AppError(ERROR_CODES.PERMISSION.FORBIDDEN, HTTP_STATUS.FORBIDDEN, {
+      message: 'You can only view your own feedback'
+    });
+  }
+
+  const teacher = await User.findById(teacherId).select('name email');
+  if (!teacher) {
+    throw new AppError(ERROR_CODES.USER.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+
+  const range = resolveRange(from, to, FEEDBACK.SELECTION_LOOKBACK_DAYS);
+  const filter = { teacher: teacher._id, createdAt: { $gte: range.from, $lte: range.to } };
+  if (subject) {
+    filter.subject = subject;
+  }
+
+  const feedbackList = await SessionFeedback.find(filter)
+    .select('rating comment tags subject createdAt')
+    .populate('subject', 'name')
+    .sort({ createdAt: -1 });
+
+  return {
+    teacher,
+    range,
+    ...summarize(feedbackList),
+    feedback: feedbackList.map(feedback => ({
+      rating: feedback.rating,
+      comment: feedback.comment,
+      tags: feedback.tags,
+      subject: feedback.subject,
+      month: toZonedDateKey(feedback.createdAt, instituteTimezone).slice(0, 7)
+    }))
+  };
+};
+
+/**
+ * Aggregated teacher ratings per subject, with a trend per week or month (Admin)
+ * @param {Object} options - { from, to, teacher, subject, interval: 'week' | 'month' } (defaults to the last year)
+ */
+const getTeacherRatings = async ({ from, to, teacher, subject, interval = 'month' } = {}) => {
+  const range = resolveRange(from, to, 365);
+  const match = { createdAt: { $gte: range.from, $lte: range.to } };
+  if (teacher) {
+    match.teacher = new mongoose.Types.ObjectId(teacher);
+  }
+  if (subject) {
+    match.subject = new mongoose.Types.ObjectId(subject);
+  }
+
+  const [bySubject, byPeriod] = await Promise.all([
+    SessionFeedback.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { teacher: '$teacher', subject: '$subject' },
+          averageRating: { $avg: '$rating' },
+          totalRating: { $sum: '$rating' },
+          count: { $sum: 1 },
+          tags: { $push: '$tags' }
+        }
+      }
+    ]),
+    SessionFeedback.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: {
+            teacher: '$teacher',
+            subject: '$subject',
+            period: { $dateToString: { format: INTERVAL_FORMATS[interval], date: '$createdAt', timezone: instituteTimezone } }
+          },
+          averageRating: { $avg: '$rating' },
+          count: { $sum: 1 }
+        }
+      },
+      { $sort: { '_id.period': 1 } }
+    ])
+  ]);
+
+  const teacherIds = [...new Set(bySubject.map(group => group._id.teacher.toString()))];
+  const subjectIds = [...new Set(bySubject.map(group => group._id.subject).filter(Boolean).map(id => id.toString()))];
+  const [teachers, subjects] = await Promise.all([
+    User.find({ _id: { $in: teacherIds } }).select('name email'),
+    Subject.find({ _id: { $in: subjectIds } }).select('name')
+  ]);
+  const teacherById = new Map(teachers.map(doc => [doc._id.toString(), doc]));
+  const subjectById = new Map(subjects.map(doc => [doc._id.toString(), doc]));
+
+  const key = (teacherId, subjectId) => `${teacherId}:${subjectId || ''}`;
+  const trendByKey = new Map();
+  byPeriod.forEach((group) => {
+    const groupKey = key(group._id.teacher, group._id.subject);
+    if (!trendByKey.has(groupKey)) {
+      trendByKey.set(groupKey, []);
+    }
+    trendByKey.get(groupKey).push({
+      period: group._id.period,
+      averageRating: roundRating(group.averageRating),
+      count: group.count
+    });
+  });
+
+  const byTeacher = new Map();
+  bySubject.forEach((group) => {
+    const teacherId = group._id.teacher.toString();
+    if (!byTeacher.has(teacherId)) {
+      byTeacher.set(teacherId, {
+        teacher: teacherById.get(teacherId) || { _id: group._id.teacher },
+        totalRating: 0,
+        count: 0,
+        subjects: []
+      });
+    }
+
+    const tagCounts = {};
+    group.tags.flat().forEach((tag) => {
+      tagCounts[tag] = (tagCounts[tag] || 0) + 1;
+    });
+
+    const entry = byTeacher.get(teacherId);
+    entry.totalRating += group.totalRating;
+    entry.count += group.count;
+    entry.subjects.push({
+      subject: group._id.subject ? (subjectById.get(group._id.subject.toString()) || { _id: group._id.subject }) : null,
+      averageRating: roundRating(group.averageRating),
+      count: group.count,
+      tagCounts,
+      trend: trendByKey.get(key(group._id.teacher, group._id.subject)) || []
+    });
+  });
+
+  const results = [...byTeacher.values()]
+    .map(({ totalRating, ...entry }) => ({
+      ...entry,
+      averageRating: roundRating(totalRating / entry.count)
+    }))
+    .sort((a, b) => b.averageRating - a.averageRating || b.count - a.count);
+
+  return { range, interval, teachers: results };
+};
+
+/**
+ * Smoothed recent rating per teacher, for choosing between teachers who are all free
+ * A teacher with few ratings is pulled towards FEEDBACK.PRIOR_RATING, so one 5-star rating does not outrank a long record.
+ * @param {Array} teacherIds - Teacher IDs
+ * @param {string} subjectId - Only feedback for this subject (optional)
+ * @returns {Promise<Map>} teacherId -> { averageRating, count, score }
+ */
+const getTeacherScores = async (teacherIds, subjectId = null, now = new Date()) => {
+  const match = {
+    teacher: { $in: teacherIds.map(id => new mongoose.Types.ObjectId(id.toString())) },
+    createdAt: { $gte: new Date(now.getTime() - FEEDBACK.SELECTION_LOOKBACK_DAYS * DAY_MS) }
+  };
+  if (subjectId) {
+    match.subject = new mongoose.Types.ObjectId(subjectId.toString());
+  }
+
+  const groups = await SessionFeedback.aggregate([
+    { $match: match },
+    { $group: { _id: '$teacher', totalRating: { $sum: '$rating' }, count: { $sum: 1 } } }
+  ]);
+  const groupByTeacher = new Map(groups.map(group => [group._id.toString(), group]));
+
+  return new Map(teacherIds.map((teacherId) => {
+    const group = groupByTeacher.get(teacherId.toString()) || { totalRating: 0, count: 0 };
+    return [teacherId.toString(), {
+      averageRating: group.count > 0 ? roundRating(group.totalRating / group.count) : null,
+      count: group.count,
+      score: (FEEDBACK.PRIOR_RATING * FEEDBACK.PRIOR_WEIGHT + group.totalRating) / (FEEDBACK.PRIOR_WEIGHT + group.count)
+    }];
+  }));
+};
+
+/**
+ * Teachers ordered by their smoothed rating, best first (ties keep the given order)
+ */
+const rankTeachers = async (teacherIds, subjectId = null) => {
+  if (teacherIds.length < 2) {
+    return { ranked: [...teacherIds], scores: new Map() };
+  }
+
+  const scores = await getTeacherScores(teacherIds, subjectId);
+  const ranked = teacherIds
+    .map((teacherId, index) => ({ teacherId, index, score: scores.get(teacherId.toString()).score }))
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(entry => entry.teacherId);
+
+  return { ranked, scores };
+};
+
+module.exports = {
+  submitFeedback,
+  getTeacherFeedback,
+  getTeacherRatings,
+  getTeacherScores,
+  rankTeachers
+};
@@ -0,0 +1,226 @@
+const { Session, SessionAttendance } = require('../models');
+const { ATTENDANCE_STATUSES } = require('../utils/constants');
+const { getParticipants } = require('./attendanceService');
+const { recordUsage } = require('./focusOneHourService');
+
+/**
+ * History entry for a transition made by the lifecycle job rather than a user
+ */
+const systemHistoryEntry = (action, previousStatus, newStatus, now, notes, changes) => ({
+  action,
+  actorType: 'system',
+  performedBy: null,
+  performedAt: now,
+  previousStatus,
+  newStatus,
+  notes,
+  ...(changes ? { changes } : {})
+});
+
+/**
+ * Move a session from one status to another unless a user changed it in the meantime
+ * @returns {Promise<boolean>} Whether this call made the transition
+ */
+const transition = async (session, { action, newStatus, now, notes, extraUpdate = {} }) => {
+  const result = await Session.updateOne(
+    { _id: session._id, status: session.status, deletedAt: null },
+    {
+      $set: { status: newStatus, ...extraUpdate },
+      $push: { history: systemHistoryEntry(action, session.status, newStatus, now, notes) }
+    }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Scheduled sessions whose start time has arrived become ongoing
+ */
+const startDueSessions = async ({ now = new Date(), batchSize = 100 } = {}) => {
+  const due = await Session.find({
+    status: 'scheduled',
+    startTime: { $lte: now },
+    endTime: { $gt: now }
+  })
+    .select('_id status')
+    .sort({ startTime: 1 })
+    .limit(batchSize);
+
+  let started = 0;
+  for (const session of due) {
+    if (await transition(session, { action: 'started', newStatus: 'ongoing', now, notes: 'Session started' })) {
+      started += 1;
+    }
+  }
+  return started;
+};
+
+/**
+ * Record an absence for every participant who has no attendance record for a finished session
+ * Records a teacher marked, and joins, are left as they are.
+ * @returns {Promise<Array>} Ids of the participants marked absent
+ */
+const recordNoShows = async (session, now = new Date()) => {
+  const participants = await getParticipants(session);
+  if (participants.length === 0) {
+    return [];
+  }
+
+  const recorded = await SessionAttendance.find({ session: session._id }).select('user');
+  const recordedIds = new Set(recorded.map(record => record.user.toString()));
+  const noShows = participants.filter(participant => !recordedIds.has(participant._id.toString()));
+
+  for (const participant of noShows) {
+    // Upsert so a join or teacher mark that lands meanwhile is not overwritten
+    await SessionAttendance.updateOne(
+      { session: session._id, user: participant._id },
+      {
+        $setOnInsert: {
+          status: ATTENDANCE_STATUSES.ABSENT,
+          source: 'system',
+          markedAt: now,
+          notes: 'Did not join the session'
+        }
+      },
+      { upsert: true }
+    );
+  }
+
+  if (noShows.length > 0) {
+    const notes = noShows.length === participants.length
+      ? 'No participants joined the session'
+      : `${noShows.length} of ${participants.length} participant(s) did not join the session`;
+
+    await Session.updateOne(
+      { _id: session._id },
+      {
+        $push: {
+          history: systemHistoryEntry('no-show', session.status, session.status, now, notes, {
+            absentParticipants: noShows.map(participant => participant._id)
+          })
+        }
+      }
+    );
+  }
+
+  return noShows.map(participant => participant._id);
+};
+
+/**
+ * Scheduled or ongoing sessions whose end time has passed become completed, then no-shows are recorded
+ * @returns {Promise<Object>} { completed, noShows }
+ */
+const completeEndedSessions = async ({ now = new Date(), batchSize = 100 } = {}) => {
+  const ended = await Session.find({
+    status: { $in: ['scheduled', 'ongoing'] },
+    endTime: { $lte: now }
+  })
+    .select('_id status focusOne cohort subject startTime endTime')
+    .sort({ endTime: 1 })
+    .limit(batchSize);
+
+  let completed = 0;
+  let noShows = 0;
+  for (const session of ended) {
+    if (!(await transition(session, { action: 'completed', newStatus: 'completed', now, notes: 'Session completed' }))) {
+      continue;
+    }
+    completed += 1;
+
+    session.status = 'completed';
+    try {
+      await recordUsage(session);
+    } catch (error) {
+      console.error(`Failed to deduct Focus One hours for session ${session._id}:`, error.message);
+    }
+    try {
+      noShows += (await recordNoShows(session, now)).length;
+    } catch (error) {
+      // The session stays completed; attendance can still be marked by the teacher
+      console.error(`Failed to record no-shows for session ${session._id}:`, error.message);
+    }
+  }
+  return { completed, noShows };
+};
+
+/**
+ * Requests nobody accepted before their start time become expired
+ */
+const expireStaleRequests = async ({ now = new Date(), batchSize = 100 } = {}) => {
+  const stale = await Session.find({
+    status: 'requested',
+    startTime: { $lte: now }
+  })
+    .select('_id status')
+    .sort({ startTime: 1 })
+    .limit(batchSize);
+
+  let expired = 0;
+  for (const session of stale) {
+    const didExpire = await transition(session, {
+      action: 'expired',
+      newStatus: 'expired',
+      now,
+      notes: 'Session request expired: it was not accepted before the start time'
+    });
+    if (didExpire) {
+      expired += 1;
+    }
+  }
+  return expired;
+};
+
+/**
+ * Reschedule proposals nobody answered in time lapse; the sessions keep their original times
+ */
+const expireRescheduleProposals = async ({ now = new Date(), batchSize = 100 } = {}) => {
+  const lapsed = await Session.find({ 'rescheduleProposal.expiresAt': { $lte: now } })
+    .select('_id status rescheduleProposal')
+    .sort({ 'rescheduleProposal.expiresAt': 1 })
+    .limit(batchSize);
+
+  let expired = 0;
+  for (const session of lapsed) {
+    // Unless the respondent answered in the meantime
+    const result = await Session.updateOne(
+      { _id: session._id, 'rescheduleProposal.expiresAt': session.rescheduleProposal.expiresAt },
+      {
+        $set: { rescheduleProposal: null },
+        $push: {
+          history: systemHistoryEntry(
+            'reschedule-expired',
+            session.status,
+            session.status,
+            now,
+            'Reschedule proposal expired without a response; the session keeps its original time'
+          )
+        }
+      }
+    );
+    if (result.modifiedCount > 0) {
+      expired += 1;
+    }
+  }
+  return expired;
+};
+
+/**
+ * Run every lifecycle transition once
+ * @returns {Promise<Object>} Counts per transition
+ */
+const runLifecycleSweep = async ({ now = new Date(), batchSize = 100 } = {}) => {
+  const expired = await expireStaleRequests({ now, batchSize });
+  const proposalsExpired = await expireRescheduleProposals({ now, batchSize });
+  const started = await startDueSessions({ now, batchSize });
+  const { completed, noShows } = await completeEndedSessions({ now, batchSize });
+
+  return { expired, proposalsExpired, started, completed, noShows };
+};
+
+module.exports = {
+  startDueSessions,
+  completeEndedSessions,
+  expireStaleRequests,
+  expireRescheduleProposals,
+  recordNoShows,
+  runLifecycleSweep
+};
@@ -0,0 +1,376 @@
+const { Session, SessionReminder, User } = require('../models');
+const { sendEmail } = require('./emailService');
+const { getParticipants } = require('./attendanceService');
+const { instituteTimezone, getUserTimezone } = require('../config/timezone');
+const { reminderOffsetsMinutes, teacherDigestTime, reminderGraceMinutes } = require('../config/reminders');
+const {
+  atZonedTime,
+  addZonedDays,
+  toZonedDateKey,
+  parseZonedDate,
+  formatZonedSessionTimes
+} = require('../utils/timezone');
+
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MINUTES = 5;
+// A reminder left in 'sending' this long (e.g. the process died mid-send) is picked up again
+const STALE_CLAIM_MINUTES = 10;
+
+const isDuplicateKeyError = error => error && error.code === 11000;
+
+const minutesBefore = (date, minutes) => new Date(new Date(date).getTime() - minutes * 60 * 1000);
+
+/**
+ * "24 hours", "1 hour", "30 minutes"
+ */
+const formatOffset = (minutes) => {
+  const [value, unit] = minutes % 1440 === 0
+    ? [minutes / 1440, 'day']
+    : minutes % 60 === 0 ? [minutes / 60, 'hour'] : [minutes, 'minute'];
+  return `${value} ${unit}${value === 1 ? '' : 's'}`;
+};
+
+const formatForUser = (session, user) => {
+  const timeZone = getUserTimezone(user);
+  return {
+    timezone: timeZone,
+    ...formatZonedSessionTimes(session.startTime, session.endTime, timeZone)
+  };
+};
+
+const sessionsUrl = () => `${process.env.CLASSROOM_FRONTEND_URL || 'http://localhost:5173'}/app/live-sessions`;
+
+/**
+ * Bring a session's reminders in line with its current status and start time
+ * Sessions that are no longer scheduled have their pending reminders cancelled; a new start time
+ * re-arms every reminder for the new time (ones already overdue by more than the grace period are skipped).
+ */
+const syncSessionReminders = async (session, now = new Date()) => {
+  const isRemindable = session.status === 'scheduled' && !session.deletedAt;
+
+  await SessionReminder.updateMany(
+    {
+      type: 'reminder',
+      session: session._id,
+      status: 'pending',
+      ...(isRemindable ? { offsetMinutes: { $nin: reminderOffsetsMinutes } } : {})
+    },
+    { $set: { status: 'cancelled' } }
+  );
+
+  if (!isRemindable) {
+    return;
+  }
+
+  const startTime = new Date(session.startTime);
+  const existing = await SessionReminder.find({ type: 'reminder', session: session._id });
+
+  for (const offsetMinutes of reminderOffsetsMinutes) {
+    const sendAt = minutesBefore(startTime, offsetMinutes);
+    let reminder = existing.find(entry => entry.offsetMinutes === offsetMinutes);
+
+    const isCurrent = reminder &&
+      reminder.sessionStartTime.getTime() === startTime.getTime() &&
+      reminder.status !== 'cancelled';
+    if (isCurrent) {
+      continue;
+    }
+
+    if (!reminder) {
+      reminder = new SessionReminder({ type: 'reminder', session: session._id, offsetMinutes });
+    }
+    reminder.set({
+      sendAt,
+      sessionStartTime: startTime,
+      status: sendAt < minutesBefore(now, reminderGraceMinutes) ? 'skipped' : 'pending',
+      sentTo: [],
+      claimedAt: null,
+      sentAt: null,
+      attempts: 0,
+      lastError: null
+    });
+
+    try {
+      await reminder.save();
+    } catch (error) {
+      // Created concurrently by the reminder job; that copy is equivalent
+      if (!isDuplicateKeyError(error)) {
+        throw error;
+      }
+    }
+  }
+};
+
+/**
+ * syncSessionReminders for request handlers: reminder bookkeeping never fails the request
+ */
+const refreshSessionReminders = async (sessions) => {
+  for (const session of [].concat(sessions)) {
+    try {
+      await syncSessionReminders(session);
+    } catch (error) {
+      console.error(`Failed to update reminders for session ${session._id}:`, error.message);
+    }
+  }
+};
+
+/**
+ * Create any missing reminders for scheduled sessions inside the reminder window
+ * A safety net for sessions whose reminders were never created or were left behind by an earlier start time.
+ */
+const ensureUpcomingReminders = async ({ now = new Date(), batchSize = 200 } = {}) => {
+  if (reminderOffsetsMinutes.length === 0) {
+    return 0;
+  }
+
+  const windowEnd = new Date(now.getTime() + reminderOffsetsMinutes[0] * 60 * 1000);
+  const upcoming = await Session.find({
+    status: 'scheduled',
+    startTime: { $gt: now, $lte: windowEnd }
+  })
+    .select('_id status startTime deletedAt')
+    .sort({ startTime: 1 })
+    .limit(batchSize);
+
+  const reminders = await SessionReminder.find({
+    type: 'reminder',
+    session: { $in: upcoming.map(session => session._id) }
+  }).select('session offsetMinutes sessionStartTime status');
+
+  let synced = 0;
+  for (const session of upcoming) {
+    const own = reminders.filter(reminder => reminder.session.toString() === session._id.toString());
+    const isComplete = reminderOffsetsMinutes.every(offsetMinutes => own.some(reminder =>
+      reminder.offsetMinutes === offsetMinutes &&
+      reminder.status !== 'cancelled' &&
+      reminder.sessionStartTime.getTime() === session.startTime.getTime()
+    ));
+    if (!isComplete) {
+      await syncSessionReminders(session, now);
+      synced += 1;
+    }
+  }
+  return synced;
+};
+
+/**
+ * Queue tomorrow's agenda digest for every teacher with sessions, once today's digest time has passed
+ */
+const scheduleTeacherDigests = async ({ now = new Date() } = {}) => {
+  if (!teacherDigestTime) {
+    return 0;
+  }
+
+  const sendAt = atZonedTime(now, teacherDigestTime, instituteTimezone);
+  if (now < sendAt) {
+    return 0;
+  }
+
+  const dayStart = addZonedDays(now, 1, instituteTimezone);
+  const digestDate = toZonedDateKey(dayStart, instituteTimezone);
+  const teacherIds = await Session.distinct('teacher', {
+    status: 'scheduled',
+    teacher: { $ne: null },
+    startTime: { $gte: dayStart, $lt: addZonedDays(dayStart, 1, instituteTimezone) },
+    deletedAt: null
+  });
+
+  let queued = 0;
+  for (const teacherId of teacherIds) {
+    try {
+      const result = await SessionReminder.updateOne(
+        { type: 'digest', recipient: teacherId, digestDate },
+        { $setOnInsert: { sendAt, status: 'pending' } },
+        { upsert: true }
+      );
+      queued += result.upsertedCount;
+    } catch (error) {
+      if (!isDuplicateKeyError(error)) {
+        throw error;
+      }
+    }
+  }
+  return queued;
+};
+
+/**
+ * Email one session's reminder to its teacher and participants
+ * @returns {Promise<string>} Final status: 'sent', 'skipped' or 'cancelled'
+ */
+const deliverReminder = async (reminder, now) => {
+  const session = await Session.findById(reminder.session)
+    .populate('teacher', 'name email timezone')
+    .populate('subject', 'name');
+
+  if (!session || session.status !== 'scheduled' ||
+    session.startTime.getTime() !== reminder.sessionStartTime.getTime()) {
+    return 'cancelled';
+  }
+  if (now >= session.startTime) {
+    return 'skipped';
+  }
+
+  const participants = await getParticipants(session);
+  const recipients = [
+    ...(session.teacher ? [{ user: session.teacher, isTeacher: true }] : []),
+    ...participants.map(user => ({ user, isTeacher: false }))
+  ].filter(({ user }) => user.email && !reminder.sentTo.some(id => id.toString() === user._id.toString()));
+
+  const startsIn = formatOffset(reminder.offsetMinutes);
+  const failures = [];
+  for (const { user, isTeacher } of recipients) {
+    try {
+      await sendEmail({
+        to: user.email,
+        subject: `Reminder: ${session.title} starts in ${startsIn}`,
+        template: 'sessions/session-reminder',
+        context: {
+          recipientName: user.name || user.email,
+          isTeacher,
+          startsIn,
+          sessionTitle: session.title,
+          sessionDescription: session.description,
+          ...formatForUser(session, user),
+          subjectName: session.subject?.name || 'Not specified',
+          teacherName: session.teacher?.name || 'your teacher',
+          meetingLink: session.meetingLink,
+          meetingPlatform: session.meetingPlatform === 'jitsi-meet' ? 'Jitsi Meet' : session.meetingPlatform,
+          sessionsUrl: sessionsUrl(),
+          currentYear: new Date().getFullYear()
+        }
+      });
+      await SessionReminder.updateOne({ _id: reminder._id }, { $addToSet: { sentTo: user._id } });
+    } catch (error) {
+      failures.push(`${user.email}: ${error.message}`);
+    }
+  }
+
+  if (failures.length > 0) {
+    throw new Error(failures.join('; '));
+  }
+  return 'sent';
+};
+
+/**
+ * Email a teacher their agenda for the digest day
+ * @returns {Promise<string>} Final status: 'sent' or 'skipped'
+ */
+const deliverDigest = async (digest) => {
+  const teacher = await User.findById(digest.recipient).select('name email timezone');
+  const dayStart = parseZonedDate(digest.digestDate, instituteTimezone);
+
+  const sessions = await Session.find({
+    teacher: digest.recipient,
+    status: 'scheduled',
+    startTime: { $gte: dayStart, $lt: addZonedDays(dayStart, 1, instituteTimezone) }
+  })
+    .populate('subject', 'name')
+    .populate({ path: 'focusOne', select: 'student', populate: { path: 'student', select: 'name' } })
+    .populate('cohort', 'name')
+    .sort({ startTime: 1 });
+
+  if (!teacher || !teacher.email || sessions.length === 0) {
+    return 'skipped';
+  }
+
+  const agenda = sessions.map((session) => {
+    const times = formatForUser(session, teacher);
+    return {
+      title: session.title,
+      startTime: times.sessionStartTime,
+      endTime: times.sessionEndTime,
+      subjectName: session.subject?.name || 'Not specified',
+      audience: session.cohort ? session.cohort.name : session.focusOne?.student?.name || 'Focus One',
+      meetingLink: session.meetingLink
+    };
+  });
+
+  await sendEmail({
+    to: teacher.email,
+    subject: `Your sessions for ${formatForUser(sessions[0], teacher).sessionDate}`,
+    template: 'sessions/teacher-daily-digest',
+    context: {
+      teacherName: teacher.name || teacher.email,
+      agendaDate: formatForUser(sessions[0], teacher).sessionDate,
+      timezone: getUserTimezone(teacher),
+      sessionCount: sessions.length,
+      sessions: agenda,
+      sessionsUrl: sessionsUrl(),
+      currentYear: new Date().getFullYear()
+    }
+  });
+  return 'sent';
+};
+
+/**
+ * Send every reminder and digest that is due
+ * Each one is claimed before sending so concurrent sweeps and restarts do not send it twice.
+ * @returns {Promise<Object>} Counts per final status
+ */
+const sendDueReminders = async ({ now = new Date(), batchSize = 100 } = {}) => {
+  await SessionReminder.updateMany(
+    { status: 'sending', claimedAt: { $lt: minutesBefore(now, STALE_CLAIM_MINUTES) } },
+    { $set: { status: 'pending', claimedAt: null } }
+  );
+
+  const counts = { sent: 0, skipped: 0, cancelled: 0, failed: 0 };
+  for (let processed = 0; processed < batchSize; processed += 1) {
+    const reminder = await SessionReminder.findOneAndUpdate(
+      { status: 'pending', sendAt: { $lte: now } },
+      { $set: { status: 'sending', claimedAt: now }, $inc: { attempts: 1 } },
+      { sort: { sendAt: 1 }, new: true }
+    );
+    if (!reminder) {
+      break;
+    }
+
+    try {
+      const status = reminder.type === 'digest'
+        ? await deliverDigest(reminder)
+        : await deliverReminder(reminder, now);
+
+      await SessionReminder.updateOne(
+        { _id: reminder._id },
+        { $set: { status, sentAt: status === 'sent' ? new Date() : null, claimedAt: null, lastError: null } }
+      );
+      counts[status] += 1;
+    } catch (error) {
+      const status = reminder.attempts >= MAX_ATTEMPTS ? 'failed' : 'pending';
+      await SessionReminder.updateOne(
+        { _id: reminder._id },
+        {
+          $set: {
+            status,
+            claimedAt: null,
+            lastError: error.message,
+            ...(status === 'pending' ? { sendAt: new Date(now.getTime() + RETRY_DELAY_MINUTES * 60 * 1000) } : {})
+          }
+        }
+      );
+      if (status === 'failed') {
+        counts.failed += 1;
+      }
+      console.error(`Failed to send ${reminder.type} ${reminder._id}:`, error.message);
+    }
+  }
+  return counts;
+};
+
+/**
+ * One pass of the reminder job
+ */
+const runReminderSweep = async ({ now = new Date() } = {}) => {
+  await ensureUpcomingReminders({ now });
+  const digestsQueued = await scheduleTeacherDigests({ now });
+  const counts = await sendDueReminders({ now });
+  return { ...counts, digestsQueued };
+};
+
+module.exports = {
+  syncSessionReminders,
+  refreshSessionReminders,
+  ensureUpcomingReminders,
+  scheduleTeacherDigests,
+  sendDueReminders,
+  runReminderSweep
+};
@@ -0,0 +1,277 @@
+const { Session, SessionReport, SessionAttendance, Chapter, Subject, FocusOne, Cohort, User } = require('../models');
+const { AppError, ERROR_CODES } = require('../errors');
+const { HTTP_STATUS, ATTENDANCE_STATUSES } = require('../utils/constants');
+const { getParticipants } = require('./attendanceService');
+
+// A report can be written once the session has started
+const REPORTABLE_STATUSES = ['ongoing', 'completed'];
+const ATTENDED_STATUSES = [ATTENDANCE_STATUSES.PRESENT, ATTENDANCE_STATUSES.LATE];
+
+const isAdmin = user => (user.roles || []).some(role => ['admin', 'super-admin'].includes(role.name));
+
+const isSessionTeacher = (session, user) => Boolean(session.teacher) && session.teacher.toString() === user._id.toString();
+
+const loadSession = async (sessionId) => {
+  const session = await Session.findOne({ _id: sessionId, deletedAt: null });
+  if (!session) {
+    throw new AppError(ERROR_CODES.SESSION.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+  return session;
+};
+
+const populateReport = report => report.populate([
+  { path: 'chaptersCovered', select: 'name order subject' },
+  { path: 'subject', select: 'name' },
+  { path: 'submittedBy', select: 'name email' },
+  { path: 'updatedBy', select: 'name email' }
+]);
+
+/**
+ * Chapter ids for a report: each must be an active chapter of the session's subject
+ */
+const resolveChapters = async (session, chapterIds) => {
+  const uniqueIds = [...new Set(chapterIds.map(id => id.toString()))];
+  if (uniqueIds.length === 0) {
+    return [];
+  }
+
+  const chapters = await Chapter.find({ _id: { $in: uniqueIds }, isActive: true }).select('subject');
+  if (chapters.length !== uniqueIds.length) {
+    throw new AppError(ERROR_CODES.CHAPTER.NOT_FOUND, HTTP_STATUS.BAD_REQUEST, {
+      message: 'One or more chapters do not exist or are inactive'
+    });
+  }
+
+  if (session.subject && chapters.some(chapter => chapter.subject.toString() !== session.subject.toString())) {
+    throw new AppError(ERROR_CODES.VALIDATION.GENERAL, HTTP_STATUS.BAD_REQUEST, {
+      message: 'Chapters covered must belong to the session\'s subject'
+    });
+  }
+
+  return uniqueIds;
+};
+
+/**
+ * Create or replace the report for a session (its teacher or an admin)
+ * @param {Object} data - { summary, chaptersCovered, homework: [{ title, description, dueDate }], adminNotes }
+ */
+const saveReport = async (sessionId, data, user) => {
+  const session = await loadSession(sessionId);
+  if (!isSessionTeacher(session, user) && !isAdmin(user)) {
+    throw new AppError(ERROR_CODES.PERMISSION.FORBIDDEN, HTTP_STATUS.FORBIDDEN, {
+      message: 'Only the session teacher or an admin can write the session report'
+    });
+  }
+
+  if (!REPORTABLE_STATUSES.includes(session.status)) {
+    throw new AppError(ERROR_CODES.VALIDATION.GENERAL, HTTP_STATUS.BAD_REQUEST, {
+      message: `A report cannot be written for a ${session.status} session`
+    });
+  }
+
+  const chaptersCovered = await resolveChapters(session, data.chaptersCovered || []);
+
+  let report = await SessionReport.findOne({ session: session._id });
+  if (report) {
+    report.updatedBy = user._id;
+  } else {
+    report = new SessionReport({ session: session._id, submittedBy: user._id });
+  }
+
+  report.focusOne = session.focusOne || null;
+  report.cohort = session.cohort || null;
+  report.subject = session.subject || null;
+  report.summary = data.summary;
+  report.chaptersCovered = chaptersCovered;
+  report.homework = (data.homework || []).map(item => ({
+    title: item.title,
+    description: item.description || null,
+    dueDate: item.dueDate ? new Date(item.dueDate) : null
+  }));
+  if (data.adminNotes !== undefined) {
+    report.adminNotes = data.adminNotes || null;
+  }
+
+  try {
+    await report.validate();
+  } catch (error) {
+    throw new AppError(ERROR_CODES.VALIDATION.GENERAL, HTTP_STATUS.BAD_REQUEST, { message: error.message });
+  }
+  await report.save();
+
+  return populateReport(report);
+};
+
+/**
+ * A session's report: in full for its teacher and admins, read-only without admin notes for participants
+ */
+const getReport = async (sessionId, user) => {
+  const session = await loadSession(sessionId);
+
+  const canSeeAll = isSessionTeacher(session, user) || isAdmin(user);
+  if (!canSeeAll) {
+    const participants = await getParticipants(session);
+    if (!participants.some(participant => participant._id.toString() === user._id.toString())) {
+      throw new AppError(ERROR_CODES.SESSION.NOT_PARTICIPANT, HTTP_STATUS.FORBIDDEN);
+    }
+  }
+
+  const report = await SessionReport.findOne({ session: session._id });
+  if (!report) {
+    throw new AppError(ERROR_CODES.SESSION.REPORT_NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+  await populateReport(report);
+
+  if (canSeeAll) {
+    return report;
+  }
+
+  const { adminNotes, updatedBy, ...studentView } = report.toObject();
+  return studentView;
+};
+
+/**
+ * The subjects of a syllabus and their active chapters, in chapter order
+ */
+const loadSyllabus = async (subjectIds) => {
+  const [subjects, chapters] = await Promise.all([
+    Subject.find({ _id: { $in: subjectIds } }).select('name'),
+    Chapter.find({ subject: { $in: subjectIds }, isActive: true }).select('name order subject').sort({ order: 1, name: 1 })
+  ]);
+  return { subjects, chapters };
+};
+
+/**
+ * Per-subject coverage: every active chapter, whether reports covered it, and the share covered
+ * @param {Object} syllabus - { subjects, chapters } from loadSyllabus
+ * @param {Array} reports - Session reports with session (startTime) populated
+ */
+const buildCoverage = ({ subjects, chapters }, reports) => {
+  const coveredBy = new Map();
+  reports.forEach((report) => {
+    const coveredAt = report.session ? report.session.startTime : report.createdAt;
+    report.chaptersCovered.forEach((chapterId) => {
+      const key = chapterId.toString();
+      const entry = coveredBy.get(key) || { sessions: 0, firstCoveredAt: coveredAt, lastCoveredAt: coveredAt };
+      entry.sessions += 1;
+      if (coveredAt < entry.firstCoveredAt) entry.firstCoveredAt = coveredAt;
+      if (coveredAt > entry.lastCoveredAt) entry.lastCoveredAt = coveredAt;
+      coveredBy.set(key, entry);
+    });
+  });
+
+  return subjects.map((subject) => {
+    const subjectChapters = chapters
+      .filter(chapter => chapter.subject.toString() === subject._id.toString())
+      .map((chapter) => {
+        const covered = coveredBy.get(chapter._id.toString());
+        return {
+          _id: chapter._id,
+          name: chapter.name,
+          order: chapter.order,
+          covered: Boolean(covered),
+          sessions: covered ? covered.sessions : 0,
+          firstCoveredAt: covered ? covered.firstCoveredAt : null,
+          lastCoveredAt: covered ? covered.lastCoveredAt : null
+        };
+      });
+    const coveredChapters = subjectChapters.filter(chapter => chapter.covered).length;
+
+    return {
+      subject: { _id: subject._id, name: subject.name },
+      totalChapters: subjectChapters.length,
+      coveredChapters,
+      coveragePercent: subjectChapters.length > 0
+        ? Math.round((coveredChapters / subjectChapters.length) * 10000) / 100
+        : null,
+      chapters: subjectChapters
+    };
+  });
+};
+
+/**
+ * Syllabus coverage of a Focus One: chapters covered in its sessions, for each mapped subject
+ */
+const getFocusOneCoverage = async (focusOneId) => {
+  const focusOne = await FocusOne.findById(focusOneId)
+    .select('description student teacherSubjectMappings')
+    .populate('student', 'name email');
+  if (!focusOne) {
+    throw new AppError(ERROR_CODES.FOCUS_ONE.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+
+  const subjectIds = [...new Set(focusOne.teacherSubjectMappings.map(mapping => mapping.subject.toString()))];
+  const reports = await SessionReport.find({ focusOne: focusOne._id }).populate('session', 'startTime');
+
+  return {
+    focusOne: { _id: focusOne._id, description: focusOne.description, student: focusOne.student },
+    reportedSessions: reports.length,
+    subjects: buildCoverage(await loadSyllabus(subjectIds), reports)
+  };
+};
+
+/**
+ * Syllabus coverage of a cohort, overall and per student
+ * A student's coverage only counts the reported sessions they attended (present or late).
+ */
+const getCohortCoverage = async (cohortId) => {
+  const cohort = await Cohort.findById(cohortId).select('name slug subjects');
+  if (!cohort) {
+    throw new AppError({ code: 'COHORT_4001', message: 'Cohort not found' }, HTTP_STATUS.NOT_FOUND);
+  }
+
+  const subjectIds = cohort.subjects
+    .filter(entry => entry.isActive)
+    .map(entry => entry.subject.toString());
+
+  const [reports, students] = await Promise.all([
+    SessionReport.find({ cohort: cohort._id }).populate('session', 'startTime'),
+    User.find({ 'cohortEnrollment.cohort': cohort._id, 'cohortEnrollment.status': 'active' })
+      .select('name email')
+      .sort({ name: 1 })
+  ]);
+
+  const attended = await SessionAttendance.find({
+    session: { $in: reports.filter(report => report.session).map(report => report.session._id) },
+    status: { $in: ATTENDED_STATUSES }
+  }).select('session user');
+  const attendedByUser = new Map();
+  attended.forEach((record) => {
+    const key = record.user.toString();
+    if (!attendedByUser.has(key)) {
+      attendedByUser.set(key, new Set());
+    }
+    attendedByUser.get(key).add(record.session.toString());
+  });
+
+  const syllabus = await loadSyllabus(subjectIds);
+
+  const byStudent = students.map((student) => {
+    const sessionIds = attendedByUser.get(student._id.toString()) || new Set();
+    const studentReports = reports.filter(report => report.session && sessionIds.has(report.session._id.toString()));
+
+    return {
+      student,
+      subjects: buildCoverage(syllabus, studentReports).map(({ subject, totalChapters, coveredChapters, coveragePercent }) => ({
+        subject,
+        totalChapters,
+        coveredChapters,
+        coveragePercent
+      }))
+    };
+  });
+
+  return {
+    cohort: { _id: cohort._id, name: cohort.name, slug: cohort.slug },
+    reportedSessions: reports.length,
+    subjects: buildCoverage(syllabus, reports),
+    byStudent
+  };
+};
+
+module.exports = {
+  saveReport,
+  getReport,
+  getFocusOneCoverage,
+  getCohortCoverage
+};
@@ -0,0 +1,390 @@
+const { Session, FocusOne, User } = require('../models');
+const { AppError, ERROR_CODES } = require('../errors');
+const { HTTP_STATUS, RESCHEDULE_PROPOSAL } = require('../utils/constants');
+const { sendEmail } = require('./emailService');
+const schedulingPolicyService = require('./schedulingPolicyService');
+const sessionReminderService = require('./sessionReminderService');
+const sessionCalendarService = require('./sessionCalendarService');
+const { findAlternativeSlots } = require('./sessionRoutingService');
+const { getUserTimezone } = require('../config/timezone');
+const { formatZonedSessionTimes } = require('../utils/timezone');
+
+// A proposal can only move a session that has not started
+const PROPOSABLE_STATUSES = ['requested', 'accepted', 'scheduled'];
+
+const idOf = value => (value && value._id ? value._id : value);
+
+const sessionsUrl = () => `${process.env.CLASSROOM_FRONTEND_URL || 'http://localhost:5173'}/app/live-sessions`;
+
+/**
+ * The Focus One student of a session: its requester, or the Focus One's student for sessions a teacher booked
+ */
+const getStudentId = async (session) => {
+  if (session.requestedBy) {
+    return idOf(session.requestedBy);
+  }
+  if (!session.focusOne) {
+    return null;
+  }
+  if (session.focusOne.student) {
+    return idOf(session.focusOne.student);
+  }
+  const focusOne = await FocusOne.findById(session.focusOne).select('student');
+  return focusOne ? focusOne.student : null;
+};
+
+/**
+ * Who has to agree before a user's reschedule takes effect
+ * Cohort sessions, and requests no teacher has taken yet, have no single counterpart and move straight away.
+ * @returns {Promise<ObjectId|null>} The respondent, or null to move the session immediately
+ */
+const findRespondent = async (session, user) => {
+  if (!session.focusOne) {
+    return null;
+  }
+
+  const studentId = await getStudentId(session);
+  if (studentId && studentId.toString() === user._id.toString()) {
+    return session.teacher ? idOf(session.teacher) : null;
+  }
+  return studentId;
+};
+
+/**
+ * A slot the session could move to: the scheduling policy and teacher availability allow it,
+ * and the students are free (the session's own slot is ignored)
+ */
+const assertSlotBookable = async (session, { startTime, endTime }) => {
+  const focusOne = session.focusOne ? idOf(session.focusOne) : null;
+  const cohort = session.cohort ? idOf(session.cohort) : null;
+
+  await schedulingPolicyService.assertSchedulable({
+    startTime,
+    endTime,
+    focusOne,
+    cohort,
+    teacher: session.teacher ? idOf(session.teacher) : null,
+    subject: session.subject ? idOf(session.subject) : null,
+    excludeSessionId: session._id
+  });
+  await schedulingPolicyService.assertNoStudentConflicts({ focusOne, cohort, startTime, endTime, excludeSessionId: session._id });
+};
+
+/**
+ * Open slots of the teacher the students are also free for, other than those already proposed
+ */
+const suggestSlots = async (session, { teacherId, taken, count, now }) => {
+  if (count <= 0) {
+    return [];
+  }
+
+  try {
+    const policy = await schedulingPolicyService.getEffectivePolicy({ focusOne: session.focusOne, cohort: session.cohort });
+    const takenStartTimes = new Set(taken.map(slot => slot.startTime.getTime()));
+    // findAlternativeSlots already leaves out slots the students are booked for
+    const candidates = await findAlternativeSlots(session, {
+      teacherIds: [idOf(teacherId).toString()],
+      policy,
+      now,
+      limit: count + taken.length
+    });
+
+    return candidates
+      .filter(slot => !takenStartTimes.has(slot.startTime.getTime()))
+      .slice(0, count)
+      .map(slot => ({ ...slot, suggested: true }));
+  } catch (error) {
+    // Proposals can still go out with the proposer's own slots
+    console.error(`Failed to suggest reschedule slots for session ${session._id}:`, error.message);
+    return [];
+  }
+};
+
+/**
+ * Move a session to a new time, record it and send the updated invite if it is booked
+ * @param {Object} options - { startTime, endTime, performedBy, action, notes, movedByName }
+ */
+const moveSession = async (session, { startTime, endTime, performedBy, action = 'updated', notes, movedByName }) => {
+  const previousStartTime = session.startTime;
+  const previousEndTime = session.endTime;
+
+  // The old slot frees up as soon as the times change: availability is read from the sessions' times
+  session.startTime = startTime;
+  session.endTime = endTime;
+  session.rescheduleProposal = null;
+  session.history.push({
+    action,
+    performedBy,
+    performedAt: new Date(),
+    previousStatus: session.status,
+    newStatus: session.status,
+    notes,
+    changes: {
+      startTime: { from: previousStartTime, to: startTime },
+      endTime: { from: previousEndTime, to: endTime }
+    }
+  });
+
+  await session.save();
+  await sessionReminderService.refreshSessionReminders(session);
+
+  // The updated invite replaces the calendar entry sent when the session was accepted
+  if (session.status === 'scheduled') {
+    await session.populate('teacher', 'name email timezone');
+    await session.populate('subject', 'name');
+    await sessionCalendarService.notifySessionChange(session, {
+      template: 'sessions/session-rescheduled',
+      subject: `Session Rescheduled - ${session.title}`,
+      method: 'REQUEST',
+      context: (timeZone) => {
+        const previous = formatZonedSessionTimes(previousStartTime, previousEndTime, timeZone);
+        return {
+          rescheduledByName: movedByName,
+          previousSessionDate: previous.sessionDate,
+          previousSessionStartTime: previous.sessionStartTime,
+          previousSessionEndTime: previous.sessionEndTime
+        };
+      }
+    });
+  }
+
+  return session;
+};
+
+/**
+ * Email the respondent the proposed slots
+ */
+const notifyRespondent = async (session, proposer) => {
+  const proposal = session.rescheduleProposal;
+  const respondent = await User.findById(proposal.respondent).select('name email timezone');
+  if (!respondent || !respondent.email) {
+    return;
+  }
+
+  await session.populate('subject', 'name');
+  const timeZone = getUserTimezone(respondent);
+  const expires = formatZonedSessionTimes(proposal.expiresAt, proposal.expiresAt, timeZone);
+
+  try {
+    await sendEmail({
+      to: respondent.email,
+      subject: `Reschedule Proposed - ${session.title}`,
+      template: 'sessions/reschedule-proposed',
+      context: {
+        recipientName: respondent.name || respondent.email,
+        proposedByName: proposer.name || proposer.email || 'The other party',
+        sessionTitle: session.title,
+        subjectName: session.subject?.name || 'Not specified',
+        timezone: timeZone,
+        ...formatZonedSessionTimes(session.startTime, session.endTime, timeZone),
+        reason: proposal.reason,
+        slots: proposal.slots.map(slot => ({
+          ...formatZonedSessionTimes(slot.startTime, slot.endTime, timeZone),
+          suggested: slot.suggested
+        })),
+        expiresDate: expires.sessionDate,
+        expiresTime: expires.sessionStartTime,
+        sessionsUrl: sessionsUrl(),
+        currentYear: new Date().getFullYear()
+      }
+    });
+  } catch (error) {
+    console.error(`Failed to send reschedule proposal email to ${respondent.email}:`, error.message);
+  }
+};
+
+/**
+ * Email the proposer how the respondent answered
+ */
+const notifyProposer = async (session, { proposedBy, respondent, accepted, reason = null }) => {
+  const proposer = await User.findById(proposedBy).select('name email timezone');
+  if (!proposer || !proposer.email) {
+    return;
+  }
+
+  await session.populate('subject', 'name');
+  const timeZone = getUserTimezone(proposer);
+
+  try {
+    await sendEmail({
+      to: proposer.email,
+      subject: `Reschedule ${accepted ? 'Accepted' : 'Declined'} - ${session.title}`,
+      template: 'sessions/reschedule-response',
+      context: {
+        recipientName: proposer.name || proposer.email,
+        respondentName: respondent.name || respondent.email || 'The other party',
+        accepted,
+        reason,
+        sessionTitle: session.title,
+        subjectName: session.subject?.name || 'Not specified',
+        timezone: timeZone,
+        ...formatZonedSessionTimes(session.startTime, session.endTime, timeZone),
+        sessionsUrl: sessionsUrl(),
+        currentYear: new Date().getFullYear()
+      }
+    });
+  } catch (error) {
+    console.error(`Failed to send reschedule response email to ${proposer.email}:`, error.message);
+  }
+};
+
+/**
+ * Propose new times to the counterpart; the session keeps its slot until they answer
+ * The proposer's slots come first, topped up to RESCHEDULE_PROPOSAL.MAX_SLOTS with open slots of the teacher.
+ * @param {Object} session - Session with focusOne, teacher and subject
+ * @param {Object} options - { user, respondent, slots: [{ startTime, endTime }], reason }
+ */
+const proposeReschedule = async (session, { user, respondent, slots = [], reason = null, now = new Date() }) => {
+  if (!PROPOSABLE_STATUSES.includes(session.status) || session.startTime <= now) {
+    throw new AppError(ERROR_CODES.VALIDATION.GENERAL, HTTP_STATUS.BAD_REQUEST, {
+      message: 'Only sessions that have not started can be rescheduled'
+    });
+  }
+
+  if (session.rescheduleProposal && session.rescheduleProposal.expiresAt > now) {
+    throw new AppError(ERROR_CODES.SESSION.RESCHEDULE_PENDING, HTTP_STATUS.CONFLICT, {
+      expiresAt: session.rescheduleProposal.expiresAt
+    });
+  }
+
+  for (const slot of slots) {
+    await assertSlotBookable(session, slot);
+  }
+
+  const proposedSlots = slots.map(slot => ({ startTime: slot.startTime, endTime: slot.endTime, suggested: false }));
+  proposedSlots.push(...await suggestSlots(session, {
+    // A request no teacher has taken yet is proposed by a mapped teacher, whose slots are offered
+    teacherId: session.teacher || user._id,
+    taken: [{ startTime: session.startTime }, ...proposedSlots],
+    count: RESCHEDULE_PROPOSAL.MAX_SLOTS - proposedSlots.length,
+    now
+  }));
+
+  if (proposedSlots.length === 0) {
+    throw new AppError(ERROR_CODES.SESSION.INVALID_TIME, HTTP_STATUS.BAD_REQUEST, {
+      message: 'No open slots were found in the coming week; propose a specific time instead'
+    });
+  }
+
+  const expiresAt = new Date(Math.min(
+    now.getTime() + RESCHEDULE_PROPOSAL.EXPIRY_HOURS * 60 * 60 * 1000,
+    session.startTime.getTime()
+  ));
+
+  session.rescheduleProposal = {
+    proposedBy: user._id,
+    respondent,
+    proposedAt: now,
+    expiresAt,
+    reason,
+    slots: proposedSlots
+  };
+  session.history.push({
+    action: 'reschedule-proposed',
+    performedBy: user._id,
+    performedAt: now,
+    previousStatus: session.status,
+    newStatus: session.status,
+    notes: `Reschedule proposed with ${proposedSlots.length} slot(s)${reason ? `. Reason: ${reason}` : ''}`,
+    changes: { slots: proposedSlots, expiresAt }
+  });
+
+  await session.save();
+  await notifyRespondent(session, user);
+
+  return session;
+};
+
+/**
+ * The session with an open proposal the user is the respondent of
+ */
+const loadOpenProposal = async (sessionId, user, now) => {
+  const session = await Session.findById(sessionId);
+  if (!session) {
+    throw new AppError(ERROR_CODES.SESSION.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+
+  const proposal = session.rescheduleProposal;
+  if (!proposal || !PROPOSABLE_STATUSES.includes(session.status)) {
+    throw new AppError(ERROR_CODES.SESSION.RESCHEDULE_NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+  if (proposal.expiresAt <= now) {
+    throw new AppError(ERROR_CODES.SESSION.RESCHEDULE_NOT_FOUND, HTTP_STATUS.NOT_FOUND, {
+      message: 'The reschedule proposal has expired'
+    });
+  }
+  if (proposal.respondent.toString() !== user._id.toString()) {
+    throw new AppError(ERROR_CODES.PERMISSION.FORBIDDEN, HTTP_STATUS.FORBIDDEN, {
+      message: 'Only the other party can respond to this reschedule proposal'
+    });
+  }
+
+  return session;
+};
+
+/**
+ * Accept a proposal by picking one of its slots; the session moves there
+ * The slot is checked again, since the proposal did not hold it.
+ */
+const acceptProposal = async (sessionId, { user, slotIndex, now = new Date() }) => {
+  const session = await loadOpenProposal(sessionId, user, now);
+  const { proposedBy, slots } = session.rescheduleProposal;
+
+  const slot = slots[slotIndex];
+  if (!slot) {
+    throw new AppError(ERROR_CODES.VALIDATION.GENERAL, HTTP_STATUS.BAD_REQUEST, {
+      message: `slotIndex must be between 0 and ${slots.length - 1}`
+    });
+  }
+
+  await assertSlotBookable(session, slot);
+
+  const wasScheduled = session.status === 'scheduled';
+  await moveSession(session, {
+    startTime: slot.startTime,
+    endTime: slot.endTime,
+    performedBy: user._id,
+    action: 'reschedule-accepted',
+    notes: `Reschedule proposal accepted (slot ${slotIndex + 1} of ${slots.length})`,
+    movedByName: user.name || 'The other party'
+  });
+
+  // A booked session's participants already got the updated invite
+  if (!wasScheduled) {
+    await notifyProposer(session, { proposedBy, respondent: user, accepted: true });
+  }
+
+  return session;
+};
+
+/**
+ * Decline a proposal; the session keeps its original time
+ */
+const declineProposal = async (sessionId, { user, reason = null, now = new Date() }) => {
+  const session = await loadOpenProposal(sessionId, user, now);
+  const { proposedBy } = session.rescheduleProposal;
+
+  session.rescheduleProposal = null;
+  session.history.push({
+    action: 'reschedule-declined',
+    performedBy: user._id,
+    performedAt: now,
+    previousStatus: session.status,
+    newStatus: session.status,
+    notes: `Reschedule proposal declined${reason ? `. Reason: ${reason}` : ''}`
+  });
+
+  await session.save();
+  await notifyProposer(session, { proposedBy, respondent: user, accepted: false, reason });
+
+  return session;
+};
+
+module.exports = {
+  findRespondent,
+  assertSlotBookable,
+  moveSession,
+  proposeReschedule,
+  acceptProposal,
+  declineProposal
+};
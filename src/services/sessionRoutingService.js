@@ -0,0 +1,181 @@
+const { User } = require('../models');
+const { sendEmail } = require('./emailService');
+const { instituteTimezone, getUserTimezone } = require('../config/timezone');
+const { startOfZonedDay, addZonedDays, formatZonedSessionTimes } = require('../utils/timezone');
+const { checkMultipleTeachersAvailability, generateAvailableSlots, findStudentConflicts } = require('../utils/sessionSlots');
+const { findDayViolation } = require('./schedulingPolicyService');
+
+// How far ahead, and how many, alternative slots are suggested when a request runs out of teachers
+const ALTERNATIVE_SEARCH_DAYS = 7;
+const MAX_ALTERNATIVE_SLOTS = 5;
+
+const idOf = value => (value && value._id ? value._id : value).toString();
+
+/**
+ * Teachers mapped to the session's subject in its FocusOne, in mapping order
+ * @param {Object} focusOne - FocusOne with teacherSubjectMappings
+ * @param {Object} session - Session request
+ * @returns {Array<string>} Teacher ids
+ */
+const getSubjectTeacherIds = (focusOne, session) => {
+  const subjectId = session.subject ? idOf(session.subject) : null;
+  const teacherIds = (focusOne.teacherSubjectMappings || [])
+    .filter(mapping => !subjectId || idOf(mapping.subject) === subjectId)
+    .map(mapping => idOf(mapping.teacher));
+
+  return [...new Set(teacherIds)];
+};
+
+/**
+ * Email a teacher that a declined request is now offered to them
+ */
+const notifyOfferedTeacher = async (session, teacherId) => {
+  const teacher = await User.findById(teacherId).select('name email timezone');
+  if (!teacher || !teacher.email) {
+    return;
+  }
+
+  await session.populate('requestedBy', 'name email');
+  await session.populate('subject', 'name');
+
+  const timeZone = getUserTimezone(teacher);
+  const { sessionDate, sessionStartTime, sessionEndTime } = formatZonedSessionTimes(session.startTime, session.endTime, timeZone);
+  const durationMinutes = Math.round((session.endTime - session.startTime) / (1000 * 60));
+  const adminFrontendUrl = process.env.ADMIN_FRONTEND_URL || process.env.CLASSROOM_FRONTEND_URL || 'http://localhost:5173';
+
+  try {
+    await sendEmail({
+      to: teacher.email,
+      subject: `Session Request Offered to You - ${session.title}`,
+      template: 'sessions/session-request',
+      context: {
+        teacherName: teacher.name || 'Teacher',
+        studentName: session.requestedBy?.name || session.requestedBy?.email || 'Student',
+        sessionTitle: session.title,
+        sessionDescription: session.description || '',
+        sessionDateTime: `${sessionDate} from ${sessionStartTime} to ${sessionEndTime} (${timeZone})`,
+        sessionDuration: `${durationMinutes} minutes`,
+        subjectName: session.subject?.name || 'Not specified',
+        loginUrl: `${adminFrontendUrl}/login`,
+        currentYear: new Date().getFullYear()
+      }
+    });
+  } catch (emailError) {
+    console.error(`Failed to send request offer email to teacher ${teacher.email}:`, emailError);
+  }
+};
+
+/**
+ * Offer a request a teacher declined to the next mapped teacher who is free for the slot
+ * The request stays 'requested'; the decline and the offer are recorded in history. Nothing changes
+ * when no teacher is left, so the caller can reject the request as usual.
+ * @param {Object} session - Session request (not yet saved with the decline)
+ * @param {Object} options - { teacherId, reason, focusOne (with teacherSubjectMappings), policy }
+ * @returns {Promise<string|null>} The teacher the request is now offered to, or null if none is left
+ */
+const rerouteDeclinedRequest = async (session, { teacherId, reason, focusOne, policy }) => {
+  const declined = new Set([...(session.declinedBy || []).map(idOf), idOf(teacherId)]);
+  const candidates = getSubjectTeacherIds(focusOne, session).filter(id => !declined.has(id));
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  const availability = await checkMultipleTeachersAvailability(
+    candidates,
+    session.startTime,
+    session.endTime,
+    session.subject ? idOf(session.subject) : null,
+    policy,
+    session._id
+  );
+  if (!availability.available) {
+    return null;
+  }
+
+  const nextTeacherId = availability.availableTeachers[0];
+  const now = new Date();
+
+  session.declinedBy.push(teacherId);
+  session.offeredTo = nextTeacherId;
+  session.history.push({
+    action: 'rejected',
+    performedBy: teacherId,
+    performedAt: now,
+    previousStatus: 'requested',
+    newStatus: 'requested',
+    notes: `Session request declined by teacher. Reason: ${reason}`
+  });
+  session.history.push({
+    action: 'offered',
+    actorType: 'system',
+    performedBy: null,
+    performedAt: now,
+    previousStatus: 'requested',
+    newStatus: 'requested',
+    notes: 'Session request offered to the next available teacher for the subject',
+    changes: { offeredTo: { from: teacherId, to: nextTeacherId } }
+  });
+
+  await session.save();
+  await notifyOfferedTeacher(session, nextTeacherId);
+
+  return nextTeacherId;
+};
+
+/**
+ * Open slots like a rejected request, for the student to pick from instead
+ * Searches the request's day and the following week, with any teacher mapped to the subject
+ * unless teacherIds narrows the search (e.g. to the teacher of a booked session). Slots that clash
+ * with the students' other sessions are left out.
+ * @param {Object} session - The rejected request (no longer counted against anyone's availability)
+ * @param {Object} options - { focusOne (with teacherSubjectMappings), teacherIds, policy, now, limit }
+ * @returns {Promise<Array>} Up to limit (default MAX_ALTERNATIVE_SLOTS) of { startTime, endTime }, earliest first
+ */
+const findAlternativeSlots = async (session, { focusOne = null, teacherIds = null, policy, now = new Date(), limit = MAX_ALTERNATIVE_SLOTS }) => {
+  const candidateTeacherIds = teacherIds || getSubjectTeacherIds(focusOne, session);
+  const subjectId = session.subject ? idOf(session.subject) : null;
+  const durationMinutes = Math.round((session.endTime - session.startTime) / (1000 * 60));
+  const slots = [];
+
+  let day = startOfZonedDay(session.startTime, instituteTimezone);
+  for (let i = 0; i < ALTERNATIVE_SEARCH_DAYS && slots.length < limit; i++, day = addZonedDays(day, 1, instituteTimezone)) {
+    if (await findDayViolation(policy, day, { now })) {
+      continue;
+    }
+
+    const startTimes = new Set();
+    for (const teacherId of candidateTeacherIds) {
+      const teacherSlots = await generateAvailableSlots(teacherId, day, durationMinutes, subjectId, policy);
+      teacherSlots
+        .filter(slot => slot.startTime > now && slot.startTime.getTime() !== session.startTime.getTime())
+        .forEach(slot => startTimes.add(slot.startTime.getTime()));
+    }
+
+    for (const startTime of [...startTimes].sort((a, b) => a - b)) {
+      if (slots.length >= limit) {
+        break;
+      }
+      const slot = {
+        startTime: new Date(startTime),
+        endTime: new Date(startTime + durationMinutes * 60 * 1000)
+      };
+      const conflicts = await findStudentConflicts({
+        focusOne: session.focusOne,
+        cohort: session.cohort,
+        ...slot,
+        excludeSessionId: session._id
+      });
+      if (conflicts.length === 0) {
+        slots.push(slot);
+      }
+    }
+  }
+
+  return slots;
+};
+
+module.exports = {
+  getSubjectTeacherIds,
+  rerouteDeclinedRequest,
+  findAlternativeSlots
+};
@@ -0,0 +1,538 @@
+const { Session, SessionSeries, FocusOne, Cohort, User, PublicHoliday } = require('../models');
+const { AppError, ERROR_CODES } = require('../errors');
+const { HTTP_STATUS } = require('../utils/constants');
+const { createMeetingLink } = require('../utils/meetingLinkService');
+const schedulingPolicyService = require('./schedulingPolicyService');
+const sessionReminderService = require('./sessionReminderService');
+const focusOneHourService = require('./focusOneHourService');
+const sessionCancellationService = require('./sessionCancellationService');
+const { findStudentConflicts } = require('../utils/sessionSlots');
+const { instituteTimezone } = require('../config/timezone');
+const {
+  getZonedParts,
+  addZonedDays,
+  atZonedTime,
+  parseZonedDate,
+  toZonedDateKey
+} = require('../utils/timezone');
+
+const MAX_OCCURRENCES = 100;
+
+// Which occurrences an edit or cancellation applies to
+const SERIES_SCOPES = ['this', 'following', 'all'];
+
+// Occurrences that have not started yet and can still be changed
+const OPEN_STATUSES = ['requested', 'accepted', 'scheduled'];
+
+const isAdmin = user => (user.roles || []).some(role => ['admin', 'super-admin'].includes(role.name));
+
+/**
+ * The given day at an "HH:mm" time of day in the institute's timezone
+ */
+const atTimeOfDay = (day, timeOfDay) => atZonedTime(day, timeOfDay, instituteTimezone);
+
+/**
+ * "HH:mm" time of day of a date in the institute's timezone
+ */
+const toTimeOfDay = (date) => {
+  const { hour, minute } = getZonedParts(date, instituteTimezone);
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+};
+
+/**
+ * Start and end of every occurrence of a recurrence, in date order
+ * @param {Object} recurrence - { daysOfWeek, startTime, endTime, startDate, endDate }
+ * @returns {Array} [{ startTime: Date, endTime: Date }]
+ */
+const expandOccurrences = (recurrence) => {
+  const occurrences = [];
+  let day = addZonedDays(recurrence.startDate, 0, instituteTimezone);
+  const lastDay = addZonedDays(recurrence.endDate, 0, instituteTimezone);
+
+  while (day <= lastDay) {
+    if (recurrence.daysOfWeek.includes(getZonedParts(day, instituteTimezone).weekday)) {
+      occurrences.push({
+        startTime: atTimeOfDay(day, recurrence.startTime),
+        endTime: atTimeOfDay(day, recurrence.endTime)
+      });
+    }
+    day = addZonedDays(day, 1, instituteTimezone);
+  }
+
+  return occurrences;
+};
+
+/**
+ * Normalize the recurrence from a request; `weeks` may be given instead of an end date
+ */
+const resolveRecurrence = ({ daysOfWeek, startTime, endTime, startDate, endDate, weeks }) => {
+  const start = parseZonedDate(startDate, instituteTimezone);
+  const end = endDate
+    ? parseZonedDate(endDate, instituteTimezone)
+    : addZonedDays(start, (weeks * 7) - 1, instituteTimezone);
+
+  return {
+    daysOfWeek: [...new Set(daysOfWeek.map(Number))].sort(),
+    startTime,
+    endTime,
+    startDate: start,
+    endDate: end
+  };
+};
+
+/**
+ * Run the scheduling policy, the teacher's availability and the students' calendars against one occurrence
+ * Series are planned ahead by staff, so the booking window does not apply to them.
+ * @returns {Promise<Object|null>} { reason, studentConflicts? } for the rule that failed, if any
+ */
+const checkOccurrence = async (policy, { startTime, endTime, focusOne, cohort, teacher, subject, excludeSessionId = null }) => {
+  const reason = await schedulingPolicyService.findScheduleViolation({
+    startTime,
+    endTime,
+    teacher,
+    subject,
+    excludeSessionId,
+    policy,
+    enforceBookingWindow: false
+  });
+  if (reason) {
+    return { reason };
+  }
+
+  const studentConflicts = await findStudentConflicts({ focusOne, cohort, startTime, endTime, excludeSessionId });
+  if (studentConflicts.length > 0) {
+    return { reason: 'A student already has a session at this time', studentConflicts };
+  }
+
+  return null;
+};
+
+/**
+ * Check the actor may schedule this series and resolve the teacher who will take it
+ * Teachers schedule their own series (for Focus Ones they teach the subject in); admins pick the teacher.
+ */
+const loadSeriesContext = async ({ focusOne, cohort, subject, teacher, user }) => {
+  if (!focusOne && !cohort) {
+    throw new AppError(ERROR_CODES.SESSION.ASSOCIATION_REQUIRED, HTTP_STATUS.BAD_REQUEST);
+  }
+  if (focusOne && cohort) {
+    throw new AppError(ERROR_CODES.SESSION.INVALID_ASSOCIATION, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const teacherId = isAdmin(user) ? teacher : user._id;
+  if (!teacherId) {
+    throw new AppError(ERROR_CODES.VALIDATION.GENERAL, HTTP_STATUS.BAD_REQUEST, {
+      message: 'Teacher is required for admin-created series',
+      field: 'teacher'
+    });
+  }
+
+  const teacherDoc = await User.findById(teacherId).populate('roles');
+  if (!teacherDoc) {
+    throw new AppError(ERROR_CODES.USER.NOT_FOUND, HTTP_STATUS.NOT_FOUND, { message: 'Teacher not found' });
+  }
+  if (!teacherDoc.roles.some(role => role.name === 'teacher')) {
+    throw new AppError(ERROR_CODES.VALIDATION.INVALID_ROLE, HTTP_STATUS.BAD_REQUEST, { message: 'User does not have teacher role' });
+  }
+
+  let focusOneDoc = null;
+  if (focusOne) {
+    focusOneDoc = await FocusOne.findById(focusOne).populate('student', 'name email');
+    if (!focusOneDoc) {
+      throw new AppError(ERROR_CODES.FOCUS_ONE.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+    }
+    if (focusOneDoc.status !== 'active' || !focusOneDoc.isActive) {
+      throw new AppError(ERROR_CODES.VALIDATION.GENERAL, HTTP_STATUS.BAD_REQUEST, {
+        message: 'Cannot schedule sessions for a paused, cancelled or inactive program'
+      });
+    }
+
+    const teachesHere = focusOneDoc.teacherSubjectMappings.some(mapping =>
+      mapping.teacher.toString() === teacherId.toString() &&
+      (!subject || mapping.subject.toString() === subject.toString())
+    );
+    if (!teachesHere) {
+      throw new AppError(ERROR_CODES.PERMISSION.FORBIDDEN, HTTP_STATUS.FORBIDDEN, {
+        message: subject
+          ? 'Teacher is not assigned to teach this subject for this Focus One program'
+          : 'Teacher is not assigned to this Focus One program'
+      });
+    }
+  }
+
+  if (cohort) {
+    const cohortDoc = await Cohort.findById(cohort);
+    if (!cohortDoc) {
+      throw new AppError({ code: 'COHORT_4001', message: 'Cohort not found' }, HTTP_STATUS.NOT_FOUND);
+    }
+    if (!['planned', 'active'].includes(cohortDoc.status)) {
+      throw new AppError(ERROR_CODES.VALIDATION.GENERAL, HTTP_STATUS.BAD_REQUEST, {
+        message: 'Cannot schedule sessions for a paused, completed or cancelled cohort'
+      });
+    }
+  }
+
+  return { teacher: teacherDoc, focusOne: focusOneDoc };
+};
+
+/**
+ * Create a recurring series and expand it into scheduled sessions
+ * Public holidays are skipped. Occurrences the teacher is not available for, or that break the
+ * scheduling rules, are not created and are reported as conflicts instead.
+ * @returns {Object} { series, sessions, skipped: [{ startTime, endTime, reason, holiday }], conflicts: [{ startTime, endTime, reason }] }
+ */
+const createSeries = async ({ title, description, focusOne, cohort, subject, teacher, recurrence, user }) => {
+  const context = await loadSeriesContext({ focusOne, cohort, subject, teacher, user });
+  const resolved = resolveRecurrence(recurrence);
+
+  const occurrences = expandOccurrences(resolved);
+  if (occurrences.length === 0) {
+    throw new AppError(ERROR_CODES.VALIDATION.GENERAL, HTTP_STATUS.BAD_REQUEST, {
+      message: 'The recurrence does not produce any occurrences'
+    });
+  }
+  if (occurrences.length > MAX_OCCURRENCES) {
+    throw new AppError(ERROR_CODES.VALIDATION.GENERAL, HTTP_STATUS.BAD_REQUEST, {
+      message: `A series can have at most ${MAX_OCCURRENCES} occurrences`,
+      occurrences: occurrences.length
+    });
+  }
+
+  const series = new SessionSeries({
+    title,
+    description,
+    focusOne: focusOne || null,
+    cohort: cohort || null,
+    subject: subject || null,
+    teacher: context.teacher._id,
+    recurrence: resolved,
+    createdBy: user._id
+  });
+  await series.validate();
+
+  const holidays = await PublicHoliday.getPublicHolidaysInRange(resolved.startDate, resolved.endDate);
+  const holidayByDay = new Map(holidays.map(holiday => [toZonedDateKey(holiday.date, instituteTimezone), holiday]));
+
+  const policy = await schedulingPolicyService.getEffectivePolicy({ focusOne: series.focusOne, cohort: series.cohort });
+
+  const planned = [];
+  const skipped = [];
+  const conflicts = [];
+
+  // One occurrence per day at most, so checking each against the existing calendar is enough
+  for (const occurrence of occurrences) {
+    const holiday = holidayByDay.get(toZonedDateKey(occurrence.startTime, instituteTimezone));
+    if (holiday) {
+      skipped.push({ ...occurrence, reason: 'public-holiday', holiday: holiday.name });
+      continue;
+    }
+
+    const session = new Session({
+      title: series.title,
+      description: series.description,
+      startTime: occurrence.startTime,
+      endTime: occurrence.endTime,
+      focusOne: series.focusOne,
+      cohort: series.cohort,
+      subject: series.subject,
+      teacher: series.teacher,
+      series: series._id,
+      status: 'scheduled',
+      history: [{
+        action: 'scheduled',
+        performedBy: user._id,
+        performedAt: new Date(),
+        newStatus: 'scheduled',
+        notes: 'Session scheduled from a recurring series'
+      }]
+    });
+
+    const violation = await checkOccurrence(policy, {
+      startTime: occurrence.startTime,
+      endTime: occurrence.endTime,
+      focusOne: series.focusOne,
+      cohort: series.cohort,
+      teacher: series.teacher,
+      subject: series.subject
+    });
+    if (violation) {
+      conflicts.push({ ...occurrence, ...violation });
+      continue;
+    }
+
+    planned.push(session);
+  }
+
+  if (planned.length === 0) {
+    throw new AppError(ERROR_CODES.SESSION.INVALID_TIME, HTTP_STATUS.BAD_REQUEST, {
+      message: 'None of the occurrences in this series can be scheduled',
+      skipped,
+      conflicts
+    });
+  }
+
+  await series.save();
+
+  const studentEmail = context.focusOne?.student?.email;
+  for (const session of planned) {
+    try {
+      const meetResult = await createMeetingLink({
+        title: session.title,
+        description: session.description || '',
+        startTime: session.startTime,
+        endTime: session.endTime,
+        teacherEmail: context.teacher.email,
+        studentEmail
+      });
+      session.meetingLink = meetResult.meetingLink;
+      session.meetingPlatform = 'jitsi-meet';
+    } catch (meetError) {
+      console.error('Error creating meeting link:', meetError);
+      // Continue without meeting link - it can be added later
+    }
+  }
+
+  const sessions = await Session.insertMany(planned);
+  await sessionReminderService.refreshSessionReminders(sessions);
+
+  return { series, sessions, skipped, conflicts };
+};
+
+/**
+ * Load a series with its occurrences, for admins and the series teacher
+ */
+const getSeries = async (seriesId, user) => {
+  const series = await SessionSeries.findById(seriesId)
+    .populate('focusOne', 'description student')
+    .populate('cohort', 'name slug')
+    .populate('subject', 'name description')
+    .populate('teacher', 'name email')
+    .populate('createdBy', 'name email');
+
+  if (!series) {
+    throw new AppError(ERROR_CODES.SESSION.SERIES_NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+  if (!isAdmin(user) && series.teacher._id.toString() !== user._id.toString()) {
+    throw new AppError(ERROR_CODES.PERMISSION.FORBIDDEN, HTTP_STATUS.FORBIDDEN, {
+      message: 'You do not have access to this session series'
+    });
+  }
+
+  const sessions = await Session.find({ series: series._id })
+    .select('title startTime endTime status teacher meetingLink cancellationReason')
+    .sort({ startTime: 1 });
+
+  return { series, sessions };
+};
+
+/**
+ * Resolve a series occurrence and the occurrences a scope covers
+ * "this" is just the occurrence; "following" adds every later open occurrence; "all" is every
+ * open occurrence that has not started yet.
+ */
+const loadScope = async ({ sessionId, scope, user }) => {
+  const session = await Session.findById(sessionId);
+  if (!session) {
+    throw new AppError(ERROR_CODES.SESSION.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+  if (!session.series) {
+    throw new AppError(ERROR_CODES.SESSION.NOT_IN_SERIES, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const series = await SessionSeries.findById(session.series);
+  if (!series) {
+    throw new AppError(ERROR_CODES.SESSION.SERIES_NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+  if (!isAdmin(user) && series.teacher.toString() !== user._id.toString()) {
+    throw new AppError(ERROR_CODES.PERMISSION.FORBIDDEN, HTTP_STATUS.FORBIDDEN, {
+      message: 'Only the series teacher or an admin can change this series'
+    });
+  }
+
+  if (scope === 'this') {
+    if (!OPEN_STATUSES.includes(session.status)) {
+      throw new AppError(ERROR_CODES.VALIDATION.GENERAL, HTTP_STATUS.BAD_REQUEST, {
+        message: `A ${session.status} session cannot be changed`
+      });
+    }
+    return { session, series, targets: [session] };
+  }
+
+  const from = scope === 'following' ? session.startTime : new Date();
+  const targets = await Session.find({
+    series: series._id,
+    status: { $in: OPEN_STATUSES },
+    startTime: { $gte: from }
+  }).sort({ startTime: 1 });
+
+  return { session, series, targets };
+};
+
+/**
+ * Edit occurrences of a series
+ * Times are "HH:mm" and keep each occurrence on its own date. Occurrences whose new time the teacher
+ * is not available for (or that break the scheduling rules) are left unchanged and reported as conflicts.
+ * @param {Object} params
+ * @param {string} params.sessionId - The occurrence the edit was made from
+ * @param {string} params.scope - this | following | all
+ * @param {Object} params.changes - { title, description, startTime, endTime }
+ * @returns {Object} { series, updated, conflicts }
+ */
+const updateOccurrences = async ({ sessionId, scope, changes, user }) => {
+  const { session, series, targets } = await loadScope({ sessionId, scope, user });
+  const { title, description } = changes;
+  const startTimeOfDay = changes.startTime || toTimeOfDay(session.startTime);
+  const endTimeOfDay = changes.endTime || toTimeOfDay(session.endTime);
+  const timesChanged = Boolean(changes.startTime || changes.endTime);
+
+  if (timesChanged && endTimeOfDay <= startTimeOfDay) {
+    throw new AppError(ERROR_CODES.SESSION.INVALID_TIME, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const policy = timesChanged
+    ? await schedulingPolicyService.getEffectivePolicy({ focusOne: series.focusOne, cohort: series.cohort })
+    : null;
+
+  const updated = [];
+  const conflicts = [];
+
+  for (const target of targets) {
+    const sessionChanges = {};
+
+    if (timesChanged) {
+      const newStart = atTimeOfDay(target.startTime, startTimeOfDay);
+      const newEnd = atTimeOfDay(target.startTime, endTimeOfDay);
+
+      if (newStart.getTime() !== target.startTime.getTime() || newEnd.getTime() !== target.endTime.getTime()) {
+        const violation = await checkOccurrence(policy, {
+          startTime: newStart,
+          endTime: newEnd,
+          focusOne: target.focusOne,
+          cohort: target.cohort,
+          teacher: target.teacher,
+          subject: target.subject,
+          excludeSessionId: target._id
+        });
+        if (violation) {
+          conflicts.push({ session: target._id, startTime: newStart, endTime: newEnd, ...violation });
+          continue;
+        }
+
+        sessionChanges.startTime = { from: target.startTime, to: newStart };
+        sessionChanges.endTime = { from: target.endTime, to: newEnd };
+        target.startTime = newStart;
+        target.endTime = newEnd;
+      }
+    }
+
+    if (title !== undefined && target.title !== title) {
+      sessionChanges.title = { from: target.title, to: title };
+      target.title = title;
+    }
+    if (description !== undefined && target.description !== description) {
+      sessionChanges.description = { from: target.description, to: description };
+      target.description = description;
+    }
+
+    if (Object.keys(sessionChanges).length === 0) {
+      continue;
+    }
+
+    target.history.push({
+      action: 'updated',
+      performedBy: user._id,
+      performedAt: new Date(),
+      previousStatus: target.status,
+      newStatus: target.status,
+      notes: `Series occurrences updated (${scope})`,
+      changes: sessionChanges
+    });
+    await target.save();
+    await sessionReminderService.refreshSessionReminders(target);
+    updated.push(target);
+  }
+
+  // The series keeps describing the whole schedule, so only whole-series edits change it
+  if (scope === 'all') {
+    if (title !== undefined) series.title = title;
+    if (description !== undefined) series.description = description;
+    if (timesChanged && conflicts.length === 0) {
+      series.recurrence.startTime = startTimeOfDay;
+      series.recurrence.endTime = endTimeOfDay;
+    }
+    await series.save();
+  }
+
+  return { series, updated, conflicts };
+};
+
+/**
+ * Cancel occurrences of a series; cancelling the whole series also closes it
+ * Each occurrence goes through the cancellation policy like a single cancellation, so the series
+ * teacher's late cancellations are flagged for admin review.
+ * @returns {Object} { series, cancelled }
+ */
+const cancelOccurrences = async ({ sessionId, scope, reason, user }) => {
+  const { series, targets } = await loadScope({ sessionId, scope, user });
+  const now = new Date();
+  const policy = await schedulingPolicyService.getEffectivePolicy({ focusOne: series.focusOne, cohort: series.cohort });
+  // loadScope only lets the series teacher or an admin through
+  const byAdmin = series.teacher.toString() !== user._id.toString();
+
+  for (const target of targets) {
+    const previousStatus = target.status;
+    const cancellationPolicy = await sessionCancellationService.applyCancellationPolicy(target, {
+      user,
+      byStudent: false,
+      byAdmin,
+      previousStatus,
+      policy,
+      now
+    });
+
+    target.status = 'cancelled';
+    target.cancelledBy = user._id;
+    target.cancelledAt = now;
+    target.cancellationReason = reason;
+    target.rescheduleProposal = null;
+    target.cancellationPolicy = cancellationPolicy;
+    if (cancellationPolicy.flaggedForReview) {
+      target.cancellationReview = { status: 'pending' };
+    }
+    target.history.push({
+      action: 'cancelled',
+      performedBy: user._id,
+      performedAt: now,
+      previousStatus,
+      newStatus: 'cancelled',
+      notes: `Series occurrences cancelled (${scope})${cancellationPolicy.late ? ' late' : ''}. Reason: ${reason}`,
+      changes: { cancellationPolicy }
+    });
+    await target.save();
+    await sessionReminderService.refreshSessionReminders(target);
+    await focusOneHourService.settleCancellation(target, {
+      previousStatus,
+      recordedBy: user._id,
+      refundPercent: cancellationPolicy.refundPercent
+    });
+  }
+
+  if (scope === 'all') {
+    series.status = 'cancelled';
+    series.cancelledBy = user._id;
+    series.cancelledAt = now;
+    await series.save();
+  }
+
+  return { series, cancelled: targets };
+};
+
+module.exports = {
+  MAX_OCCURRENCES,
+  SERIES_SCOPES,
+  expandOccurrences,
+  createSeries,
+  getSeries,
+  updateOccurrences,
+  cancelOccurrences
+};
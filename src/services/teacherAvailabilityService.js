@@ -0,0 +1,196 @@
+const { Session, TeacherAvailability, User } = require('../models');
+const { AppError, ERROR_CODES } = require('../errors');
+const { HTTP_STATUS } = require('../utils/constants');
+const { instituteTimezone } = require('../config/timezone');
+const {
+  startOfZonedDay,
+  addZonedDays,
+  parseZonedDate,
+  toZonedDateKey,
+  toZonedISOString
+} = require('../utils/timezone');
+const { getTeacherWindowsForDate, getMaxSessionsPerDay } = require('../utils/sessionSlots');
+
+// Days shown in the effective-availability preview when no range is given (the booking window)
+const DEFAULT_PREVIEW_DAYS = 11;
+
+const isAdmin = user => (user.roles || []).some(role => ['admin', 'super-admin'].includes(role.name));
+
+/**
+ * Check the teacher exists and that the user may manage their availability (the teacher themselves or an admin)
+ */
+const assertCanManage = async (teacherId, user) => {
+  if (!isAdmin(user) && user._id.toString() !== teacherId.toString()) {
+    throw new AppError(ERROR_CODES.PERMISSION.FORBIDDEN, HTTP_STATUS.FORBIDDEN, {
+      message: 'Only the teacher or an admin can manage this availability'
+    });
+  }
+
+  const teacher = await User.findById(teacherId).populate('roles');
+  if (!teacher) {
+    throw new AppError(ERROR_CODES.USER.NOT_FOUND, HTTP_STATUS.NOT_FOUND, { message: 'Teacher not found' });
+  }
+  if (!teacher.roles.some(role => role.name === 'teacher')) {
+    throw new AppError(ERROR_CODES.VALIDATION.INVALID_ROLE, HTTP_STATUS.BAD_REQUEST, { message: 'User does not have teacher role' });
+  }
+  return teacher;
+};
+
+const loadOrCreate = async (teacherId) => {
+  const availability = await TeacherAvailability.findOne({ teacher: teacherId });
+  return availability || new TeacherAvailability({ teacher: teacherId });
+};
+
+/**
+ * Save, turning the model's rule violations into a 400
+ */
+const saveAvailability = async (availability, user) => {
+  availability.updatedBy = user._id;
+  try {
+    await availability.validate();
+  } catch (error) {
+    throw new AppError(ERROR_CODES.VALIDATION.GENERAL, HTTP_STATUS.BAD_REQUEST, { message: error.message });
+  }
+  await availability.save();
+  return availability;
+};
+
+/**
+ * A teacher's availability settings plus the windows that apply on each day of a range
+ * @param {Object} options - { teacherId, user, from, to } (from/to are institute-timezone dates)
+ */
+const getAvailability = async ({ teacherId, user, from, to }) => {
+  await assertCanManage(teacherId, user);
+
+  const availability = await TeacherAvailability.findOne({ teacher: teacherId });
+
+  const firstDay = from ? parseZonedDate(from, instituteTimezone) : startOfZonedDay(new Date(), instituteTimezone);
+  const lastDay = to ? parseZonedDate(to, instituteTimezone) : addZonedDays(firstDay, DEFAULT_PREVIEW_DAYS - 1, instituteTimezone);
+
+  const days = [];
+  for (let day = firstDay; day <= lastDay; day = addZonedDays(day, 1, instituteTimezone)) {
+    days.push({
+      date: toZonedDateKey(day, instituteTimezone),
+      windows: getTeacherWindowsForDate(availability, day).map(window => ({
+        startTime: toZonedISOString(window.start, instituteTimezone),
+        endTime: toZonedISOString(window.end, instituteTimezone)
+      })),
+      timeOff: availability
+        ? availability.timeOff.filter(block =>
+          block.startsAt < addZonedDays(day, 1, instituteTimezone) && block.endsAt > day)
+        : []
+    });
+  }
+
+  return {
+    teacher: teacherId,
+    timezone: instituteTimezone,
+    usesInstituteHours: !availability || availability.weeklyWindows.length === 0,
+    weeklyWindows: availability ? availability.weeklyWindows : [],
+    overrides: availability ? availability.overrides : [],
+    timeOff: availability ? availability.timeOff : [],
+    maxSessionsPerDay: getMaxSessionsPerDay(availability),
+    days
+  };
+};
+
+/**
+ * Replace a teacher's weekly windows and/or daily limit
+ * An empty weeklyWindows list goes back to the institute working hours; a null limit to the institute-wide one.
+ */
+const updateWeeklyAvailability = async ({ teacherId, user, weeklyWindows, maxSessionsPerDay }) => {
+  await assertCanManage(teacherId, user);
+
+  const availability = await loadOrCreate(teacherId);
+  if (weeklyWindows !== undefined) {
+    availability.weeklyWindows = weeklyWindows;
+  }
+  if (maxSessionsPerDay !== undefined) {
+    availability.maxSessionsPerDay = maxSessionsPerDay;
+  }
+
+  return saveAvailability(availability, user);
+};
+
+/**
+ * Set the windows for one date, replacing any earlier override for it (no windows = day off)
+ */
+const setDateOverride = async ({ teacherId, user, date, windows = [], reason }) => {
+  await assertCanManage(teacherId, user);
+
+  const availability = await loadOrCreate(teacherId);
+  const day = parseZonedDate(date, instituteTimezone);
+  const dayKey = toZonedDateKey(day, instituteTimezone);
+
+  availability.overrides = availability.overrides.filter(override =>
+    toZonedDateKey(override.date, instituteTimezone) !== dayKey
+  );
+  availability.overrides.push({ date: day, windows, reason: reason || null });
+  availability.overrides.sort((a, b) => a.date - b.date);
+
+  return saveAvailability(availability, user);
+};
+
+const removeDateOverride = async ({ teacherId, user, overrideId }) => {
+  await assertCanManage(teacherId, user);
+
+  const availability = await TeacherAvailability.findOne({ teacher: teacherId });
+  const override = availability && availability.overrides.id(overrideId);
+  if (!override) {
+    throw new AppError(ERROR_CODES.SESSION.AVAILABILITY_ENTRY_NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+
+  override.deleteOne();
+  return saveAvailability(availability, user);
+};
+
+/**
+ * Block out a period of leave
+ * Sessions already booked in that period are not touched; they are returned so they can be moved or cancelled.
+ * @returns {Object} { availability, conflictingSessions }
+ */
+const addTimeOff = async ({ teacherId, user, startsAt, endsAt, reason }) => {
+  await assertCanManage(teacherId, user);
+
+  const availability = await loadOrCreate(teacherId);
+  availability.timeOff.push({
+    startsAt: new Date(startsAt),
+    endsAt: new Date(endsAt),
+    reason: reason || null,
+    createdBy: user._id
+  });
+  availability.timeOff.sort((a, b) => a.startsAt - b.startsAt);
+  await saveAvailability(availability, user);
+
+  const conflictingSessions = await Session.find({
+    teacher: teacherId,
+    startTime: { $lt: new Date(endsAt) },
+    endTime: { $gt: new Date(startsAt) },
+    status: { $in: ['accepted', 'scheduled'] },
+    deletedAt: null
+  }).select('title startTime endTime status focusOne cohort').sort({ startTime: 1 });
+
+  return { availability, conflictingSessions };
+};
+
+const removeTimeOff = async ({ teacherId, user, timeOffId }) => {
+  await assertCanManage(teacherId, user);
+
+  const availability = await TeacherAvailability.findOne({ teacher: teacherId });
+  const block = availability && availability.timeOff.id(timeOffId);
+  if (!block) {
+    throw new AppError(ERROR_CODES.SESSION.AVAILABILITY_ENTRY_NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+
+  block.deleteOne();
+  return saveAvailability(availability, user);
+};
+
+module.exports = {
+  getAvailability,
+  updateWeeklyAvailability,
+  setDateOverride,
+  removeDateOverride,
+  addTimeOff,
+  removeTimeOff
+};
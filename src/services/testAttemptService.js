@@ -0,0 +1,903 @@
+const mongoose = require('mongoose');
+const { TestSeries, UserTestSeries, TestAttempt, Question, Option } = require('../models');
+const { AppError, ERROR_CODES } = require('../errors');
+const { HTTP_STATUS, QUESTION_TYPES } = require('../utils/constants');
+const { gradeAttempt, normalizeGradingPolicy, selectScoringAttempt } = require('../utils/testGrading');
+const { createSeed, drawPaper } = require('./paperService');
+const { loadPinnedSnapshots } = require('./questionRevisionService');
+
+/**
+ * Load a published, open test series and the user's active enrollment in it
+ */
+const loadEnrollmentContext = async (userId, testSeriesId) => {
+  const testSeries = await TestSeries.findById(testSeriesId);
+  if (!testSeries) {
+    throw new AppError(ERROR_CODES.TEST_SERIES.NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+
+  const enrollment = await UserTestSeries.findOne({
+    user: userId,
+    testSeries: testSeriesId,
+    isActive: true
+  });
+
+  if (!enrollment || enrollment.status !== 'active') {
+    throw new AppError(ERROR_CODES.TEST_SERIES.NOT_ENROLLED, HTTP_STATUS.FORBIDDEN);
+  }
+
+  return { testSeries, enrollment };
+};
+
+/**
+ * Ensure the series can be taken right now (published, active, inside its window, enrollment not expired)
+ */
+const assertSeriesOpen = (testSeries, enrollment, now = new Date()) => {
+  const { opensAt, closesAt } = testSeries.availabilityWindow || {};
+
+  if (testSeries.status !== 'published' || !testSeries.isActive) {
+    throw new AppError(ERROR_CODES.TEST_SERIES.NOT_AVAILABLE, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  if ((opensAt && now < opensAt) || (closesAt && now > closesAt)) {
+    throw new AppError(
+      ERROR_CODES.TEST_SERIES.NOT_AVAILABLE,
+      HTTP_STATUS.BAD_REQUEST,
+      { message: 'This test series is outside its availability window', opensAt, closesAt }
+    );
+  }
+
+  if (enrollment.expiresAt && now > enrollment.expiresAt) {
+    throw new AppError(
+      ERROR_CODES.TEST_SERIES.NOT_AVAILABLE,
+      HTTP_STATUS.BAD_REQUEST,
+      { message: 'Your test series enrollment has expired' }
+    );
+  }
+};
+
+/**
+ * Find the subject entry in both the series and the enrollment
+ * An enrollment without a subject list covers every active subject of the series
+ */
+const resolveSubject = (testSeries, enrollment, subjectId) => {
+  const seriesSubject = testSeries.subjects.find(
+    s => s.subject.toString() === subjectId.toString() && s.isActive
+  );
+
+  const enrollmentSubject = enrollment.subjects.length > 0
+    ? enrollment.subjects.find(s => s.subject.toString() === subjectId.toString())
+    : null;
+
+  if (!seriesSubject || (enrollment.subjects.length > 0 && !enrollmentSubject)) {
+    throw new AppError(ERROR_CODES.TEST_SERIES.SUBJECT_NOT_AVAILABLE, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  return { seriesSubject, enrollmentSubject };
+};
+
+/**
+ * Attempts allowed for a subject
+ * The enrollment's attemptsAllowed overrides the series-wide maxAttemptsPerTest.
+ * A limit of 0 or null means unlimited.
+ */
+const getAttemptLimit = (testSeries, enrollmentSubject) => {
+  if (enrollmentSubject && enrollmentSubject.attemptsAllowed !== null && enrollmentSubject.attemptsAllowed !== undefined) {
+    return enrollmentSubject.attemptsAllowed || null;
+  }
+  return testSeries.settings?.maxAttemptsPerTest || null;
+};
+
+/**
+ * Deadline of an attempt, or null when the series is untimed
+ * Attempts started before deadlines were persisted fall back to startedAt + durationMinutes
+ */
+const getAttemptDeadline = (attempt) => {
+  if (attempt.deadlineAt) {
+    return attempt.deadlineAt;
+  }
+  if (!attempt.durationMinutes) {
+    return null;
+  }
+  return new Date(attempt.startedAt.getTime() + attempt.durationMinutes * 60 * 1000);
+};
+
+/**
+ * Seconds left before the deadline (null when untimed, 0 once it has passed or the attempt is closed)
+ */
+const getRemainingSeconds = (attempt, now = new Date()) => {
+  const deadline = getAttemptDeadline(attempt);
+  if (!deadline) {
+    return null;
+  }
+  if (attempt.status !== 'in-progress') {
+    return 0;
+  }
+  return Math.max(0, Math.floor((deadline.getTime() - now.getTime()) / 1000));
+};
+
+const isPastDeadline = (attempt, now = new Date()) => {
+  const deadline = getAttemptDeadline(attempt);
+  return Boolean(deadline && now >= deadline);
+};
+
+/**
+ * Answer key of one question from its (live or snapshotted) fields and options
+ */
+const toAnswerKey = (question, options) => {
+  const type = question.type || QUESTION_TYPES.SINGLE_CORRECT;
+  const numericAnswer = question.numericAnswer && typeof question.numericAnswer.toObject === 'function'
+    ? question.numericAnswer.toObject()
+    : question.numericAnswer;
+
+  const answerKey = {
+    type,
+    correctOptions: [],
+    numericAnswer: type === QUESTION_TYPES.NUMERIC && numericAnswer ? numericAnswer : null,
+    matchOptions: []
+  };
+
+  options.forEach((option) => {
+    if (type === QUESTION_TYPES.MATCH_THE_FOLLOWING) {
+      // Every active pair must be matched; each option's own matchText is its correct match
+      if (option.isActive && option.matchText) {
+        answerKey.matchOptions.push(option._id);
+        answerKey.correctOptions.push(option._id);
+      }
+    } else if (option.isCorrect) {
+      answerKey.correctOptions.push(option._id);
+    }
+  });
+
+  return answerKey;
+};
+
+/**
+ * Build the answer key of each question for grading
+ * Questions edited since the attempt drew them are graded against the revision the student saw.
+ * @param {Array} attemptQuestions - The attempt's question snapshots ({ question, revision })
+ * @returns {Map} questionId string -> { type, correctOptions, numericAnswer, matchOptions }
+ */
+const loadAnswerKeys = async (attemptQuestions) => {
+  const questionIds = attemptQuestions.map(q => q.question);
+  const [questions, options, pinnedSnapshots] = await Promise.all([
+    Question.find({ _id: { $in: questionIds } }).select('type numericAnswer'),
+    Option.find({ question: { $in: questionIds } }).select('_id question isCorrect isActive matchText order').sort({ order: 1 }),
+    loadPinnedSnapshots(attemptQuestions)
+  ]);
+
+  const answerKeys = new Map(questions.map((question) => {
+    const questionId = question._id.toString();
+    return [questionId, toAnswerKey(question, options.filter(option => option.question.toString() === questionId))];
+  }));
+
+  pinnedSnapshots.forEach((snapshot, questionId) => {
+    answerKeys.set(questionId, toAnswerKey(snapshot, snapshot.options));
+  });
+
+  return answerKeys;
+};
+
+/**
+ * Grade an in-progress attempt and close it
+ * Every path that scores a test (manual submit, lazy expiry on read, the background sweep)
+ * goes through here, so the series' grading policy is applied consistently and
+ * snapshotted alongside the result.
+ * The status guard on the update makes this safe to race - only the first caller wins.
+ * @returns {Object|null} The submitted attempt, or null if it was already closed
+ */
+const finalizeAttempt = async (attempt, { submissionType = 'manual', submittedAt = new Date() } = {}) => {
+  const [answerKeysByQuestion, testSeries] = await Promise.all([
+    loadAnswerKeys(attempt.questions),
+    TestSeries.findById(attempt.testSeries).select('settings.gradingPolicy')
+  ]);
+
+  const gradingPolicy = normalizeGradingPolicy(testSeries ? testSeries.settings?.gradingPolicy : null);
+  const { scorecard, result } = gradeAttempt(attempt.questions, attempt.answers, answerKeysByQuestion, {
+    policy: gradingPolicy,
+    subjectId: attempt.subject
+  });
+
+  return TestAttempt.findOneAndUpdate(
+    { _id: attempt._id, status: 'in-progress' },
+    {
+      $set: {
+        scorecard,
+        result,
+        gradingPolicy,
+        status: 'submitted',
+        submittedAt,
+        submissionType
+      }
+    },
+    { new: true, runValidators: true }
+  );
+};
+
+/**
+ * Auto-submit an attempt whose deadline has passed
+ * The attempt is recorded as submitted at its deadline, not when the expiry was noticed.
+ * @returns {Object} The (possibly updated) attempt
+ */
+const closeIfExpired = async (attempt, now = new Date()) => {
+  if (attempt.status !== 'in-progress' || !isPastDeadline(attempt, now)) {
+    return attempt;
+  }
+
+  const submitted = await finalizeAttempt(attempt, {
+    submissionType: 'auto',
+    submittedAt: getAttemptDeadline(attempt)
+  });
+
+  // Someone else closed it first - return their version
+  return submitted || TestAttempt.findById(attempt._id);
+};
+
+const loadAttempt = async (userId, testSeriesId, attemptId) => {
+  const attempt = await TestAttempt.findOne({
+    _id: attemptId,
+    user: userId,
+    testSeries: testSeriesId
+  });
+
+  if (!attempt) {
+    throw new AppError(ERROR_CODES.TEST_SERIES.ATTEMPT_NOT_FOUND, HTTP_STATUS.NOT_FOUND);
+  }
+
+  return closeIfExpired(attempt);
+};
+
+/**
+ * Match-the-following pairs as the client sees them: matchedOption is the attempt's choice id, not the option id
+ */
+const toClientMatches = (attempt, questionId, matches = []) => {
+  const attemptQuestion = (attempt.questions || []).find(q => q.question.toString() === questionId.toString());
+  const choiceByOption = new Map(
+    ((attemptQuestion && attemptQuestion.matchChoices) || []).map(choice => [choice.option.toString(), choice._id])
+  );
+  return matches.map(match => ({
+    option: match.option,
+    matchedOption: match.matchedOption ? choiceByOption.get(match.matchedOption.toString()) || null : null
+  }));
+};
+
+/**
+ * Shape an attempt for the student
+ * The scorecard (which reveals correct options) is only included after submission.
+ * Listings load attempts without questions and answers, so those are only reshaped when present.
+ */
+const serializeAttempt = (attempt) => {
+  const data = attempt.toObject();
+  // The choice ids of match-the-following questions stand in for option ids until grading
+  if (data.questions) {
+    data.questions = data.questions.map(({ matchChoices, ...question }) => question);
+  }
+  if (data.answers) {
+    data.answers = data.answers.map(answer => ({
+      ...answer,
+      matches: toClientMatches(attempt, answer.question, answer.matches)
+    }));
+  }
+  data.deadline = getAttemptDeadline(attempt);
+  data.remainingSeconds = getRemainingSeconds(attempt);
+
+  if (attempt.status !== 'submitted') {
+    delete data.scorecard;
+    delete data.result;
+  }
+
+  return data;
+};
+
+const toObjectId = id => new mongoose.Types.ObjectId(String(id));
+
+/**
+ * Number for the user's next attempt at a subject: one past the highest ever used
+ * Soft-deleted attempts keep their numbers (they are still in the unique index), so they are counted too.
+ */
+const nextAttemptNumber = async (userId, testSeriesId, subjectId) => {
+  // Straight to the collection, past the soft delete filter
+  const latest = await TestAttempt.collection.findOne(
+    { user: toObjectId(userId), testSeries: toObjectId(testSeriesId), subject: toObjectId(subjectId) },
+    { sort: { attemptNumber: -1 }, projection: { attemptNumber: 1 } }
+  );
+  return (latest ? latest.attemptNumber : 0) + 1;
+};
+
+/**
+ * Start an attempt for one subject of a test series
+ * Returns the in-progress attempt instead if one already exists
+ */
+const startAttempt = async ({ userId, testSeriesId, subjectId }) => {
+  const { testSeries, enrollment } = await loadEnrollmentContext(userId, testSeriesId);
+  assertSeriesOpen(testSeries, enrollment);
+  const { seriesSubject, enrollmentSubject } = resolveSubject(testSeries, enrollment, subjectId);
+
+  const inProgress = await TestAttempt.findOne({
+    user: userId,
+    testSeries: testSeriesId,
+    subject: subjectId,
+    status: 'in-progress'
+  });
+
+  if (inProgress) {
+    const current = await closeIfExpired(inProgress);
+    if (current.status === 'in-progress') {
+      return { attempt: serializeAttempt(current), resumed: true };
+    }
+  }
+
+  const attemptsUsed = await TestAttempt.countDocuments({
+    user: userId,
+    testSeries: testSeriesId,
+    subject: subjectId,
+    deletedAt: null
+  });
+
+  const attemptLimit = getAttemptLimit(testSeries, enrollmentSubject);
+  if (attemptLimit && attemptsUsed >= attemptLimit) {
+    throw new AppError(
+      ERROR_CODES.TEST_SERIES.ATTEMPT_LIMIT_REACHED,
+      HTTP_STATUS.FORBIDDEN,
+      { attemptsUsed, attemptsAllowed: attemptLimit }
+    );
+  }
+
+  // Each attempt gets its own seeded draw, so its paper can be regenerated from the seed
+  const seed = createSeed();
+  const { questions } = await drawPaper(seriesSubject, seed);
+
+  if (questions.length === 0) {
+    throw new AppError(ERROR_CODES.TEST_SERIES.NO_QUESTIONS, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const startedAt = new Date();
+  const durationMinutes = testSeries.settings?.totalDurationMinutes || null;
+
+  const createAttempt = async () => TestAttempt.create({
+    user: userId,
+    testSeries: testSeriesId,
+    enrollment: enrollment._id,
+    subject: subjectId,
+    attemptNumber: await nextAttemptNumber(userId, testSeriesId, subjectId),
+    startedAt,
+    durationMinutes,
+    deadlineAt: durationMinutes ? new Date(startedAt.getTime() + durationMinutes * 60 * 1000) : null,
+    seed,
+    questions
+  });
+
+  let attempt;
+  try {
+    attempt = await createAttempt();
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+
+    // Another start for the same subject took the number first; hand back the attempt it created
+    const winner = await TestAttempt.findOne({
+      user: userId,
+      testSeries: testSeriesId,
+      subject: subjectId,
+      status: 'in-progress'
+    });
+    if (winner) {
+      return { attempt: serializeAttempt(winner), resumed: true };
+    }
+    attempt = await createAttempt();
+  }
+
+  return { attempt: serializeAttempt(attempt), resumed: false };
+};
+
+/**
+ * List the user's attempts for a test series
+ * Also returns, per subject, the attempt that counts under the series' attemptScoring rule
+ */
+const listAttempts = async ({ userId, testSeriesId, subjectId, status }) => {
+  const filter = { user: userId, testSeries: testSeriesId };
+  if (subjectId) {
+    filter.subject = subjectId;
+  }
+  if (status) {
+    filter.status = status;
+  }
+
+  const [attempts, testSeries] = await Promise.all([
+    TestAttempt.find(filter)
+      .select('-questions -answers -scorecard')
+      .populate('subject', 'name description')
+      .sort({ createdAt: -1 }),
+    TestSeries.findById(testSeriesId).select('settings.gradingPolicy')
+  ]);
+
+  const gradingPolicy = normalizeGradingPolicy(testSeries ? testSeries.settings?.gradingPolicy : null);
+
+  const attemptsBySubject = new Map();
+  attempts
+    .filter(attempt => attempt.status === 'submitted')
+    .forEach((attempt) => {
+      const key = (attempt.subject._id || attempt.subject).toString();
+      if (!attemptsBySubject.has(key)) {
+        attemptsBySubject.set(key, { subject: attempt.subject, attempts: [] });
+      }
+      attemptsBySubject.get(key).attempts.push(attempt);
+    });
+
+  const scores = [...attemptsBySubject.values()].map(({ subject, attempts: subjectAttempts }) => {
+    const scoring = selectScoringAttempt(subjectAttempts, gradingPolicy);
+    if (!scoring) {
+      return null;
+    }
+    return {
+      subject,
+      attemptScoring: gradingPolicy.attemptScoring,
+      attemptsSubmitted: subjectAttempts.length,
+      scoringAttempt: scoring._id,
+      attemptNumber: scoring.attemptNumber,
+      result: scoring.result
+    };
+  }).filter(Boolean);
+
+  return {
+    attempts: attempts.map(serializeAttempt),
+    scores
+  };
+};
+
+/**
+ * Get a single attempt (scorecard included once submitted)
+ */
+const getAttempt = async ({ userId, testSeriesId, attemptId }) => {
+  const attempt = await loadAttempt(userId, testSeriesId, attemptId);
+  await attempt.populate('subject', 'name description');
+  return serializeAttempt(attempt);
+};
+
+/**
+ * Put options in the order drawn for the attempt
+ * Options missing from optionOrder (attempts started before shuffling, or added since) follow in Option.order
+ */
+const sortByOptionOrder = (options, optionOrder) => {
+  if (!optionOrder || optionOrder.length === 0) {
+    return options;
+  }
+  const positions = new Map(optionOrder.map((id, index) => [id.toString(), index]));
+  const position = option => (positions.has(option._id.toString()) ? positions.get(option._id.toString()) : optionOrder.length);
+  return options.slice().sort((a, b) => position(a) - position(b) || a.order - b.order);
+};
+
+/**
+ * Right-hand choices of a match-the-following question for an attempt
+ * Options without a choice yet (attempts started before choices were stored, or options added since) get one,
+ * saved on the attempt so its ids stay stable.
+ */
+const ensureMatchChoices = async (attempt, attemptQuestion, options) => {
+  const known = new Set(attemptQuestion.matchChoices.map(choice => choice.option.toString()));
+  const missing = options
+    .filter(option => option.matchText && !known.has(option._id.toString()))
+    .map(option => ({ _id: new mongoose.Types.ObjectId(), option: option._id }));
+
+  if (missing.length > 0) {
+    await TestAttempt.updateOne(
+      { _id: attempt._id, 'questions.question': attemptQuestion.question },
+      { $push: { 'questions.$.matchChoices': { $each: missing } } }
+    );
+    attemptQuestion.matchChoices.push(...missing);
+  }
+
+  return attemptQuestion.matchChoices;
+};
+
+/**
+ * Get the questions of an attempt with their options, without correctness flags
+ * Questions edited since the attempt drew them are shown as the revision the student saw.
+ */
+const getAttemptQuestions = async ({ userId, testSeriesId, attemptId }) => {
+  const attempt = await loadAttempt(userId, testSeriesId, attemptId);
+  const questionIds = attempt.questions.map(q => q.question);
+
+  const [questions, options, pinnedSnapshots] = await Promise.all([
+    Question.find({ _id: { $in: questionIds } }).select('questionText chapter type difficulty marks numericAnswer.unit'),
+    Option.find({ question: { $in: questionIds }, isActive: true })
+      .select('text order question matchText')
+      .sort({ order: 1 }),
+    loadPinnedSnapshots(attempt.questions)
+  ]);
+
+  const questionsById = new Map(questions.map(q => [q._id.toString(), q]));
+  const answersByQuestion = new Map(attempt.answers.map(a => [a.question.toString(), a]));
+
+  const items = await Promise.all(attempt.questions
+    .slice()
+    .sort((a, b) => a.order - b.order)
+    .map(async (attemptQuestion) => {
+      const questionId = attemptQuestion.question.toString();
+      const snapshot = pinnedSnapshots.get(questionId);
+      const question = snapshot || questionsById.get(questionId);
+      const answer = answersByQuestion.get(questionId);
+      const type = question ? question.type : attemptQuestion.type;
+      const questionOptions = sortByOptionOrder(
+        snapshot
+          ? snapshot.options.filter(option => option.isActive)
+          : options.filter(option => option.question.toString() === questionId),
+        attemptQuestion.optionOrder
+      );
+
+      const item = {
+        question: attemptQuestion.question,
+        order: attemptQuestion.order,
+        type,
+        questionText: question ? question.questionText : null,
+        difficulty: attemptQuestion.difficulty,
+        marks: attemptQuestion.marks,
+        options: questionOptions.map(option => ({ _id: option._id, text: option.text, order: option.order })),
+        selectedOptions: answer ? answer.selectedOptions : [],
+        numericValue: answer ? answer.numericValue : null,
+        matches: answer ? toClientMatches(attempt, questionId, answer.matches) : []
+      };
+
+      if (type === QUESTION_TYPES.NUMERIC) {
+        item.unit = question && question.numericAnswer ? question.numericAnswer.unit : null;
+      }
+
+      if (type === QUESTION_TYPES.MATCH_THE_FOLLOWING) {
+        // Right-hand column under the attempt's choice ids, sorted alphabetically so neither its ids
+        // nor its order give the pairs away
+        const matchChoices = await ensureMatchChoices(attempt, attemptQuestion, questionOptions);
+        const textByOption = new Map(questionOptions.map(option => [option._id.toString(), option.matchText]));
+        item.matchChoices = matchChoices
+          .filter(choice => textByOption.get(choice.option.toString()))
+          .map(choice => ({ _id: choice._id, text: textByOption.get(choice.option.toString()) }))
+          .sort((a, b) => a.text.localeCompare(b.text));
+      }
+
+      return item;
+    }));
+
+  return {
+    attemptId: attempt._id,
+    status: attempt.status,
+    deadline: getAttemptDeadline(attempt),
+    remainingSeconds: getRemainingSeconds(attempt),
+    questions: items
+  };
+};
+
+const assertWritable = (attempt) => {
+  if (attempt.status !== 'in-progress') {
+    const details = attempt.submissionType === 'auto'
+      ? { message: 'Time is up - this attempt was submitted automatically', deadline: getAttemptDeadline(attempt) }
+      : {};
+    throw new AppError(
+      attempt.submissionType === 'auto' ? ERROR_CODES.TEST_SERIES.ATTEMPT_TIME_UP : ERROR_CODES.TEST_SERIES.ATTEMPT_CLOSED,
+      HTTP_STATUS.BAD_REQUEST,
+      details
+    );
+  }
+};
+
+/**
+ * Check that every answer targets a question of the attempt and only picks that question's options
+ */
+const validateAnswers = async (attempt, answers) => {
+  if (!Array.isArray(answers)) {
+    throw new AppError(
+      ERROR_CODES.VALIDATION.GENERAL,
+      HTTP_STATUS.BAD_REQUEST,
+      { message: 'answers must be an array' }
+    );
+  }
+
+  const attemptQuestionTypes = new Map(
+    attempt.questions.map(q => [q.question.toString(), q.type || QUESTION_TYPES.SINGLE_CORRECT])
+  );
+  const referencedIds = answers.flatMap(answer => [
+    ...(answer.selectedOptions || []),
+    ...(answer.matches || []).flatMap(match => [match.option, match.matchedOption].filter(Boolean))
+  ]);
+  const [referencedOptions, pinnedSnapshots] = await Promise.all([
+    Option.find({ _id: { $in: referencedIds } }).select('question'),
+    loadPinnedSnapshots(attempt.questions)
+  ]);
+  const optionQuestion = new Map(referencedOptions.map(o => [o._id.toString(), o.question.toString()]));
+  // Options of the revision the student was shown stay valid even if they were replaced since
+  pinnedSnapshots.forEach((snapshot, questionId) => {
+    snapshot.options.forEach(option => optionQuestion.set(option._id.toString(), questionId));
+  });
+
+  const invalidAnswer = (answer, message, extra = {}) => new AppError(
+    ERROR_CODES.TEST_SERIES.INVALID_ANSWER,
+    HTTP_STATUS.BAD_REQUEST,
+    { message, question: answer.question, ...extra }
+  );
+
+  answers.forEach((answer) => {
+    const questionId = answer.question ? answer.question.toString() : null;
+    if (!questionId || !attemptQuestionTypes.has(questionId)) {
+      throw new AppError(ERROR_CODES.TEST_SERIES.INVALID_ANSWER, HTTP_STATUS.BAD_REQUEST, { question: answer.question });
+    }
+
+    const type = attemptQuestionTypes.get(questionId);
+    const selected = answer.selectedOptions || [];
+    const matches = answer.matches || [];
+    const hasNumericValue = answer.numericValue !== null && answer.numericValue !== undefined;
+
+    if (type === QUESTION_TYPES.NUMERIC) {
+      if (selected.length > 0 || matches.length > 0) {
+        throw invalidAnswer(answer, 'Numeric questions are answered with numericValue only');
+      }
+      if (hasNumericValue && !Number.isFinite(Number(answer.numericValue))) {
+        throw invalidAnswer(answer, 'numericValue must be a number');
+      }
+      return;
+    }
+
+    if (hasNumericValue) {
+      throw invalidAnswer(answer, 'numericValue is only accepted for numeric questions');
+    }
+
+    if (type === QUESTION_TYPES.MATCH_THE_FOLLOWING) {
+      if (selected.length > 0) {
+        throw invalidAnswer(answer, 'Match-the-following questions are answered with matches only');
+      }
+
+      const leftIds = matches.map(match => match.option && match.option.toString());
+      if (new Set(leftIds).size !== leftIds.length) {
+        throw invalidAnswer(answer, 'Each option can only be matched once');
+      }
+
+      const invalidMatch = matches.find(match => (
+        optionQuestion.get(String(match.option)) !== questionId ||
+        (match.matchedOption && optionQuestion.get(String(match.matchedOption)) !== questionId)
+      ));
+      if (invalidMatch) {
+        throw invalidAnswer(answer, 'Matched option does not belong to the question', { match: invalidMatch });
+      }
+      return;
+    }
+
+    if (matches.length > 0) {
+      throw invalidAnswer(answer, 'matches are only accepted for match-the-following questions');
+    }
+
+    if ((type === QUESTION_TYPES.SINGLE_CORRECT || type === QUESTION_TYPES.TRUE_FALSE) && new Set(selected.map(String)).size > 1) {
+      throw invalidAnswer(answer, 'Only one option can be selected for this question');
+    }
+
+    const invalidOption = selected.find(
+      optionId => optionQuestion.get(optionId.toString()) !== questionId
+    );
+    if (invalidOption) {
+      throw invalidAnswer(answer, 'Selected option does not belong to the question', { option: invalidOption });
+    }
+  });
+};
+
+/**
+ * Swap the choice ids of match-the-following answers for the options they stand for
+ * A matchedOption that is not one of the question's choices for this attempt is rejected.
+ */
+const resolveMatchChoices = (attempt, answers) => {
+  if (!Array.isArray(answers)) {
+    return answers;
+  }
+
+  const attemptQuestions = new Map(attempt.questions.map(q => [q.question.toString(), q]));
+
+  return answers.map((answer) => {
+    const attemptQuestion = answer.question ? attemptQuestions.get(answer.question.toString()) : null;
+    if (!attemptQuestion || attemptQuestion.type !== QUESTION_TYPES.MATCH_THE_FOLLOWING || !Array.isArray(answer.matches)) {
+      return answer;
+    }
+
+    const optionByChoice = new Map(attemptQuestion.matchChoices.map(choice => [choice._id.toString(), choice.option]));
+    return {
+      ...answer,
+      matches: answer.matches.map((match) => {
+        if (!match || !match.matchedOption) {
+          return match;
+        }
+        const option = optionByChoice.get(match.matchedOption.toString());
+        if (!option) {
+          throw new AppError(ERROR_CODES.TEST_SERIES.INVALID_ANSWER, HTTP_STATUS.BAD_REQUEST, {
+            message: 'Matched choice does not belong to the question',
+            question: answer.question,
+            match
+          });
+        }
+        return { ...match, matchedOption: option };
+      })
+    };
+  });
+};
+
+/**
+ * Normalize a validated answer into the stored shape
+ * Reported time is capped at the time the attempt has been open; it is left out when not reported
+ * so an earlier value is kept.
+ */
+const toStoredAnswer = (answer, attempt, now) => ({
+  ...(answer.timeSpentSeconds !== undefined && answer.timeSpentSeconds !== null
+    ? {
+        timeSpentSeconds: Math.min(
+          Math.max(0, Math.round(Number(answer.timeSpentSeconds) || 0)),
+          Math.max(0, Math.floor((now.getTime() - new Date(attempt.startedAt).getTime()) / 1000))
+        )
+      }
+    : {}),
+  selectedOptions: [...new Set((answer.selectedOptions || []).map(id => id.toString()))],
+  numericValue: answer.numericValue !== null && answer.numericValue !== undefined
+    ? Number(answer.numericValue)
+    : null,
+  matches: (answer.matches || [])
+    .filter(match => match.matchedOption)
+    .map(match => ({ option: match.option.toString(), matchedOption: match.matchedOption.toString() }))
+});
+
+/**
+ * Persist one answer atomically
+ * The write only matches while the attempt is in progress and before its deadline,
+ * so a save racing the deadline can never land after it.
+ * @returns {boolean} false when the attempt is no longer writable
+ */
+const writeAnswer = async (attemptId, questionId, stored, now) => {
+  const writableFilter = {
+    _id: attemptId,
+    status: 'in-progress',
+    $or: [{ deadlineAt: null }, { deadlineAt: { $gt: now } }]
+  };
+
+  const updateExisting = () => TestAttempt.updateOne(
+    { ...writableFilter, 'answers.question': questionId },
+    {
+      $set: {
+        'answers.$.selectedOptions': stored.selectedOptions,
+        'answers.$.numericValue': stored.numericValue,
+        'answers.$.matches': stored.matches,
+        ...(stored.timeSpentSeconds !== undefined ? { 'answers.$.timeSpentSeconds': stored.timeSpentSeconds } : {}),
+        'answers.$.answeredAt': now,
+        lastSavedAt: now
+      }
+    }
+  );
+
+  const updated = await updateExisting();
+  if (updated.matchedCount > 0) {
+    return true;
+  }
+
+  const pushed = await TestAttempt.updateOne(
+    { ...writableFilter, 'answers.question': { $ne: questionId } },
+    {
+      $push: { answers: { question: questionId, ...stored, answeredAt: now } },
+      $set: { lastSavedAt: now }
+    }
+  );
+  if (pushed.matchedCount > 0) {
+    return true;
+  }
+
+  // A concurrent autosave may have pushed the same question in between - retry the update once
+  const retried = await updateExisting();
+  return retried.matchedCount > 0;
+};
+
+/**
+ * Write a batch of answers, auto-submitting the attempt if the deadline passes mid-write
+ */
+const persistAnswers = async (attempt, submittedAnswers) => {
+  assertWritable(attempt);
+  const answers = resolveMatchChoices(attempt, submittedAnswers);
+  await validateAnswers(attempt, answers);
+
+  // Answer writes go through updateOne, so an attempt predating persisted deadlines is guarded here
+  const now = new Date();
+  if (isPastDeadline(attempt, now)) {
+    assertWritable(await closeIfExpired(attempt, now));
+  }
+
+  for (const answer of answers) {
+    const questionId = answer.question.toString();
+    const written = await writeAnswer(attempt._id, questionId, toStoredAnswer(answer, attempt, now), now);
+    if (!written) {
+      const current = await TestAttempt.findById(attempt._id);
+      assertWritable(await closeIfExpired(current));
+      throw new AppError(ERROR_CODES.TEST_SERIES.ATTEMPT_CLOSED, HTTP_STATUS.BAD_REQUEST);
+    }
+  }
+
+  return TestAttempt.findById(attempt._id);
+};
+
+/**
+ * Save (upsert) answers for an in-progress attempt
+ * @param {Array} answers - [{ question, selectedOptions, numericValue, matches: [{ option, matchedOption }], timeSpentSeconds }]
+ *   depending on the question type; an empty answer clears it
+ */
+const saveAnswers = async ({ userId, testSeriesId, attemptId, answers }) => {
+  const attempt = await loadAttempt(userId, testSeriesId, attemptId);
+  const saved = await persistAnswers(attempt, answers);
+  return serializeAttempt(saved);
+};
+
+/**
+ * Autosave the answer to a single question
+ * Returns only what the client needs to keep its timer and save indicator in sync
+ */
+const saveAnswer = async ({ userId, testSeriesId, attemptId, questionId, answer }) => {
+  const attempt = await loadAttempt(userId, testSeriesId, attemptId);
+  const saved = await persistAnswers(attempt, [{ ...answer, question: questionId }]);
+  const stored = saved.answers.find(a => a.question.toString() === questionId.toString());
+
+  return {
+    attemptId: saved._id,
+    question: questionId,
+    selectedOptions: stored ? stored.selectedOptions : [],
+    numericValue: stored ? stored.numericValue : null,
+    matches: stored ? toClientMatches(saved, questionId, stored.matches) : [],
+    timeSpentSeconds: stored ? stored.timeSpentSeconds : 0,
+    answeredAt: stored ? stored.answeredAt : null,
+    lastSavedAt: saved.lastSavedAt,
+    deadline: getAttemptDeadline(saved),
+    remainingSeconds: getRemainingSeconds(saved)
+  };
+};
+
+/**
+ * Grade and close an in-progress attempt
+ */
+const submitAttempt = async ({ userId, testSeriesId, attemptId }) => {
+  const attempt = await loadAttempt(userId, testSeriesId, attemptId);
+  assertWritable(attempt);
+
+  const submitted = await finalizeAttempt(attempt, { submissionType: 'manual' });
+  if (!submitted) {
+    throw new AppError(ERROR_CODES.TEST_SERIES.ATTEMPT_CLOSED, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  await submitted.populate('subject', 'name description');
+
+  return serializeAttempt(submitted);
+};
+
+/**
+ * Auto-submit every in-progress attempt whose deadline has passed
+ * Called periodically by the test attempt expiry job
+ * @returns {number} Number of attempts submitted
+ */
+const autoSubmitExpiredAttempts = async ({ now = new Date(), batchSize = 100 } = {}) => {
+  const expired = await TestAttempt.find({
+    status: 'in-progress',
+    deadlineAt: { $ne: null, $lte: now }
+  })
+    .sort({ deadlineAt: 1 })
+    .limit(batchSize);
+
+  let submittedCount = 0;
+  for (const attempt of expired) {
+    const submitted = await finalizeAttempt(attempt, {
+      submissionType: 'auto',
+      submittedAt: attempt.deadlineAt
+    });
+    if (submitted) {
+      submittedCount += 1;
+    }
+  }
+
+  return submittedCount;
+};
+
+module.exports = {
+  startAttempt,
+  listAttempts,
+  getAttempt,
+  getAttemptQuestions,
+  saveAnswers,
+  saveAnswer,
+  submitAttempt,
+  autoSubmitExpiredAttempts,
+  getAttemptLimit,
+  getAttemptDeadline,
+  getRemainingSeconds
+};
@@ -58,6 +58,86 @@ exports.ROLE_PERMISSIONS = {
   ]
 };
 
+// Question Types
+exports.QUESTION_TYPES = {
+  SINGLE_CORRECT: 'single-correct',
+  MULTIPLE_CORRECT: 'multiple-correct',
+  TRUE_FALSE: 'true-false',
+  NUMERIC: 'numeric',
+  MATCH_THE_FOLLOWING: 'match-the-following'
+};
+
+// Question editorial statuses (draft -> in-review -> approved -> retired)
+exports.QUESTION_STATUSES = {
+  DRAFT: 'draft',
+  IN_REVIEW: 'in-review',
+  APPROVED: 'approved',
+  RETIRED: 'retired'
+};
+
+// Session attendance
+exports.ATTENDANCE_STATUSES = {
+  PRESENT: 'present',
+  LATE: 'late',
+  ABSENT: 'absent',
+  EXCUSED: 'excused'
+};
+
+exports.ATTENDANCE = {
+  LATE_AFTER_MINUTES: 10, // Joining later than this after the start counts as late
+  JOIN_OPENS_MINUTES: 15, // The join link opens this long before the start
+  MIN_PERCENT: 75 // Default minimum attendance for reports
+};
+
+// Tags students can add to session feedback
+exports.FEEDBACK_TAGS = [
+  'clear-explanations',
+  'well-prepared',
+  'engaging',
+  'helpful-examples',
+  'patient',
+  'too-fast',
+  'hard-to-follow',
+  'started-late',
+  'ran-late',
+  'connection-issues'
+];
+
+exports.FEEDBACK = {
+  MIN_RATING: 1,
+  MAX_RATING: 5,
+  SUBMIT_WINDOW_DAYS: 14, // Feedback can be given (and changed) this long after the session ends
+  // Teacher selection ranks by a smoothed average: few ratings are pulled towards the prior
+  PRIOR_RATING: 4,
+  PRIOR_WEIGHT: 5,
+  SELECTION_LOOKBACK_DAYS: 180 // Only recent feedback counts towards teacher selection
+};
+
+// Reschedule proposals: the counterpart picks one of the slots or declines
+exports.RESCHEDULE_PROPOSAL = {
+  MAX_SLOTS: 3, // Slots the proposer names, topped up with open slots from the teacher's availability
+  EXPIRY_HOURS: 48 // Unanswered proposals lapse after this long, or when the session starts if sooner
+};
+
+// Session scheduling rules used when no stored policy sets them (times are in the institute timezone)
+exports.SCHEDULING_POLICY_DEFAULTS = {
+  minAdvanceDays: 1, // 1 = no same-day bookings
+  bookingWindowDays: 10, // Sessions can fall at most this many days from today
+  allowedDaysOfWeek: [1, 2, 3, 4, 5, 6], // 0 = Sunday
+  dayStartTime: '09:00',
+  dayEndTime: '21:00',
+  saturdayEndTime: '16:00',
+  sessionDurationMinutes: 75, // Also sets the latest start time (day end minus this)
+  breakMinutes: 15,
+  backToBackCooldownMinutes: 60, // Teacher is unavailable this long after two back-to-back sessions
+  maxSessionsPerTeacherPerDay: 4,
+  rerouteRejectedRequests: false, // Offer a rejected request to the next available teacher for the subject
+  cancellationRefundPercent: 100, // Share of a cancelled booking's Focus One hours returned to the student's balance
+  lateCancellationNoticeHours: 24, // Cancelling a booking with less notice than this is a late cancellation
+  maxStudentLateCancellationsPerMonth: 2, // A student's late cancellations beyond this in a calendar month are refused
+  lateCancellationRefundPercent: 0 // Applies instead of cancellationRefundPercent to a student's late cancellation
+};
+
 // JWT
 exports.JWT_COOKIE_EXPIRE = 7; // days
 
@@ -0,0 +1,100 @@
+/**
+ * Minimal RFC 4180 CSV helpers
+ * Handles quoted fields, escaped quotes ("") and line breaks inside quotes.
+ */
+
+/**
+ * Parse CSV text into rows of cells
+ * @param {string} text
+ * @returns {Array<Array<string>>}
+ */
+const parseRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i += 1;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines (a single empty cell)
+  return rows.filter(cells => cells.length > 1 || cells[0].trim() !== '');
+};
+
+/**
+ * Parse CSV text with a header row into objects keyed by (trimmed) header
+ * @param {string} text
+ * @returns {Array<Object>}
+ */
+const parseCsv = (text) => {
+  const [header, ...rows] = parseRows(text || '');
+  if (!header) {
+    return [];
+  }
+
+  const keys = header.map(key => key.trim());
+  return rows.map(cells => keys.reduce((record, key, index) => {
+    if (key) {
+      record[key] = cells[index] !== undefined ? cells[index].trim() : '';
+    }
+    return record;
+  }, {}));
+};
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialize objects to CSV with the given column order
+ * @param {Array<string>} columns
+ * @param {Array<Object>} records
+ * @returns {string}
+ */
+const toCsv = (columns, records) => [
+  columns.map(escapeCell).join(','),
+  ...records.map(record => columns.map(column => escapeCell(record[column])).join(','))
+].join('\r\n');
+
+module.exports = {
+  parseCsv,
+  toCsv
+};
@@ -0,0 +1,126 @@
+/**
+ * Minimal iCalendar (RFC 5545) writer for session invites and subscription feeds
+ * All times are written in UTC, so no VTIMEZONE blocks are needed.
+ */
+
+const PRODUCT_ID = '-//SkyPrep Aero//Sessions//EN';
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a TEXT value (backslash, semicolon, comma, newline)
+ */
+const escapeText = value => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * A parameter value such as CN, quoted because names can contain commas or colons
+ */
+const quoteParam = value => `"${String(value).replace(/"/g, '\'')}"`;
+
+/**
+ * UTC date-time, e.g. 20261020T033000Z
+ */
+const formatDateTime = date => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Fold a content line to 75 octets, continuing with CRLF + space (never splitting a UTF-8 character)
+ */
+const foldLine = (line) => {
+  if (Buffer.byteLength(line, 'utf8') <= MAX_LINE_OCTETS) {
+    return line;
+  }
+
+  const parts = [];
+  let current = '';
+  let currentOctets = 0;
+  for (const char of line) {
+    const octets = Buffer.byteLength(char, 'utf8');
+    if (currentOctets + octets > MAX_LINE_OCTETS) {
+      parts.push(current);
+      current = ' ';
+      currentOctets = 1;
+    }
+    current += char;
+    currentOctets += octets;
+  }
+  parts.push(current);
+  return parts.join('\r\n');
+};
+
+const person = (property, { name, email }, params = []) =>
+  `${property}${name ? `;CN=${quoteParam(name)}` : ''}${params.map(param => `;${param}`).join('')}:mailto:${email}`;
+
+/**
+ * VEVENT lines for one event
+ * @param {Object} event - { uid, sequence, start, end, summary, description, location, url, status,
+ *                           organizer: { name, email }, attendees: [{ name, email }], stamp, lastModified }
+ * @returns {Array<string>} Unfolded content lines
+ */
+const buildEvent = ({
+  uid,
+  sequence = 0,
+  start,
+  end,
+  summary,
+  description,
+  location,
+  url,
+  status = 'CONFIRMED',
+  organizer,
+  attendees = [],
+  stamp = new Date(),
+  lastModified
+}) => [
+  'BEGIN:VEVENT',
+  `UID:${uid}`,
+  `SEQUENCE:${sequence}`,
+  `DTSTAMP:${formatDateTime(stamp)}`,
+  ...(lastModified ? [`LAST-MODIFIED:${formatDateTime(lastModified)}`] : []),
+  `DTSTART:${formatDateTime(start)}`,
+  `DTEND:${formatDateTime(end)}`,
+  `SUMMARY:${escapeText(summary)}`,
+  ...(description ? [`DESCRIPTION:${escapeText(description)}`] : []),
+  ...(location ? [`LOCATION:${escapeText(location)}`] : []),
+  ...(url ? [`URL:${url}`] : []),
+  `STATUS:${status}`,
+  ...(organizer && organizer.email ? [person('ORGANIZER', organizer)] : []),
+  ...attendees
+    .filter(attendee => attendee.email)
+    .map(attendee => person('ATTENDEE', attendee, ['ROLE=REQ-PARTICIPANT', 'PARTSTAT=NEEDS-ACTION', 'RSVP=FALSE'])),
+  'END:VEVENT'
+];
+
+/**
+ * A complete VCALENDAR document
+ * @param {Object} options - { method (PUBLISH, REQUEST or CANCEL), name, refreshMinutes, events: [event] }
+ * @returns {string} CRLF-separated, folded iCalendar text
+ */
+const buildCalendar = ({ method = 'PUBLISH', name, refreshMinutes, events = [] }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`,
+    ...(name ? [`X-WR-CALNAME:${escapeText(name)}`] : []),
+    // Google reads X-PUBLISHED-TTL, Apple and Outlook read REFRESH-INTERVAL
+    ...(refreshMinutes
+      ? [`REFRESH-INTERVAL;VALUE=DURATION:PT${refreshMinutes}M`, `X-PUBLISHED-TTL:PT${refreshMinutes}M`]
+      : []),
+    ...events.flatMap(buildEvent),
+    'END:VCALENDAR'
+  ];
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  escapeText,
+  formatDateTime,
+  foldLine,
+  buildEvent,
+  buildCalendar
+};
@@ -0,0 +1,204 @@
+/**
+ * Paper generation helpers
+ * Pure functions - callers load the question bank and persist the drawn paper.
+ * All randomness comes from a seeded generator, so the same seed always yields the same paper.
+ */
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+/**
+ * Hash a string seed into a 32-bit integer (FNV-1a)
+ */
+const hashSeed = (seed) => {
+  let hash = 0x811c9dc5;
+  const text = String(seed);
+  for (let i = 0; i < text.length; i += 1) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Seeded pseudo-random number generator (mulberry32)
+ * @param {string} seed
+ * @returns {Function} () => number in [0, 1)
+ */
+const createRandom = (seed) => {
+  let state = hashSeed(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Fisher-Yates shuffle driven by a seeded random function (returns a new array)
+ */
+const shuffle = (items, random) => {
+  const result = items.slice();
+  for (let i = result.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+/**
+ * Split a total into integer parts proportional to weights (largest remainder method)
+ * @param {number} total
+ * @param {Array<{ key: string, weight: number }>} weights
+ * @returns {Map} key -> count
+ */
+const allocate = (total, weights) => {
+  const positive = weights.filter(w => w.weight > 0);
+  const weightSum = positive.reduce((sum, w) => sum + w.weight, 0);
+  const counts = new Map(weights.map(w => [w.key, 0]));
+
+  if (total <= 0 || weightSum === 0) {
+    return counts;
+  }
+
+  const exact = positive.map(w => ({ key: w.key, value: (total * w.weight) / weightSum }));
+  exact.forEach(({ key, value }) => counts.set(key, Math.floor(value)));
+
+  let remaining = total - exact.reduce((sum, { value }) => sum + Math.floor(value), 0);
+  exact
+    .slice()
+    .sort((a, b) => (b.value - Math.floor(b.value)) - (a.value - Math.floor(a.value)))
+    .forEach(({ key }) => {
+      if (remaining > 0) {
+        counts.set(key, counts.get(key) + 1);
+        remaining -= 1;
+      }
+    });
+
+  return counts;
+};
+
+/**
+ * Draw a paper from a question bank according to a blueprint
+ *
+ * Targets are set per (chapter, difficulty) cell from the product of the difficulty mix and
+ * chapter weights. Cells the bank cannot fill are topped up first from the same difficulty in
+ * other chapters, then from the same chapter at other difficulties, then from anything left.
+ *
+ * @param {Array} bank - Candidate questions ({ _id, chapter, difficulty })
+ * @param {Object} blueprint - { questionCount, difficultyMix: { easy, medium, hard }, chapterWeights: [{ chapter, weight }], shuffleQuestions }
+ * @param {string} seed - Seed for reproducible selection
+ * @returns {Object} { questions: Array (drawn, in paper order), shortfall: number }
+ */
+const generatePaper = (bank, blueprint, seed) => {
+  const random = createRandom(`${seed}:paper`);
+
+  // With chapter weights only the weighted chapters are drawn from; without them every chapter weighs the same
+  const explicitWeights = new Map(
+    (blueprint.chapterWeights || [])
+      .filter(entry => entry.weight > 0)
+      .map(entry => [entry.chapter.toString(), entry.weight])
+  );
+  const questions = explicitWeights.size > 0
+    ? bank.filter(q => explicitWeights.has(q.chapter.toString()))
+    : bank;
+  const questionCount = Math.min(blueprint.questionCount, questions.length);
+
+  const chapterIds = [...new Set(questions.map(q => q.chapter.toString()))];
+  const chapterWeights = chapterIds.map(id => ({
+    key: id,
+    weight: explicitWeights.size > 0 ? explicitWeights.get(id) : 1
+  }));
+
+  const mix = blueprint.difficultyMix || {};
+  const hasMix = DIFFICULTIES.some(level => mix[level] > 0);
+  const difficultyWeights = DIFFICULTIES.map(level => ({ key: level, weight: hasMix ? mix[level] || 0 : 1 }));
+
+  // Shuffle each cell's pool once, then take from the front
+  const pools = new Map();
+  shuffle(questions, random).forEach((question) => {
+    const cell = `${question.chapter.toString()}|${question.difficulty}`;
+    if (!pools.has(cell)) {
+      pools.set(cell, []);
+    }
+    pools.get(cell).push(question);
+  });
+
+  const cellWeights = [];
+  chapterWeights.forEach((chapter) => {
+    difficultyWeights.forEach((difficulty) => {
+      cellWeights.push({ key: `${chapter.key}|${difficulty.key}`, weight: chapter.weight * difficulty.weight });
+    });
+  });
+  const targets = allocate(questionCount, cellWeights);
+
+  const drawn = [];
+  const take = (predicate, count) => {
+    let taken = 0;
+    pools.forEach((pool, cell) => {
+      while (taken < count && pool.length > 0 && predicate(cell)) {
+        drawn.push(pool.shift());
+        taken += 1;
+      }
+    });
+    return taken;
+  };
+
+  let missing = 0;
+  const cellShortfalls = [];
+  targets.forEach((target, cell) => {
+    const taken = take(key => key === cell, target);
+    if (taken < target) {
+      cellShortfalls.push({ cell, count: target - taken });
+      missing += target - taken;
+    }
+  });
+
+  // Top up shortfalls, keeping as close to the blueprint as the bank allows
+  cellShortfalls.forEach(({ cell, count }) => {
+    const [chapter, difficulty] = cell.split('|');
+    let needed = count;
+    needed -= take(key => key.endsWith(`|${difficulty}`), needed);
+    needed -= take(key => key.startsWith(`${chapter}|`), needed);
+    needed -= take(() => true, needed);
+    missing -= count - needed;
+  });
+
+  const ordered = blueprint.shuffleQuestions === false
+    ? drawn.slice().sort((a, b) => (
+      chapterIds.indexOf(a.chapter.toString()) - chapterIds.indexOf(b.chapter.toString()) ||
+      DIFFICULTIES.indexOf(a.difficulty) - DIFFICULTIES.indexOf(b.difficulty)
+    ))
+    : shuffle(drawn, random);
+
+  return {
+    questions: ordered,
+    shortfall: blueprint.questionCount - questionCount + missing
+  };
+};
+
+/**
+ * Order a question's options for one attempt
+ * Shuffled deterministically per attempt and question, or by Option.order when shuffling is off
+ * @param {Array} options - Options of a single question ({ _id, order })
+ * @param {string} seed - Attempt seed
+ * @param {string} questionId
+ * @param {boolean} shuffleOptions
+ * @returns {Array} Option ids in display order
+ */
+const orderOptions = (options, seed, questionId, shuffleOptions) => {
+  const byOrder = options.slice().sort((a, b) => (a.order || 0) - (b.order || 0));
+  const ordered = shuffleOptions
+    ? shuffle(byOrder, createRandom(`${seed}:${questionId}`))
+    : byOrder;
+  return ordered.map(option => option._id);
+};
+
+module.exports = {
+  createRandom,
+  shuffle,
+  allocate,
+  generatePaper,
+  orderOptions
+};
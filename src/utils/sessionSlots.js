@@ -1,17 +1,22 @@
 const Session = require('../models/Session');
 const FocusOne = require('../models/FocusOne');
-const { PublicHoliday } = require('../models');
-
-// Constants
-const MAX_SESSIONS_PER_DAY = 4;
-const BREAK_DURATION_MINUTES = 15;
-const WORKING_HOUR_START = 9; // 9 AM
-const WORKING_HOUR_END = 21; // 9 PM
-const SATURDAY_HOUR_END = 16; // 4 PM (Saturday only)
-const LECTURE_UNAVAILABLE_DURATION_MINUTES = 60; // 1 hour unavailable after back-to-back sessions
+const { PublicHoliday, TeacherAvailability, User } = require('../models');
+const { instituteTimezone } = require('../config/timezone');
+const { SCHEDULING_POLICY_DEFAULTS } = require('./constants');
+const { rankTeachers } = require('../services/sessionFeedbackService');
+const {
+  getZonedParts,
+  startOfZonedDay,
+  endOfZonedDay,
+  atZonedTime,
+  toZonedDateKey
+} = require('./timezone');
+
+// Working hours, breaks and daily limits come from a scheduling policy (see schedulingPolicyService);
+// callers that do not pass one get the built-in defaults.
 
 /**
- * Get all existing sessions for a teacher on a specific date
+ * Get all existing sessions for a teacher on a specific date (a calendar day in the institute's timezone)
  * Includes sessions with status: requested, accepted, scheduled, ongoing
  * Also includes requested sessions that could be assigned to this teacher (same subject)
  * 
@@ -19,11 +24,8 @@ const LECTURE_UNAVAILABLE_DURATION_MINUTES = 60; // 1 hour unavailable after bac
  * which means their slots are automatically freed up when sessions are cancelled or completed.
  */
 const getTeacherSessionsForDate = async (teacherId, date, subjectId = null) => {
-  const startOfDay = new Date(date);
-  startOfDay.setHours(0, 0, 0, 0);
-  
-  const endOfDay = new Date(date);
-  endOfDay.setHours(23, 59, 59, 999);
+  const startOfDay = startOfZonedDay(date, instituteTimezone);
+  const endOfDay = endOfZonedDay(date, instituteTimezone);
 
   // Get sessions where teacher is already assigned
   // Excludes cancelled, rejected, and completed sessions - these slots are available again
@@ -71,13 +73,99 @@ const getTeacherSessionsForDate = async (teacherId, date, subjectId = null) => {
   return uniqueSessions.sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
 };
 
+/**
+ * Get a teacher's availability settings (null if they follow the institute working hours)
+ */
+const getTeacherAvailability = teacherId => TeacherAvailability.findOne({ teacher: teacherId });
+
+/**
+ * Working hours of a policy on a date, as instants (Saturdays close early)
+ * @returns {Object|null} { start, end }, or null if sessions are not allowed on that weekday
+ */
+const getWorkingHoursForDate = (date, policy = SCHEDULING_POLICY_DEFAULTS) => {
+  const { weekday } = getZonedParts(date, instituteTimezone);
+  if (!policy.allowedDaysOfWeek.includes(weekday)) {
+    return null;
+  }
+
+  return {
+    start: atZonedTime(date, policy.dayStartTime, instituteTimezone),
+    end: atZonedTime(date, weekday === 6 ? policy.saturdayEndTime : policy.dayEndTime, instituteTimezone)
+  };
+};
+
+/**
+ * Windows a teacher can teach in on a date, clipped to the policy's working hours
+ * A date override replaces the weekly windows for that day; with no weekly windows set,
+ * the whole working day is available.
+ * @param {Object|null} availability - TeacherAvailability document
+ * @param {Date} date - Any instant on the day (institute timezone)
+ * @param {Object} policy - Effective scheduling policy
+ * @returns {Array} [{ start: Date, end: Date }] in time order
+ */
+const getTeacherWindowsForDate = (availability, date, policy = SCHEDULING_POLICY_DEFAULTS) => {
+  const workingHours = getWorkingHoursForDate(date, policy);
+  if (!workingHours) {
+    return [];
+  }
+
+  const { start: dayStart, end: dayEnd } = workingHours;
+  const { weekday } = getZonedParts(date, instituteTimezone);
+  const workingDay = [{ start: dayStart, end: dayEnd }];
+
+  if (!availability) {
+    return workingDay;
+  }
+
+  const dayKey = toZonedDateKey(date, instituteTimezone);
+  const override = availability.overrides.find(entry => toZonedDateKey(entry.date, instituteTimezone) === dayKey);
+
+  let windows;
+  if (override) {
+    windows = override.windows;
+  } else if (availability.weeklyWindows.length > 0) {
+    windows = availability.weeklyWindows.filter(window => window.dayOfWeek === weekday);
+  } else {
+    return workingDay;
+  }
+
+  return windows
+    .map(window => ({
+      start: new Date(Math.max(atZonedTime(date, window.startTime, instituteTimezone).getTime(), dayStart.getTime())),
+      end: new Date(Math.min(atZonedTime(date, window.endTime, instituteTimezone).getTime(), dayEnd.getTime()))
+    }))
+    .filter(window => window.start < window.end)
+    .sort((a, b) => a.start - b.start);
+};
+
+/**
+ * First time-off block of a teacher that overlaps a time range, if any
+ */
+const findTimeOff = (availability, startTime, endTime) => {
+  if (!availability) {
+    return null;
+  }
+  const start = new Date(startTime);
+  const end = new Date(endTime);
+  return availability.timeOff.find(block => block.startsAt < end && block.endsAt > start) || null;
+};
+
+/**
+ * Daily session limit for a teacher: their own limit, never above the policy's
+ */
+const getMaxSessionsPerDay = (availability, policy = SCHEDULING_POLICY_DEFAULTS) => (
+  availability && availability.maxSessionsPerDay
+    ? Math.min(availability.maxSessionsPerDay, policy.maxSessionsPerTeacherPerDay)
+    : policy.maxSessionsPerTeacherPerDay
+);
+
 /**
  * Find back-to-back session pairs (two consecutive sessions)
  * Returns array of objects with { firstSession, secondSession, unavailableUntil }
  */
-const findBackToBackSessions = (existingSessions) => {
+const findBackToBackSessions = (existingSessions, policy = SCHEDULING_POLICY_DEFAULTS) => {
   const backToBackPairs = [];
-  const breakMs = BREAK_DURATION_MINUTES * 60 * 1000;
+  const breakMs = policy.breakMinutes * 60 * 1000;
 
   // Sort sessions by start time
   const sortedSessions = [...existingSessions].sort((a, b) => 
@@ -92,11 +180,11 @@ const findBackToBackSessions = (existingSessions) => {
     const firstEnd = new Date(firstSession.endTime).getTime();
     const secondStart = new Date(secondSession.startTime).getTime();
 
-    // Check if sessions are back-to-back (with or without the 15-minute break)
-    // Back-to-back means second session starts within 15 minutes after first ends
+    // Check if sessions are back-to-back (with or without the break)
+    // Back-to-back means second session starts within the break after first ends
     if (secondStart <= firstEnd + breakMs) {
       const secondEnd = new Date(secondSession.endTime).getTime();
-      const unavailableUntil = new Date(secondEnd + LECTURE_UNAVAILABLE_DURATION_MINUTES * 60 * 1000);
+      const unavailableUntil = new Date(secondEnd + policy.backToBackCooldownMinutes * 60 * 1000);
       
       backToBackPairs.push({
         firstSession,
@@ -110,13 +198,13 @@ const findBackToBackSessions = (existingSessions) => {
 };
 
 /**
- * Check if a time slot conflicts with existing sessions (considering 15-min breaks)
- * Also checks if the slot falls within the 1-hour unavailable period after back-to-back sessions
+ * Check if a time slot conflicts with existing sessions (considering the break between sessions)
+ * Also checks if the slot falls within the cooldown after back-to-back sessions
  */
-const hasTimeConflict = (newStartTime, newEndTime, existingSessions) => {
+const hasTimeConflict = (newStartTime, newEndTime, existingSessions, policy = SCHEDULING_POLICY_DEFAULTS) => {
   const newStart = new Date(newStartTime).getTime();
   const newEnd = new Date(newEndTime).getTime();
-  const breakMs = BREAK_DURATION_MINUTES * 60 * 1000;
+  const breakMs = policy.breakMinutes * 60 * 1000;
 
   // Check for conflicts with existing sessions (including breaks)
   for (const session of existingSessions) {
@@ -130,8 +218,8 @@ const hasTimeConflict = (newStartTime, newEndTime, existingSessions) => {
     }
   }
 
-  // Check if the slot falls within the 1-hour unavailable period after back-to-back sessions
-  const backToBackPairs = findBackToBackSessions(existingSessions);
+  // Check if the slot falls within the cooldown after back-to-back sessions
+  const backToBackPairs = findBackToBackSessions(existingSessions, policy);
   for (const pair of backToBackPairs) {
     const unavailableUntil = new Date(pair.unavailableUntil).getTime();
     
@@ -148,33 +236,65 @@ const hasTimeConflict = (newStartTime, newEndTime, existingSessions) => {
 
 /**
  * Check if a teacher has availability for a new session on a specific date
+ * Honors the teacher's weekly windows, date overrides, time off and daily limit.
  * @param {string} teacherId - Teacher ID
  * @param {Date} sessionStartTime - Start time of the new session
  * @param {Date} sessionEndTime - End time of the new session
  * @param {string} subjectId - Subject ID (optional, used to check for conflicting requested sessions)
+ * @param {string} excludeSessionId - Session being moved (optional, left out of the conflict check)
+ * @param {Object} policy - Effective scheduling policy (optional, defaults to the built-in rules)
  * @returns {Object} { available: boolean, reason: string, existingCount: number }
  */
-const checkTeacherAvailability = async (teacherId, sessionStartTime, sessionEndTime, subjectId = null) => {
-  const sessionDate = new Date(sessionStartTime);
-  sessionDate.setHours(0, 0, 0, 0);
+const checkTeacherAvailability = async (teacherId, sessionStartTime, sessionEndTime, subjectId = null, excludeSessionId = null, policy = SCHEDULING_POLICY_DEFAULTS) => {
+  const sessionDate = startOfZonedDay(sessionStartTime, instituteTimezone);
 
   // Get existing sessions for the teacher on that date (including requested sessions with same subject)
-  const existingSessions = await getTeacherSessionsForDate(teacherId, sessionDate, subjectId);
+  const sessionsForDate = await getTeacherSessionsForDate(teacherId, sessionDate, subjectId);
+  const existingSessions = excludeSessionId
+    ? sessionsForDate.filter(session => session._id.toString() !== excludeSessionId.toString())
+    : sessionsForDate;
+
+  const availability = await getTeacherAvailability(teacherId);
 
-  // Check if teacher already has 4 sessions on that day
-  if (existingSessions.length >= MAX_SESSIONS_PER_DAY) {
+  // Check the teacher is not on leave during the slot
+  const timeOff = findTimeOff(availability, sessionStartTime, sessionEndTime);
+  if (timeOff) {
     return {
       available: false,
-      reason: `Teacher already has ${existingSessions.length} sessions on this day (maximum: ${MAX_SESSIONS_PER_DAY})`,
+      reason: `Teacher is on time off during this slot${timeOff.reason ? ` (${timeOff.reason})` : ''}`,
       existingCount: existingSessions.length
     };
   }
 
-  // Check for time conflicts (including 15-minute breaks and 1-hour unavailable period after back-to-back sessions)
-  if (hasTimeConflict(sessionStartTime, sessionEndTime, existingSessions)) {
+  // Check the slot fits inside one of the teacher's windows for that day
+  const start = new Date(sessionStartTime);
+  const end = new Date(sessionEndTime);
+  const windows = getTeacherWindowsForDate(availability, sessionDate, policy);
+  if (!windows.some(window => window.start <= start && window.end >= end)) {
     return {
       available: false,
-      reason: 'This time slot conflicts with an existing session, does not maintain the required 15-minute break, or falls within the 1-hour unavailable period after back-to-back sessions',
+      reason: windows.length === 0
+        ? 'Teacher is not available on this day'
+        : 'This time slot is outside the teacher\'s available hours for this day',
+      existingCount: existingSessions.length
+    };
+  }
+
+  // Check if teacher already has their maximum sessions on that day
+  const maxSessionsPerDay = getMaxSessionsPerDay(availability, policy);
+  if (existingSessions.length >= maxSessionsPerDay) {
+    return {
+      available: false,
+      reason: `Teacher already has ${existingSessions.length} sessions on this day (maximum: ${maxSessionsPerDay})`,
+      existingCount: existingSessions.length
+    };
+  }
+
+  // Check for time conflicts (including breaks and the cooldown after back-to-back sessions)
+  if (hasTimeConflict(sessionStartTime, sessionEndTime, existingSessions, policy)) {
+    return {
+      available: false,
+      reason: `This time slot conflicts with an existing session, does not maintain the required ${policy.breakMinutes}-minute break, or falls within the ${policy.backToBackCooldownMinutes}-minute unavailable period after back-to-back sessions`,
       existingCount: existingSessions.length
     };
   }
@@ -188,15 +308,16 @@ const checkTeacherAvailability = async (teacherId, sessionStartTime, sessionEndT
 
 /**
  * Generate available time slots for a teacher on a specific date
+ * Slots fall inside the teacher's windows for the day and skip their time off.
  * @param {string} teacherId - Teacher ID
- * @param {Date} date - Date to generate slots for
+ * @param {Date} date - Date to generate slots for (the institute-timezone day containing it)
  * @param {number} slotDurationMinutes - Duration of each slot in minutes (default: 60)
  * @param {string} subjectId - Subject ID (optional, used to check for conflicting requested sessions)
+ * @param {Object} policy - Effective scheduling policy (optional, defaults to the built-in rules)
  * @returns {Array} Array of available time slot objects { startTime: Date, endTime: Date }
  */
-const generateAvailableSlots = async (teacherId, date, slotDurationMinutes = 75, subjectId = null) => {
-  const sessionDate = new Date(date);
-  sessionDate.setHours(0, 0, 0, 0);
+const generateAvailableSlots = async (teacherId, date, slotDurationMinutes = SCHEDULING_POLICY_DEFAULTS.sessionDurationMinutes, subjectId = null, policy = SCHEDULING_POLICY_DEFAULTS) => {
+  const sessionDate = startOfZonedDay(date, instituteTimezone);
 
   // Check if the date is a public holiday
   const isHoliday = await PublicHoliday.isPublicHoliday(sessionDate);
@@ -204,71 +325,72 @@ const generateAvailableSlots = async (teacherId, date, slotDurationMinutes = 75,
     return []; // No slots available on public holidays
   }
 
+  // The teacher's windows for the day: the policy's working hours unless they have set their own
+  const availability = await getTeacherAvailability(teacherId);
+  const windows = getTeacherWindowsForDate(availability, sessionDate, policy);
+  if (windows.length === 0) {
+    return [];
+  }
+
   // Get existing sessions (including requested sessions with same subject)
   const existingSessions = await getTeacherSessionsForDate(teacherId, sessionDate, subjectId);
 
-  // If teacher already has 4 sessions, no slots available
-  if (existingSessions.length >= MAX_SESSIONS_PER_DAY) {
+  // If teacher already has their maximum sessions, no slots available
+  if (existingSessions.length >= getMaxSessionsPerDay(availability, policy)) {
     return [];
   }
 
-  // Generate potential slots from 9 AM to 9 PM (or 4 PM on Saturdays)
   const availableSlots = [];
   const slotDurationMs = slotDurationMinutes * 60 * 1000;
-  const breakMs = BREAK_DURATION_MINUTES * 60 * 1000;
-
-  // Check if the date is Saturday (getDay() returns 6 for Saturday)
-  const isSaturday = sessionDate.getDay() === 6;
-  const dayEndHour = isSaturday ? SATURDAY_HOUR_END : WORKING_HOUR_END;
-
-  // Start from 9 AM on the given date
-  const currentSlotStart = new Date(sessionDate);
-  currentSlotStart.setHours(WORKING_HOUR_START, 0, 0, 0);
-  
-  // End at 9 PM on weekdays, 4 PM on Saturdays
-  const dayEnd = new Date(sessionDate);
-  dayEnd.setHours(dayEndHour, 0, 0, 0);
 
   // Generate slots in 15-minute increments to allow for flexible scheduling with breaks
   const incrementMs = 15 * 60 * 1000; // 15 minutes
 
-  while (currentSlotStart.getTime() + slotDurationMs <= dayEnd.getTime()) {
-    const currentSlotEnd = new Date(currentSlotStart.getTime() + slotDurationMs);
+  for (const window of windows) {
+    const currentSlotStart = new Date(window.start);
 
-    // Check if this slot conflicts with existing sessions (including breaks)
-    const hasConflict = hasTimeConflict(currentSlotStart, currentSlotEnd, existingSessions);
+    while (currentSlotStart.getTime() + slotDurationMs <= window.end.getTime()) {
+      const currentSlotEnd = new Date(currentSlotStart.getTime() + slotDurationMs);
 
-    if (!hasConflict) {
-      availableSlots.push({
-        startTime: new Date(currentSlotStart),
-        endTime: new Date(currentSlotEnd)
-      });
-    }
+      // Check if this slot conflicts with existing sessions (including breaks) or the teacher's time off
+      const hasConflict = hasTimeConflict(currentSlotStart, currentSlotEnd, existingSessions, policy) ||
+        Boolean(findTimeOff(availability, currentSlotStart, currentSlotEnd));
+
+      if (!hasConflict) {
+        availableSlots.push({
+          startTime: new Date(currentSlotStart),
+          endTime: new Date(currentSlotEnd)
+        });
+      }
 
-    // Move to next potential slot (15-minute increments)
-    // This allows for flexible scheduling while maintaining breaks
-    currentSlotStart.setTime(currentSlotStart.getTime() + incrementMs);
+      // Move to next potential slot (15-minute increments)
+      // This allows for flexible scheduling while maintaining breaks
+      currentSlotStart.setTime(currentSlotStart.getTime() + incrementMs);
+    }
   }
 
-  // Return all available slots (the 4-session limit is already enforced by checking existingSessions.length at the start)
+  // Return all available slots (the daily limit is already enforced by checking existingSessions.length at the start)
   return availableSlots;
 };
 
 /**
  * Check if at least one teacher from a list has availability
- * Used when multiple teachers can potentially accept a session
+ * Used when multiple teachers can potentially accept a session. When several are free they are
+ * ordered by their recent student ratings, best first.
  * @param {Array} teacherIds - Array of teacher IDs
  * @param {Date} sessionStartTime - Start time of the new session
  * @param {Date} sessionEndTime - End time of the new session
  * @param {string} subjectId - Subject ID (optional, used to check for conflicting requested sessions)
+ * @param {Object} policy - Effective scheduling policy (optional, defaults to the built-in rules)
+ * @param {string} excludeSessionId - Session being placed (optional, e.g. a request being re-routed)
  * @returns {Object} { available: boolean, availableTeachers: Array, reason: string }
  */
-const checkMultipleTeachersAvailability = async (teacherIds, sessionStartTime, sessionEndTime, subjectId = null) => {
+const checkMultipleTeachersAvailability = async (teacherIds, sessionStartTime, sessionEndTime, subjectId = null, policy = SCHEDULING_POLICY_DEFAULTS, excludeSessionId = null) => {
   const availableTeachers = [];
   const availabilityResults = [];
 
   for (const teacherId of teacherIds) {
-    const availability = await checkTeacherAvailability(teacherId, sessionStartTime, sessionEndTime, subjectId);
+    const availability = await checkTeacherAvailability(teacherId, sessionStartTime, sessionEndTime, subjectId, excludeSessionId, policy);
     availabilityResults.push({ teacherId, ...availability });
     
     if (availability.available) {
@@ -280,26 +402,115 @@ const checkMultipleTeachersAvailability = async (teacherIds, sessionStartTime, s
     return {
       available: false,
       availableTeachers: [],
-      reason: 'All assigned teachers have reached their maximum sessions for this day or the time slot conflicts with existing sessions',
+      reason: 'All assigned teachers have reached their maximum sessions for this day, are unavailable at this time, or the time slot conflicts with existing sessions',
       details: availabilityResults
     };
   }
 
+  const { ranked, scores } = await rankTeachers(availableTeachers, subjectId);
+
   return {
     available: true,
-    availableTeachers,
+    availableTeachers: ranked,
     reason: null,
-    details: availabilityResults
+    details: availabilityResults.map(result => ({
+      ...result,
+      rating: scores.get(result.teacherId.toString()) || null
+    }))
+  };
+};
+
+// Sessions that occupy a student's calendar
+const STUDENT_BOOKED_STATUSES = ['accepted', 'scheduled', 'ongoing'];
+
+/**
+ * Sessions a session's students are already booked into at the same time
+ * The students are the Focus One student, or the cohort's actively enrolled students; their calendar is
+ * every Focus One they are enrolled in plus their active cohort.
+ * @param {Object} options - { focusOne, cohort, startTime, endTime, excludeSessionId,
+ *                             includeRequests (count open requests too, default true) }
+ * @returns {Promise<Array>} [{ student: { _id, name, email }, session: { _id, title, startTime, endTime, status, ... } }]
+ */
+const findStudentConflicts = async ({ focusOne = null, cohort = null, startTime, endTime, excludeSessionId = null, includeRequests = true }) => {
+  let students = [];
+  if (focusOne) {
+    const focusOneDoc = await FocusOne.findById(focusOne._id || focusOne)
+      .select('student')
+      .populate('student', 'name email cohortEnrollment');
+    students = focusOneDoc && focusOneDoc.student ? [focusOneDoc.student] : [];
+  } else if (cohort) {
+    students = await User.find({
+      'cohortEnrollment.cohort': cohort._id || cohort,
+      'cohortEnrollment.status': 'active'
+    }).select('name email cohortEnrollment');
+  }
+  if (students.length === 0) {
+    return [];
+  }
+
+  const focusOnes = await FocusOne.find({ student: { $in: students.map(student => student._id) } }).select('student');
+  const activeCohortOf = student => (
+    student.cohortEnrollment && student.cohortEnrollment.status === 'active' && student.cohortEnrollment.cohort
+      ? student.cohortEnrollment.cohort.toString()
+      : null
+  );
+  const cohortIds = [...new Set(students.map(activeCohortOf).filter(Boolean))];
+
+  const query = {
+    $or: [
+      { focusOne: { $in: focusOnes.map(doc => doc._id) } },
+      { cohort: { $in: cohortIds } }
+    ],
+    status: { $in: includeRequests ? ['requested', ...STUDENT_BOOKED_STATUSES] : STUDENT_BOOKED_STATUSES },
+    startTime: { $lt: new Date(endTime) },
+    endTime: { $gt: new Date(startTime) },
+    deletedAt: null
   };
+  if (excludeSessionId) {
+    query._id = { $ne: excludeSessionId };
+  }
+
+  const sessions = await Session.find(query)
+    .select('title startTime endTime status focusOne cohort subject')
+    .populate('subject', 'name')
+    .sort({ startTime: 1 });
+
+  const studentOfFocusOne = new Map(focusOnes.map(doc => [doc._id.toString(), doc.student.toString()]));
+  const conflicts = [];
+  for (const session of sessions) {
+    const affected = session.focusOne
+      ? students.filter(student => student._id.toString() === studentOfFocusOne.get(session.focusOne.toString()))
+      : students.filter(student => activeCohortOf(student) === session.cohort.toString());
+
+    affected.forEach(student => conflicts.push({
+      student: { _id: student._id, name: student.name, email: student.email },
+      session: {
+        _id: session._id,
+        title: session.title,
+        startTime: session.startTime,
+        endTime: session.endTime,
+        status: session.status,
+        focusOne: session.focusOne,
+        cohort: session.cohort,
+        subject: session.subject
+      }
+    }));
+  }
+
+  return conflicts;
 };
 
 module.exports = {
   getTeacherSessionsForDate,
+  getTeacherAvailability,
+  getWorkingHoursForDate,
+  getTeacherWindowsForDate,
+  findTimeOff,
+  getMaxSessionsPerDay,
   hasTimeConflict,
   checkTeacherAvailability,
   generateAvailableSlots,
   checkMultipleTeachersAvailability,
-  MAX_SESSIONS_PER_DAY,
-  BREAK_DURATION_MINUTES
+  findStudentConflicts
 };
 
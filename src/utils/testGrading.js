@@ -0,0 +1,295 @@
+/**
+ * Test grading helpers
+ * Pure functions - callers load questions/options and persist the result
+ */
+
+/**
+ * Policy used when a test series has no grading policy configured:
+ * all-or-nothing marking, no penalties, no pass mark, latest attempt counts
+ */
+const DEFAULT_GRADING_POLICY = Object.freeze({
+  negativeMarking: Object.freeze({ enabled: false, fraction: 0 }),
+  partialCredit: Object.freeze({ enabled: false }),
+  passMark: Object.freeze({ percentage: null, subjects: Object.freeze([]) }),
+  attemptScoring: 'latest',
+  allowNegativeTotal: false
+});
+
+const ATTEMPT_SCORING_RULES = ['latest', 'best'];
+
+const toIdSet = (ids = []) => new Set(ids.map(id => id.toString()));
+
+const roundScore = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Merge a stored TestSeries.settings.gradingPolicy with the defaults
+ * Accepts mongoose subdocuments, plain objects, or nothing (legacy series)
+ * @param {Object|null} policy
+ * @returns {Object} Plain, fully-populated policy object safe to snapshot
+ */
+const normalizeGradingPolicy = (policy) => {
+  const source = policy && typeof policy === 'object'
+    ? (typeof policy.toObject === 'function' ? policy.toObject() : policy)
+    : {};
+
+  const negativeMarking = source.negativeMarking || {};
+  const partialCredit = source.partialCredit || {};
+  const passMark = source.passMark || {};
+
+  return {
+    negativeMarking: {
+      enabled: Boolean(negativeMarking.enabled),
+      fraction: negativeMarking.enabled ? Number(negativeMarking.fraction) || 0 : 0
+    },
+    partialCredit: {
+      enabled: Boolean(partialCredit.enabled)
+    },
+    passMark: {
+      percentage: passMark.percentage ?? null,
+      subjects: (passMark.subjects || []).map(entry => ({
+        subject: entry.subject,
+        percentage: entry.percentage
+      }))
+    },
+    attemptScoring: ATTEMPT_SCORING_RULES.includes(source.attemptScoring)
+      ? source.attemptScoring
+      : DEFAULT_GRADING_POLICY.attemptScoring,
+    allowNegativeTotal: Boolean(source.allowNegativeTotal)
+  };
+};
+
+const isAnswered = (answer, type) => {
+  if (!answer) {
+    return false;
+  }
+  if (type === 'numeric') {
+    return answer.numericValue !== null && answer.numericValue !== undefined;
+  }
+  if (type === 'match-the-following') {
+    return Boolean(answer.matches && answer.matches.length > 0);
+  }
+  return Boolean(answer.selectedOptions && answer.selectedOptions.length > 0);
+};
+
+const incorrect = (maxMarks, policy) => ({
+  result: 'incorrect',
+  marksAwarded: policy.negativeMarking.enabled
+    ? -roundScore(maxMarks * policy.negativeMarking.fraction)
+    : 0
+});
+
+/**
+ * Whether a numeric answer falls within the key's tolerance
+ */
+const isWithinTolerance = (value, numericAnswer) => {
+  if (!numericAnswer || typeof value !== 'number' || Number.isNaN(value)) {
+    return false;
+  }
+  const tolerance = numericAnswer.toleranceType === 'percentage'
+    ? Math.abs(numericAnswer.value) * (numericAnswer.tolerance || 0) / 100
+    : numericAnswer.tolerance || 0;
+
+  // Small epsilon so e.g. 0.1 + 0.2 style float error never fails an exact answer
+  return Math.abs(value - numericAnswer.value) <= tolerance + 1e-9;
+};
+
+/**
+ * Option-based questions (single-correct, multiple-correct, true/false)
+ */
+const gradeOptionAnswer = (selectedOptions, answerKey, maxMarks, policy) => {
+  const selected = toIdSet(selectedOptions);
+  const correct = toIdSet(answerKey.correctOptions);
+  const pickedCorrect = [...selected].filter(id => correct.has(id)).length;
+  const pickedWrong = selected.size - pickedCorrect;
+
+  // All correct options must be picked and nothing else
+  if (pickedWrong === 0 && pickedCorrect === correct.size) {
+    return { result: 'correct', marksAwarded: maxMarks };
+  }
+
+  // Multiple-correct: a subset of the correct options earns a proportional share.
+  // Any wrong pick voids partial credit.
+  if (policy.partialCredit.enabled && answerKey.type === 'multiple-correct' && pickedWrong === 0) {
+    return {
+      result: 'partial',
+      marksAwarded: roundScore((maxMarks * pickedCorrect) / correct.size)
+    };
+  }
+
+  return incorrect(maxMarks, policy);
+};
+
+/**
+ * Match-the-following: each option must be paired with its own matchText
+ */
+const gradeMatchAnswer = (matches, answerKey, maxMarks, policy) => {
+  const pairs = answerKey.matchOptions || [];
+  const matchedBy = new Map(
+    matches.map(match => [match.option.toString(), match.matchedOption && match.matchedOption.toString()])
+  );
+  const correctPairs = pairs.filter(optionId => matchedBy.get(optionId.toString()) === optionId.toString()).length;
+
+  if (pairs.length > 0 && correctPairs === pairs.length) {
+    return { result: 'correct', marksAwarded: maxMarks };
+  }
+
+  if (policy.partialCredit.enabled && correctPairs > 0) {
+    return {
+      result: 'partial',
+      marksAwarded: roundScore((maxMarks * correctPairs) / pairs.length)
+    };
+  }
+
+  return incorrect(maxMarks, policy);
+};
+
+/**
+ * Grade a single answer against its question's answer key
+ * @param {Object|null} answer - { selectedOptions, numericValue, matches }
+ * @param {Object} answerKey - { type, correctOptions, numericAnswer, matchOptions }
+ * @param {number} maxMarks - Marks available for the question
+ * @param {Object} [policy] - Normalized grading policy
+ * @returns {Object} { result: 'correct'|'partial'|'incorrect'|'unanswered', marksAwarded: number }
+ */
+const gradeAnswer = (answer, answerKey, maxMarks, policy = DEFAULT_GRADING_POLICY) => {
+  const type = answerKey.type || 'single-correct';
+
+  if (!isAnswered(answer, type)) {
+    return { result: 'unanswered', marksAwarded: 0 };
+  }
+
+  if (type === 'numeric') {
+    return isWithinTolerance(answer.numericValue, answerKey.numericAnswer)
+      ? { result: 'correct', marksAwarded: maxMarks }
+      : incorrect(maxMarks, policy);
+  }
+
+  if (type === 'match-the-following') {
+    return gradeMatchAnswer(answer.matches, answerKey, maxMarks, policy);
+  }
+
+  return gradeOptionAnswer(answer.selectedOptions, answerKey, maxMarks, policy);
+};
+
+/**
+ * Pass threshold (percentage) for a subject, or null when the policy sets none
+ */
+const getPassPercentage = (policy, subjectId) => {
+  const override = subjectId
+    ? policy.passMark.subjects.find(entry => entry.subject.toString() === subjectId.toString())
+    : null;
+
+  if (override) {
+    return override.percentage;
+  }
+  return policy.passMark.percentage ?? null;
+};
+
+/**
+ * Grade every question drawn for an attempt
+ * @param {Array} questions - attempt.questions ({ question, marks })
+ * @param {Array} answers - attempt.answers ({ question, selectedOptions, numericValue, matches })
+ * @param {Map} answerKeysByQuestion - questionId string -> { type, correctOptions, numericAnswer, matchOptions }
+ * @param {Object} [options]
+ * @param {Object} [options.policy] - TestSeries.settings.gradingPolicy (normalized here)
+ * @param {string} [options.subjectId] - Subject of the attempt, for per-subject pass marks
+ * @returns {Object} { scorecard: Array, result: Object }
+ */
+const gradeAttempt = (questions, answers, answerKeysByQuestion, { policy, subjectId } = {}) => {
+  const gradingPolicy = normalizeGradingPolicy(policy);
+  const answersByQuestion = new Map(
+    (answers || []).map(answer => [answer.question.toString(), answer])
+  );
+
+  const totals = {
+    marksObtained: 0,
+    totalMarks: 0,
+    correctCount: 0,
+    partialCount: 0,
+    incorrectCount: 0,
+    unansweredCount: 0
+  };
+
+  const scorecard = questions.map((attemptQuestion) => {
+    const questionId = attemptQuestion.question.toString();
+    const answer = answersByQuestion.get(questionId) || null;
+    const answerKey = answerKeysByQuestion.get(questionId) || { type: attemptQuestion.type, correctOptions: [] };
+    const maxMarks = attemptQuestion.marks || 0;
+
+    const { result, marksAwarded } = gradeAnswer(answer, answerKey, maxMarks, gradingPolicy);
+
+    totals.totalMarks += maxMarks;
+    totals.marksObtained += marksAwarded;
+    totals[`${result}Count`] += 1;
+
+    return {
+      question: attemptQuestion.question,
+      type: answerKey.type || 'single-correct',
+      selectedOptions: answer ? answer.selectedOptions : [],
+      correctOptions: answerKey.correctOptions || [],
+      numericValue: answer ? answer.numericValue ?? null : null,
+      numericAnswer: answerKey.numericAnswer || null,
+      matches: answer ? answer.matches || [] : [],
+      result,
+      marksAwarded,
+      maxMarks
+    };
+  });
+
+  const marksObtained = gradingPolicy.allowNegativeTotal
+    ? roundScore(totals.marksObtained)
+    : Math.max(0, roundScore(totals.marksObtained));
+
+  const percentage = totals.totalMarks > 0
+    ? roundScore((marksObtained / totals.totalMarks) * 100)
+    : 0;
+
+  const passPercentage = getPassPercentage(gradingPolicy, subjectId);
+
+  return {
+    scorecard,
+    result: {
+      ...totals,
+      marksObtained,
+      percentage,
+      passPercentage,
+      passed: passPercentage === null ? null : percentage >= passPercentage
+    }
+  };
+};
+
+/**
+ * Pick the attempt that counts for a subject under the policy's attemptScoring rule
+ * 'latest' - the most recently submitted attempt; 'best' - highest marks (earliest wins ties)
+ * @param {Array} attempts - Submitted attempts of one subject ({ attemptNumber, submittedAt, result })
+ * @param {Object} policy - Grading policy (normalized here)
+ * @returns {Object|null}
+ */
+const selectScoringAttempt = (attempts, policy) => {
+  const submitted = (attempts || []).filter(attempt => attempt.result && attempt.result.marksObtained !== null);
+  if (submitted.length === 0) {
+    return null;
+  }
+
+  const { attemptScoring } = normalizeGradingPolicy(policy);
+  const byAttemptNumber = submitted.slice().sort((a, b) => a.attemptNumber - b.attemptNumber);
+
+  if (attemptScoring === 'best') {
+    return byAttemptNumber.reduce((best, attempt) => (
+      attempt.result.marksObtained > best.result.marksObtained ? attempt : best
+    ));
+  }
+
+  return byAttemptNumber[byAttemptNumber.length - 1];
+};
+
+module.exports = {
+  DEFAULT_GRADING_POLICY,
+  ATTEMPT_SCORING_RULES,
+  normalizeGradingPolicy,
+  isWithinTolerance,
+  gradeAnswer,
+  gradeAttempt,
+  getPassPercentage,
+  selectScoringAttempt
+};
@@ -0,0 +1,181 @@
+/**
+ * Timezone helpers built on Intl (no external tz database needed)
+ * Dates stay UTC instants; these helpers read and build wall-clock times in a named IANA zone.
+ */
+
+const formatterCache = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short'
+    }));
+  }
+  return formatterCache.get(timeZone);
+};
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Whether a string is an IANA timezone name this runtime knows
+ */
+const isValidTimezone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Wall-clock parts of an instant in a zone
+ * @returns {Object} { year, month (1-12), day, hour, minute, second, weekday (0 = Sunday) }
+ */
+const getZonedParts = (date, timeZone) => {
+  const parts = getFormatter(timeZone).formatToParts(new Date(date));
+  const value = type => parts.find(part => part.type === type).value;
+
+  return {
+    year: Number(value('year')),
+    month: Number(value('month')),
+    day: Number(value('day')),
+    hour: Number(value('hour')),
+    minute: Number(value('minute')),
+    second: Number(value('second')),
+    weekday: WEEKDAYS[value('weekday')]
+  };
+};
+
+/**
+ * Offset of a zone from UTC at an instant, in minutes (e.g. 330 for Asia/Kolkata)
+ */
+const getOffsetMinutes = (date, timeZone) => {
+  const instant = new Date(date);
+  const parts = getZonedParts(instant, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - (instant.getTime() - instant.getMilliseconds())) / 60000);
+};
+
+/**
+ * The instant at which a zone's clocks show the given wall-clock time
+ * Month overflow is normalized (day 32 rolls into the next month).
+ */
+const zonedTimeToUtc = ({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) => {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  // The offset can differ either side of a DST change, so correct twice
+  let instant = wallClock - getOffsetMinutes(wallClock, timeZone) * 60000;
+  instant = wallClock - getOffsetMinutes(instant, timeZone) * 60000;
+  return new Date(instant);
+};
+
+/**
+ * Start of the zone's calendar day that contains an instant
+ */
+const startOfZonedDay = (date, timeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return zonedTimeToUtc({ year, month, day }, timeZone);
+};
+
+/**
+ * Last millisecond of the zone's calendar day that contains an instant
+ */
+const endOfZonedDay = (date, timeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return new Date(zonedTimeToUtc({ year, month, day: day + 1 }, timeZone).getTime() - 1);
+};
+
+/**
+ * Start of the zone's calendar day a number of days after the day containing an instant
+ */
+const addZonedDays = (date, days, timeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return zonedTimeToUtc({ year, month, day: day + days }, timeZone);
+};
+
+/**
+ * An instant on the zone's calendar day containing `date`, at an "HH:mm" time of day
+ */
+const atZonedTime = (date, timeOfDay, timeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  const [hour, minute] = timeOfDay.split(':').map(Number);
+  return zonedTimeToUtc({ year, month, day, hour, minute }, timeZone);
+};
+
+/**
+ * Calendar date of an instant in a zone, as YYYY-MM-DD
+ */
+const toZonedDateKey = (date, timeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * Start of the zone's day for a request date
+ * A bare YYYY-MM-DD is read as that calendar day in the zone; anything else as an instant.
+ */
+const parseZonedDate = (value, timeZone) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (match) {
+    return zonedTimeToUtc({ year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) }, timeZone);
+  }
+  return startOfZonedDay(new Date(value), timeZone);
+};
+
+/**
+ * ISO 8601 string with the zone's offset, e.g. 2026-10-20T09:00:00+05:30
+ */
+const toZonedISOString = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const offset = getOffsetMinutes(date, timeZone);
+  const sign = offset < 0 ? '-' : '+';
+  const pad = value => String(value).padStart(2, '0');
+
+  return `${parts.year}-${pad(parts.month)}-${pad(parts.day)}T${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}` +
+    `${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+};
+
+/**
+ * Human-readable date and times of a session in a zone, as used in emails
+ * @returns {Object} { sessionDate: 'Tuesday, October 20, 2026', sessionStartTime: '9:00 AM', sessionEndTime: '10:15 AM' }
+ */
+const formatZonedSessionTimes = (startTime, endTime, timeZone) => {
+  const time = { timeZone, hour: 'numeric', minute: '2-digit', hour12: true };
+  return {
+    sessionDate: new Date(startTime).toLocaleDateString('en-US', {
+      timeZone,
+      weekday: 'long',
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric'
+    }),
+    sessionStartTime: new Date(startTime).toLocaleTimeString('en-US', time),
+    sessionEndTime: new Date(endTime).toLocaleTimeString('en-US', time)
+  };
+};
+
+module.exports = {
+  isValidTimezone,
+  getZonedParts,
+  getOffsetMinutes,
+  zonedTimeToUtc,
+  startOfZonedDay,
+  endOfZonedDay,
+  addZonedDays,
+  atZonedTime,
+  toZonedDateKey,
+  parseZonedDate,
+  toZonedISOString,
+  formatZonedSessionTimes
+};
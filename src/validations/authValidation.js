@@ -1,5 +1,6 @@
 const { body } = require('express-validator');
 const { EMAIL_PASSCODE, VALIDATION } = require('../utils/constants');
+const { isValidTimezone } = require('../utils/timezone');
 
 // Register Validation Rules
 exports.registerValidation = [
@@ -149,4 +150,15 @@ exports.setupPasswordValidation = [
     .withMessage('City cannot be more than 50 characters')
 ];
 
-
+// Update Own Timezone Validation Rules (null clears it)
+exports.updateTimezoneValidation = [
+  body('timezone')
+    .exists()
+    .withMessage('Timezone is required (null to use the institute timezone)')
+    .custom((value) => {
+      if (value !== null && !isValidTimezone(value)) {
+        throw new Error('Please provide a valid IANA timezone (e.g. Asia/Kolkata)');
+      }
+      return true;
+    })
+];
@@ -1,4 +1,16 @@
 const Joi = require('joi');
+const { AppError, ERROR_CODES } = require('../errors');
+const { HTTP_STATUS, QUESTION_TYPES: TYPES } = require('../utils/constants');
+
+const QUESTION_TYPES = Object.values(TYPES);
+
+// [min, max] options per option-based question type (numeric questions have none)
+const OPTION_LIMITS = {
+  'single-correct': [2, 4],
+  'multiple-correct': [2, 6],
+  'true-false': [2, 2],
+  'match-the-following': [2, 8]
+};
 
 // Option validation schema
 const optionSchema = Joi.object({
@@ -14,12 +26,106 @@ const optionSchema = Joi.object({
       'any.required': 'Option text is required'
     }),
   isCorrect: Joi.boolean()
-    .required()
+    .default(false),
+  matchText: Joi.string()
+    .trim()
+    .min(1)
+    .max(500)
+    .optional()
     .messages({
-      'any.required': 'Option correctness indicator is required'
+      'string.empty': 'Match text cannot be empty',
+      'string.max': 'Match text cannot exceed 500 characters'
     })
 });
 
+const numericAnswerSchema = Joi.object({
+  value: Joi.number()
+    .required()
+    .messages({
+      'number.base': 'Numeric answer must be a number',
+      'any.required': 'Numeric answer value is required'
+    }),
+  tolerance: Joi.number()
+    .min(0)
+    .default(0)
+    .messages({
+      'number.min': 'Tolerance cannot be negative'
+    }),
+  toleranceType: Joi.string()
+    .valid('absolute', 'percentage')
+    .default('absolute')
+    .messages({
+      'any.only': 'Tolerance type must be one of: absolute, percentage'
+    }),
+  unit: Joi.string()
+    .trim()
+    .max(20)
+    .allow('')
+    .optional()
+});
+
+/**
+ * Type-specific rules, checked against the whole question
+ * (type defaults to single-correct, matching the model)
+ */
+const questionTypeRules = (value, helpers) => {
+  const type = value.type || 'single-correct';
+  const options = value.options || [];
+  const correctCount = options.filter(option => option.isCorrect).length;
+
+  if (type === 'numeric') {
+    if (options.length > 0) {
+      return helpers.message('Numeric questions cannot have options');
+    }
+    if (!value.numericAnswer) {
+      return helpers.message('Numeric questions require a numericAnswer');
+    }
+    return value;
+  }
+
+  if (value.numericAnswer) {
+    return helpers.message('numericAnswer is only allowed on numeric questions');
+  }
+
+  const [min, max] = OPTION_LIMITS[type];
+  if (options.length < min || options.length > max) {
+    return helpers.message(min === max
+      ? `${type} questions must have exactly ${min} options`
+      : `${type} questions must have between ${min} and ${max} options`);
+  }
+
+  if (type === 'match-the-following') {
+    const matchTexts = options.map(option => option.matchText);
+    if (matchTexts.some(text => !text)) {
+      return helpers.message('Every option of a match-the-following question needs a matchText');
+    }
+    if (new Set(matchTexts.map(text => text.toLowerCase())).size !== matchTexts.length) {
+      return helpers.message('Match texts must be unique within a question');
+    }
+    return value;
+  }
+
+  if (options.some(option => option.matchText)) {
+    return helpers.message('matchText is only allowed on match-the-following questions');
+  }
+
+  if ((type === 'single-correct' || type === 'true-false') && correctCount !== 1) {
+    return helpers.message(`${type} questions must have exactly one correct option`);
+  }
+
+  if (type === 'multiple-correct' && correctCount === 0) {
+    return helpers.message('At least one option must be marked as correct');
+  }
+
+  return value;
+};
+
+const questionTypeField = Joi.string()
+  .valid(...QUESTION_TYPES)
+  .messages({
+    'any.only': `Question type must be one of: ${QUESTION_TYPES.join(', ')}`
+  });
+
 // Question validation schemas
 const createQuestionSchema = Joi.object({
   questionText: Joi.string()
@@ -33,25 +139,13 @@ const createQuestionSchema = Joi.object({
       'string.max': 'Question text cannot exceed 1000 characters',
       'any.required': 'Question text is required'
     }),
+  type: questionTypeField
+    .default('single-correct'),
   options: Joi.array()
     .items(optionSchema)
-    .min(2)
-    .max(4)
-    .required()
-    .custom((value, helpers) => {
-      // Check if at least one option is marked as correct
-      const correctOptions = value.filter(option => option.isCorrect);
-      if (correctOptions.length === 0) {
-        return helpers.error('custom.atLeastOneCorrect');
-      }
-      return value;
-    })
-    .messages({
-      'array.min': 'Question must have at least 2 options',
-      'array.max': 'Question cannot have more than 4 options',
-      'any.required': 'Options are required',
-      'custom.atLeastOneCorrect': 'At least one option must be marked as correct'
-    }),
+    .optional(),
+  numericAnswer: numericAnswerSchema
+    .optional(),
   explanation: Joi.string()
     .trim()
     .max(2000)
@@ -86,7 +180,7 @@ const createQuestionSchema = Joi.object({
       'number.min': 'Marks must be at least 1',
       'number.max': 'Marks cannot exceed 10'
     })
-});
+}).custom(questionTypeRules);
 
 const updateQuestionSchema = Joi.object({
   questionText: Joi.string()
@@ -99,26 +193,13 @@ const updateQuestionSchema = Joi.object({
       'string.min': 'Question text must be at least 1 character long',
       'string.max': 'Question text cannot exceed 1000 characters'
     }),
+  type: questionTypeField
+    .optional(),
   options: Joi.array()
     .items(optionSchema)
-    .min(2)
-    .max(4)
-    .optional()
-    .custom((value, helpers) => {
-      if (value) {
-        // Check if at least one option is marked as correct
-        const correctOptions = value.filter(option => option.isCorrect);
-        if (correctOptions.length === 0) {
-          return helpers.error('custom.atLeastOneCorrect');
-        }
-      }
-      return value;
-    })
-    .messages({
-      'array.min': 'Question must have at least 2 options',
-      'array.max': 'Question cannot have more than 4 options',
-      'custom.atLeastOneCorrect': 'At least one option must be marked as correct'
-    }),
+    .optional(),
+  numericAnswer: numericAnswerSchema
+    .optional(),
   explanation: Joi.string()
     .trim()
     .max(2000)
@@ -188,6 +269,8 @@ const getQuestionsSchema = Joi.object({
     .messages({
       'any.only': 'Difficulty must be one of: easy, medium, hard'
     }),
+  type: questionTypeField
+    .optional(),
   isActive: Joi.boolean()
     .optional()
 });
@@ -227,6 +310,8 @@ const getQuestionsByChapterSchema = Joi.object({
     .messages({
       'any.only': 'Difficulty must be one of: easy, medium, hard'
     }),
+  type: questionTypeField
+    .optional(),
   isActive: Joi.boolean()
     .optional()
 });
@@ -256,6 +341,8 @@ const getQuestionsBySubjectSchema = Joi.object({
     .messages({
       'any.only': 'Difficulty must be one of: easy, medium, hard'
     }),
+  type: questionTypeField
+    .optional(),
   isActive: Joi.boolean()
     .optional()
 });
@@ -275,7 +362,42 @@ const getQuestionStatsSchema = Joi.object({
     })
 });
 
+// Re-checks type rules on the merged question when an update touches type, options or numericAnswer
+const questionTypeSchema = Joi.object({
+  type: questionTypeField.default('single-correct'),
+  options: Joi.array().items(optionSchema).optional(),
+  numericAnswer: numericAnswerSchema.optional().allow(null)
+}).custom(questionTypeRules);
+
+/**
+ * Validate a payload against a Joi schema
+ * Throws the same VALIDATION.GENERAL error shape as the express-validator middleware
+ * @returns {Object} The validated value with defaults applied
+ */
+const validateSchema = (schema, payload) => {
+  const { error, value } = schema.validate(payload, { abortEarly: false, allowUnknown: true });
+
+  if (error) {
+    throw new AppError(
+      ERROR_CODES.VALIDATION.GENERAL,
+      HTTP_STATUS.BAD_REQUEST,
+      {
+        errors: error.details.map(detail => ({
+          field: detail.path.join('.') || null,
+          message: detail.message,
+          // Whole-question (type rule) failures would otherwise echo the entire payload
+          value: detail.path.length > 0 && detail.context ? detail.context.value : undefined
+        }))
+      }
+    );
+  }
+
+  return value;
+};
+
 module.exports = {
+  validateSchema,
+  questionTypeSchema,
   createQuestionSchema,
   updateQuestionSchema,
   getQuestionsSchema,
@@ -1,4 +1,5 @@
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
+const { ATTENDANCE_STATUSES, FEEDBACK, FEEDBACK_TAGS, RESCHEDULE_PROPOSAL } = require('../utils/constants');
 
 // Create Session Validation Rules (Admin endpoint)
 exports.createSessionValidation = [
@@ -84,69 +85,13 @@ exports.requestSessionValidation = [
     .isString()
     .withMessage('Description must be a string'),
 
+  // Booking rules (lead time, working hours, allowed days) depend on the Focus One's scheduling
+  // policy, so they are checked in the controller
   body('startTime')
     .notEmpty()
     .withMessage('Session start time is required')
     .isISO8601()
-    .withMessage('Start time must be a valid ISO 8601 date')
-    .custom((value) => {
-      const startDate = new Date(value);
-      const now = new Date();
-      const today = new Date(now);
-      today.setHours(0, 0, 0, 0);
-      
-      const sessionDay = new Date(startDate);
-      sessionDay.setHours(0, 0, 0, 0);
-      
-      // Check if session is on the same day (not allowed - must be at least one day in advance)
-      if (sessionDay.getTime() === today.getTime()) {
-        throw new Error('Sessions must be scheduled at least one day in advance');
-      }
-      
-      // Check if session is in the past
-      if (sessionDay < today) {
-        throw new Error('Cannot schedule sessions in the past');
-      }
-      
-      // Check if session is more than 1.5 weeks (10.5 days) in advance
-      // Calculate 10.5 days = 10 days + 12 hours
-      // Since we compare dates at midnight, we allow up to the 11th day (to account for sessions throughout that day)
-      const maxAllowedDate = new Date(today);
-      maxAllowedDate.setDate(today.getDate() + 11); // 11 days ahead to allow 10.5 days of booking window
-      maxAllowedDate.setHours(0, 0, 0, 0);
-      
-      if (sessionDay >= maxAllowedDate) {
-        throw new Error('Sessions can only be scheduled up to 1.5 weeks (10.5 days) in advance');
-      }
-      
-      // Check if session is on Sunday
-      if (startDate.getDay() === 0) {
-        throw new Error('Sessions cannot be scheduled on Sundays');
-      }
-      
-      // Note: Public holiday check is done in the controller since validation
-      // middleware cannot easily handle async database queries
-      
-      // Check if session is on Saturday (restricted hours: 9 AM - 4 PM)
-      const isSaturday = startDate.getDay() === 6;
-      const startHour = startDate.getHours();
-      const startMinute = startDate.getMinutes();
-      
-      if (isSaturday) {
-        // Saturday: validate start time is between 9 AM and 3:15 PM (75 minutes before 4 PM)
-        if (startHour < 9 || (startHour > 15) || (startHour === 15 && startMinute > 15)) {
-          throw new Error('On Saturdays, session start time must be between 9 AM and 3:15 PM');
-        }
-      } else {
-        // Weekdays: validate start time is between 9 AM and 7:45 PM (75 minutes before 9 PM)
-        // Allow times from 9:00 AM to 7:45 PM (latest start time to allow 75 min session ending at 9 PM)
-        if (startHour < 9 || (startHour > 19) || (startHour === 19 && startMinute > 45)) {
-          throw new Error('Session start time must be between 9 AM and 7:45 PM');
-        }
-      }
-      
-      return true;
-    }),
+    .withMessage('Start time must be a valid ISO 8601 date'),
 
   body('endTime')
     .notEmpty()
@@ -154,52 +99,9 @@ exports.requestSessionValidation = [
     .isISO8601()
     .withMessage('End time must be a valid ISO 8601 date')
     .custom((value, { req }) => {
-      const endDate = new Date(value);
-      const startDate = req.body.startTime ? new Date(req.body.startTime) : null;
-      
-      if (startDate && endDate <= startDate) {
+      if (req.body.startTime && new Date(value) <= new Date(req.body.startTime)) {
         throw new Error('End time must be after start time');
       }
-      
-      // Check if end time is on the same day as start time
-      let isSaturday = false;
-      if (startDate) {
-        const startDay = startDate.toDateString();
-        const endDay = endDate.toDateString();
-        if (startDay !== endDay) {
-          throw new Error('Session must start and end on the same day');
-        }
-        // Use start date to determine if it's Saturday (since they must be on the same day)
-        isSaturday = startDate.getDay() === 6;
-      } else {
-        // Fallback to end date if start date is not available (shouldn't happen in practice)
-        isSaturday = endDate.getDay() === 6;
-      }
-      
-      const endHour = endDate.getHours();
-      
-      if (isSaturday) {
-        // Saturday: validate end time is at most 4 PM
-        if (endHour < 9 || endHour > 16) {
-          throw new Error('On Saturdays, session end time must be between 9 AM and 4 PM');
-        }
-        
-        // If end time is 4 PM, ensure it's exactly 4 PM (not later)
-        if (endHour === 16 && endDate.getMinutes() > 0) {
-          throw new Error('On Saturdays, session cannot extend beyond 4 PM');
-        }
-      } else {
-        // Weekdays: validate end time is within 9 AM to 9 PM
-        if (endHour < 9 || endHour > 21) {
-          throw new Error('Session end time must be between 9 AM and 9 PM');
-        }
-        
-        // If end time is 9 PM, ensure it's exactly 9 PM (not later)
-        if (endHour === 21 && endDate.getMinutes() > 0) {
-          throw new Error('Session cannot extend beyond 9 PM');
-        }
-      }
-      
       return true;
     }),
 
@@ -276,8 +178,8 @@ exports.updateSessionValidation = [
 
   body('status')
     .optional()
-    .isIn(['requested', 'accepted', 'rejected', 'scheduled', 'ongoing', 'completed', 'cancelled'])
-    .withMessage('Status must be one of: requested, accepted, rejected, scheduled, ongoing, completed, cancelled'),
+    .isIn(['requested', 'accepted', 'rejected', 'scheduled', 'ongoing', 'completed', 'cancelled', 'expired'])
+    .withMessage('Status must be one of: requested, accepted, rejected, scheduled, ongoing, completed, cancelled, expired'),
 
   body('metadata')
     .optional()
@@ -321,15 +223,14 @@ exports.cancelSessionValidation = [
 ];
 
 exports.rescheduleSessionValidation = [
+  // A single slot (startTime/endTime) or several (slots); Focus One proposals may give none and use suggested slots
   body('startTime')
-    .notEmpty()
-    .withMessage('Start time is required')
+    .optional()
     .isISO8601()
     .withMessage('Start time must be a valid ISO 8601 date'),
 
   body('endTime')
-    .notEmpty()
-    .withMessage('End time is required')
+    .optional()
     .isISO8601()
     .withMessage('End time must be a valid ISO 8601 date')
     .custom((value, { req }) => {
@@ -338,6 +239,42 @@ exports.rescheduleSessionValidation = [
       }
       return true;
     }),
+
+  body('slots')
+    .optional()
+    .isArray({ min: 1, max: RESCHEDULE_PROPOSAL.MAX_SLOTS })
+    .withMessage(`Slots must be an array of 1 to ${RESCHEDULE_PROPOSAL.MAX_SLOTS} time slots`),
+
+  body('slots.*.startTime')
+    .isISO8601()
+    .withMessage('Each slot start time must be a valid ISO 8601 date'),
+
+  body('slots.*.endTime')
+    .isISO8601()
+    .withMessage('Each slot end time must be a valid ISO 8601 date'),
+
+  body('reason')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot be more than 500 characters'),
+];
+
+exports.acceptRescheduleValidation = [
+  body('slotIndex')
+    .notEmpty()
+    .withMessage('slotIndex is required')
+    .isInt({ min: 0 })
+    .withMessage('slotIndex must be a non-negative integer')
+    .toInt(),
+];
+
+exports.declineRescheduleValidation = [
+  body('reason')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot be more than 500 characters'),
 ];
 
 exports.teacherScheduleSessionValidation = [
@@ -384,3 +321,420 @@ exports.teacherScheduleSessionValidation = [
     .isMongoId()
     .withMessage('Subject must be a valid MongoDB ID')
 ];
+
+// Session Series Validation Rules (Teacher or Admin endpoint)
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+const SERIES_SCOPES = ['this', 'following', 'all'];
+
+exports.createSessionSeriesValidation = [
+  body('title')
+    .trim()
+    .notEmpty()
+    .withMessage('Series title is required')
+    .isLength({ max: 200 })
+    .withMessage('Title cannot be more than 200 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isString()
+    .withMessage('Description must be a string'),
+
+  body('focusOne')
+    .optional()
+    .isMongoId()
+    .withMessage('Focus One must be a valid MongoDB ID'),
+
+  body('cohort')
+    .optional()
+    .isMongoId()
+    .withMessage('Cohort must be a valid MongoDB ID'),
+
+  body('subject')
+    .optional()
+    .isMongoId()
+    .withMessage('Subject must be a valid MongoDB ID'),
+
+  body('teacher')
+    .optional()
+    .isMongoId()
+    .withMessage('Teacher must be a valid MongoDB ID'),
+
+  body('daysOfWeek')
+    .isArray({ min: 1, max: 7 })
+    .withMessage('Days of week must be a list of 1 to 7 weekdays'),
+
+  body('daysOfWeek.*')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Days of week must be between 0 (Sunday) and 6 (Saturday)'),
+
+  body('startTime')
+    .matches(TIME_OF_DAY)
+    .withMessage('Start time must be in HH:mm format'),
+
+  body('endTime')
+    .matches(TIME_OF_DAY)
+    .withMessage('End time must be in HH:mm format')
+    .custom((value, { req }) => {
+      if (req.body.startTime && value <= req.body.startTime) {
+        throw new Error('End time must be after start time');
+      }
+      return true;
+    }),
+
+  body('startDate')
+    .notEmpty()
+    .withMessage('Start date is required')
+    .isISO8601()
+    .withMessage('Start date must be a valid ISO 8601 date'),
+
+  body('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a valid ISO 8601 date')
+    .custom((value, { req }) => {
+      if (req.body.startDate && new Date(value) < new Date(req.body.startDate)) {
+        throw new Error('End date must not be before start date');
+      }
+      return true;
+    }),
+
+  body('weeks')
+    .optional()
+    .isInt({ min: 1, max: 52 })
+    .withMessage('Weeks must be between 1 and 52')
+    .toInt(),
+
+  body()
+    .custom((value) => {
+      if (!value.endDate && !value.weeks) {
+        throw new Error('Either endDate or weeks is required');
+      }
+      return true;
+    })
+];
+
+exports.updateSeriesOccurrencesValidation = [
+  body('scope')
+    .isIn(SERIES_SCOPES)
+    .withMessage(`Scope must be one of: ${SERIES_SCOPES.join(', ')}`),
+
+  body('title')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Session title cannot be empty')
+    .isLength({ max: 200 })
+    .withMessage('Title cannot be more than 200 characters'),
+
+  body('description')
+    .optional()
+    .trim()
+    .isString()
+    .withMessage('Description must be a string'),
+
+  body('startTime')
+    .optional()
+    .matches(TIME_OF_DAY)
+    .withMessage('Start time must be in HH:mm format'),
+
+  body('endTime')
+    .optional()
+    .matches(TIME_OF_DAY)
+    .withMessage('End time must be in HH:mm format')
+];
+
+exports.cancelSeriesOccurrencesValidation = [
+  body('scope')
+    .isIn(SERIES_SCOPES)
+    .withMessage(`Scope must be one of: ${SERIES_SCOPES.join(', ')}`),
+
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Cancellation reason is required')
+    .isLength({ min: 10, max: 500 })
+    .withMessage('Cancellation reason must be between 10 and 500 characters')
+];
+
+// Attendance Validation Rules
+exports.markAttendanceValidation = [
+  body('records')
+    .isArray({ min: 1 })
+    .withMessage('Records must be a non-empty array'),
+
+  body('records.*.user')
+    .isMongoId()
+    .withMessage('User must be a valid MongoDB ID'),
+
+  body('records.*.status')
+    .isIn(Object.values(ATTENDANCE_STATUSES))
+    .withMessage(`Status must be one of: ${Object.values(ATTENDANCE_STATUSES).join(', ')}`),
+
+  body('records.*.notes')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot be more than 500 characters'),
+
+  body('records.*.joinedAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Joined at must be a valid ISO 8601 date'),
+
+  body('records.*.leftAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Left at must be a valid ISO 8601 date')
+];
+
+exports.attendanceReportValidation = [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid ISO 8601 date'),
+
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid ISO 8601 date'),
+
+  query('subject')
+    .optional()
+    .isMongoId()
+    .withMessage('Subject must be a valid MongoDB ID'),
+
+  query('minimumPercent')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Minimum percent must be between 0 and 100')
+];
+
+// Session Report Validation Rules
+exports.saveSessionReportValidation = [
+  body('summary')
+    .trim()
+    .notEmpty()
+    .withMessage('Summary is required')
+    .isLength({ max: 5000 })
+    .withMessage('Summary cannot be more than 5000 characters'),
+
+  body('chaptersCovered')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Chapters covered must be a list of chapter IDs'),
+
+  body('chaptersCovered.*')
+    .isMongoId()
+    .withMessage('Each chapter must be a valid MongoDB ID'),
+
+  body('homework')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Homework must be a list'),
+
+  body('homework.*.title')
+    .trim()
+    .notEmpty()
+    .withMessage('Homework title is required')
+    .isLength({ max: 200 })
+    .withMessage('Homework title cannot be more than 200 characters'),
+
+  body('homework.*.description')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Homework description cannot be more than 2000 characters'),
+
+  body('homework.*.dueDate')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Homework due date must be a valid ISO 8601 date'),
+
+  body('adminNotes')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Admin notes cannot be more than 2000 characters')
+];
+
+// Session Feedback Validation Rules
+exports.sessionFeedbackValidation = [
+  body('rating')
+    .isInt({ min: FEEDBACK.MIN_RATING, max: FEEDBACK.MAX_RATING })
+    .withMessage(`Rating must be a whole number from ${FEEDBACK.MIN_RATING} to ${FEEDBACK.MAX_RATING}`)
+    .toInt(),
+
+  body('comment')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Comment cannot be more than 1000 characters'),
+
+  body('tags')
+    .optional()
+    .isArray({ max: FEEDBACK_TAGS.length })
+    .withMessage('Tags must be a list'),
+
+  body('tags.*')
+    .isIn(FEEDBACK_TAGS)
+    .withMessage(`Each tag must be one of: ${FEEDBACK_TAGS.join(', ')}`)
+];
+
+exports.teacherFeedbackValidation = [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid ISO 8601 date'),
+
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid ISO 8601 date'),
+
+  query('subject')
+    .optional()
+    .isMongoId()
+    .withMessage('Subject must be a valid MongoDB ID')
+];
+
+// Flagged Cancellation Validation Rules (Admin endpoints)
+exports.flaggedCancellationsValidation = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'reviewed'])
+    .withMessage('Status must be pending or reviewed'),
+
+  query('teacher')
+    .optional()
+    .isMongoId()
+    .withMessage('Teacher must be a valid MongoDB ID'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+exports.reviewCancellationValidation = [
+  body('notes')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot be more than 1000 characters')
+];
+
+// Teacher Availability Validation Rules
+exports.updateTeacherAvailabilityValidation = [
+  body('weeklyWindows')
+    .optional()
+    .isArray({ max: 42 })
+    .withMessage('Weekly windows must be a list'),
+
+  body('weeklyWindows.*.dayOfWeek')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Day of week must be between 0 (Sunday) and 6 (Saturday)')
+    .toInt(),
+
+  body('weeklyWindows.*.startTime')
+    .matches(TIME_OF_DAY)
+    .withMessage('Window start time must be in HH:mm format'),
+
+  body('weeklyWindows.*.endTime')
+    .matches(TIME_OF_DAY)
+    .withMessage('Window end time must be in HH:mm format'),
+
+  body('maxSessionsPerDay')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 24 })
+    .withMessage('Maximum sessions per day must be between 1 and 24 (the scheduling policy limit still applies)')
+    .toInt(),
+
+  body()
+    .custom((value) => {
+      if (value.weeklyWindows === undefined && value.maxSessionsPerDay === undefined) {
+        throw new Error('Provide weeklyWindows and/or maxSessionsPerDay');
+      }
+      return true;
+    })
+];
+
+exports.setAvailabilityOverrideValidation = [
+  body('date')
+    .notEmpty()
+    .withMessage('Date is required')
+    .isISO8601()
+    .withMessage('Date must be a valid ISO 8601 date'),
+
+  body('windows')
+    .optional()
+    .isArray({ max: 7 })
+    .withMessage('Windows must be a list (empty for a day off)'),
+
+  body('windows.*.startTime')
+    .matches(TIME_OF_DAY)
+    .withMessage('Window start time must be in HH:mm format'),
+
+  body('windows.*.endTime')
+    .matches(TIME_OF_DAY)
+    .withMessage('Window end time must be in HH:mm format'),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Reason cannot be more than 200 characters')
+];
+
+exports.addTimeOffValidation = [
+  body('startsAt')
+    .notEmpty()
+    .withMessage('Start of time off is required')
+    .isISO8601()
+    .withMessage('Start of time off must be a valid ISO 8601 date'),
+
+  body('endsAt')
+    .notEmpty()
+    .withMessage('End of time off is required')
+    .isISO8601()
+    .withMessage('End of time off must be a valid ISO 8601 date')
+    .custom((value, { req }) => {
+      if (req.body.startsAt && new Date(value) <= new Date(req.body.startsAt)) {
+        throw new Error('Time off must end after it starts');
+      }
+      return true;
+    }),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Reason cannot be more than 200 characters')
+];
+
+exports.teacherAvailabilityRangeValidation = [
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid ISO 8601 date'),
+
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid ISO 8601 date')
+    .custom((value, { req }) => {
+      if (req.query.from && new Date(value) < new Date(req.query.from)) {
+        throw new Error('To must not be before from');
+      }
+      const from = req.query.from ? new Date(req.query.from) : new Date();
+      if (new Date(value) - from > 62 * 24 * 60 * 60 * 1000) {
+        throw new Error('The range cannot be longer than 62 days');
+      }
+      return true;
+    })
+];
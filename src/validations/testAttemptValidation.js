@@ -0,0 +1,116 @@
+const { body, param } = require('express-validator');
+
+const testSeriesIdParam = param('id')
+  .isMongoId()
+  .withMessage('Test series ID must be a valid MongoDB ID');
+
+const attemptIdParam = param('attemptId')
+  .isMongoId()
+  .withMessage('Attempt ID must be a valid MongoDB ID');
+
+// Start Attempt Validation Rules
+exports.startAttemptValidation = [
+  testSeriesIdParam,
+
+  body('subject')
+    .notEmpty()
+    .withMessage('Subject is required')
+    .isMongoId()
+    .withMessage('Subject must be a valid MongoDB ID')
+];
+
+// Attempt Lookup Validation Rules
+exports.attemptParamsValidation = [
+  testSeriesIdParam,
+  attemptIdParam
+];
+
+// Save Answers Validation Rules
+exports.saveAnswersValidation = [
+  testSeriesIdParam,
+  attemptIdParam,
+
+  body('answers')
+    .isArray({ min: 1 })
+    .withMessage('Answers must be a non-empty array'),
+
+  body('answers.*.question')
+    .isMongoId()
+    .withMessage('Each answer must reference a valid question ID'),
+
+  body('answers.*.selectedOptions')
+    .optional()
+    .isArray()
+    .withMessage('selectedOptions must be an array'),
+
+  body('answers.*.selectedOptions.*')
+    .isMongoId()
+    .withMessage('Each selected option must be a valid MongoDB ID'),
+
+  body('answers.*.numericValue')
+    .optional({ nullable: true })
+    .isFloat()
+    .withMessage('numericValue must be a number'),
+
+  body('answers.*.matches')
+    .optional()
+    .isArray()
+    .withMessage('matches must be an array'),
+
+  body('answers.*.matches.*.option')
+    .isMongoId()
+    .withMessage('Each match must reference a valid option ID'),
+
+  body('answers.*.matches.*.matchedOption')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Each matched option must be a valid MongoDB ID'),
+
+  body('answers.*.timeSpentSeconds')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('timeSpentSeconds must be a non-negative integer')
+];
+
+// Autosave Single Answer Validation Rules
+exports.saveAnswerValidation = [
+  testSeriesIdParam,
+  attemptIdParam,
+
+  param('questionId')
+    .isMongoId()
+    .withMessage('Question ID must be a valid MongoDB ID'),
+
+  body('selectedOptions')
+    .optional()
+    .isArray()
+    .withMessage('selectedOptions must be an array'),
+
+  body('selectedOptions.*')
+    .isMongoId()
+    .withMessage('Each selected option must be a valid MongoDB ID'),
+
+  body('numericValue')
+    .optional({ nullable: true })
+    .isFloat()
+    .withMessage('numericValue must be a number'),
+
+  body('matches')
+    .optional()
+    .isArray()
+    .withMessage('matches must be an array'),
+
+  body('matches.*.option')
+    .isMongoId()
+    .withMessage('Each match must reference a valid option ID'),
+
+  body('matches.*.matchedOption')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Each matched option must be a valid MongoDB ID'),
+
+  body('timeSpentSeconds')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('timeSpentSeconds must be a non-negative integer')
+];
@@ -0,0 +1,197 @@
+const { body, param, query } = require('express-validator');
+
+// Settings rules shared by create and update
+const settingsValidation = [
+  body('settings')
+    .optional()
+    .isObject()
+    .withMessage('Settings must be an object'),
+
+  body('settings.maxAttemptsPerTest')
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage('maxAttemptsPerTest must be a non-negative integer'),
+
+  body('settings.totalDurationMinutes')
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage('totalDurationMinutes must be a non-negative integer'),
+
+  body('settings.gradingPolicy')
+    .optional({ nullable: true })
+    .isObject()
+    .withMessage('Grading policy must be an object'),
+
+  body('settings.gradingPolicy.negativeMarking.enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('negativeMarking.enabled must be a boolean')
+    .custom((value, { req }) => {
+      const { fraction } = req.body.settings.gradingPolicy.negativeMarking;
+      if ((value === true || value === 'true') && (fraction === undefined || fraction === null)) {
+        throw new Error('negativeMarking.fraction is required when negative marking is enabled');
+      }
+      return true;
+    }),
+
+  body('settings.gradingPolicy.negativeMarking.fraction')
+    .optional()
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('negativeMarking.fraction must be between 0 and 1 (e.g. 0.25 for -1/4)')
+    .custom((value, { req }) => {
+      const { negativeMarking } = req.body.settings.gradingPolicy;
+      if (negativeMarking.enabled && Number(value) === 0) {
+        throw new Error('negativeMarking.fraction must be greater than 0 when negative marking is enabled');
+      }
+      return true;
+    }),
+
+  body('settings.gradingPolicy.partialCredit.enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('partialCredit.enabled must be a boolean'),
+
+  body('settings.gradingPolicy.passMark.percentage')
+    .optional({ nullable: true })
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('passMark.percentage must be between 0 and 100'),
+
+  body('settings.gradingPolicy.passMark.subjects')
+    .optional()
+    .isArray()
+    .withMessage('passMark.subjects must be an array')
+    .custom((entries) => {
+      const subjectIds = entries.map(entry => entry && entry.subject && entry.subject.toString());
+      if (new Set(subjectIds).size !== subjectIds.length) {
+        throw new Error('passMark.subjects cannot list the same subject twice');
+      }
+      return true;
+    }),
+
+  body('settings.gradingPolicy.passMark.subjects.*.subject')
+    .isMongoId()
+    .withMessage('Each pass mark must reference a valid subject ID'),
+
+  body('settings.gradingPolicy.passMark.subjects.*.percentage')
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Each subject pass mark must be between 0 and 100'),
+
+  body('settings.gradingPolicy.attemptScoring')
+    .optional()
+    .isIn(['latest', 'best'])
+    .withMessage('attemptScoring must be either latest or best'),
+
+  body('settings.gradingPolicy.allowNegativeTotal')
+    .optional()
+    .isBoolean()
+    .withMessage('allowNegativeTotal must be a boolean')
+];
+
+// Paper blueprint rules for each entry of subjects
+const blueprintValidation = [
+  body('subjects.*.blueprint')
+    .optional({ nullable: true })
+    .isObject()
+    .withMessage('Blueprint must be an object'),
+
+  body('subjects.*.blueprint.questionCount')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Blueprint questionCount must be a positive integer'),
+
+  body('subjects.*.blueprint.difficultyMix')
+    .optional()
+    .isObject()
+    .withMessage('difficultyMix must be an object')
+    .custom((mix) => {
+      const values = ['easy', 'medium', 'hard'].map(level => Number(mix[level] || 0));
+      if (values.some(value => Number.isNaN(value) || value < 0 || value > 100)) {
+        throw new Error('difficultyMix values must be percentages between 0 and 100');
+      }
+      const total = values.reduce((sum, value) => sum + value, 0);
+      if (total !== 0 && total !== 100) {
+        throw new Error('difficultyMix percentages must add up to 100');
+      }
+      return true;
+    }),
+
+  body('subjects.*.blueprint.chapterWeights')
+    .optional()
+    .isArray()
+    .withMessage('chapterWeights must be an array')
+    .custom((weights) => {
+      const chapterIds = weights.map(entry => String(entry && entry.chapter));
+      if (new Set(chapterIds).size !== chapterIds.length) {
+        throw new Error('chapterWeights cannot list the same chapter twice');
+      }
+      return true;
+    }),
+
+  body('subjects.*.blueprint.chapterWeights.*.chapter')
+    .isMongoId()
+    .withMessage('Each chapter weight needs a valid chapter ID'),
+
+  body('subjects.*.blueprint.chapterWeights.*.weight')
+    .isFloat({ min: 0 })
+    .withMessage('Chapter weight must be a non-negative number'),
+
+  body('subjects.*.blueprint.shuffleQuestions')
+    .optional()
+    .isBoolean()
+    .withMessage('shuffleQuestions must be a boolean'),
+
+  body('subjects.*.blueprint.shuffleOptions')
+    .optional()
+    .isBoolean()
+    .withMessage('shuffleOptions must be a boolean')
+];
+
+// Create Test Series Validation Rules
+exports.createTestSeriesValidation = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Test series name is required'),
+
+  body('subjects')
+    .optional()
+    .isArray()
+    .withMessage('Subjects must be an array'),
+
+  ...blueprintValidation,
+  ...settingsValidation
+];
+
+// Update Test Series Validation Rules
+exports.updateTestSeriesValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Test series name cannot be empty'),
+
+  body('subjects')
+    .optional()
+    .isArray()
+    .withMessage('Subjects must be an array'),
+
+  ...blueprintValidation,
+  ...settingsValidation
+];
+
+// Paper Preview Validation Rules
+exports.previewPaperValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid test series ID'),
+
+  param('subjectId')
+    .isMongoId()
+    .withMessage('Invalid subject ID'),
+
+  query('seed')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 64 })
+    .withMessage('Seed must be between 1 and 64 characters')
+];
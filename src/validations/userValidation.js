@@ -1,4 +1,5 @@
 const { body } = require('express-validator');
+const { isValidTimezone } = require('../utils/timezone');
 
 // Create User Validation Rules
 exports.createUserValidation = [
@@ -64,6 +65,15 @@ exports.updateUserValidation = [
   body('isActive')
     .optional()
     .isBoolean()
-    .withMessage('isActive must be a boolean value')
+    .withMessage('isActive must be a boolean value'),
+
+  body('timezone')
+    .optional({ nullable: true })
+    .custom((value) => {
+      if (!isValidTimezone(value)) {
+        throw new Error('Please provide a valid IANA timezone (e.g. Asia/Kolkata)');
+      }
+      return true;
+    })
 ];
 